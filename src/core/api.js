@@ -2,6 +2,8 @@ import cors from "cors";
 import express from "express";
 import http from "node:http";
 import path from "path";
+import { pipeline } from "node:stream/promises";
+import { createHash } from "node:crypto";
 import rateLimit from "express-rate-limit";
 import { setGlobalDispatcher, EnvHttpProxyAgent } from "undici";
 import swaggerUi from "swagger-ui-express";
@@ -22,20 +24,60 @@ import { setupTunnelHandler } from "./itunnel.js";
 import { logger, logError, logRequest, logResponse, createChildLogger } from "../util/logger.js";
 import { getHealthStatus } from "../util/health.js";
 import { requestTimeout } from "../util/timeout.js";
-import { LIMITS, NETWORK, CACHE_TTL } from "../util/constants.js";
+import { LIMITS, NETWORK, CACHE_TTL, DOWNLOAD_BROWSE, DOWNLOAD_JOBS, DOWNLOAD_HISTORY } from "../util/constants.js";
 import { nanoid } from "nanoid";
 import { 
     downloadFile, 
-    downloadFiles, 
-    listFiles, 
+    listDirectory,
+    resolveDownloadPath,
     getFileInfo, 
     deleteFile, 
-    getFileStream,
+    storeDownload,
+    presignDownload,
+    DIRECTORY_SORTS,
+    DOWNLOAD_DIR,
     startCleanupInterval 
 } from "../util/download-manager.js";
+import {
+    createJob,
+    getJob,
+    listJobs,
+    formatJob,
+    formatProgress,
+    watchJob,
+    pauseJob,
+    resumeJob,
+    cancelJob,
+    restoreJobs
+} from "../util/download-jobs.js";
+import { checkQuota, trackDownload } from "../util/download-quota.js";
+import { ARCHIVE_FORMATS, collectArchiveFiles, createArchiveStream } from "../util/archive-stream.js";
+import { sendDownloadFile } from "../util/download-send.js";
+import { checkCallbackUrl } from "../util/download-webhooks.js";
+import {
+    createSubscription,
+    getSubscription,
+    listSubscriptions,
+    updateSubscription,
+    deleteSubscription,
+    triggerSubscription,
+    formatSubscription,
+    startSubscriptionScheduler
+} from "../util/subscriptions.js";
+import {
+    HISTORY_TYPES,
+    HISTORY_STATUSES,
+    recordHistory,
+    queryHistory,
+    parseHistoryDate
+} from "../util/download-history.js";
+import { isPrimary } from "../misc/cluster.js";
 
+import * as APIKeys from "../security/api-keys.js";
 import * as Cookies from "../processing/cookie/manager.js";
 import * as YouTubeSession from "../processing/helpers/youtube-session.js";
+import { resetServiceBreaker, setupServiceBreakers } from "../processing/service-breaker.js";
+import { renderMetrics, setupMetrics, countRateLimited, trackTunnel } from "../util/metrics.js";
 
 /**
  * API Core Module
@@ -131,6 +173,7 @@ export const runAPI = async (app, __dirname) => {
      * Returns 429 status with rate limit error
      */
     const handleRateExceeded = (_, res) => {
+        countRateLimited('api');
         const { body } = createResponse("error", {
             code: "error.api.rate_exceeded",
             context: {
@@ -189,6 +232,47 @@ export const runAPI = async (app, __dirname) => {
         }
     }, IP_KEY_CACHE_TTL);
 
+    /**
+     * Get the API key a request was made with
+     * Only "Api-Key <uuid>" authorization is checked, and only when API_KEY_URL
+     * is configured. Other requests (and sessions) carry no key.
+     * 
+     * @param {Object} req - Express request object
+     * @returns {{key?: string, error?: string}} Key, or an error.api.* code suffix
+     */
+    const getRequestKey = (req) => {
+        const authHeader = req.get('Authorization');
+        
+        if (!env.apiKeyURL || !/^api-key /i.test(authHeader || '')) {
+            return { key: null };
+        }
+        
+        const result = APIKeys.validateAuthorization(req);
+        if (!result.success) {
+            return { error: `auth.key.${result.error}` };
+        }
+        
+        return { key: req.rateLimitKey };
+    };
+
+    /**
+     * Get the identity downloads are accounted to (storage quotas, fair share,
+     * subscriptions and the download history)
+     * Requests with a valid API key are accounted to the key wherever they come
+     * from, others to the hashed client IP. The key is hashed as well, so it
+     * never ends up in stored jobs or history entries. Unlike IP hashes, key
+     * hashes don't depend on the per-boot salt and outlive restarts.
+     * 
+     * @param {Object} req - Express request object
+     * @returns {string} Owner
+     */
+    const getOwner = (req) => {
+        const { key } = getRequestKey(req);
+        return key
+            ? `key:${createHash('sha256').update(key).digest('base64url')}`
+            : keyGenerator(req);
+    };
+
     /**
      * Rate limiter for main API endpoint
      * Simple rate limiting for personal use
@@ -216,6 +300,7 @@ export const runAPI = async (app, __dirname) => {
         store: await createStore('tunnel'),
         // Simple 429 response for tunnel (no JSON body needed)
         handler: (_, res) => {
+            countRateLimited('tunnel');
             return res.sendStatus(429);
         }
     });
@@ -263,7 +348,7 @@ export const runAPI = async (app, __dirname) => {
 
     // Validate Accept and Content-Type headers for POST requests
     // Ensures clients are sending proper JSON requests
-    app.post('/', async (req, res, next) => {
+    app.post(['/', '/info'], async (req, res, next) => {
         const acceptHeader = req.header('Accept');
         // If Accept header is present, it must be valid
         if (acceptHeader && !acceptRegex.test(acceptHeader)) {
@@ -279,8 +364,11 @@ export const runAPI = async (app, __dirname) => {
 
 
     // Apply rate limiting to POST requests
-    app.post('/', apiLimiter);
+    app.post(['/', '/info'], apiLimiter);
     
+    // File selections for archives can be larger than regular requests
+    app.use('/archive', express.json({ limit: DOWNLOAD_BROWSE.ARCHIVE_BODY_MAX_SIZE }));
+
     // Parse JSON request body (max LIMITS.JSON_BODY_MAX_SIZE to prevent large payloads)
     app.use('/', express.json({ limit: LIMITS.JSON_BODY_MAX_SIZE }));
 
@@ -482,6 +570,20 @@ export const runAPI = async (app, __dirname) => {
             return await fail(res, "error.api.invalid_body", {}, req.requestId);
         }
 
+        // Webhooks can't be signed without WEBHOOK_SECRET
+        if (normalizedRequest.callbackUrl) {
+            const callbackError = checkCallbackUrl(normalizedRequest.callbackUrl);
+            if (callbackError) {
+                return await fail(res, `error.api.${callbackError.error}`, callbackError.context, req.requestId);
+            }
+        }
+
+        // API keys aren't required, but a valid one selects its own output template
+        const keyResult = getRequestKey(req);
+        if (keyResult.error) {
+            return await fail(res, `error.api.${keyResult.error}`, {}, req.requestId);
+        }
+
         // Extract service and pattern match from URL
         const parsed = extract(
             normalizedRequest.url,
@@ -517,6 +619,10 @@ export const runAPI = async (app, __dirname) => {
             const paramsWithOriginalRequest = {
                 ...normalizedRequest,
                 originalRequest: request.url, // Raw URL string before normalization
+                // Output template priority: request > API key > server default
+                outputTemplate: normalizedRequest.outputTemplate
+                    || APIKeys.getOutputTemplate(keyResult.key)
+                    || env.downloadOutputTemplate,
             };
             
             const result = await match({
@@ -525,6 +631,8 @@ export const runAPI = async (app, __dirname) => {
                 params: paramsWithOriginalRequest, // User preferences with originalRequest
                 authType: "none", // No authentication for personal use
                 requestId: req.requestId, // Request ID for logging
+                owner: getOwner(req), // Download quotas are per API key (or client IP without one)
+                schedule: APIKeys.getSchedule(keyResult.key), // Download priority and fair share of the API key
             });
 
             // Return result - check if response already sent (timeout)
@@ -551,6 +659,122 @@ export const runAPI = async (app, __dirname) => {
         }
     });
 
+    /**
+     * @swagger
+     * /info:
+     *   post:
+     *     summary: Get media metadata and available formats
+     *     description: |
+     *       Returns what a link points to without downloading anything or creating tunnels:
+     *       title, author, duration, description, thumbnails, every available video/audio
+     *       format (resolution, codec, bitrate, size, language) and the subtitle tracks.
+     *       
+     *       Sizes the service doesn't tell are estimated from bitrate and duration (`sizeEstimated`).
+     *       
+     *       **Supported Services:** YouTube, Bilibili, Twitter/X, Reddit, SoundCloud, TikTok (single posts)
+     *     tags: [Media]
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             type: object
+     *             required: [url]
+     *             properties:
+     *               url:
+     *                 type: string
+     *                 example: "https://www.youtube.com/watch?v=dQw4w9WgXcQ"
+     *     responses:
+     *       200:
+     *         description: Media info
+     *         content:
+     *           application/json:
+     *             schema:
+     *               $ref: '#/components/schemas/MediaInfo'
+     *       400:
+     *         description: Invalid request, unsupported service or extraction error
+     *         content:
+     *           application/json:
+     *             schema:
+     *               $ref: '#/components/schemas/ErrorResponse'
+     *             examples:
+     *               unsupported:
+     *                 summary: Service can't list formats
+     *                 value:
+     *                   status: "error"
+     *                   error:
+     *                     code: "error.api.info.unsupported"
+     *                     context:
+     *                       service: "Instagram"
+     *       429:
+     *         description: Rate limit exceeded
+     */
+    app.post('/info', async (req, res) => {
+        const request = req.body;
+
+        if (!request.url) {
+            return await fail(res, "error.api.link.missing", {}, req.requestId);
+        }
+
+        if (request.url.length > LIMITS.URL_MAX_LENGTH) {
+            return await fail(res, "error.api.link.too_long", {
+                maxLength: LIMITS.URL_MAX_LENGTH
+            }, req.requestId);
+        }
+
+        // Same options as POST /, some of them (e.g., subtitleLang) change what the service returns
+        const { success, data: normalizedRequest } = await normalizeRequest(request);
+        if (!success) {
+            return await fail(res, "error.api.invalid_body", {}, req.requestId);
+        }
+
+        const keyResult = getRequestKey(req);
+        if (keyResult.error) {
+            return await fail(res, `error.api.${keyResult.error}`, {}, req.requestId);
+        }
+
+        const parsed = extract(
+            normalizedRequest.url,
+            env.enabledServices,
+        );
+
+        if (!parsed) {
+            return await fail(res, "error.api.link.invalid", {}, req.requestId);
+        }
+
+        if ("error" in parsed) {
+            return await fail(res, `error.api.${parsed.error}`, parsed.context, req.requestId);
+        }
+
+        try {
+            const result = await match({
+                host: parsed.host,
+                patternMatch: parsed.patternMatch,
+                params: {
+                    ...normalizedRequest,
+                    originalRequest: request.url,
+                },
+                authType: "none",
+                requestId: req.requestId,
+                owner: getOwner(req),
+                infoOnly: true,
+            });
+
+            if (!res.headersSent) {
+                res.status(result.status).json(result.body);
+            }
+        } catch (error) {
+            logError(error, {
+                requestId: req.requestId,
+                url: normalizedRequest?.url?.toString(),
+                host: parsed?.host,
+            });
+            if (!res.headersSent) {
+                await fail(res, "error.api.generic", {}, req.requestId);
+            }
+        }
+    });
+
     app.use('/tunnel', cors({
         methods: ['GET'],
         exposedHeaders: [
@@ -697,6 +921,7 @@ export const runAPI = async (app, __dirname) => {
                 streamInfo.range = req.headers['range'];
             }
 
+            trackTunnel(res);
             return stream(res, streamInfo);
         } catch (error) {
             logError(error, { 
@@ -881,7 +1106,7 @@ export const runAPI = async (app, __dirname) => {
         const childLogger = createChildLogger({ requestId });
         
         try {
-            const { url, filename, headers } = req.body;
+            const { url, filename, headers, presign } = req.body;
             
             if (!url || !filename) {
                 return await fail(res, "error.api.invalid_body", {
@@ -890,18 +1115,35 @@ export const runAPI = async (app, __dirname) => {
             }
             
             childLogger.debug({ url, filename }, 'Download request received');
+
+            const owner = getOwner(req);
+            const quotaError = await checkQuota({ owner });
+            if (quotaError) {
+                return await fail(res, `error.api.${quotaError.error}`, quotaError.context, requestId);
+            }
             
-            const result = await downloadFile(url, filename, { headers });
+            // Single files are interactive, they go ahead of bulk jobs in the download scheduler
+            const result = await downloadFile(url, filename, {
+                headers,
+                schedule: { key: owner, ...APIKeys.getSchedule(getRequestKey(req).key), interactive: true }
+            });
+            const history = { type: "download", key: owner, url, filepath: result.filepath };
             
             if (result.success) {
+                const key = await storeDownload(result.filepath);
+                await trackDownload(result.filepath, { owner });
+                recordHistory({ ...history, status: "done", size: result.size });
+
                 res.json({
                     success: true,
                     filename: result.filepath.split(path.sep).pop(),
                     filepath: result.filepath,
                     size: result.size,
-                    url: `${env.apiURL}downloads/${result.filepath.split(path.sep).pop()}`
+                    url: `${env.apiURL}downloads/${result.filepath.split(path.sep).pop()}`,
+                    ...(presign && { presigned: presignDownload(key) })
                 });
             } else {
+                recordHistory({ ...history, status: "failed", filepath: null, error: result.error });
                 return await fail(res, "error.api.fetch.fail", {
                     message: result.error || "Download failed"
                 }, requestId);
@@ -914,31 +1156,96 @@ export const runAPI = async (app, __dirname) => {
         }
     });
     
+    /**
+     * @swagger
+     * /download/batch:
+     *   post:
+     *     summary: Queue a batch download job
+     *     description: |
+     *       Queues the given files as a background download job and returns immediately.
+     *       Progress can be followed via GET /jobs/{id}.
+     *     tags: [Downloads]
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             type: object
+     *             required: [files]
+     *             properties:
+     *               files:
+     *                 type: array
+     *                 items:
+     *                   type: object
+     *                   required: [url, filename]
+     *                   properties:
+     *                     url:
+     *                       type: string
+     *                     filename:
+     *                       type: string
+     *                     headers:
+     *                       type: object
+     *               concurrency:
+     *                 type: integer
+     *                 default: 3
+     *               callbackUrl:
+     *                 type: string
+     *                 description: Receives a signed POST with the results when the job finishes (requires WEBHOOK_SECRET)
+     *     responses:
+     *       202:
+     *         description: Job queued
+     */
     app.post('/download/batch', apiLimiter, async (req, res) => {
         const requestId = nanoid();
         const childLogger = createChildLogger({ requestId });
         
         try {
-            const { files, concurrency = 3 } = req.body;
+            const { files, concurrency = 3, callbackUrl } = req.body;
             
             if (!Array.isArray(files) || files.length === 0) {
                 return await fail(res, "error.api.invalid_body", {
                     message: "files array is required"
                 }, requestId);
             }
+
+            if (files.some(file => !file?.url || !file?.filename)) {
+                return await fail(res, "error.api.invalid_body", {
+                    message: "every file requires url and filename"
+                }, requestId);
+            }
+
+            if (!Number.isInteger(concurrency) || concurrency < 1) {
+                return await fail(res, "error.api.invalid_body", {
+                    message: "concurrency must be a positive integer"
+                }, requestId);
+            }
+            
+            if (callbackUrl !== undefined) {
+                const callbackError = checkCallbackUrl(callbackUrl);
+                if (callbackError) {
+                    return await fail(res, `error.api.${callbackError.error}`, callbackError.context, requestId);
+                }
+            }
             
             childLogger.debug({ count: files.length, concurrency }, 'Batch download request received');
+
+            const owner = getOwner(req);
+            const quotaError = await checkQuota({ owner });
+            if (quotaError) {
+                return await fail(res, `error.api.${quotaError.error}`, quotaError.context, requestId);
+            }
             
-            const results = await downloadFiles(files, { concurrency });
+            const job = await createJob(files, {
+                source: "batch",
+                concurrency,
+                owner,
+                callbackUrl,
+                ...APIKeys.getSchedule(getRequestKey(req).key)
+            });
             
-            res.json({
+            res.status(202).json({
                 success: true,
-                results,
-                summary: {
-                    total: results.length,
-                    success: results.filter(r => r.success).length,
-                    failed: results.filter(r => !r.success).length
-                }
+                job: formatJob(job, false)
             });
         } catch (error) {
             logError(error, { requestId }, 'Batch download endpoint error');
@@ -947,95 +1254,1269 @@ export const runAPI = async (app, __dirname) => {
             }, requestId);
         }
     });
-    
-    app.get('/downloads', apiLimiter, async (req, res) => {
+
+    /**
+     * @swagger
+     * /jobs:
+     *   get:
+     *     summary: List download jobs
+     *     description: Returns download jobs, newest first, with a per-state file summary.
+     *     tags: [Downloads]
+     *     parameters:
+     *       - in: query
+     *         name: status
+     *         schema:
+     *           type: string
+     *           enum: [queued, running, paused, done, failed, cancelled]
+     *       - in: query
+     *         name: limit
+     *         schema:
+     *           type: integer
+     *           default: 50
+     *       - in: query
+     *         name: offset
+     *         schema:
+     *           type: integer
+     *           default: 0
+     *     responses:
+     *       200:
+     *         description: List of jobs
+     */
+    app.get('/jobs', apiLimiter, async (req, res) => {
         const requestId = nanoid();
         
         try {
-            const { maxAge } = req.query;
-            const files = await listFiles({
-                maxAge: maxAge ? parseInt(maxAge, 10) : undefined
+            const { status, limit, offset } = req.query;
+            const result = await listJobs({
+                status,
+                limit: limit ? parseInt(limit, 10) : undefined,
+                offset: offset ? parseInt(offset, 10) : undefined
             });
             
             res.json({
                 success: true,
-                files,
-                count: files.length
+                total: result.total,
+                jobs: result.jobs.map(job => formatJob(job, false))
             });
         } catch (error) {
-            logError(error, { requestId }, 'List downloads error');
+            logError(error, { requestId }, 'List jobs error');
             return await fail(res, "error.api.fetch.fail", {
                 message: error.message
             }, requestId);
         }
     });
-    
-    app.get('/downloads/:filename', apiLimiter, async (req, res) => {
+
+    /**
+     * @swagger
+     * /jobs/{id}:
+     *   get:
+     *     summary: Get download job
+     *     description: |
+     *       Returns a download job with the state of each of its files
+     *       (queued, running, retrying, done, failed, cancelled), downloaded bytes and errors.
+     *     tags: [Downloads]
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: string
+     *     responses:
+     *       200:
+     *         description: Job details
+     */
+    app.get('/jobs/:id', apiLimiter, async (req, res) => {
         const requestId = nanoid();
-        const { filename } = req.params;
+        const { id } = req.params;
         
         try {
-            const fileInfo = await getFileInfo(filename);
+            const job = await getJob(id);
             
-            if (!fileInfo.exists) {
+            if (!job) {
                 return await fail(res, "error.api.fetch.empty", {
-                    message: "File not found"
+                    message: "Job not found"
                 }, requestId);
             }
             
-            const { stream, size, contentType } = await getFileStream(filename);
-            
-            res.setHeader('Content-Type', contentType);
-            res.setHeader('Content-Length', size);
-            res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
-            
-            stream.pipe(res);
+            res.json({
+                success: true,
+                job: formatJob(job)
+            });
         } catch (error) {
-            logError(error, { requestId, filename }, 'Get download file error');
+            logError(error, { requestId, jobId: id }, 'Get job error');
             return await fail(res, "error.api.fetch.fail", {
                 message: error.message
             }, requestId);
         }
     });
     
-    app.delete('/downloads/:filename', apiLimiter, async (req, res) => {
+    /**
+     * Stream the events of a job as Server-Sent Events
+     *
+     * Events:
+     * - snapshot: the whole job, sent once when the stream opens
+     * - progress: live progress (formatProgress), at most every EVENTS_INTERVAL
+     * - file: a file changed state (started, retrying, done, failed, ...)
+     * - status: the job changed state (running, paused, queued)
+     * - end: the job is done, failed or cancelled, the stream closes after it
+     */
+    const streamJobEvents = (res, job) => {
+        const finalStates = ["done", "failed", "cancelled"];
+
+        res.status(200).set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache, no-transform',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no',
+        });
+        res.flushHeaders();
+
+        const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+        const states = new Map(job.files.map(file => [file.index, file.state]));
+        let status = job.status;
+        let latest = job;
+        let lastProgress = 0;
+        let progressTimer = null;
+        let closed = false;
+        let stopWatching = () => {};
+        let heartbeat = null;
+
+        const close = () => {
+            if (closed) {
+                return;
+            }
+
+            closed = true;
+            stopWatching();
+            clearInterval(heartbeat);
+            clearTimeout(progressTimer);
+            res.end();
+        };
+
+        const sendProgress = () => {
+            clearTimeout(progressTimer);
+            progressTimer = null;
+            lastProgress = Date.now();
+            send("progress", formatProgress(latest));
+        };
+
+        const onChange = (current) => {
+            if (closed) {
+                return;
+            }
+
+            latest = current;
+
+            for (const file of current.files) {
+                if (states.get(file.index) === file.state) {
+                    continue;
+                }
+
+                states.set(file.index, file.state);
+                send("file", {
+                    index: file.index,
+                    filename: file.filename,
+                    state: file.state,
+                    bytes: file.bytes,
+                    retries: Math.max(0, file.attempts - 1),
+                    error: file.error,
+                });
+            }
+
+            if (current.status !== status) {
+                status = current.status;
+                sendProgress();
+
+                if (finalStates.includes(status)) {
+                    send("end", formatJob(current));
+                    return close();
+                }
+
+                send("status", formatJob(current, false));
+                return;
+            }
+
+            // Progress changes many times per second, only the latest state is sent
+            progressTimer ??= setTimeout(
+                sendProgress,
+                Math.max(0, lastProgress + DOWNLOAD_JOBS.EVENTS_INTERVAL - Date.now())
+            );
+        };
+
+        res.write(`retry: ${DOWNLOAD_JOBS.EVENTS_INTERVAL * 4}\n\n`);
+        send("snapshot", formatJob(job));
+
+        if (finalStates.includes(job.status)) {
+            send("end", formatJob(job));
+            return close();
+        }
+
+        stopWatching = watchJob(job.id, onChange);
+        heartbeat = setInterval(() => res.write(": ping\n\n"), DOWNLOAD_JOBS.EVENTS_HEARTBEAT);
+        res.on('close', close);
+    };
+
+    /**
+     * @swagger
+     * /jobs/{id}/events:
+     *   get:
+     *     summary: Follow download job progress
+     *     description: |
+     *       Server-Sent Events stream with the live progress of a job: per-file bytes,
+     *       speed and ETA, retries and completed/failed counts. Starts with a
+     *       `snapshot` event, then sends `progress`, `file` and `status` events,
+     *       and closes after the `end` event once the job is done, failed or cancelled.
+     *     tags: [Downloads]
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: string
+     *     responses:
+     *       200:
+     *         description: Event stream
+     *         content:
+     *           text/event-stream:
+     *             schema:
+     *               type: string
+     */
+    app.get('/jobs/:id/events', apiLimiter, async (req, res) => {
         const requestId = nanoid();
-        const { filename } = req.params;
+        const { id } = req.params;
         
         try {
-            const result = await deleteFile(filename);
+            const job = await getJob(id);
             
-            if (result.success) {
-                res.json({ success: true, message: "File deleted" });
-            } else {
-                return await fail(res, "error.api.fetch.fail", {
-                    message: result.error || "Failed to delete file"
+            if (!job) {
+                return await fail(res, "error.api.fetch.empty", {
+                    message: "Job not found"
                 }, requestId);
             }
+            
+            streamJobEvents(res, job);
         } catch (error) {
-            logError(error, { requestId, filename }, 'Delete download file error');
+            logError(error, { requestId, jobId: id }, 'Job events error');
+            
+            if (res.headersSent) {
+                return res.end();
+            }
+            
             return await fail(res, "error.api.fetch.fail", {
                 message: error.message
             }, requestId);
         }
     });
     
-    app.get('/health', async (req, res) => {
+    /**
+     * Shared handler for job control endpoints
+     * action returns { job } or { error }, where error is an error.api.* code suffix
+     */
+    const controlJobRoute = (action, label) => async (req, res) => {
+        const requestId = nanoid();
+        const { id } = req.params;
+        
         try {
-            const detailed = req.query.detailed === 'true' || req.query.detailed === '1';
-            const health = await getHealthStatus(startTimestamp, detailed);
+            const result = await action(id);
             
-            // Return appropriate status code based on health
-            const statusCode = health.status === 'healthy' ? 200 : 
-                              health.status === 'degraded' ? 200 : 503;
+            if (result.error) {
+                return await fail(res, `error.api.${result.error}`, {
+                    message: result.error === "fetch.empty"
+                        ? "Job not found"
+                        : `Job can't be ${label} in its current state`
+                }, requestId);
+            }
             
-            res.status(statusCode).json(health);
-        } catch (error) {
-            logError(error, { requestId: req.requestId }, 'Health check failed');
-            res.status(503).json({
-                status: 'unhealthy',
-                timestamp: new Date().toISOString(),
-                error: 'Health check failed',
+            res.json({
+                success: true,
+                job: formatJob(result.job, false)
+            });
+        } catch (error) {
+            logError(error, { requestId, jobId: id }, 'Job control error');
+            return await fail(res, "error.api.fetch.fail", {
+                message: error.message
+            }, requestId);
+        }
+    };
+
+    /**
+     * @swagger
+     * /jobs/{id}:
+     *   delete:
+     *     summary: Cancel download job
+     *     description: |
+     *       Aborts in-flight downloads, removes partially downloaded files and
+     *       marks the remaining files as cancelled. Finished files are kept.
+     *     tags: [Downloads]
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: string
+     *     responses:
+     *       200:
+     *         description: Job cancelled
+     */
+    app.delete('/jobs/:id', apiLimiter, controlJobRoute(cancelJob, "cancelled"));
+
+    /**
+     * @swagger
+     * /jobs/{id}/pause:
+     *   post:
+     *     summary: Pause download job
+     *     description: Aborts in-flight downloads, they start over when the job is resumed.
+     *     tags: [Downloads]
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: string
+     *     responses:
+     *       200:
+     *         description: Job paused
+     */
+    app.post('/jobs/:id/pause', apiLimiter, controlJobRoute(pauseJob, "paused"));
+
+    /**
+     * @swagger
+     * /jobs/{id}/resume:
+     *   post:
+     *     summary: Resume paused download job
+     *     tags: [Downloads]
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: string
+     *     responses:
+     *       200:
+     *         description: Job queued again
+     */
+    app.post('/jobs/:id/resume', apiLimiter, controlJobRoute(resumeJob, "resumed"));
+
+    /**
+     * @swagger
+     * /jobs/{id}/archive:
+     *   get:
+     *     summary: Download the files of a job as an archive
+     *     description: |
+     *       Streams the downloaded (and already archived) files of a job, e.g. a
+     *       whole TikTok playlist, as a ZIP or TAR archive with a generated manifest.json.
+     *     tags: [Downloads]
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: string
+     *       - in: query
+     *         name: format
+     *         schema:
+     *           type: string
+     *           enum: [zip, tar]
+     *           default: zip
+     *     responses:
+     *       200:
+     *         description: Archive stream
+     */
+    app.get('/jobs/:id/archive', apiLimiter, async (req, res) => {
+        const requestId = nanoid();
+        const { id } = req.params;
+        
+        try {
+            const format = getArchiveFormat(req.query.format);
+            if (!format) {
+                return await fail(res, "error.api.invalid_body", {
+                    message: `format must be one of ${Object.keys(ARCHIVE_FORMATS).join(", ")}`
+                }, requestId);
+            }
+            
+            const job = await getJob(id);
+            if (!job) {
+                return await fail(res, "error.api.fetch.empty", {
+                    message: "Job not found"
+                }, requestId);
+            }
+            
+            const files = await collectArchiveFiles({
+                files: job.files
+                    .filter(file => file.filepath && (file.state === "done" || file.state === "skipped"))
+                    .map(file => path.relative(DOWNLOAD_DIR, file.filepath))
+            });
+            
+            await sendArchive(res, files || [], {
+                format,
+                name: job.playlistName || job.username || `job-${job.id}`,
+                manifest: {
+                    job: {
+                        id: job.id,
+                        status: job.status,
+                        source: job.source,
+                        service: job.service,
+                        username: job.username,
+                        playlistName: job.playlistName,
+                    }
+                }
+            }, requestId);
+        } catch (error) {
+            logError(error, { requestId, jobId: id }, 'Archive job error');
+            return await fail(res, "error.api.fetch.fail", {
+                message: error.message
+            }, requestId);
+        }
+    });
+
+    /**
+     * @swagger
+     * /history:
+     *   get:
+     *     summary: Search download history
+     *     description: |
+     *       Every extraction (`type: extract`) and download (`type: download`), newest first:
+     *       time, API key, service, media ID, title, author, source URL, options,
+     *       output path, size and outcome. Useful for auditing and for rebuilding lost files.
+     *       Only entries of the caller (its API key, or its IP without one) are returned,
+     *       admin keys see every owner and can filter by `key`.
+     *     tags: [Downloads]
+     *     parameters:
+     *       - in: query
+     *         name: type
+     *         schema:
+     *           type: string
+     *           enum: [extract, download]
+     *       - in: query
+     *         name: status
+     *         schema:
+     *           type: string
+     *           enum: [success, error, done, failed, skipped]
+     *       - in: query
+     *         name: service
+     *         schema:
+     *           type: string
+     *           example: tiktok
+     *       - in: query
+     *         name: author
+     *         description: Author or username (case insensitive)
+     *         schema:
+     *           type: string
+     *       - in: query
+     *         name: key
+     *         description: Owner of the entries (`key` field), other owners require an admin key
+     *         schema:
+     *           type: string
+     *       - in: query
+     *         name: mediaId
+     *         schema:
+     *           type: string
+     *       - in: query
+     *         name: from
+     *         description: ISO date or Unix timestamp (ms), inclusive
+     *         schema:
+     *           type: string
+     *           example: "2024-05-01"
+     *       - in: query
+     *         name: to
+     *         description: ISO date or Unix timestamp (ms), inclusive
+     *         schema:
+     *           type: string
+     *       - in: query
+     *         name: q
+     *         description: Words that must all appear in the title (case insensitive)
+     *         schema:
+     *           type: string
+     *       - in: query
+     *         name: limit
+     *         schema:
+     *           type: integer
+     *           default: 50
+     *           maximum: 1000
+     *       - in: query
+     *         name: offset
+     *         schema:
+     *           type: integer
+     *           default: 0
+     *     responses:
+     *       200:
+     *         description: Matching history entries
+     *       400:
+     *         description: Invalid filter, or `key` of another owner without an admin key
+     */
+    app.get('/history', apiLimiter, async (req, res) => {
+        const requestId = nanoid();
+        
+        try {
+            const { type, status, service, author, key, mediaId, from, to, q, limit, offset } = req.query;
+            
+            if (type && !HISTORY_TYPES.includes(type)) {
+                return await fail(res, "error.api.invalid_body", {
+                    message: `type must be one of ${HISTORY_TYPES.join(", ")}`
+                }, requestId);
+            }
+            
+            if (status && !HISTORY_STATUSES.includes(status)) {
+                return await fail(res, "error.api.invalid_body", {
+                    message: `status must be one of ${HISTORY_STATUSES.join(", ")}`
+                }, requestId);
+            }
+            
+            const fromTime = from ? parseHistoryDate(from) : null;
+            const toTime = to ? parseHistoryDate(to, true) : null;
+            
+            if ((from && fromTime === null) || (to && toTime === null)) {
+                return await fail(res, "error.api.invalid_body", {
+                    message: "from and to must be ISO dates or Unix timestamps in milliseconds"
+                }, requestId);
+            }
+            
+            const offsetValue = offset === undefined ? 0 : Number(offset);
+            const limitValue = limit === undefined ? 0 : Number(limit);
+            
+            if (!Number.isInteger(offsetValue) || !Number.isInteger(limitValue)) {
+                return await fail(res, "error.api.invalid_body", {
+                    message: "limit and offset must be integers"
+                }, requestId);
+            }
+            
+            /**
+             * Entries are scoped to the caller like its jobs,
+             * only admin keys can see (and filter by) other owners
+             */
+            const keyResult = getRequestKey(req);
+            if (keyResult.error) {
+                return await fail(res, `error.api.${keyResult.error}`, {}, requestId);
+            }
+            
+            const owner = getOwner(req);
+            const isAdmin = !!keyResult.key && APIKeys.isAdmin(keyResult.key);
+            
+            if (key && key !== owner && !isAdmin) {
+                return await fail(res, "error.api.auth.key.not_admin", {}, requestId);
+            }
+            
+            const result = await queryHistory({
+                type,
+                status,
+                service,
+                author,
+                key: isAdmin ? key : owner,
+                mediaId,
+                from: fromTime,
+                to: toTime,
+                q,
+                limit: Math.min(
+                    limitValue > 0 ? limitValue : DOWNLOAD_HISTORY.LIST_LIMIT,
+                    DOWNLOAD_HISTORY.MAX_LIST_LIMIT
+                ),
+                offset: Math.max(0, offsetValue)
+            });
+            
+            res.json({
+                success: true,
+                total: result.total,
+                entries: result.entries
+            });
+        } catch (error) {
+            logError(error, { requestId }, 'Download history error');
+            return await fail(res, "error.api.fetch.fail", {
+                message: error.message
+            }, requestId);
+        }
+    });
+    
+    /**
+     * @swagger
+     * /subscriptions:
+     *   get:
+     *     summary: List subscriptions
+     *     description: Profiles and playlists that are checked for new media, with the result of their last run.
+     *     tags: [Subscriptions]
+     *     responses:
+     *       200:
+     *         description: List of subscriptions
+     *   post:
+     *     summary: Create subscription
+     *     description: |
+     *       Registers a profile, channel or playlist URL (TikTok profiles and playlists, YouTube
+     *       channels and playlists, SoundCloud users) that is checked every `interval` minutes. New media is auto-downloaded, media that is
+     *       already in the download archive is skipped. The first run starts within 30 seconds.
+     *     tags: [Subscriptions]
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             type: object
+     *             required: [url]
+     *             properties:
+     *               url:
+     *                 type: string
+     *                 example: "https://www.tiktok.com/@username"
+     *               interval:
+     *                 type: integer
+     *                 description: Minutes between runs (15 to 10080)
+     *                 default: 60
+     *               options:
+     *                 type: object
+     *                 description: Download options, same as POST / (without url)
+     *               enabled:
+     *                 type: boolean
+     *                 default: true
+     *     responses:
+     *       200:
+     *         description: Subscription created
+     */
+    app.get('/subscriptions', apiLimiter, async (req, res) => {
+        const requestId = nanoid();
+        
+        try {
+            const subscriptions = await listSubscriptions();
+            
+            res.json({
+                success: true,
+                total: subscriptions.length,
+                subscriptions: subscriptions.map(formatSubscription)
+            });
+        } catch (error) {
+            logError(error, { requestId }, 'List subscriptions error');
+            return await fail(res, "error.api.fetch.fail", {
+                message: error.message
+            }, requestId);
+        }
+    });
+    
+    app.post('/subscriptions', apiLimiter, async (req, res) => {
+        const requestId = nanoid();
+        
+        try {
+            const keyResult = getRequestKey(req);
+            if (keyResult.error) {
+                return await fail(res, `error.api.${keyResult.error}`, {}, requestId);
+            }
+            
+            // Like POST /, a valid API key selects its own output template
+            const { options } = req.body;
+            const keyTemplate = APIKeys.getOutputTemplate(keyResult.key);
+            const input = keyTemplate && (options === undefined || (options && typeof options === "object" && !options.outputTemplate))
+                ? { ...req.body, options: { ...options, outputTemplate: keyTemplate } }
+                : req.body;
+            
+            const result = await createSubscription(input, getOwner(req));
+            if (result.error) {
+                return await fail(res, `error.api.${result.error}`, result.context, requestId);
+            }
+            
+            res.json({
+                success: true,
+                subscription: formatSubscription(result.subscription)
+            });
+        } catch (error) {
+            logError(error, { requestId }, 'Create subscription error');
+            return await fail(res, "error.api.fetch.fail", {
+                message: error.message
+            }, requestId);
+        }
+    });
+    
+    /**
+     * @swagger
+     * /subscriptions/{id}:
+     *   get:
+     *     summary: Get subscription
+     *     tags: [Subscriptions]
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: string
+     *     responses:
+     *       200:
+     *         description: Subscription with its last run
+     *   patch:
+     *     summary: Update subscription
+     *     description: Changes the url, interval, options or enabled state. Omitted fields are kept.
+     *     tags: [Subscriptions]
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: string
+     *     responses:
+     *       200:
+     *         description: Updated subscription
+     *   delete:
+     *     summary: Delete subscription
+     *     description: Jobs queued by earlier runs keep running, downloaded files are kept.
+     *     tags: [Subscriptions]
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: string
+     *     responses:
+     *       200:
+     *         description: Subscription deleted
+     */
+    app.get('/subscriptions/:id', apiLimiter, async (req, res) => {
+        const requestId = nanoid();
+        const { id } = req.params;
+        
+        try {
+            const subscription = await getSubscription(id);
+            if (!subscription) {
+                return await fail(res, "error.api.fetch.empty", {
+                    message: "Subscription not found"
+                }, requestId);
+            }
+            
+            res.json({
+                success: true,
+                subscription: formatSubscription(subscription)
+            });
+        } catch (error) {
+            logError(error, { requestId, subscriptionId: id }, 'Get subscription error');
+            return await fail(res, "error.api.fetch.fail", {
+                message: error.message
+            }, requestId);
+        }
+    });
+    
+    /**
+     * Create a handler for subscription changes
+     * Results are either { subscription } or { error, context } like the subscriptions module returns them
+     */
+    const subscriptionRoute = (action, message) => async (req, res) => {
+        const requestId = nanoid();
+        const { id } = req.params;
+        
+        try {
+            const result = await action(id, req.body || {});
+            
+            if (result.error) {
+                return await fail(res, `error.api.${result.error}`, result.error === "fetch.empty"
+                    ? { message: "Subscription not found" }
+                    : result.context, requestId);
+            }
+            
+            res.json({
+                success: true,
+                ...(result.subscription
+                    ? { subscription: formatSubscription(result.subscription) }
+                    : { message })
+            });
+        } catch (error) {
+            logError(error, { requestId, subscriptionId: id }, 'Subscription control error');
+            return await fail(res, "error.api.fetch.fail", {
+                message: error.message
+            }, requestId);
+        }
+    };
+    
+    app.patch('/subscriptions/:id', apiLimiter, subscriptionRoute(updateSubscription));
+    app.delete('/subscriptions/:id', apiLimiter, subscriptionRoute(deleteSubscription, "Subscription deleted"));
+    
+    /**
+     * @swagger
+     * /subscriptions/{id}/run:
+     *   post:
+     *     summary: Run subscription now
+     *     description: Checks for new media outside of the schedule. The run continues in the background.
+     *     tags: [Subscriptions]
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: string
+     *     responses:
+     *       200:
+     *         description: Run started
+     */
+    app.post('/subscriptions/:id/run', apiLimiter, subscriptionRoute(triggerSubscription));
+    
+    /**
+     * @swagger
+     * /downloads/{path}:
+     *   get:
+     *     summary: Browse downloaded files
+     *     description: |
+     *       Downloads are stored as {service}/{username}/{playlist}/{file}.
+     *       For a folder (or the root, GET /downloads), returns its subfolders
+     *       with total size, file count and latest modification of everything
+     *       below them, followed by its files. For a file, returns the file.
+     *     tags: [Downloads]
+     *     parameters:
+     *       - in: path
+     *         name: path
+     *         required: true
+     *         description: Folder or file path relative to the download directory
+     *         schema:
+     *           type: string
+     *           example: tiktok/username
+     *       - in: query
+     *         name: sort
+     *         schema:
+     *           type: string
+     *           enum: [date, size, name]
+     *           default: date
+     *       - in: query
+     *         name: order
+     *         description: Defaults to asc when sorting by name, desc otherwise
+     *         schema:
+     *           type: string
+     *           enum: [asc, desc]
+     *       - in: query
+     *         name: limit
+     *         schema:
+     *           type: integer
+     *           default: 100
+     *           maximum: 1000
+     *       - in: query
+     *         name: offset
+     *         schema:
+     *           type: integer
+     *           default: 0
+     *       - in: query
+     *         name: maxAge
+     *         description: Only include files modified within this many ms
+     *         schema:
+     *           type: integer
+     *       - in: query
+     *         name: info
+     *         description: Include the .info.json sidecar of each file (null if it has none)
+     *         schema:
+     *           type: boolean
+     *           default: false
+     *       - in: query
+     *         name: presign
+     *         description: Presigned storage URLs instead of file contents (S3 storage only)
+     *         schema:
+     *           type: boolean
+     *           default: false
+     *       - in: query
+     *         name: inline
+     *         description: Serve files with an inline Content-Disposition, for playback in the browser
+     *         schema:
+     *           type: boolean
+     *           default: false
+     *       - in: header
+     *         name: Range
+     *         description: Single byte range of a file, e.g. bytes=0-1023
+     *         schema:
+     *           type: string
+     *       - in: header
+     *         name: If-None-Match
+     *         description: ETag of a cached copy of the file
+     *         schema:
+     *           type: string
+     *     responses:
+     *       200:
+     *         description: Folder listing or file contents
+     *       206:
+     *         description: Requested range of the file
+     *       304:
+     *         description: Cached copy of the file is up to date
+     *       416:
+     *         description: Range can't be satisfied
+     */
+    const browseDownloads = async (req, res) => {
+        const requestId = nanoid();
+        const relativePath = req.params[0] || "";
+        
+        try {
+            const { sort = "date", order, limit, offset, maxAge, info, presign } = req.query;
+            
+            if (!DIRECTORY_SORTS.includes(sort) || (order && !["asc", "desc"].includes(order))) {
+                return await fail(res, "error.api.invalid_body", {
+                    message: `sort must be one of ${DIRECTORY_SORTS.join(", ")} and order asc or desc`
+                }, requestId);
+            }
+            
+            if (!resolveDownloadPath(relativePath)) {
+                return await fail(res, "error.api.invalid_body", {
+                    message: "Invalid path"
+                }, requestId);
+            }
+            
+            const fileInfo = await getFileInfo(relativePath);
+            const wantsPresign = presign === "true" || presign === "1";
+            
+            if (fileInfo.exists && wantsPresign) {
+                const presigned = presignDownload(relativePath);
+                if (!presigned) {
+                    return await fail(res, "error.api.download.presign_unsupported", {}, requestId);
+                }
+                
+                return res.json({ success: true, ...presigned });
+            }
+            
+            if (fileInfo.exists) {
+                return await sendDownloadFile(req, res, relativePath, fileInfo, {
+                    inline: req.query.inline === "true" || req.query.inline === "1"
+                });
+            }
+            
+            const listing = await listDirectory(relativePath, {
+                sort,
+                order,
+                limit: Math.min(
+                    (limit && parseInt(limit, 10)) || DOWNLOAD_BROWSE.LIST_LIMIT,
+                    DOWNLOAD_BROWSE.MAX_LIST_LIMIT
+                ),
+                offset: (offset && parseInt(offset, 10)) || 0,
+                maxAge: maxAge ? parseInt(maxAge, 10) : undefined,
+                info: info === "true" || info === "1",
+                presign: wantsPresign
+            });
+            
+            if (!listing) {
+                return await fail(res, "error.api.fetch.empty", {
+                    message: "File not found"
+                }, requestId);
+            }
+            
+            res.json({
+                success: true,
+                ...listing,
+                count: listing.folders.length + listing.files.length
+            });
+        } catch (error) {
+            logError(error, { requestId, filename: relativePath }, 'Browse downloads error');
+            return await fail(res, "error.api.fetch.fail", {
+                message: error.message
+            }, requestId);
+        }
+    };
+    
+    app.get('/downloads', apiLimiter, browseDownloads);
+    app.get('/downloads/*', apiLimiter, browseDownloads);
+    
+    /**
+     * @swagger
+     * /downloads/{path}:
+     *   delete:
+     *     summary: Delete downloaded file
+     *     tags: [Downloads]
+     *     parameters:
+     *       - in: path
+     *         name: path
+     *         required: true
+     *         description: File path relative to the download directory
+     *         schema:
+     *           type: string
+     *           example: tiktok/username/video.mp4
+     *     responses:
+     *       200:
+     *         description: File deleted
+     */
+    app.delete('/downloads/*', apiLimiter, async (req, res) => {
+        const requestId = nanoid();
+        const relativePath = req.params[0];
+        
+        try {
+            if (!resolveDownloadPath(relativePath)) {
+                return await fail(res, "error.api.invalid_body", {
+                    message: "Invalid path"
+                }, requestId);
+            }
+            
+            const fileInfo = await getFileInfo(relativePath);
+            
+            if (!fileInfo.exists) {
+                return await fail(res, "error.api.fetch.empty", {
+                    message: "File not found"
+                }, requestId);
+            }
+            
+            const result = await deleteFile(relativePath);
+            
+            if (result.success) {
+                res.json({ success: true, message: "File deleted" });
+            } else {
+                return await fail(res, "error.api.fetch.fail", {
+                    message: result.error || "Failed to delete file"
+                }, requestId);
+            }
+        } catch (error) {
+            logError(error, { requestId, filename: relativePath }, 'Delete download file error');
+            return await fail(res, "error.api.fetch.fail", {
+                message: error.message
+            }, requestId);
+        }
+    });
+    
+    /**
+     * Stream files as a ZIP or TAR archive
+     * Nothing is written to disk, the archive is built while it's being sent
+     */
+    const sendArchive = async (res, files, { format, name, manifest }, requestId) => {
+        if (files.length === 0) {
+            return await fail(res, "error.api.fetch.empty", {
+                message: "No files to archive"
+            }, requestId);
+        }
+        
+        // Archive name is used for the attachment and as the folder inside the archive
+        const archiveName = String(name || "downloads")
+            .replace(/[\\/:*?"<>|\x00-\x1f]/g, "_")
+            .replace(/^\.+/, "_");
+        
+        res.setHeader('Content-Type', ARCHIVE_FORMATS[format].contentType);
+        res.attachment(`${archiveName}.${ARCHIVE_FORMATS[format].extension}`);
+        
+        try {
+            await pipeline(createArchiveStream(files, { format, name: archiveName, manifest }), res);
+        } catch (error) {
+            // Client went away mid-download
+            if (error.code === 'ERR_STREAM_PREMATURE_CLOSE') {
+                return;
+            }
+            
+            logError(error, { requestId, format, files: files.length }, 'Archive stream error');
+            res.destroy();
+        }
+    };
+    
+    const getArchiveFormat = (format = "zip") => format in ARCHIVE_FORMATS ? format : null;
+    
+    /**
+     * @swagger
+     * /archive/{path}:
+     *   get:
+     *     summary: Download a folder as an archive
+     *     description: |
+     *       Streams every file below a downloads folder (e.g., a creator or a playlist)
+     *       as a ZIP or TAR archive, with a generated manifest.json at its root.
+     *     tags: [Downloads]
+     *     parameters:
+     *       - in: path
+     *         name: path
+     *         required: true
+     *         description: Folder path relative to the download directory
+     *         schema:
+     *           type: string
+     *           example: tiktok/username/playlist
+     *       - in: query
+     *         name: format
+     *         schema:
+     *           type: string
+     *           enum: [zip, tar]
+     *           default: zip
+     *     responses:
+     *       200:
+     *         description: Archive stream
+     */
+    app.get('/archive/*', apiLimiter, async (req, res) => {
+        const requestId = nanoid();
+        const folder = req.params[0];
+        
+        try {
+            const format = getArchiveFormat(req.query.format);
+            if (!format) {
+                return await fail(res, "error.api.invalid_body", {
+                    message: `format must be one of ${Object.keys(ARCHIVE_FORMATS).join(", ")}`
+                }, requestId);
+            }
+            
+            const files = await collectArchiveFiles({ path: folder });
+            if (!files) {
+                return await fail(res, "error.api.invalid_body", {
+                    message: "Invalid path"
+                }, requestId);
+            }
+            
+            await sendArchive(res, files, {
+                format,
+                name: path.posix.basename(folder),
+                manifest: { source: folder }
+            }, requestId);
+        } catch (error) {
+            logError(error, { requestId, folder }, 'Archive folder error');
+            return await fail(res, "error.api.fetch.fail", {
+                message: error.message
+            }, requestId);
+        }
+    });
+    
+    /**
+     * @swagger
+     * /archive:
+     *   post:
+     *     summary: Download selected files as an archive
+     *     description: |
+     *       Streams the selected files and folders as a ZIP or TAR archive, with a
+     *       generated manifest.json at its root. Paths inside the archive keep
+     *       their {service}/{username}/... folders.
+     *     tags: [Downloads]
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             type: object
+     *             required: [files]
+     *             properties:
+     *               files:
+     *                 type: array
+     *                 items:
+     *                   type: string
+     *                 example: ["tiktok/username/video1.mp4", "tiktok/username/playlist"]
+     *               format:
+     *                 type: string
+     *                 enum: [zip, tar]
+     *                 default: zip
+     *               name:
+     *                 type: string
+     *                 default: downloads
+     *     responses:
+     *       200:
+     *         description: Archive stream
+     */
+    app.post('/archive', apiLimiter, async (req, res) => {
+        const requestId = nanoid();
+        
+        try {
+            const { files: selected, name } = req.body;
+            const format = getArchiveFormat(req.body.format);
+            
+            if (!Array.isArray(selected) || selected.length === 0 || selected.some(file => typeof file !== "string")) {
+                return await fail(res, "error.api.invalid_body", {
+                    message: "files must be a non-empty array of paths"
+                }, requestId);
+            }
+            
+            if (selected.length > DOWNLOAD_BROWSE.ARCHIVE_MAX_SELECTION) {
+                return await fail(res, "error.api.invalid_body", {
+                    message: `A maximum of ${DOWNLOAD_BROWSE.ARCHIVE_MAX_SELECTION} files can be selected`
+                }, requestId);
+            }
+            
+            if (!format) {
+                return await fail(res, "error.api.invalid_body", {
+                    message: `format must be one of ${Object.keys(ARCHIVE_FORMATS).join(", ")}`
+                }, requestId);
+            }
+            
+            const files = await collectArchiveFiles({ files: selected });
+            if (!files) {
+                return await fail(res, "error.api.invalid_body", {
+                    message: "Invalid path"
+                }, requestId);
+            }
+            
+            await sendArchive(res, files, { format, name }, requestId);
+        } catch (error) {
+            logError(error, { requestId }, 'Archive selection error');
+            return await fail(res, "error.api.fetch.fail", {
+                message: error.message
+            }, requestId);
+        }
+    });
+    
+    /**
+     * @swagger
+     * /admin/circuit-breakers/{service}/reset:
+     *   post:
+     *     summary: Reset the circuit breaker of a service
+     *     description: |
+     *       Closes the circuit breaker of a service in every cluster worker, so
+     *       requests reach the service again right away instead of failing with
+     *       error.api.service.unavailable. Requires an API key with "admin": true.
+     *     tags: [Admin]
+     *     parameters:
+     *       - in: path
+     *         name: service
+     *         required: true
+     *         schema:
+     *           type: string
+     *           example: youtube
+     *     responses:
+     *       200:
+     *         description: Circuit breaker reset
+     *       400:
+     *         description: Missing or non-admin API key, or unknown service
+     */
+    app.post('/admin/circuit-breakers/:service/reset', apiLimiter, async (req, res) => {
+        const requestId = req.requestId;
+        const { service } = req.params;
+
+        const keyResult = getRequestKey(req);
+        if (keyResult.error) {
+            return await fail(res, `error.api.${keyResult.error}`, {}, requestId);
+        }
+
+        if (!keyResult.key) {
+            return await fail(res, "error.api.auth.key.missing", {}, requestId);
+        }
+
+        if (!APIKeys.isAdmin(keyResult.key)) {
+            return await fail(res, "error.api.auth.key.not_admin", {}, requestId);
+        }
+
+        if (!env.allServices.has(service)) {
+            return await fail(res, "error.api.service.unsupported", {}, requestId);
+        }
+
+        const breaker = resetServiceBreaker(service);
+        logger.info({ requestId, service }, 'Circuit breaker reset by admin');
+
+        res.json({
+            success: true,
+            service,
+            breaker: breaker ?? { state: 'closed', failures: 0, nextAttempt: null },
+        });
+    });
+
+    /**
+     * @swagger
+     * /metrics:
+     *   get:
+     *     summary: Prometheus metrics
+     *     description: |
+     *       Extraction requests per service and outcome, service handler latency,
+     *       metadata cache hits, active tunnels and bytes streamed, running ffmpeg
+     *       processes, download job states and rate limit rejections, added up
+     *       across all cluster workers. Prometheus text format.
+     *     tags: [Info]
+     *     responses:
+     *       200:
+     *         description: Metrics
+     *         content:
+     *           text/plain:
+     *             schema:
+     *               type: string
+     */
+    app.get('/metrics', async (req, res) => {
+        try {
+            res.type('text/plain; version=0.0.4').send(await renderMetrics());
+        } catch (error) {
+            logError(error, { requestId: req.requestId }, 'Failed to render metrics');
+            res.status(500).end();
+        }
+    });
+
+    app.get('/health', async (req, res) => {
+        try {
+            const detailed = req.query.detailed === 'true' || req.query.detailed === '1';
+            const health = await getHealthStatus(startTimestamp, detailed);
+            
+            // Return appropriate status code based on health
+            const statusCode = health.status === 'healthy' ? 200 : 
+                              health.status === 'degraded' ? 200 : 503;
+            
+            res.status(statusCode).json(health);
+        } catch (error) {
+            logError(error, { requestId: req.requestId }, 'Health check failed');
+            res.status(503).json({
+                status: 'unhealthy',
+                timestamp: new Date().toISOString(),
+                error: 'Health check failed',
             });
         }
     });
@@ -1065,11 +2546,22 @@ export const runAPI = async (app, __dirname) => {
         host: env.listenAddress,
         reusePort: env.instanceCount > 1 || undefined
     }, () => {
+        // Load API keys (per-key settings such as output templates)
+        if (env.apiKeyURL) {
+            APIKeys.setup(env.apiKeyURL);
+        }
+
         // Setup cookies for services that need them (Instagram, Twitter, YouTube, etc.)
         if (env.cookiePath) {
             Cookies.setup(env.cookiePath);
         }
 
+        // Circuit breaker resets reach every cluster worker
+        setupServiceBreakers();
+
+        // Any cluster worker can answer a metrics scrape for all of them
+        setupMetrics();
+
         // Setup YouTube session if configured
         if (env.ytSessionServer) {
             YouTubeSession.setup();
@@ -1077,6 +2569,17 @@ export const runAPI = async (app, __dirname) => {
         
         // Start download cleanup interval (logs internally)
         startCleanupInterval();
+
+        // Pick up download jobs that were interrupted by a restart.
+        // Only the primary does this, so cluster workers don't run the same job twice.
+        if (isPrimary) {
+            restoreJobs().catch(error => {
+                logError(error, {}, 'Failed to restore download jobs');
+            });
+
+            // Subscriptions are scheduled by the primary for the same reason
+            startSubscriptionScheduler();
+        }
         
         /**
          * SERVER STARTUP SUMMARY
@@ -14,6 +14,14 @@ const httpProxyVariables = ["NO_PROXY", "HTTP_PROXY", "HTTPS_PROXY"].flatMap(
     k => [ k, k.toLowerCase() ]
 );
 
+// "tiktok=2,youtube=4" -> { tiktok: 2, youtube: 4 }, invalid limits are left for the config validator
+const parseServiceLimits = (value) => Object.fromEntries(
+    (value?.split(',') || [])
+        .map(pair => pair.split('=').map(part => part.trim()))
+        .filter(([ service ]) => service)
+        .map(([ service, limit ]) => [ service, Number(limit) ])
+);
+
 const changeCallbacks = {};
 
 const onEnvChanged = (changes) => {
@@ -41,6 +49,7 @@ const subscribe = (keys, fn) => {
 export const loadEnvs = (env = process.env) => {
     const allServices = new Set(Object.keys(services));
     const disabledServices = env.DISABLED_SERVICES?.split(',') || [];
+    const instanceCount = (env.API_INSTANCE_COUNT && parseInt(env.API_INSTANCE_COUNT)) || 1;
     const enabledServices = new Set(Object.keys(services).filter(e => {
         if (!disabledServices.includes(e)) {
             return e;
@@ -86,6 +95,15 @@ export const loadEnvs = (env = process.env) => {
             || (env.SESSION_RATELIMIT && parseInt(env.SESSION_RATELIMIT))
             || 10,
 
+        // outbound requests per second to each service, 0 means no limit
+        // (429s and Retry-After are still honored)
+        outboundRateLimit: env.OUTBOUND_RATELIMIT ? Number(env.OUTBOUND_RATELIMIT) : 5,
+        // per-service rates, e.g. "tiktok=2,youtube=10"
+        outboundServiceRateLimits: parseServiceLimits(env.OUTBOUND_SERVICE_RATELIMIT),
+        outboundBurst: (env.OUTBOUND_BURST && parseInt(env.OUTBOUND_BURST)) || 10,
+        // limit every egress IP (FREEBIND_CIDR) separately instead of the whole service
+        outboundLimitPerIP: env.OUTBOUND_LIMIT_PER_IP === "1",
+
         durationLimit: (env.DURATION_LIMIT && parseInt(env.DURATION_LIMIT)) || 10800,
         streamLifespan: (env.TUNNEL_LIFESPAN && parseInt(env.TUNNEL_LIFESPAN)) || 90,
         requestTimeout: (env.REQUEST_TIMEOUT && parseInt(env.REQUEST_TIMEOUT)) || 30000, // 30 seconds default
@@ -111,7 +129,7 @@ export const loadEnvs = (env = process.env) => {
         apiKeyURL: env.API_KEY_URL && new URL(env.API_KEY_URL),
         authRequired: env.API_AUTH_REQUIRED === '1',
         redisURL: env.API_REDIS_URL,
-        instanceCount: (env.API_INSTANCE_COUNT && parseInt(env.API_INSTANCE_COUNT)) || 1,
+        instanceCount,
         keyReloadInterval: 900,
 
         allServices,
@@ -129,6 +147,58 @@ export const loadEnvs = (env = process.env) => {
         // "never" | "key" | "always"
         enableDeprecatedYoutubeHls: env.ENABLE_DEPRECATED_YOUTUBE_HLS ?? "never",
 
+        // number of download jobs that run at the same time,
+        // their files share the download slots below
+        downloadJobConcurrency: (env.DOWNLOAD_JOB_CONCURRENCY && parseInt(env.DOWNLOAD_JOB_CONCURRENCY)) || 20,
+
+        // files downloaded at the same time, in total and per service
+        // ("tiktok=2,youtube=4", services not listed only share the total).
+        // both are per process, every cluster worker has this many slots, so
+        // the default total of 6 is split between the workers
+        downloadConcurrency: (env.DOWNLOAD_CONCURRENCY && parseInt(env.DOWNLOAD_CONCURRENCY))
+            || Math.max(1, Math.floor(6 / instanceCount)),
+        downloadServiceConcurrency: parseServiceLimits(env.DOWNLOAD_SERVICE_CONCURRENCY),
+
+        // downloaded files older than this many hours are removed,
+        // checked every DOWNLOAD_CLEANUP_INTERVAL minutes
+        downloadMaxAge: (env.DOWNLOAD_MAX_AGE && parseInt(env.DOWNLOAD_MAX_AGE)) || 24,
+        downloadCleanupInterval: (env.DOWNLOAD_CLEANUP_INTERVAL && parseInt(env.DOWNLOAD_CLEANUP_INTERVAL)) || 60,
+
+        // default output template for auto-downloads, e.g. "{service}/{author}/{title} [{id}].{ext}",
+        // the {service}/{username}/{playlistName}/{filename} layout is used without it
+        downloadOutputTemplate: env.DOWNLOAD_OUTPUT_TEMPLATE,
+
+        // write metadata, cover art and chapters into auto-downloaded files
+        downloadTagging: env.DOWNLOAD_TAGGING !== "0",
+
+        // check downloaded files (size, file signature, ffmpeg probe),
+        // corrupt files are retried like failed downloads
+        downloadVerify: env.DOWNLOAD_VERIFY !== "0",
+
+        // secret for signing download job webhooks (callbackUrl),
+        // webhooks are disabled without it
+        webhookSecret: env.WEBHOOK_SECRET,
+
+        // download storage quotas in MB, 0 means no limit
+        downloadQuotaTotal: (env.DOWNLOAD_QUOTA_TOTAL_MB && parseInt(env.DOWNLOAD_QUOTA_TOTAL_MB)) || 0,
+        downloadQuotaPerService: (env.DOWNLOAD_QUOTA_PER_SERVICE_MB && parseInt(env.DOWNLOAD_QUOTA_PER_SERVICE_MB)) || 0,
+        downloadQuotaPerKey: (env.DOWNLOAD_QUOTA_PER_KEY_MB && parseInt(env.DOWNLOAD_QUOTA_PER_KEY_MB)) || 0,
+
+        // "local" | "s3", where finished downloads are kept
+        downloadStorage: env.DOWNLOAD_STORAGE ?? "local",
+
+        // S3-compatible storage (AWS S3, MinIO, R2, ...)
+        s3Endpoint: env.S3_ENDPOINT,
+        s3Region: env.S3_REGION ?? "us-east-1",
+        s3Bucket: env.S3_BUCKET,
+        s3AccessKeyId: env.S3_ACCESS_KEY_ID,
+        s3SecretAccessKey: env.S3_SECRET_ACCESS_KEY,
+        s3Prefix: env.S3_PREFIX,
+        // bucket in the path instead of the hostname, needed by MinIO
+        s3PathStyle: env.S3_PATH_STYLE !== "0",
+        // lifetime of presigned download URLs in seconds
+        s3PresignExpiry: (env.S3_PRESIGN_EXPIRY && parseInt(env.S3_PRESIGN_EXPIRY)) || 3600,
+
         envFile: env.API_ENV_FILE,
         envRemoteReloadInterval: 300,
 
@@ -65,6 +65,18 @@ All endpoints are rate-limited to ensure fair usage. Check response headers for
                 name: "Info",
                 description: "Server information endpoints",
             },
+            {
+                name: "Downloads",
+                description: "Server-side download jobs and files",
+            },
+            {
+                name: "Subscriptions",
+                description: "Profiles and playlists checked for new media",
+            },
+            {
+                name: "Admin",
+                description: "Operator endpoints, require an admin API key",
+            },
         ],
         components: {
             schemas: {
@@ -85,9 +97,9 @@ All endpoints are rate-limited to ensure fair usage. Check response headers for
                         },
                         downloadMode: {
                             type: "string",
-                            enum: ["auto", "audio", "mute"],
+                            enum: ["auto", "audio", "mute", "thumbnail"],
                             default: "auto",
-                            description: "Download mode: auto (video), audio (extract audio only), mute (remove audio)",
+                            description: "Download mode: auto (video), audio (extract audio only), mute (remove audio), thumbnail (image of the media)",
                         },
                         audioFormat: {
                             type: "string",
@@ -169,6 +181,47 @@ All endpoints are rate-limited to ensure fair usage. Check response headers for
                             maxLength: 8,
                             description: "Subtitle language code (e.g., 'en', 'vi')",
                         },
+                        formatId: {
+                            type: "string",
+                            pattern: "^[\\w.\\-+:@]+$",
+                            minLength: 1,
+                            maxLength: 64,
+                            description: "Format to download, as listed by POST /info (e.g., '137'). Replaces the videoQuality/codec heuristics. An audio format makes the download audio only.",
+                        },
+                        audioFormatId: {
+                            type: "string",
+                            pattern: "^[\\w.\\-+:@]+$",
+                            minLength: 1,
+                            maxLength: 64,
+                            description: "Audio format to merge with a video-only formatId, or to download in audio mode, as listed by POST /info (e.g., '140')",
+                        },
+                        clipStart: {
+                            type: "number",
+                            minimum: 0,
+                            description: "Start of the time range to cut out of the media, in seconds (default: 0). Clips are always tunneled, and the duration limit applies to the clip.",
+                        },
+                        clipEnd: {
+                            type: "number",
+                            exclusiveMinimum: 0,
+                            description: "End of the time range to cut out of the media, in seconds (default: end of the media). Must be after clipStart.",
+                        },
+                        thumbnailFormat: {
+                            type: "string",
+                            enum: ["jpg", "png", "webp"],
+                            default: "jpg",
+                            description: "Image format of downloadMode: thumbnail",
+                        },
+                        thumbnailSquare: {
+                            type: "boolean",
+                            default: false,
+                            description: "Crop the thumbnail to the square in its middle",
+                        },
+                        thumbnailTime: {
+                            type: "number",
+                            minimum: 0,
+                            default: 0,
+                            description: "Time of the frame grabbed from videos without a thumbnail, in seconds",
+                        },
                         tiktokFullAudio: {
                             type: "boolean",
                             default: false,
@@ -179,6 +232,26 @@ All endpoints are rate-limited to ensure fair usage. Check response headers for
                             default: false,
                             description: "Automatically download media to server's downloads folder. Files are organized by service and username (e.g., downloads/tiktok/username/video.mp4). For TikTok user profiles and playlists, all available videos will be downloaded. You can also use downloadMode: 'auto' which is equivalent to autoDownload: true.",
                         },
+                        downloadArchive: {
+                            type: "boolean",
+                            default: true,
+                            description: "Skip media that was already auto-downloaded (tracked by service + media ID in the download archive). Set to false to download everything again.",
+                        },
+                        writeInfoJson: {
+                            type: "boolean",
+                            default: false,
+                            description: "Write a .info.json sidecar next to every auto-downloaded file, with normalized metadata (title, author, album, ...), the original URL, service, media ID, download time and chosen quality/codec.",
+                        },
+                        callbackUrl: {
+                            type: "string",
+                            format: "uri",
+                            description: "Receives a signed POST with the results when the auto-download job finishes, fails or is cancelled. Requires WEBHOOK_SECRET on the server.",
+                        },
+                        outputTemplate: {
+                            type: "string",
+                            maxLength: 512,
+                            description: "Folder and filename of auto-downloaded files, e.g. {service}/{author}/{upload_date:%Y-%m}/{title:.80} [{id}].{ext}. Overrides the API key's template and DOWNLOAD_OUTPUT_TEMPLATE.",
+                        },
                     },
                 },
                 ErrorResponse: {
@@ -203,6 +276,158 @@ All endpoints are rate-limited to ensure fair usage. Check response headers for
                         },
                     },
                 },
+                MediaInfo: {
+                    type: "object",
+                    properties: {
+                        status: {
+                            type: "string",
+                            example: "info",
+                        },
+                        service: {
+                            type: "string",
+                            example: "youtube",
+                        },
+                        id: {
+                            type: "string",
+                            example: "dQw4w9WgXcQ",
+                        },
+                        title: {
+                            type: "string",
+                            nullable: true,
+                        },
+                        author: {
+                            type: "string",
+                            nullable: true,
+                        },
+                        duration: {
+                            type: "number",
+                            nullable: true,
+                            description: "Duration in seconds",
+                        },
+                        description: {
+                            type: "string",
+                            nullable: true,
+                        },
+                        thumbnails: {
+                            type: "array",
+                            items: {
+                                type: "object",
+                                properties: {
+                                    url: {
+                                        type: "string",
+                                    },
+                                    width: {
+                                        type: "integer",
+                                        nullable: true,
+                                    },
+                                    height: {
+                                        type: "integer",
+                                        nullable: true,
+                                    },
+                                },
+                            },
+                        },
+                        formats: {
+                            type: "array",
+                            items: {
+                                type: "object",
+                                properties: {
+                                    id: {
+                                        type: "string",
+                                        example: "137",
+                                    },
+                                    type: {
+                                        type: "string",
+                                        enum: ["video+audio", "video", "audio", "image"],
+                                    },
+                                    ext: {
+                                        type: "string",
+                                        nullable: true,
+                                        example: "mp4",
+                                    },
+                                    codec: {
+                                        type: "string",
+                                        nullable: true,
+                                        example: "avc1.640028",
+                                    },
+                                    resolution: {
+                                        type: "string",
+                                        nullable: true,
+                                        example: "1920x1080",
+                                    },
+                                    width: {
+                                        type: "integer",
+                                        nullable: true,
+                                    },
+                                    height: {
+                                        type: "integer",
+                                        nullable: true,
+                                    },
+                                    quality: {
+                                        type: "string",
+                                        nullable: true,
+                                        example: "1080p",
+                                    },
+                                    fps: {
+                                        type: "number",
+                                        nullable: true,
+                                    },
+                                    bitrate: {
+                                        type: "integer",
+                                        nullable: true,
+                                        description: "Bits per second",
+                                    },
+                                    size: {
+                                        type: "integer",
+                                        nullable: true,
+                                        description: "Bytes",
+                                    },
+                                    sizeEstimated: {
+                                        type: "boolean",
+                                        description: "Size estimated from bitrate and duration",
+                                    },
+                                    language: {
+                                        type: "string",
+                                        nullable: true,
+                                    },
+                                    note: {
+                                        type: "string",
+                                        description: "e.g., audio track name",
+                                    },
+                                    item: {
+                                        type: "integer",
+                                        description: "1-based media item of posts with several",
+                                    },
+                                },
+                            },
+                        },
+                        subtitles: {
+                            type: "array",
+                            items: {
+                                type: "object",
+                                properties: {
+                                    language: {
+                                        type: "string",
+                                        example: "en",
+                                    },
+                                    name: {
+                                        type: "string",
+                                        nullable: true,
+                                    },
+                                    ext: {
+                                        type: "string",
+                                        nullable: true,
+                                        example: "vtt",
+                                    },
+                                    auto: {
+                                        type: "boolean",
+                                        description: "Generated by the service",
+                                    },
+                                },
+                            },
+                        },
+                    },
+                },
                 SuccessResponse: {
                     type: "object",
                     properties: {
@@ -65,6 +65,10 @@ export const waitFor = (key) => {
     });
 }
 
+export const workerCount = () => {
+    return Object.keys(cluster.workers || {}).length;
+}
+
 export const mainOnMessage = (cb) => {
     for (const worker of Object.values(cluster.workers)) {
         worker.on('message', cb);
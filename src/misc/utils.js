@@ -1,7 +1,17 @@
 import { request } from "undici";
 const redirectStatuses = new Set([301, 302, 303, 307, 308]);
 
-export async function getRedirectingURL(url, dispatcher, headers) {
+/**
+ * Get the location a URL redirects to, without following it
+ *
+ * @param {string|URL} url - URL to resolve
+ * @param {Object} dispatcher - undici dispatcher of the requests
+ * @param {Object} headers - Request headers
+ * @param {Function} wrap - Wraps every request, e.g., to send it through the outbound limiter:
+ *                          receives a fetch-like function and returns one
+ * @returns {Promise<string|null>} Redirect location, null if there's none
+ */
+export async function getRedirectingURL(url, dispatcher, headers, wrap = (send) => send) {
     const params = {
         dispatcher,
         method: 'HEAD',
@@ -13,9 +23,22 @@ export async function getRedirectingURL(url, dispatcher, headers) {
         method: 'GET',
     };
 
+    // request() as a fetch-like function, so both can be wrapped the same way
+    const sendRequest = async (url, init) => {
+        const r = await request(url, init);
+        r.body.dump().catch(() => {});
+
+        return new Response(null, {
+            status: r.statusCode,
+            headers: Object.entries(r.headers).flatMap(
+                ([name, value]) => [value].flat().map(v => [name, v])
+            ),
+        });
+    }
+
     const callback = (r) => {
-        if (redirectStatuses.has(r.statusCode) && r.headers['location']) {
-            return r.headers['location'];
+        if (redirectStatuses.has(r.status) && r.headers.get('location')) {
+            return r.headers.get('location');
         }
     }
 
@@ -25,16 +48,19 @@ export async function getRedirectingURL(url, dispatcher, headers) {
         (fetch is required for shortened reddit links)
     */
 
-    let location = await request(url, params)
+    const limitedRequest = wrap(sendRequest);
+    const limitedFetch = wrap(fetch);
+
+    let location = await limitedRequest(url, params)
         .then(callback).catch(() => null);
 
-    location ??= await request(url, getParams)
+    location ??= await limitedRequest(url, getParams)
         .then(callback).catch(() => null);
 
-    location ??= await fetch(url, params)
+    location ??= await limitedFetch(url, params)
         .then(callback).catch(() => null);
 
-    location ??= await fetch(url, getParams)
+    location ??= await limitedFetch(url, getParams)
         .then(callback).catch(() => null);
 
     return location;
@@ -0,0 +1,87 @@
+/**
+ * Time-Range Clipping
+ *
+ * clipStart and clipEnd (seconds) cut a time range out of the media instead
+ * of delivering all of it. Handlers check the duration limit against the
+ * length of the clip, so a short clip of a long video can still be downloaded.
+ *
+ * The cut itself is made by ffmpeg while the media is streamed (see
+ * stream/ffmpeg.js), which is why clipped media always goes through a tunnel,
+ * for auto-downloads too.
+ */
+
+import { env } from "../config.js";
+
+/**
+ * Get the clip of a request
+ *
+ * @param {Object} params - Request parameters
+ * @param {number} params.clipStart - Start of the clip in seconds
+ * @param {number} params.clipEnd - End of the clip in seconds
+ * @returns {{start: number, end?: number}|null} Clip, or null if the whole media is requested
+ */
+export function getClip({ clipStart, clipEnd }) {
+    if (clipStart === undefined && clipEnd === undefined) {
+        return null;
+    }
+
+    return {
+        start: clipStart ?? 0,
+        end: clipEnd,
+    };
+}
+
+/**
+ * Get the length of a clip, which ends with the media at the latest
+ *
+ * @param {Object} clip - Clip from getClip
+ * @param {number} duration - Media duration in seconds, if known
+ * @returns {number} Clip length in seconds, NaN if it isn't known
+ */
+export function getClipLength(clip, duration) {
+    const end = clip.end === undefined
+        ? duration
+        : Math.min(clip.end, duration ?? clip.end);
+
+    return end - clip.start;
+}
+
+/**
+ * Check a media against the duration limit, or its clip if there's one
+ *
+ * @param {number} duration - Media duration in seconds
+ * @param {Object|null} clip - Clip from getClip
+ * @returns {string|null} Handler error code, or null if the media can be downloaded
+ */
+export function checkDuration(duration, clip) {
+    if (clip && duration > 0 && clip.start >= duration) {
+        return "clip.out_of_range";
+    }
+
+    const length = clip ? getClipLength(clip, duration) : duration;
+    return length > env.durationLimit ? "content.too_long" : null;
+}
+
+/**
+ * Fit the chapters of a media to its clip: chapters outside of the clip are
+ * dropped, the others are cut to it and shifted to start with it
+ *
+ * @param {Array<{start: number, end: number, title: string}>} chapters - Chapters in seconds
+ * @param {Object|null} clip - Clip from getClip
+ * @returns {Array<Object>|undefined} Chapters of the clip
+ */
+export function clipChapters(chapters, clip) {
+    if (!clip || !chapters) {
+        return chapters;
+    }
+
+    const end = clip.end ?? Infinity;
+
+    return chapters
+        .filter(chapter => chapter.end > clip.start && chapter.start < end)
+        .map(chapter => ({
+            ...chapter,
+            start: Math.max(chapter.start, clip.start) - clip.start,
+            end: Math.min(chapter.end, end) - clip.start,
+        }));
+}
@@ -65,6 +65,15 @@ const errorContextGenerators = {
     "content.post.unavailable": (host) => ({
         service: friendlyServiceName(host),
     }),
+    "info.unsupported": (host) => ({
+        service: friendlyServiceName(host),
+    }),
+    "format.not_found": (host) => ({
+        service: friendlyServiceName(host),
+    }),
+    "clip.out_of_range": (host) => ({
+        service: friendlyServiceName(host),
+    }),
 
     /**
      * YouTube-specific errors
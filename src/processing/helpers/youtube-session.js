@@ -3,6 +3,7 @@ import * as cluster from "../../misc/cluster.js";
 import { Agent } from "undici";
 import { env } from "../../config.js";
 import { Green, Yellow } from "../../misc/console-text.js";
+import { limitedFetch } from "../../util/outbound-limiter.js";
 
 const defaultAgent = new Agent();
 
@@ -35,7 +36,8 @@ const loadSession = async () => {
     const sessionServerUrl = new URL(env.ytSessionServer);
     sessionServerUrl.pathname = "/token";
 
-    const newSession = await fetch(
+    const newSession = await limitedFetch(
+        "youtube",
         sessionServerUrl,
         { dispatcher: defaultAgent }
     ).then(a => a.json());
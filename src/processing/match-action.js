@@ -21,6 +21,7 @@
  */
 
 import createFilename from "./create-filename.js";
+import { createTemplateFields } from "./output-template.js";
 
 import { createResponse } from "./request.js";
 import { audioIgnore } from "./service-config.js";
@@ -28,6 +29,9 @@ import { createStream } from "../stream/manage.js";
 import { splitFilenameExtension } from "../misc/utils.js";
 import { convertLanguageCode } from "../misc/language-codes.js";
 import { logger } from "../util/logger.js";
+import { createInfo } from "../util/download-info.js";
+import { createTags } from "../util/download-tagging.js";
+import { clipChapters } from "./clip.js";
 
 /**
  * Processing types that require server-side processing (not just proxying)
@@ -59,6 +63,21 @@ const extraProcessingTypes = new Set(["merge", "remux", "mute", "audio", "gif"])
  * @param {string} options.audioBitrate - Audio bitrate preference
  * @param {boolean} options.alwaysProxy - Always proxy through server
  * @param {string} options.localProcessing - Local processing mode
+ * @param {boolean} options.autoDownload - Download media to the server
+ * @param {string} options.username - Username for folder structure
+ * @param {string} options.mediaId - Media ID for the download archive
+ * @param {boolean} options.downloadArchive - Skip media that was already downloaded
+ * @param {boolean} options.writeInfoJson - Write .info.json sidecars next to auto-downloaded files
+ * @param {string} options.sourceURL - Original request URL
+ * @param {string} options.callbackUrl - URL that receives a webhook when the auto-download job finishes
+ * @param {string} options.outputTemplate - Output template for auto-downloaded files
+ * @param {string} options.owner - API key that auto-downloads are accounted to
+ * @param {Object} options.schedule - Priority and fair-share weight of the API key for auto-downloads
+ * @param {string} options.formatId - Format picked by the request, recorded in .info.json sidecars
+ * @param {string} options.audioFormatId - Audio format picked by the request, recorded in .info.json sidecars
+ * @param {Object} options.clip - Time range to cut out of the media ({ start, end } in seconds)
+ * @param {Object} options.thumbnail - Image to return instead of the media (downloadMode: "thumbnail"),
+ *                                     from findThumbnail with the requested format and square crop
  * @returns {Object} Response object with status and body
  */
 export default async function({
@@ -76,6 +95,18 @@ export default async function({
     localProcessing,
     autoDownload = false,
     username = null,
+    mediaId = null,
+    downloadArchive = true,
+    writeInfoJson = false,
+    sourceURL = null,
+    callbackUrl = null,
+    outputTemplate = null,
+    owner = null,
+    schedule = null,
+    formatId,
+    audioFormatId,
+    clip = null,
+    thumbnail = null,
 }) {
     /**
      * ACTION TYPE DETERMINATION
@@ -184,15 +215,17 @@ export default async function({
      * Priority order is critical - we check most specific cases first.
      * 
      * Priority order:
-     * 1. photo: Static image (simplest case)
-     * 2. picker: Multiple media options (must check before other types)
-     * 3. gif: Animated GIF conversion (only if user requested)
-     * 4. audio: Audio-only extraction (user preference)
-     * 5. muteVideo: Remove audio track (user preference)
-     * 6. hls: HLS stream (requires special handling)
-     * 7. video: Standard video (default fallback)
+     * 1. thumbnail: Image of the media (user requested it instead of the media)
+     * 2. photo: Static image (simplest case)
+     * 3. picker: Multiple media options (must check before other types)
+     * 4. gif: Animated GIF conversion (only if user requested)
+     * 5. audio: Audio-only extraction (user preference)
+     * 6. muteVideo: Remove audio track (user preference)
+     * 7. hls: HLS stream (requires special handling)
+     * 8. video: Standard video (default fallback)
      */
-    if (r.isPhoto) action = "photo";
+    if (thumbnail) action = "thumbnail";
+    else if (r.isPhoto) action = "photo";
     else if (r.picker) action = "picker"; // Multiple media options (Instagram carousel, Twitter multi-media, TikTok playlist)
     else if (r.isGif && convertGif) action = "gif"; // Convert animated GIF to video
     else if (isAudioOnly) action = "audio"; // Extract audio track only
@@ -207,6 +240,7 @@ export default async function({
      * - Picker/Audio: Add audio format extension (.mp3, .m4a, etc.)
      * - MuteVideo: Add "_mute" suffix to distinguish from original
      * - GIF: Change extension to .gif
+     * - Thumbnail: Change extension to the image format
      */
     if (action === "picker" || action === "audio") {
         /**
@@ -238,6 +272,16 @@ export default async function({
          */
         const [ name ] = splitFilenameExtension(r.filename);
         defaultParams.filename = `${name}.gif`;
+    } else if (action === "thumbnail") {
+        /**
+         * Name thumbnails after the media
+         * Example: "video.mp4" -> "video.jpg"
+         * Audio filenames have no extension yet, pickers have no filename at all
+         */
+        const name = defaultParams.filename && !isAudioOnly
+            ? splitFilenameExtension(defaultParams.filename)[0]
+            : defaultParams.filename || r.audioFilename || `${host}_${mediaId}`;
+        defaultParams.filename = `${name}.${thumbnail.format}`;
     }
 
     /**
@@ -268,6 +312,26 @@ export default async function({
             params = { type: "proxy" };
             break;
 
+        case "thumbnail":
+            /**
+             * THUMBNAIL
+             * 
+             * The image is converted (and cropped) by ffmpeg in a tunnel.
+             * Images don't need the chunked streaming of their service (e.g.,
+             * YouTube), only frames grabbed from the video itself do.
+             */
+            params = {
+                type: "thumbnail",
+                url: thumbnail.url,
+                service: thumbnail.frameTime !== undefined ? host : `${host}-thumbnail`,
+                originalRequest: thumbnail.frameTime !== undefined ? r.originalRequest : undefined,
+                isHLS: thumbnail.isHLS,
+                imageFormat: thumbnail.format,
+                cropSquare: thumbnail.square,
+                frameTime: thumbnail.frameTime,
+            };
+            break;
+
         case "gif":
             /**
              * GIF CONVERSION
@@ -672,6 +736,35 @@ export default async function({
         defaultParams.filename += `.${audioFormat}`;
     }
 
+    /**
+     * CLIPPING
+     * 
+     * Clips are cut by ffmpeg while the media is streamed, so media that would
+     * be redirected or proxied as is goes through a remux (or audio) tunnel
+     * instead. Audio that would be proxied is only cut, not converted.
+     * 
+     * Photos, pickers and thumbnails have no time range to cut.
+     */
+    if (clip) {
+        if (action === "photo" || action === "picker" || action === "thumbnail") {
+            return createResponse("error", {
+                code: "error.api.clip.unsupported"
+            })
+        }
+
+        if (responseType === "redirect" || !params.type || params.type === "proxy") {
+            if (action === "audio") {
+                params.type = "audio";
+                params.audioCopy = true;
+            } else {
+                params.type = action === "muteVideo" ? "mute" : "remux";
+            }
+        }
+
+        responseType = "tunnel";
+        params.clip = clip;
+    }
+
     /**
      * FORCE PROXY HANDLING
      * 
@@ -700,11 +793,12 @@ export default async function({
      * Conditions:
      * - Not HLS (HLS local processing is complex and not yet supported)
      * - Not picker (picker requires client-side selection)
+     * - Not clipped or a thumbnail (clients can't cut or convert them, the server does it)
      * - Either forced OR preferred with extra processing needed
      * 
      * TODO: Add support for HLS local processing (requires segment management)
      */
-    if (!params.isHLS && responseType !== "picker") {
+    if (!params.isHLS && responseType !== "picker" && !clip && !thumbnail) {
         /**
          * Check if local processing should be used
          * - forced: Always use local processing
@@ -777,6 +871,62 @@ export default async function({
          * This comes from service handler and is needed for folder structure
          */
         playlistName: defaultParams.playlistName,
+        /**
+         * Download archive: media ID used to skip files that were
+         * already downloaded, unless the request opted out
+         */
+        mediaId,
+        downloadArchive,
+        /**
+         * API key the auto-download is accounted to (storage quotas)
+         */
+        owner,
+        schedule,
+        callbackUrl,
+        /**
+         * Title and original URL of the media, recorded in the download history
+         */
+        title: r.filenameAttributes?.title || r.fileMetadata?.title || null,
+        sourceURL,
+        /**
+         * Output template and the fields it can use, replaces the
+         * {service}/{username}/{playlistName} layout of auto-downloads.
+         * Fields don't depend on disableMetadata, which only affects tags
+         */
+        outputTemplate: finalAutoDownload && outputTemplate ? outputTemplate : null,
+        templateFields: finalAutoDownload && outputTemplate ? createTemplateFields({
+            service: host,
+            mediaId,
+            filenameAttributes: r.filenameAttributes,
+            fileMetadata: r.fileMetadata,
+        }) : null,
+        /**
+         * Metadata for .info.json sidecars, collected before the
+         * response is sent so it outlives the request
+         */
+        info: finalAutoDownload && writeInfoJson ? createInfo({
+            service: host,
+            mediaId,
+            url: sourceURL,
+            fileMetadata: r.fileMetadata,
+            filenameAttributes: r.filenameAttributes,
+            type: isAudioOnly ? "audio" : isAudioMuted ? "mute" : "video",
+            audioFormat,
+            audioBitrate,
+            formatId,
+            audioFormatId,
+        }) : null,
+        /**
+         * Metadata, cover and chapters written into auto-downloaded files.
+         * Picker items only share the metadata of the post or playlist,
+         * so they aren't tagged with it
+         */
+        tags: finalAutoDownload && !disableMetadata && responseType !== "picker" ? createTags({
+            metadata: defaultParams.fileMetadata,
+            cover: defaultParams.cover,
+            cropCover: defaultParams.cropCover,
+            chapters: clipChapters(r.chapters, clip),
+        }) : null,
     };
     
     /**
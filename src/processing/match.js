@@ -11,6 +11,12 @@
  * 4. Handle errors and edge cases
  * 5. Determine processing requirements
  * 6. Pass to matchAction for response generation
+ *
+ * With infoOnly (POST /info), the handler lists formats instead of picking one
+ * and its info is returned as-is, matchAction (and so tunnels) is skipped.
+ *
+ * With downloadMode: "thumbnail", matchAction tunnels an image of the media
+ * instead of the media, see thumbnail.js.
  */
 
 import { strict as assert } from "node:assert";
@@ -25,8 +31,16 @@ import { friendlyServiceName } from "./service-alias.js";
 import { LRUCache } from "../util/lru-cache.js";
 import { getServiceConfig, isServiceRegistered } from "./service-registry.js";
 import { handleServiceError, handleUnexpectedError } from "./error-handler.js";
+import { callServiceHandler } from "./service-breaker.js";
+import { createCounter, createHistogram } from "../util/metrics.js";
 import { CACHE_TTL } from "../util/constants.js";
 import { logError } from "../util/logger.js";
+import { recordHistory } from "../util/download-history.js";
+import { registerEgressIP } from "../util/outbound-limiter.js";
+import { createTemplateFields } from "./output-template.js";
+import { normalizeInfo } from "./media-info.js";
+import { getClip } from "./clip.js";
+import { findThumbnail } from "./thumbnail.js";
 
 // Service handler cache for lazy loading
 // This reduces memory usage and startup time by only loading handlers when needed
@@ -49,6 +63,20 @@ const metadataCache = new LRUCache({
     ttl: CACHE_TTL.METADATA
 });
 
+// Prometheus metrics (GET /metrics)
+const extractionRequests = createCounter(
+    "extraction_requests_total",
+    "Extraction requests by service and outcome (success or error code)"
+);
+const handlerDuration = createHistogram(
+    "handler_duration_seconds",
+    "Service handler latency by service"
+);
+const metadataCacheRequests = createCounter(
+    "metadata_cache_requests_total",
+    "Metadata cache lookups by result (hit or miss)"
+);
+
 /**
  * Generate cache key from request parameters
  * 
@@ -73,6 +101,10 @@ function generateCacheKey(host, patternMatch, params) {
         convertGif: params.convertGif,
         youtubeHLS: params.youtubeHLS,
         youtubeBetterAudio: params.youtubeBetterAudio,
+        formatId: params.formatId,
+        audioFormatId: params.audioFormatId,
+        clipStart: params.clipStart,
+        clipEnd: params.clipEnd,
     };
 
     // Create deterministic string from patternMatch and params
@@ -169,9 +201,12 @@ let freebind;
  * @param {Object} options.params - Request parameters (quality, format, etc.)
  * @param {string} options.authType - Authentication type ("key", "session", "none")
  * @param {string} [options.requestId] - Request ID for logging
+ * @param {string} [options.owner] - API key (rate limit identity) used for download quotas
+ * @param {Object} [options.schedule] - Priority and fair-share weight of the API key in the download scheduler
+ * @param {boolean} [options.infoOnly] - Return the metadata and available formats instead of the media (POST /info)
  * @returns {Promise<Object>} Response object with status and body
  */
-export default async function({ host, patternMatch, params, authType, requestId = null }) {
+export default async function({ host, patternMatch, params, authType, requestId = null, owner = null, schedule = null, infoOnly = false }) {
     const { url } = params;
     assert(url instanceof URL);
     
@@ -192,8 +227,63 @@ export default async function({ host, patternMatch, params, authType, requestId
         requestIP = freebind.ip.random(env.freebindCIDR);
         // Create a dispatcher that will use this IP for all requests
         dispatcher = freebind.dispatcherFromIP(requestIP, { strict: false });
+        // So the outbound limiter can limit this IP on its own (OUTBOUND_LIMIT_PER_IP)
+        registerEgressIP(dispatcher, requestIP);
     }
 
+    // Extract username from patternMatch for auto-download
+    const username = patternMatch?.user || 
+                    patternMatch?.username || 
+                    patternMatch?.author;
+
+    // Media ID for the download archive (picker items use their own IDs)
+    const mediaId = patternMatch?.postId ||
+                    patternMatch?.id ||
+                    patternMatch?.comId ||
+                    patternMatch?.tvId ||
+                    patternMatch?.storyId;
+
+    /**
+     * Record the extraction in the download history
+     * Returns the response as-is, so returns can be wrapped with it
+     */
+    const recordExtraction = (response, r = null) => {
+        extractionRequests.inc({
+            service: host,
+            outcome: response.body.error?.code || "success",
+        });
+
+        // Info lookups don't extract anything
+        if (infoOnly) {
+            return response;
+        }
+
+        const { url: _, ...options } = params;
+        const fields = r ? createTemplateFields({
+            service: host,
+            mediaId,
+            filenameAttributes: r.filenameAttributes,
+            fileMetadata: r.fileMetadata,
+        }) : {};
+
+        recordHistory({
+            type: "extract",
+            status: response.body.status === "error" ? "error" : "success",
+            key: owner,
+            service: host,
+            mediaId: fields.id || mediaId,
+            title: fields.title,
+            author: fields.author || username,
+            url: url.href,
+            options,
+            jobId: response.body.job?.id,
+            requestId,
+            error: response.body.error?.code,
+        });
+
+        return response;
+    };
+
     try {
         // Service handler result
         let r,
@@ -238,11 +328,18 @@ export default async function({ host, patternMatch, params, authType, requestId
         const subtitleLang =
             params.subtitleLang !== "none" ? params.subtitleLang : undefined;
 
+        // Time range to cut out of the media (clipStart/clipEnd), null for all of it
+        const clip = getClip(params);
+
         // Check metadata cache first
         // We cache metadata to reduce load on external services
         // but always fetch fresh URLs as they may expire
+        // Info lookups always ask the service, the cache only holds the picked format
         const cacheKey = generateCacheKey(host, patternMatch, params);
-        const cachedMetadata = metadataCache.get(cacheKey);
+        const cachedMetadata = !infoOnly && metadataCache.get(cacheKey);
+        if (!infoOnly) {
+            metadataCacheRequests.inc({ result: cachedMetadata ? "hit" : "miss" });
+        }
         
         // Get service configuration from registry
         // This replaces the large switch statement with a more maintainable registry pattern
@@ -255,6 +352,18 @@ export default async function({ host, patternMatch, params, authType, requestId
             });
         }
 
+        // Only some handlers can list every format of a link, and pick one by its ID
+        const pickedFormat = params.formatId || params.audioFormatId;
+        if ((infoOnly || pickedFormat) && !serviceConfig.formats) {
+            return recordExtraction(await createResponse("error", {
+                code: infoOnly ? "error.api.info.unsupported" : "error.api.format.unsupported",
+                context: {
+                    service: friendlyServiceName(host),
+                    ...(requestId && { requestId }),
+                },
+            }));
+        }
+
         // Get and call the appropriate service handler
         // Handlers are lazy-loaded to reduce memory usage and startup time
         const handler = await getServiceHandler(host);
@@ -277,10 +386,25 @@ export default async function({ host, patternMatch, params, authType, requestId
         // Map patternMatch and params to handler-specific parameters
         // Each service has its own paramsMapper function that knows how to
         // transform the generic patternMatch into service-specific params
-        const handlerParams = serviceConfig.paramsMapper(patternMatch, params, context);
+        const handlerParams = {
+            ...serviceConfig.paramsMapper(patternMatch, params, context),
+            ...(infoOnly && { listFormats: true }),
+            ...(pickedFormat && {
+                formatId: params.formatId,
+                audioFormatId: params.audioFormatId,
+            }),
+            // handlers check the duration limit against the clip
+            ...(clip && { clip }),
+        };
         
         // Call service handler with mapped parameters
-        r = await handler(handlerParams);
+        // Goes through the circuit breaker of the service, which fails fast while it's down
+        const observeHandler = handlerDuration.startTimer({ service: host });
+        try {
+            r = await callServiceHandler(host, handler, handlerParams);
+        } finally {
+            observeHandler();
+        }
         
         // Execute post-handler logic if defined
         // Some services need to modify flags or results after handler execution
@@ -295,9 +419,10 @@ export default async function({ host, patternMatch, params, authType, requestId
         // If we have cached metadata, merge it with fresh URLs
         // This allows us to cache metadata while always using fresh URLs
         // Only cache successful responses (no errors)
-        if (cachedMetadata && !r.error) {
+        // Info isn't cached
+        if (!infoOnly && cachedMetadata && !r.error) {
             r = mergeCachedMetadata(cachedMetadata, r);
-        } else if (!r.error) {
+        } else if (!infoOnly && !r.error) {
             // Cache the metadata (without URLs) for future requests
             // URLs are excluded as they may expire or change
             const cacheableMetadata = createCacheableMetadata(r);
@@ -322,11 +447,61 @@ export default async function({ host, patternMatch, params, authType, requestId
                     ...(requestId && { requestId }),
                 };
                 
-                return createResponse(errorResponse.type, {
+                return recordExtraction(await createResponse(errorResponse.type, {
                     code: errorResponse.code,
                     context: errorContext,
-                });
+                }), r);
+            }
+        }
+
+        if (infoOnly) {
+            // A handler may still return a regular result for links it can't describe,
+            // it would need a tunnel
+            if (!r.info) {
+                return recordExtraction(await createResponse("error", {
+                    code: "error.api.info.unsupported",
+                    context: {
+                        service: friendlyServiceName(host),
+                        ...(requestId && { requestId }),
+                    },
+                }));
+            }
+
+            return recordExtraction(await createResponse("info", {
+                info: normalizeInfo(host, r.info),
+            }));
+        }
+
+        // Image returned instead of the media (downloadMode: "thumbnail")
+        let thumbnail = null;
+        if (params.downloadMode === "thumbnail") {
+            let thumbnails;
+
+            // Handlers only list their thumbnails for POST /info, so they're asked
+            // for them if there's no cover. If that fails, a frame is grabbed instead
+            if (!r.cover && serviceConfig.formats) {
+                const listed = await callServiceHandler(host, handler, { ...handlerParams, listFormats: true })
+                    .catch(() => null);
+
+                thumbnails = listed?.info && normalizeInfo(host, listed.info).thumbnails;
             }
+
+            const found = findThumbnail(r, thumbnails, params.thumbnailTime);
+            if (!found) {
+                return recordExtraction(await createResponse("error", {
+                    code: "error.api.thumbnail.not_found",
+                    context: {
+                        service: friendlyServiceName(host),
+                        ...(requestId && { requestId }),
+                    },
+                }), r);
+            }
+
+            thumbnail = {
+                ...found,
+                format: params.thumbnailFormat,
+                square: params.thumbnailSquare,
+            };
         }
 
         // Determine local processing mode
@@ -346,11 +521,6 @@ export default async function({ host, patternMatch, params, authType, requestId
             localProcessing = "preferred";
         }
 
-        // Extract username from patternMatch for auto-download
-        const username = patternMatch?.user || 
-                        patternMatch?.username || 
-                        patternMatch?.author;
-        
         // Map downloadMode: "auto" to autoDownload: true
         // downloadMode: "auto" means automatically download when picker is returned
         // If downloadMode is "auto", always enable autoDownload
@@ -360,7 +530,7 @@ export default async function({ host, patternMatch, params, authType, requestId
         
         // Pass to matchAction to determine response type and format
         // matchAction will decide whether to redirect, tunnel, or process locally
-        return matchAction({
+        return recordExtraction(await matchAction({
             r, // Service handler result
             host,
             audioFormat: params.audioFormat,
@@ -375,8 +545,33 @@ export default async function({ host, patternMatch, params, authType, requestId
             localProcessing,
             autoDownload, // Auto download flag (mapped from downloadMode: "auto")
             username, // Username for folder structure
-        })
+            // Media ID for the download archive, links without one (e.g., SoundCloud tracks) use the handler's
+            mediaId: mediaId || r.filenameAttributes?.id,
+            downloadArchive: params.downloadArchive, // Skip already downloaded media
+            writeInfoJson: params.writeInfoJson, // Write .info.json sidecars
+            sourceURL: url.href, // Original URL for .info.json sidecars
+            callbackUrl: params.callbackUrl, // Webhook for the auto-download job
+            outputTemplate: params.outputTemplate, // Folder and filename of auto-downloaded files
+            owner, // API key for download quotas
+            schedule, // Priority and fair share of auto-downloads
+            formatId: params.formatId, // Formats picked by ID, for .info.json sidecars
+            audioFormatId: params.audioFormatId,
+            clip, // Time range cut out of the media
+            thumbnail, // Image returned instead of the media
+        }), r);
     } catch (error) {
+        // The service kept failing, its circuit breaker is open
+        if (error.code === "CIRCUIT_BREAKER_OPEN") {
+            return recordExtraction(await createResponse("error", {
+                code: "error.api.service.unavailable",
+                context: {
+                    service: friendlyServiceName(host),
+                    retryAfter: error.retryAfter,
+                    ...(requestId && { requestId }),
+                },
+            }));
+        }
+
         // Catch any unexpected errors during processing
         // This prevents the server from crashing and provides a user-friendly error
         const errorResponse = handleUnexpectedError(error, host, requestId);
@@ -387,9 +582,9 @@ export default async function({ host, patternMatch, params, authType, requestId
             ...(requestId && { requestId }),
         };
         
-        return createResponse(errorResponse.type, {
+        return recordExtraction(await createResponse(errorResponse.type, {
             code: errorResponse.code,
             context: errorContext,
-        });
+        }));
     }
 }
@@ -0,0 +1,206 @@
+/**
+ * Media Info
+ *
+ * POST /info returns what a link points to instead of a download: its
+ * metadata and every format and subtitle track it's available in. Service
+ * handlers that support it return { info } when called with listFormats,
+ * before picking a format, so no tunnel or download is ever created.
+ *
+ * Handlers only describe what they found, this module turns it into the same
+ * shape for every service. Sizes the service doesn't tell are estimated from
+ * the bitrate and duration.
+ *
+ * The same format IDs pick formats exactly with formatId and audioFormatId,
+ * instead of the videoQuality/codec heuristics of every handler.
+ */
+
+// Format type -> sort order (muxed formats first, then video, audio and images)
+const typeOrder = {
+    "video+audio": 0,
+    "video": 1,
+    "audio": 2,
+    "image": 3,
+};
+
+const toNumber = (value) => {
+    const number = Number(value);
+    return Number.isFinite(number) && number > 0 ? number : null;
+}
+
+const toText = (value) => {
+    const text = typeof value === "string" ? value.trim() : null;
+    return text || null;
+}
+
+/**
+ * Get the extension and codec of a MIME type, e.g. 'video/mp4; codecs="avc1.640028"'
+ *
+ * @param {string} mimeType - MIME type, optionally with codecs
+ * @returns {{ext: string|null, codec: string|null}}
+ */
+export function parseMimeType(mimeType) {
+    const [type, ...params] = String(mimeType || "").split(";");
+    const subtype = type.split("/")[1]?.trim() || null;
+    const codecs = params.join(";").match(/codecs="?([^"]+)"?/)?.[1];
+
+    return {
+        ext: type.startsWith("audio/") && subtype === "mp4" ? "m4a" : subtype,
+        codec: codecs?.trim() || null,
+    };
+}
+
+/**
+ * Normalize a format
+ *
+ * @param {Object} format - Format found by the handler
+ * @param {number|null} duration - Media duration in seconds, for size estimates
+ * @returns {Object} Normalized format
+ */
+function normalizeFormat(format, duration) {
+    const width = toNumber(format.width);
+    const height = toNumber(format.height);
+    const bitrate = toNumber(format.bitrate);
+    const fps = toNumber(format.fps);
+    const formatDuration = toNumber(format.duration) ?? duration;
+
+    let size = toNumber(format.size);
+    const estimated = !size && !!(bitrate && formatDuration);
+
+    if (estimated) {
+        size = Math.round(bitrate * formatDuration / 8);
+    }
+
+    return {
+        id: String(format.id),
+        type: format.type,
+        ext: format.ext || null,
+        codec: format.codec || null,
+        resolution: width && height ? `${width}x${height}` : null,
+        width,
+        height,
+        quality: width && height && format.type !== "image"
+            ? `${Math.min(width, height)}p`
+            : null,
+        fps: fps && Number(fps.toFixed(2)),
+        bitrate,
+        size,
+        sizeEstimated: estimated || undefined,
+        language: format.language || null,
+        note: toText(format.note) ?? undefined,
+        item: format.item ?? undefined,
+    };
+}
+
+/**
+ * Turn the info of a service handler into the POST /info response
+ *
+ * @param {string} service - Service name
+ * @param {Object} info - Info returned by the handler
+ * @param {string} info.id - Media ID
+ * @param {string} info.title - Title
+ * @param {string} info.author - Author (uploader, channel, artist)
+ * @param {number} info.duration - Duration in seconds
+ * @param {string} info.description - Description or post text
+ * @param {Array<Object>} info.thumbnails - { url, width, height }
+ * @param {Array<Object>} info.formats - { id, type ("video+audio", "video", "audio" or "image"),
+ *                                         ext, codec, width, height, fps, bitrate (bits/s),
+ *                                         size (bytes), duration, language, note, item }
+ * @param {Array<Object>} info.subtitles - { language, name, ext, auto (generated by the service) }
+ * @returns {Object} Normalized media info
+ */
+export function normalizeInfo(service, info) {
+    const duration = toNumber(info.duration);
+
+    const formats = (info.formats || [])
+        .filter(format => format && format.id !== undefined && format.type in typeOrder)
+        .map(format => normalizeFormat(format, duration))
+        .sort((a, b) =>
+            typeOrder[a.type] - typeOrder[b.type]
+            || (a.item ?? 0) - (b.item ?? 0)
+            || (b.height ?? 0) - (a.height ?? 0)
+            || (b.bitrate ?? 0) - (a.bitrate ?? 0)
+        );
+
+    const thumbnails = (info.thumbnails || [])
+        .filter(thumbnail => thumbnail?.url)
+        .map(thumbnail => ({
+            url: thumbnail.url,
+            width: toNumber(thumbnail.width),
+            height: toNumber(thumbnail.height),
+        }))
+        .filter((thumbnail, i, all) => all.findIndex(t => t.url === thumbnail.url) === i)
+        .sort((a, b) => (b.width ?? 0) - (a.width ?? 0));
+
+    const subtitles = (info.subtitles || [])
+        .filter(subtitle => subtitle?.language)
+        .map(subtitle => ({
+            language: subtitle.language,
+            name: toText(subtitle.name),
+            ext: subtitle.ext || null,
+            auto: !!subtitle.auto,
+        }));
+
+    return {
+        service,
+        id: info.id !== undefined ? String(info.id) : null,
+        title: toText(info.title),
+        author: toText(info.author),
+        duration,
+        description: toText(info.description),
+        thumbnails,
+        formats,
+        subtitles,
+    };
+}
+
+/**
+ * Pick the formats requested by formatId and audioFormatId
+ *
+ * - formatId picks the video (muxed or video-only) or, if it's an audio format,
+ *   makes the download audio only
+ * - audioFormatId picks the audio merged with a video-only format,
+ *   or the audio of audio-only downloads
+ * - In audio mode, formatId may also be a muxed format to take the audio from
+ *
+ * Whatever isn't picked (e.g., the audio of a video-only formatId) is left to
+ * the heuristics of the handler.
+ *
+ * @param {Array<Object>} formats - Formats as listed for POST /info, with whatever the handler needs to use them
+ * @param {Object} options - Request options
+ * @param {string} options.formatId - Requested format ID
+ * @param {string} options.audioFormatId - Requested audio format ID
+ * @param {boolean} options.isAudioOnly - Audio mode (downloadMode: "audio")
+ * @returns {{video?: Object, audio?: Object, audioOnly: boolean}|{error: string}|null}
+ *          Picked formats, an error if an ID doesn't exist, or null if nothing was requested
+ */
+export function selectFormats(formats, { formatId, audioFormatId, isAudioOnly }) {
+    if (!formatId && !audioFormatId) {
+        return null;
+    }
+
+    const find = (id) => formats.find(format => String(format.id) === String(id));
+
+    const format = formatId && find(formatId);
+    const audio = audioFormatId && find(audioFormatId);
+
+    if ((formatId && !format) || (audioFormatId && audio?.type !== "audio")) {
+        return { error: "format.not_found" };
+    }
+
+    if (isAudioOnly || format?.type === "audio") {
+        if (format && !["audio", "video+audio"].includes(format.type) && !audio) {
+            return { error: "format.not_found" };
+        }
+
+        return {
+            audio: audio || format || undefined,
+            audioOnly: true,
+        };
+    }
+
+    return {
+        video: format || undefined,
+        audio: format?.type === "video+audio" ? undefined : audio || undefined,
+        audioOnly: false,
+    };
+}
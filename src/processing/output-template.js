@@ -0,0 +1,450 @@
+/**
+ * Output Templates
+ *
+ * Auto-downloads are saved as {service}/{username}/{playlistName}/{filename}
+ * by default. An output template replaces that layout, for example:
+ *
+ *   {service}/{author}/{upload_date:%Y-%m}/{title:.80} [{id}].{ext}
+ *
+ * Syntax:
+ * - {field}            value of the field, empty if the media doesn't have it
+ * - {field|fallback}   fallback text for missing fields
+ * - {field:.N}         at most N characters
+ * - {field:0N}         number padded with zeros to N digits
+ * - {field:%Y-%m-%d}   date format (%Y %y %m %d %H %M %S %j %%), in UTC
+ * - {{ and }}          literal braces
+ *
+ * "/" separates folders. Values can't create folders of their own: slashes and
+ * characters that are invalid on Windows are replaced like in filenames
+ * (sanitizeString), empty folders are dropped, leading dots are removed and
+ * every path segment is cut to MAX_SEGMENT_BYTES without splitting characters.
+ * Templates that don't use {ext} get the extension appended.
+ *
+ * Files of one job that render to the same path (e.g., carousel items that
+ * only differ by {index}, which the template doesn't use) get " (index)"
+ * before the extension, so they don't overwrite each other.
+ */
+
+import { sanitizeString } from "./create-filename.js";
+
+// Most filesystems limit a single file or folder name to 255 bytes
+const MAX_SEGMENT_BYTES = 255;
+
+export const TEMPLATE_MAX_LENGTH = 512;
+
+export const TEMPLATE_FIELDS = new Set([
+    "service",
+    "id",
+    "title",
+    "author",
+    "username",
+    "playlist",
+    "album",
+    "artist",
+    "genre",
+    "quality",
+    "resolution",
+    "codec",
+    "dub",
+    "index",
+    "upload_date",
+    "date",
+    "filename",
+    "ext",
+]);
+
+const DATE_FIELDS = new Set(["upload_date", "date"]);
+
+const segmenter = new Intl.Segmenter(undefined, { granularity: "grapheme" });
+const graphemes = (string) => Array.from(segmenter.segment(string), ({ segment }) => segment);
+
+const pad = (number, length = 2) => String(number).padStart(length, "0");
+
+const dateFormats = {
+    Y: date => String(date.getUTCFullYear()),
+    y: date => pad(date.getUTCFullYear() % 100),
+    m: date => pad(date.getUTCMonth() + 1),
+    d: date => pad(date.getUTCDate()),
+    H: date => pad(date.getUTCHours()),
+    M: date => pad(date.getUTCMinutes()),
+    S: date => pad(date.getUTCSeconds()),
+    j: date => pad(Math.floor((date - Date.UTC(date.getUTCFullYear(), 0, 1)) / 86400000) + 1, 3),
+    "%": () => "%",
+};
+
+const fieldRegex = /^([a-z_]+)(?::([^|]*))?(?:\|(.*))?$/;
+
+/**
+ * Split a template into literal text, field and folder separator tokens
+ *
+ * @param {string} template - Output template
+ * @returns {Array<Object>} Tokens
+ * @throws {Error} If the template is malformed or uses an unknown field
+ */
+export function parseTemplate(template) {
+    const tokens = [];
+    let text = "";
+
+    const pushText = () => {
+        if (text) {
+            tokens.push({ type: "text", value: text });
+            text = "";
+        }
+    };
+
+    for (let i = 0; i < template.length; i++) {
+        const char = template[i];
+
+        if ((char === "{" || char === "}") && template[i + 1] === char) {
+            text += char;
+            i++;
+            continue;
+        }
+
+        if (char === "}") {
+            throw new Error("unmatched }");
+        }
+
+        if (char === "/") {
+            pushText();
+            tokens.push({ type: "separator" });
+            continue;
+        }
+
+        if (char !== "{") {
+            text += char;
+            continue;
+        }
+
+        const end = template.indexOf("}", i);
+        if (end === -1) {
+            throw new Error("unmatched {");
+        }
+
+        const match = template.slice(i + 1, end).match(fieldRegex);
+        if (!match) {
+            throw new Error(`invalid field: ${template.slice(i, end + 1)}`);
+        }
+
+        const [ , name, spec = "", fallback = "" ] = match;
+
+        if (!TEMPLATE_FIELDS.has(name)) {
+            throw new Error(`unknown field: ${name}`);
+        }
+
+        if (spec && !/^(\.\d+|0\d+)$/.test(spec) && !spec.includes("%")) {
+            throw new Error(`invalid format for ${name}: ${spec}`);
+        }
+
+        if (spec.includes("%")) {
+            if (!DATE_FIELDS.has(name)) {
+                throw new Error(`${name} is not a date`);
+            }
+
+            const directives = spec.match(/%./gs) || [];
+            if (directives.some(directive => !(directive[1] in dateFormats)) || spec.replace(/%./gs, "").includes("%")) {
+                throw new Error(`invalid date format: ${spec}`);
+            }
+        }
+
+        if (fallback.includes("/")) {
+            throw new Error(`fallback of ${name} can't contain /`);
+        }
+
+        pushText();
+        tokens.push({ type: "field", name, spec, fallback });
+        i = end;
+    }
+
+    pushText();
+    return tokens;
+}
+
+/**
+ * Check whether a template can be used
+ *
+ * @param {string} template - Output template
+ * @returns {string|null} Error message, or null if the template is valid
+ */
+export function validateTemplate(template) {
+    if (typeof template !== "string" || !template.trim()) {
+        return "template is empty";
+    }
+
+    if (template.length > TEMPLATE_MAX_LENGTH) {
+        return `template is longer than ${TEMPLATE_MAX_LENGTH} characters`;
+    }
+
+    try {
+        const tokens = parseTemplate(template);
+        if (tokens.at(-1)?.type === "separator") {
+            return "template must end with a filename";
+        }
+    } catch (error) {
+        return error.message;
+    }
+
+    return null;
+}
+
+/**
+ * Parse a date field value
+ * Accepts Date objects, unix timestamps (seconds), YYYYMMDD and ISO 8601 strings
+ *
+ * @param {*} value - Field value
+ * @returns {Date|null} Date, or null if it can't be parsed
+ */
+function toDate(value) {
+    if (value instanceof Date) {
+        return isNaN(value) ? null : value;
+    }
+
+    if (typeof value === "number") {
+        return new Date(value * 1000);
+    }
+
+    if (typeof value !== "string") {
+        return null;
+    }
+
+    const compact = value.match(/^(\d{4})(\d{2})(\d{2})$/);
+    const date = compact
+        ? new Date(Date.UTC(compact[1], compact[2] - 1, compact[3]))
+        : new Date(value);
+
+    return isNaN(date) ? null : date;
+}
+
+/**
+ * Get the upload date of a media
+ * TikTok doesn't return it for playlist items, but its ids start with the
+ * creation time in seconds (the upper 32 bits)
+ *
+ * @param {Object} fields - Template fields
+ * @returns {Date|null} Upload date
+ */
+function getUploadDate(fields) {
+    const date = toDate(fields.upload_date);
+    if (date) {
+        return date;
+    }
+
+    if (fields.service === "tiktok" && /^\d{15,}$/.test(String(fields.id))) {
+        return new Date(Number(BigInt(fields.id) >> 32n) * 1000);
+    }
+
+    return null;
+}
+
+/**
+ * Format a field value according to its spec
+ *
+ * @param {*} value - Field value
+ * @param {string} name - Field name
+ * @param {string} spec - Format spec
+ * @returns {string} Formatted value, empty if the value is missing
+ */
+function formatValue(value, name, spec) {
+    if (DATE_FIELDS.has(name)) {
+        if (!value) {
+            return "";
+        }
+
+        return (spec.includes("%") ? spec : "%Y-%m-%d")
+            .replace(/%(.)/g, (_, directive) => dateFormats[directive](value));
+    }
+
+    if (value === undefined || value === null || value === false) {
+        return "";
+    }
+
+    let string = sanitizeString(String(value)).normalize("NFC");
+
+    if (spec.startsWith(".")) {
+        string = graphemes(string).slice(0, parseInt(spec.slice(1), 10)).join("");
+    } else if (spec.startsWith("0") && /^\d+$/.test(string)) {
+        string = string.padStart(parseInt(spec, 10), "0");
+    }
+
+    return string;
+}
+
+/**
+ * Cut a path segment to MAX_SEGMENT_BYTES bytes of UTF-8
+ * The extension of the filename segment is kept
+ *
+ * @param {string} segment - Path segment
+ * @param {string} extension - Extension to keep, including the dot
+ * @returns {string} Segment that fits
+ */
+function truncateSegment(segment, extension = "") {
+    if (Buffer.byteLength(segment) <= MAX_SEGMENT_BYTES) {
+        return segment;
+    }
+
+    const base = extension ? segment.slice(0, -extension.length) : segment;
+    let budget = MAX_SEGMENT_BYTES - Buffer.byteLength(extension);
+    let result = "";
+
+    for (const grapheme of graphemes(base)) {
+        budget -= Buffer.byteLength(grapheme);
+        if (budget < 0) {
+            break;
+        }
+        result += grapheme;
+    }
+
+    return result.trimEnd() + extension;
+}
+
+/**
+ * Render the output path of a file
+ *
+ * @param {string} template - Output template (validated)
+ * @param {Object} fields - Template fields. `filename` is the filename the
+ *                          download would get without a template, {ext} and
+ *                          {filename} (without extension) are derived from it
+ * @returns {string|null} Path relative to the download directory, or null if
+ *                        the template doesn't produce a filename
+ */
+export function renderTemplate(template, fields) {
+    const filename = String(fields.filename || "");
+    const dot = filename.lastIndexOf(".");
+    const ext = fields.ext || (dot > 0 ? filename.slice(dot + 1) : "");
+
+    const values = {
+        ...fields,
+        ext,
+        filename: dot > 0 ? filename.slice(0, dot) : filename,
+        upload_date: getUploadDate(fields),
+        date: toDate(fields.date) || new Date(),
+    };
+
+    const tokens = parseTemplate(template);
+    const segments = [""];
+    let usesExt = false;
+
+    for (const token of tokens) {
+        if (token.type === "separator") {
+            segments.push("");
+        } else if (token.type === "text") {
+            segments[segments.length - 1] += sanitizeString(token.value);
+        } else {
+            usesExt ||= token.name === "ext";
+            const value = formatValue(values[token.name], token.name, token.spec);
+            segments[segments.length - 1] += value || sanitizeString(token.fallback);
+        }
+    }
+
+    if (!usesExt && ext) {
+        segments[segments.length - 1] += `.${ext}`;
+    }
+
+    const cleaned = segments.map(segment => segment.trim().replace(/^\.+/, "").trim());
+    const name = cleaned.pop();
+
+    // Nothing but an extension is left of the filename
+    if (!name || (ext && name === `.${ext}`) || name === ext) {
+        return null;
+    }
+
+    const extension = ext && name.endsWith(`.${ext}`) ? `.${ext}` : "";
+
+    return [
+        ...cleaned.filter(Boolean).map(segment => truncateSegment(segment)),
+        truncateSegment(name, extension),
+    ].join("/");
+}
+
+/**
+ * Add " (suffix)" to a path, before the extension of its filename
+ *
+ * @param {string} path - Rendered path
+ * @param {string} suffix - Text to add
+ * @returns {string} Path, with the filename still within MAX_SEGMENT_BYTES
+ */
+function addSuffix(path, suffix) {
+    const segments = path.split("/");
+    const name = segments.pop();
+    const dot = name.lastIndexOf(".");
+    const extension = `${suffix}${dot > 0 ? name.slice(dot) : ""}`;
+    const base = dot > 0 ? name.slice(0, dot) : name;
+
+    return [...segments, truncateSegment(base + extension, extension)].join("/");
+}
+
+/**
+ * Make the rendered paths of a job's files unique
+ * Every file of a path that several files rendered to gets its index appended,
+ * paths are compared case-insensitively like on Windows and macOS
+ *
+ * @param {Array<{outputPath: string|null, index?: number}>} files - Files with rendered paths, changed in place
+ */
+export function dedupePaths(files) {
+    const keyOf = (path) => path.toLowerCase();
+    const counts = new Map();
+
+    for (const file of files) {
+        if (file.outputPath) {
+            const key = keyOf(file.outputPath);
+            counts.set(key, (counts.get(key) || 0) + 1);
+        }
+    }
+
+    const taken = new Set(counts.keys());
+
+    files.forEach((file, position) => {
+        if (!file.outputPath || counts.get(keyOf(file.outputPath)) < 2) {
+            return;
+        }
+
+        const index = file.index ?? position + 1;
+        let path = addSuffix(file.outputPath, ` (${index})`);
+
+        // The template itself may render a path like "name (2).jpg"
+        for (let n = 2; taken.has(keyOf(path)); n++) {
+            path = addSuffix(file.outputPath, ` (${index}-${n})`);
+        }
+
+        taken.add(keyOf(path));
+        file.outputPath = path;
+    });
+}
+
+/**
+ * Collect the template fields of a media from the service handler result
+ * Folder fields (username, playlist) and per-file fields (id of picker items,
+ * index and filename) are added when the download job is created
+ *
+ * @param {Object} source - Service handler data
+ * @param {string} source.service - Service name
+ * @param {string} source.mediaId - Media ID from the request URL
+ * @param {Object} source.filenameAttributes - Filename attributes from the service handler
+ * @param {Object} source.fileMetadata - Metadata from the service handler
+ * @returns {Object} Template fields
+ */
+export function createTemplateFields({
+    service,
+    mediaId,
+    filenameAttributes,
+    fileMetadata,
+}) {
+    const attributes = filenameAttributes || {};
+    const metadata = fileMetadata || {};
+
+    return {
+        service,
+        id: attributes.id ? String(attributes.id) : mediaId || null,
+        title: attributes.title || metadata.title,
+        author: attributes.author || metadata.artist,
+        album: metadata.album,
+        artist: metadata.artist,
+        genre: metadata.genre,
+        quality: attributes.qualityLabel,
+        resolution: attributes.resolution,
+        codec: attributes.youtubeFormat,
+        dub: attributes.youtubeDubName,
+        // YouTube music descriptions have "Released on: YYYY-MM-DD"
+        upload_date: metadata.date,
+    };
+}
@@ -1,10 +1,13 @@
 import mime from "mime";
 import ipaddr from "ipaddr.js";
 
+import { env } from "../config.js";
 import { apiSchema } from "./schema.js";
 import { createProxyTunnels, createStream } from "../stream/manage.js";
 import { NETWORK } from "../util/constants.js";
-import { downloadFile, downloadFiles } from "../util/download-manager.js";
+import { renderTemplate, dedupePaths } from "./output-template.js";
+import { createJob, formatJob } from "../util/download-jobs.js";
+import { checkQuota } from "../util/download-quota.js";
 import { logger } from "../util/logger.js";
 
 export async function createResponse(responseType, responseData) {
@@ -100,6 +103,10 @@ export async function createResponse(responseType, responseData) {
                 }
                 break;
 
+            case "info":
+                response = responseData?.info;
+                break;
+
             case "critical":
                 return internalError(responseData?.code);
 
@@ -126,9 +133,12 @@ export async function createResponse(responseType, responseData) {
          * Folder structure:
          * - Single file: downloads/{service}/{username}/{filename}
          * - Playlist: downloads/{service}/{username}/{playlistName}/{filename}
+         * - With an output template (request, API key or DOWNLOAD_OUTPUT_TEMPLATE):
+         *   whatever the template renders to, e.g. downloads/tiktok/dmst2023/2024-05/{title} [{id}].mp4
          * 
          * The download happens asynchronously - the API response is returned immediately
-         * while downloads continue in the background. Check server logs for progress.
+         * while downloads continue in the background as a download job. The job id is
+         * included in the response (`job`) and its progress is available via GET /jobs/:id.
          */
         if (responseData?.autoDownload) {
             const service = responseData?.service;
@@ -168,269 +178,152 @@ export async function createResponse(responseType, responseData) {
             logger.debug({ service, username, playlistName, hasPlaylistName: !!playlistName }, 'Auto-download with playlist info');
             
             /**
-             * PICKER RESPONSE HANDLING
+             * COLLECT FILES
              * 
-             * A picker response contains multiple files (e.g., playlist videos, Instagram carousel).
-             * We download all items in the picker automatically.
+             * A picker response contains multiple files (e.g., playlist videos, Instagram carousel),
+             * all of which are downloaded. Tunnel and redirect responses are a single file.
              * 
-             * Process:
-             * 1. Filter valid items (must have URL and filename)
-             * 2. Map to download format with metadata (videoId for retry logic)
-             * 3. Download in batches with concurrency control
-             * 4. Retry failed downloads with special handling for rate limits
+             * Each item needs:
+             * - url: Download URL (may be tunnel URL for TikTok)
+             * - filename: Target filename on server
+             * - headers: HTTP headers (cookies, user-agent, etc.)
+             * - videoId: Video ID for retry logic (TikTok 404/403 errors)
+             * - mediaId: Key in the download archive (already downloaded items are skipped)
+             * - index: Original position in playlist (for error reporting)
+             * 
+             * Picker items without their own ID (e.g., Instagram carousel) are
+             * archived by post ID + position.
              */
+            const mediaId = responseData?.mediaId;
+            let filesToDownload = [];
+
             if (responseType === "picker" && responseBody.picker) {
-                /**
-                 * Prepare files for download
-                 * 
-                 * Each item needs:
-                 * - url: Download URL (may be tunnel URL for TikTok)
-                 * - filename: Target filename on server
-                 * - headers: HTTP headers (cookies, user-agent, etc.)
-                 * - videoId: Video ID for retry logic (TikTok 404/403 errors)
-                 * - index: Original position in playlist (for error reporting)
-                 */
-                const filesToDownload = responseBody.picker
+                filesToDownload = responseBody.picker
                     .filter(item => item.url && item.filename) // Only download valid items
                     .map((item, index) => ({
                         url: item.url,
                         filename: item.filename,
                         headers: responseData?.headers,
                         videoId: item.videoId, // Critical for TikTok: enables 404/403 retry with fresh URL
+                        mediaId: item.videoId || (mediaId && `${mediaId}_${index + 1}`),
                         index: index + 1, // 1-based index for user-friendly error messages
                     }));
-                
-                if (filesToDownload.length > 0) {
-                    /**
-                     * CONCURRENCY STRATEGY
-                     * 
-                     * We limit concurrent downloads to prevent:
-                     * - Rate limiting (429 errors) from service providers
-                     * - Server overload
-                     * - Network congestion
-                     * 
-                     * Strategy:
-                     * - Small batches (≤20 files): 3 concurrent downloads
-                     * - Large batches (>20 files): 2 concurrent downloads
-                     * 
-                     * TikTok is particularly strict, so we're conservative with concurrency.
-                     * Additional delays between batches (1s for TikTok, 500ms for others) further
-                     * reduce the chance of hitting rate limits.
-                     */
-                    const concurrency = filesToDownload.length > 20 ? 2 : 3;
-                    
-                    /**
-                     * START BATCH DOWNLOAD
-                     * 
-                     * downloadFiles handles:
-                     * - Concurrent downloads with specified limit
-                     * - Automatic retries for transient errors (404, 403 for TikTok)
-                     * - Progress logging and final summary
-                     * - Folder structure creation (service/username/playlistName/)
-                     * 
-                     * Timeout: 120 seconds (2 minutes) per file
-                     * This is generous to handle large video files and slow connections.
-                     */
-                    downloadFiles(filesToDownload, {
-                        concurrency,
-                        timeout: 120000, // 2 minutes per file
-                        service,
-                        username,
-                        playlistName,
-                    }).then(results => {
-                        /**
-                         * POST-DOWNLOAD PROCESSING
-                         * 
-                         * After batch download completes, we analyze results:
-                         * 1. Separate successful and failed downloads
-                         * 2. Identify rate-limited files (429 errors) for special retry
-                         * 3. Log other failures for debugging
-                         * 
-                         * Rate-limited files get special treatment because:
-                         * - They're likely to succeed if we wait longer
-                         * - Staggered retries prevent hitting rate limit again
-                         * - Different from permanent failures (404, 403 without retry)
-                         */
-                        const failedDownloads = [];
-                        results.forEach((result, i) => {
-                            const file = filesToDownload[i];
-                            if (!result.success) {
-                                /**
-                                 * RATE LIMITING DETECTION
-                                 * 
-                                 * HTTP 429 (Too Many Requests) indicates we're making
-                                 * requests too quickly. These are temporary and can be
-                                 * retried after a delay.
-                                 * 
-                                 * Strategy:
-                                 * - Base delay: 10 seconds
-                                 * - Staggered delay: +200ms per file index
-                                 * - Example: File #1 waits 10.2s, File #2 waits 10.4s, etc.
-                                 * 
-                                 * This staggering prevents all retries from happening
-                                 * simultaneously, which would hit the rate limit again.
-                                 */
-                                if (result.error && (result.error.includes('429') || result.error.includes('Too Many Requests'))) {
-                                    failedDownloads.push({
-                                        ...file,
-                                        retryDelay: 10000 + (file.index * 200), // 10s base + staggered delay
-                                    });
-                                } else {
-                                    /**
-                                     * PERMANENT FAILURES
-                                     * 
-                                     * Other errors (404, 403 without retry, network errors, etc.)
-                                     * are logged but not automatically retried here.
-                                     * 
-                                     * Note: TikTok 404/403 errors are already retried in download-manager.js
-                                     * with fresh URL fetching. These are failures after all retries.
-                                     */
-                                    logger.warn({ 
-                                        service, 
-                                        username, 
-                                        filename: file.filename,
-                                        index: file.index,
-                                        error: result.error 
-                                    }, 'Auto-download picker item failed');
-                                }
-                            }
-                        });
-                        
-                        /**
-                         * RATE-LIMITED FILE RETRY
-                         * 
-                         * Files that failed due to rate limiting (429) are retried
-                         * with longer delays and staggered timing.
-                         * 
-                         * Process:
-                         * 1. Each file gets a unique delay based on its index
-                         * 2. setTimeout schedules retries at different times
-                         * 3. Each retry gets 3 additional attempts with 5s delays
-                         * 4. Results are logged but don't block the main flow
-                         * 
-                         * Why this works:
-                         * - Rate limits are usually time-based (e.g., X requests per minute)
-                         * - Staggered retries spread requests over time
-                         * - Longer delays give the rate limit window time to reset
-                         * 
-                         * Note: These retries happen asynchronously and don't affect
-                         * the API response or other downloads.
-                         */
-                        if (failedDownloads.length > 0) {
-                            logger.warn(`\n[WARNING] ${failedDownloads.length} files rate-limited, retrying with longer delays...\n`);
-                            
-                            failedDownloads.forEach((file, idx) => {
-                                /**
-                                 * Schedule retry with staggered delay
-                                 * Each file waits a different amount of time to avoid
-                                 * simultaneous retries that would hit rate limit again.
-                                 */
-                                setTimeout(() => {
-                                    downloadFile(file.url, file.filename, {
-                                        service,
-                                        username,
-                                        playlistName,
-                                        headers: file.headers,
-                                        timeout: 120000, // 2 minutes
-                                        maxRetries: 3, // 3 additional retry attempts
-                                        retryDelay: 5000, // 5 seconds between retries
-                                    }).then(retryResult => {
-                                        if (!retryResult.success) {
-                                            /**
-                                             * Retry still failed after all attempts
-                                             * Log for debugging but don't throw error
-                                             * (downloads are best-effort, not critical)
-                                             */
-                                            logger.warn(`[X] Retry failed: [${file.index}] ${file.filename.substring(0, 60)}... - ${retryResult.error}`);
-                                        }
-                                    }).catch(error => {
-                                        /**
-                                         * Unexpected error during retry (network, etc.)
-                                         * Log for debugging
-                                         */
-                                        logger.error(`[X] Retry error: [${file.index}] ${file.filename.substring(0, 60)}... - ${error.message}`);
-                                    });
-                                }, file.retryDelay);
-                            });
-                        }
-                    }).catch(error => {
-                        /**
-                         * BATCH DOWNLOAD ERROR
-                         * 
-                         * This catches errors in the downloadFiles function itself
-                         * (not individual file failures, which are handled above).
-                         * 
-                         * Possible causes:
-                         * - Network issues
-                         * - File system errors
-                         * - Unexpected exceptions in download logic
-                         * 
-                         * We log the error but don't throw - auto-download is best-effort
-                         * and shouldn't break the API response.
-                         */
-                        logger.error({ 
-                            err: error, 
-                            service, 
-                            username,
-                            total: filesToDownload.length 
-                        }, 'Auto-download batch error');
-                    });
-                }
+            } else if (responseBody.url && responseBody.filename) {
+                filesToDownload = [{
+                    url: responseBody.url,
+                    filename: responseBody.filename,
+                    headers: responseData?.headers,
+                    mediaId,
+                }];
+            }
+
             /**
-             * SINGLE FILE DOWNLOAD HANDLING
+             * OUTPUT TEMPLATE
              * 
-             * For non-picker responses (tunnel or redirect), we download a single file.
-             * This is simpler than batch downloads - no concurrency or retry logic needed.
-             * 
-             * Response types:
-             * - tunnel: Proxy URL through server (e.g., TikTok tunnel URLs)
-             * - redirect: Direct download URL (e.g., YouTube, Instagram)
-             * 
-             * The download happens asynchronously - API response is returned immediately.
+             * Each file gets its own path relative to the download directory.
+             * Files the template can't name (e.g., "{title}" of a media without
+             * a title) keep the default folder structure. Picker items the template
+             * doesn't tell apart (e.g., carousel items sharing the post {id}) get
+             * their index appended instead of overwriting each other.
              */
-            } else if (responseBody.url && responseBody.filename) {
+            const template = responseData?.outputTemplate;
+            if (template) {
+                const fields = {
+                    ...responseData.templateFields,
+                    author: responseData.templateFields?.author || username,
+                    username,
+                    playlist: playlistName,
+                };
+
+                for (const file of filesToDownload) {
+                    file.outputPath = renderTemplate(template, {
+                        ...fields,
+                        id: file.videoId || fields.id,
+                        index: file.index ?? 1,
+                        filename: file.filename,
+                    });
+                }
+
+                dedupePaths(filesToDownload);
+            }
+
+            if (filesToDownload.length > 0) {
+                /**
+                 * STORAGE QUOTA
+                 * 
+                 * Old files are evicted if a quota is reached, if that's not
+                 * enough the whole request is refused instead of silently not downloading.
+                 */
+                const quotaError = await checkQuota({ service, owner: responseData?.owner });
+                if (quotaError) {
+                    return createResponse("error", {
+                        code: `error.api.${quotaError.error}`,
+                        context: quotaError.context,
+                    });
+                }
+
                 /**
-                 * Download single file
+                 * CONCURRENCY STRATEGY
                  * 
-                 * downloadFile handles:
-                 * - Automatic retries for transient errors
-                 * - Folder structure creation
-                 * - Error logging
+                 * The job downloads this many of its files at a time (a worker
+                 * pool, a slow file doesn't hold back the others):
+                 * - Small jobs (≤20 files): 3 files at a time
+                 * - Large jobs (>20 files): 2 files at a time
                  * 
-                 * For TikTok videos, it will automatically retry 404/403 errors
-                 * by fetching a fresh URL using the videoId (if provided).
+                 * Each file also waits for a slot of the download scheduler
+                 * (DOWNLOAD_CONCURRENCY in total, DOWNLOAD_SERVICE_CONCURRENCY per service,
+                 * fair share between API keys), and every request to the service goes
+                 * through its outbound limiter, which backs off on 429s. There are no
+                 * fixed delays between files.
                  */
-                downloadFile(responseBody.url, responseBody.filename, {
-                    service,
-                    username,
-                    playlistName,
-                    headers: responseData?.headers,
-                    timeout: 120000, // 2 minutes
-                }).then(result => {
-                    /**
-                     * Download completed (success or failure)
-                     * Log failure for debugging but don't throw error
-                     */
-                    if (!result.success) {
-                        logger.warn({ 
-                            service, 
-                            username, 
-                            filename: responseBody.filename,
-                            error: result.error 
-                        }, 'Auto-download failed');
-                    }
-                }).catch(error => {
-                    /**
-                     * Unexpected error during download
-                     * (network issues, file system errors, etc.)
-                     */
-                    logger.error({ 
-                        err: error, 
-                        service, 
-                        username, 
-                        filename: responseBody.filename 
-                    }, 'Auto-download error');
-                });
+                const concurrency = filesToDownload.length > 20 ? 2 : 3;
+
+                /**
+                 * QUEUE DOWNLOAD JOB
+                 * 
+                 * The files are handed to the download job queue, which persists
+                 * per-file progress and retries rate-limited (429) files later.
+                 * The job id is returned so clients can follow it via GET /jobs/:id.
+                 * 
+                 * Timeout: 120 seconds (2 minutes) per file
+                 * This is generous to handle large video files and slow connections.
+                 * 
+                 * Failing to queue the job is logged but doesn't break the API
+                 * response - auto-download is best-effort.
+                 */
+                try {
+                    const job = await createJob(filesToDownload, {
+                        source: "extract",
+                        concurrency,
+                        timeout: 120000, // 2 minutes per file
+                        service,
+                        username,
+                        playlistName,
+                        archive: responseData?.downloadArchive !== false,
+                        owner: responseData?.owner,
+                        info: responseData?.info,
+                        tags: responseData?.tags,
+                        callbackUrl: responseData?.callbackUrl,
+                        title: responseData?.title,
+                        sourceURL: responseData?.sourceURL,
+                        ...responseData?.schedule,
+                    });
+
+                    responseBody.job = {
+                        id: job.id,
+                        status: job.status,
+                        url: new URL(`/jobs/${job.id}`, env.apiURL).toString(),
+                        // includes files skipped because they're in the download archive
+                        summary: formatJob(job, false).summary,
+                    };
+                } catch (error) {
+                    logger.error({
+                        err: error,
+                        service,
+                        username,
+                        total: filesToDownload.length
+                    }, 'Failed to queue auto-download job');
+                }
             }
         }
         
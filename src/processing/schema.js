@@ -1,5 +1,6 @@
 import { z } from "zod";
 import { normalizeURL } from "./url.js";
+import { validateTemplate } from "./output-template.js";
 
 export const apiSchema = z.object({
     url: z.string()
@@ -15,7 +16,7 @@ export const apiSchema = z.object({
     ).default("mp3"),
 
     downloadMode: z.enum(
-        ["auto", "audio", "mute"]
+        ["auto", "audio", "mute", "thumbnail"]
     ).default("auto"),
 
     filenameStyle: z.enum(
@@ -50,6 +51,30 @@ export const apiSchema = z.object({
                      .regex(/^[0-9a-zA-Z\-]+$/)
                      .optional(),
 
+    // Format IDs as listed by POST /info, replace videoQuality/codec heuristics
+    formatId: z.string()
+               .min(1)
+               .max(64)
+               .regex(/^[\w.\-+:@]+$/)
+               .optional(),
+
+    audioFormatId: z.string()
+                    .min(1)
+                    .max(64)
+                    .regex(/^[\w.\-+:@]+$/)
+                    .optional(),
+
+    // Time range to cut out of the media, in seconds
+    clipStart: z.number().min(0).optional(),
+    clipEnd: z.number().positive().optional(),
+
+    // downloadMode: "thumbnail", see thumbnail.js
+    thumbnailFormat: z.enum(
+        ["jpg", "png", "webp"]
+    ).default("jpg"),
+    thumbnailSquare: z.boolean().default(false),
+    thumbnailTime: z.number().min(0).default(0), // Frame grabbed from videos without thumbnails, in seconds
+
     disableMetadata: z.boolean().default(false),
 
     allowH265: z.boolean().default(false),
@@ -62,5 +87,12 @@ export const apiSchema = z.object({
     youtubeBetterAudio: z.boolean().default(false),
     
     autoDownload: z.boolean().default(false), // Auto download to downloads folder
+    downloadArchive: z.boolean().default(true), // Skip media that was already auto-downloaded
+    writeInfoJson: z.boolean().default(false), // Write a .info.json sidecar next to auto-downloaded files
+    callbackUrl: z.string().url().max(2048).optional(), // Receives a signed webhook when the auto-download job finishes
+    outputTemplate: z.string()
+                     .refine(template => !validateTemplate(template))
+                     .optional(), // Folder and filename of auto-downloaded files, see output-template.js
 })
-.strict();
+.strict()
+.refine(({ clipStart = 0, clipEnd }) => clipEnd === undefined || clipEnd > clipStart);
@@ -0,0 +1,120 @@
+/**
+ * Service Circuit Breakers
+ *
+ * Every service handler call goes through a circuit breaker of its service.
+ * When a service keeps failing (handlers throwing, or returning fetch.fail or
+ * fetch.critical), its breaker opens and requests fail fast with
+ * error.api.service.unavailable instead of piling up timeouts. After
+ * CIRCUIT_BREAKER.RESET_TIMEOUT the next request is let through to check
+ * whether the service recovered.
+ *
+ * Content errors (private, unavailable, too long, ...) and rate limits don't
+ * count, they say nothing about the service being down.
+ *
+ * Breakers are per process. Resetting one by hand resets it in every
+ * cluster worker.
+ */
+
+import * as cluster from "../misc/cluster.js";
+import { isCluster } from "../config.js";
+import { createServiceCircuitBreaker } from "../util/circuit-breaker.js";
+import { CIRCUIT_BREAKER } from "../util/constants.js";
+
+// Handler error codes that mean the service itself is failing
+const FAILURE_ERRORS = new Set(["fetch.fail", "fetch.critical"]);
+
+// Service -> circuit breaker, created on first use
+const breakers = new Map();
+
+const getBreaker = (service) => {
+    let breaker = breakers.get(service);
+
+    if (!breaker) {
+        breaker = createServiceCircuitBreaker(service, {
+            failureThreshold: CIRCUIT_BREAKER.FAILURE_THRESHOLD,
+            resetTimeout: CIRCUIT_BREAKER.RESET_TIMEOUT,
+            monitoringWindow: CIRCUIT_BREAKER.MONITORING_WINDOW,
+            isFailure: (result) => FAILURE_ERRORS.has(result?.error),
+        });
+        breakers.set(service, breaker);
+    }
+
+    return breaker;
+}
+
+/**
+ * Call a service handler through the circuit breaker of its service
+ * Throws an error with code CIRCUIT_BREAKER_OPEN (and retryAfter in seconds)
+ * while the breaker is open
+ *
+ * @param {string} service - Service name
+ * @param {Function} handler - Service handler
+ * @param {Object} params - Handler parameters
+ * @returns {Promise<Object>} Handler result
+ */
+export function callServiceHandler(service, handler, params) {
+    return getBreaker(service).execute(() => handler(params));
+}
+
+/**
+ * Get the state of every breaker created so far
+ *
+ * @returns {Object} Service -> { state, failures, nextAttempt }
+ */
+export function getServiceBreakerStates() {
+    return Object.fromEntries(
+        [...breakers].map(([service, breaker]) => [service, breaker.getState()])
+    );
+}
+
+/**
+ * Close the breaker of a service in this process
+ *
+ * @param {string} service - Service name
+ */
+const resetLocal = (service) => {
+    breakers.get(service)?.reset();
+}
+
+/**
+ * Close the breaker of a service by hand, in every cluster worker
+ *
+ * @param {string} service - Service name
+ * @returns {Object|null} New state of the breaker, or null if it was never used
+ */
+export function resetServiceBreaker(service) {
+    resetLocal(service);
+
+    if (isCluster) {
+        cluster.send({ circuitBreakerReset: service });
+    }
+
+    return breakers.get(service)?.getState() ?? null;
+}
+
+/**
+ * Listen for breaker resets from other cluster workers
+ */
+export function setupServiceBreakers() {
+    if (!isCluster) {
+        return;
+    }
+
+    const messageHandler = (message) => {
+        if ('circuitBreakerReset' in message) {
+            const service = message.circuitBreakerReset;
+
+            if (cluster.isPrimary) {
+                cluster.broadcast({ circuitBreakerReset: service });
+            }
+
+            resetLocal(service);
+        }
+    }
+
+    if (cluster.isPrimary) {
+        cluster.mainOnMessage(messageHandler);
+    } else {
+        process.on('message', messageHandler);
+    }
+}
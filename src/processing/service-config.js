@@ -80,6 +80,7 @@ export const services = {
     soundcloud: {
         patterns: [
             ":author/:song/s-:accessKey",
+            ":author/tracks",  // User: soundcloud.com/user (only listed by subscriptions)
             ":author/:song",
             ":shortLink"
         ],
@@ -123,7 +124,13 @@ export const services = {
             "watch?v=:id",  // Most common: youtube.com/watch?v=...
             "v/:id",        // Common: youtube.com/v/...
             "watch/:id",    // Less common: youtube.com/watch/...
-            "embed/:id"    // Least common: youtube.com/embed/...
+            "embed/:id",    // Least common: youtube.com/embed/...
+            // Channels and playlists, only listed by subscriptions
+            "@:handle",
+            "@:handle/videos",
+            "channel/:channelId",
+            "channel/:channelId/videos",
+            "playlist?list=:playlistId"
         ],
         subdomains: ["music", "m"],
     }
@@ -9,6 +9,8 @@
  * - paramsMapper: Function that maps patternMatch + request params to handler params
  * - preHandler: Optional function to execute before calling handler (e.g., YouTube Music logic)
  * - postHandler: Optional function to execute after calling handler (e.g., SoundCloud force audio)
+ * - formats: Whether the handler can list formats for POST /info (called with listFormats: true)
+ *   and pick one of them by its ID (called with formatId/audioFormatId)
  */
 
 /**
@@ -24,6 +26,7 @@ export const serviceRegistry = {
      * - index is 1-based in URLs but 0-based in handler (subtract 1)
      */
     twitter: {
+        formats: true,
         paramsMapper: (patternMatch, params, context) => ({
             id: patternMatch.id,
             index: patternMatch.index - 1, // Convert 1-based to 0-based
@@ -31,16 +34,22 @@ export const serviceRegistry = {
             alwaysProxy: params.alwaysProxy,
             dispatcher: context.dispatcher,
             subtitleLang: context.subtitleLang,
+            isAudioOnly: context.isAudioOnly,
         }),
     },
 
     /**
      * Bilibili service handler
      * 
-     * Simple pass-through: just pass patternMatch as-is
+     * Simple pass-through: pass patternMatch as-is, plus the audio mode
+     * for formats picked by ID
      */
     bilibili: {
-        paramsMapper: (patternMatch) => patternMatch,
+        formats: true,
+        paramsMapper: (patternMatch, params, context) => ({
+            ...patternMatch,
+            isAudioOnly: context.isAudioOnly,
+        }),
     },
 
     /**
@@ -52,6 +61,7 @@ export const serviceRegistry = {
      * - Supports various codecs, containers, and quality options
      */
     youtube: {
+        formats: true,
         paramsMapper: (patternMatch, params, context) => {
             const { url, isAudioOnly, youtubeHLS, env } = context;
             
@@ -92,9 +102,11 @@ export const serviceRegistry = {
      * Simple pass-through: spread patternMatch and add dispatcher
      */
     reddit: {
+        formats: true,
         paramsMapper: (patternMatch, params, context) => ({
             ...patternMatch,
             dispatcher: context.dispatcher,
+            isAudioOnly: context.isAudioOnly,
         }),
     },
 
@@ -108,6 +120,7 @@ export const serviceRegistry = {
      * - h265: Allow H.265/HEVC codec
      */
     tiktok: {
+        formats: true,
         paramsMapper: (patternMatch, params, context) => ({
             postId: patternMatch.postId,
             shortLink: patternMatch.shortLink, // TikTok short links
@@ -131,6 +144,7 @@ export const serviceRegistry = {
      * - This is handled in postHandler to update flags after handler call
      */
     soundcloud: {
+        formats: true,
         paramsMapper: (patternMatch, params) => ({
             ...patternMatch,
             format: params.audioFormat, // mp3, ogg, wav, opus, or best
@@ -1,8 +1,28 @@
 import { genericUserAgent, env } from "../../config.js";
 import { resolveRedirectingURL } from "../url.js";
+import { createServiceFetch } from "../../util/outbound-limiter.js";
+import { parseMimeType, selectFormats } from "../media-info.js";
+import { checkDuration } from "../clip.js";
+
+const fetch = createServiceFetch("bilibili");
 
 // TO-DO: higher quality downloads (currently requires an account)
 
+// picks the formats of formatId/audioFormatId, or the best ones
+function pickStreams(dashData, o) {
+    let [ video, audio ] = extractBestQuality(dashData);
+
+    const selected = selectFormats(getDashFormats(dashData), o);
+    if (selected?.error) return selected;
+
+    if (selected) {
+        video = selected.video?.source ?? video;
+        audio = selected.audio?.source ?? audio;
+    }
+
+    return { video, audio, audioOnly: selected?.audioOnly };
+}
+
 function getBest(content) {
     return content?.filter(v => v.baseUrl || v.url)
                 .map(v => (v.baseUrl = v.baseUrl || v.url, v))
@@ -17,7 +37,43 @@ function extractBestQuality(dashData) {
     return [ bestVideo, bestAudio ];
 }
 
-async function com_download(id, partId) {
+function getVideoData(html) {
+    try {
+        const state = html.split('window.__INITIAL_STATE__=')[1].split(';(function')[0];
+        return JSON.parse(state).videoData;
+    } catch {}
+}
+
+function getMetaTag(html, property) {
+    return html?.match(new RegExp(`<meta[^>]+property="${property}"[^>]+content="([^"]*)"`))?.[1];
+}
+
+// every dash stream of a video, as listed by POST /info and picked by formatId
+function getDashFormats(dashData, duration) {
+    const toFormat = (type) => (stream) => ({
+        ...parseMimeType(stream.mimeType || stream.mime_type),
+        // the same quality is usually available in several codecs
+        id: type === "video"
+            ? `${stream.id ?? stream.quality}-${stream.codecid ?? stream.codecs?.split(".")[0]}`
+            : stream.id ?? stream.quality,
+        type,
+        codec: stream.codecs,
+        width: stream.width,
+        height: stream.height,
+        fps: stream.frameRate || stream.frame_rate,
+        bitrate: stream.bandwidth,
+        size: stream.size,
+        duration,
+        source: stream,
+    });
+
+    return [
+        ...(dashData?.video || []).map(toFormat("video")),
+        ...(dashData?.audio || []).map(toFormat("audio")),
+    ];
+}
+
+async function com_download(id, partId, o) {
     const url = new URL(`https://bilibili.com/video/${id}`);
 
     if (partId) {
@@ -44,11 +100,37 @@ async function com_download(id, partId) {
         html.split('<script>window.__playinfo__=')[1].split('</script>')[0]
     );
 
-    if (streamData.data.timelength > env.durationLimit * 1000) {
-        return { error: "content.too_long" };
+    const durationError = checkDuration(streamData.data.timelength / 1000, o.clip);
+    if (durationError) {
+        return { error: durationError };
+    }
+
+    if (o.listFormats) {
+        const videoData = getVideoData(html);
+        const duration = streamData.data.timelength / 1000;
+
+        return {
+            info: {
+                id,
+                title: videoData?.title,
+                author: videoData?.owner?.name,
+                duration,
+                description: videoData?.desc,
+                thumbnails: videoData?.pic && [{ url: videoData.pic.replace(/^\/\//, "https://") }],
+                formats: getDashFormats(streamData.data.dash, duration),
+                subtitles: (videoData?.subtitle?.list || []).map(subtitle => ({
+                    language: subtitle.lan,
+                    name: subtitle.lan_doc,
+                    ext: "json",
+                    auto: subtitle.lan?.startsWith("ai-"),
+                })),
+            }
+        }
     }
 
-    const [ video, audio ] = extractBestQuality(streamData.data.dash);
+    const { video, audio, audioOnly, error } = pickStreams(streamData.data.dash, o);
+    if (error) return { error };
+
     if (!video || !audio) {
         return { error: "fetch.empty" };
     }
@@ -62,10 +144,11 @@ async function com_download(id, partId) {
         urls: [video.baseUrl, audio.baseUrl],
         audioFilename: `${filenameBase}_audio`,
         filename: `${filenameBase}_${video.width}x${video.height}.mp4`,
+        isAudioOnly: audioOnly,
     };
 }
 
-async function tv_download(id) {
+async function tv_download(id, o) {
     const url = new URL(
         'https://api.bilibili.tv/intl/gateway/web/playurl'
         + '?s_locale=en_US&platform=web&qn=64&type=0&device=wap'
@@ -79,37 +162,73 @@ async function tv_download(id) {
         return { error: "fetch.empty" };
     }
 
-    const [ video, audio ] = extractBestQuality({
-        video: data.playurl.video.map(s => s.video_resource)
-                                 .filter(s => s.codecs.includes('avc1')),
-        audio: data.playurl.audio_resource
-    });
+    if (o.listFormats) {
+        if (data.playurl.duration > env.durationLimit * 1000) {
+            return { error: "content.too_long" };
+        }
+
+        const html = await fetch(`https://www.bilibili.tv/en/video/${id}`, {
+            headers: {
+                "user-agent": genericUserAgent
+            }
+        })
+        .then(r => r.text())
+        .catch(() => {});
+
+        const duration = data.playurl.duration / 1000;
+        const thumbnail = getMetaTag(html, "og:image");
+
+        return {
+            info: {
+                id,
+                title: getMetaTag(html, "og:title"),
+                duration,
+                description: getMetaTag(html, "og:description"),
+                thumbnails: thumbnail && [{ url: thumbnail }],
+                formats: getDashFormats({
+                    video: data.playurl.video.map(s => s.video_resource).filter(s => s.url),
+                    audio: data.playurl.audio_resource?.filter(s => s.url),
+                }, duration),
+                subtitles: [],
+            }
+        }
+    }
+
+    const videos = data.playurl.video.map(s => s.video_resource).filter(s => s.url);
+    const { video, audio, audioOnly, error } = pickStreams({
+        // only avc1 is picked by default, other codecs have to be asked for
+        video: o.formatId ? videos : videos.filter(s => s.codecs.includes('avc1')),
+        audio: data.playurl.audio_resource?.filter(s => s.url),
+    }, o);
+    if (error) return { error };
 
     if (!video || !audio) {
         return { error: "fetch.empty" };
     }
 
-    if (video.duration > env.durationLimit * 1000) {
-        return { error: "content.too_long" };
+    const durationError = checkDuration(video.duration / 1000, o.clip);
+    if (durationError) {
+        return { error: durationError };
     }
 
     return {
         urls: [video.url, audio.url],
         audioFilename: `bilibili_tv_${id}_audio`,
-        filename: `bilibili_tv_${id}.mp4`
+        filename: `bilibili_tv_${id}.mp4`,
+        isAudioOnly: audioOnly,
     };
 }
 
-export default async function({ comId, tvId, comShortLink, partId }) {
+export default async function({ comId, tvId, comShortLink, partId, ...o }) {
     if (comShortLink) {
         const patternMatch = await resolveRedirectingURL(`https://b23.tv/${comShortLink}`);
         comId = patternMatch?.comId;
     }
 
     if (comId) {
-        return com_download(comId, partId);
+        return com_download(comId, partId, o);
     } else if (tvId) {
-        return tv_download(tvId);
+        return tv_download(tvId, o);
     }
 
     return { error: "fetch.fail" };
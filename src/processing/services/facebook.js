@@ -1,4 +1,7 @@
 import { genericUserAgent } from "../../config.js";
+import { createServiceFetch } from "../../util/outbound-limiter.js";
+
+const fetch = createServiceFetch("facebook");
 
 const headers = {
     'User-Agent': genericUserAgent,
@@ -3,6 +3,9 @@ import { resolveRedirectingURL } from "../url.js";
 import { genericUserAgent } from "../../config.js";
 import { createStream } from "../../stream/manage.js";
 import { getCookie, updateCookie } from "../cookie/manager.js";
+import { createServiceFetch } from "../../util/outbound-limiter.js";
+
+const fetch = createServiceFetch("instagram");
 
 const commonHeaders = {
     "user-agent": genericUserAgent,
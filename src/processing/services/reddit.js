@@ -1,6 +1,11 @@
 import { resolveRedirectingURL } from "../url.js";
 import { genericUserAgent, env } from "../../config.js";
 import { getCookie, updateCookieValues } from "../cookie/manager.js";
+import { createServiceFetch } from "../../util/outbound-limiter.js";
+import { parseMimeType, selectFormats } from "../media-info.js";
+import { checkDuration } from "../clip.js";
+
+const fetch = createServiceFetch("reddit");
 
 async function getAccessToken() {
     /* "cookie" in cookiefile needs to contain:
@@ -48,6 +53,91 @@ async function getAccessToken() {
     return access_token;
 }
 
+const parseAttributes = (tag) => Object.fromEntries(
+    [...tag.matchAll(/(\w+)="([^"]*)"/g)].map(([, name, value]) => [name, value])
+);
+
+// every representation in a dash manifest, named after its file (e.g. DASH_720, DASH_AUDIO_128)
+function parseDashManifest(manifest, manifestUrl, duration) {
+    const formats = [];
+    if (!manifest) return formats;
+
+    for (const [, setTag, setBody] of manifest.matchAll(/<AdaptationSet\b([^>]*)>([\s\S]*?)<\/AdaptationSet>/g)) {
+        const set = parseAttributes(setTag);
+
+        for (const [, tag, body] of setBody.matchAll(/<Representation\b([^>]*)>([\s\S]*?)<\/Representation>/g)) {
+            const representation = { ...set, ...parseAttributes(tag) };
+            const file = body.match(/<BaseURL>([^<]+)<\/BaseURL>/)?.[1];
+            const [ frames, seconds = 1 ] = String(representation.frameRate).split('/');
+
+            formats.push({
+                ...parseMimeType(representation.mimeType),
+                id: file?.split('.')[0] || representation.id,
+                type: (representation.contentType || representation.mimeType)?.startsWith('audio')
+                    ? "audio" : "video",
+                codec: representation.codecs,
+                width: representation.width,
+                height: representation.height,
+                fps: frames / seconds,
+                bitrate: representation.bandwidth,
+                duration,
+                source: file && new URL(file, manifestUrl).toString(),
+            });
+        }
+    }
+
+    return formats;
+}
+
+// metadata and every format of a post, as listed by POST /info and picked by formatId
+async function getInfo(data) {
+    const video = data.secure_media?.reddit_video;
+    const preview = data.preview?.images?.[0];
+    const decodeURL = url => url?.replaceAll('&amp;', '&');
+
+    let formats = [];
+    if (video?.dash_url) {
+        const manifestUrl = decodeURL(video.dash_url);
+        const manifest = await fetch(manifestUrl).then(r => r.text()).catch(() => {});
+        formats = parseDashManifest(manifest, manifestUrl, video.duration);
+    }
+
+    if (!formats.length && video?.fallback_url) {
+        formats.push({
+            id: video.fallback_url.split('?')[0].split('/').pop().split('.')[0],
+            type: video.has_audio ? "video+audio" : "video",
+            ext: "mp4",
+            width: video.width,
+            height: video.height,
+            bitrate: video.bitrate_kbps * 1000,
+            source: video.fallback_url.split('?')[0],
+        });
+    }
+
+    if (!formats.length && data.url?.endsWith('.gif')) {
+        formats.push({
+            id: "gif",
+            type: "image",
+            ext: "gif",
+            width: preview?.source?.width,
+            height: preview?.source?.height,
+            source: data.url,
+        });
+    }
+
+    return {
+        id: data.id,
+        title: data.title,
+        author: data.author,
+        duration: video?.duration,
+        description: data.selftext,
+        thumbnails: [preview?.source, ...(preview?.resolutions || [])]
+            .map(image => image && { ...image, url: decodeURL(image.url) }),
+        formats,
+        subtitles: [],
+    }
+}
+
 export default async function(obj) {
     let params = obj;
     const accessToken = await getAccessToken();
@@ -94,6 +184,21 @@ export default async function(obj) {
         sourceId = params.id;
     }
 
+    if (obj.listFormats && data) {
+        if (data.secure_media?.reddit_video?.duration > env.durationLimit)
+            return { error: "content.too_long" };
+
+        const info = await getInfo(data);
+        if (!info.formats.length)
+            return { error: "fetch.empty" };
+
+        return { info };
+    }
+
+    const selected = (obj.formatId || obj.audioFormatId) && data
+        && selectFormats((await getInfo(data)).formats, obj);
+    if (selected?.error) return selected;
+
     if (data?.url?.endsWith('.gif')) return {
         typeId: "redirect",
         urls: data.url,
@@ -103,20 +208,31 @@ export default async function(obj) {
     if (!data.secure_media?.reddit_video)
         return { error: "fetch.empty" };
 
-    if (data.secure_media?.reddit_video?.duration > env.durationLimit)
-        return { error: "content.too_long" };
+    const durationError = checkDuration(data.secure_media?.reddit_video?.duration, obj.clip);
+    if (durationError)
+        return { error: durationError };
 
-    const video = data.secure_media?.reddit_video?.fallback_url?.split('?')[0];
+    const video = selected?.video?.source ?? data.secure_media?.reddit_video?.fallback_url?.split('?')[0];
+
+    // muxed formats are only available as is
+    if (selected?.video?.type === "video+audio" || (selected?.audio && selected.audio.type !== "audio")) {
+        return {
+            typeId: "redirect",
+            urls: (selected.audio ?? selected.video).source,
+        }
+    }
 
-    let audio = false,
-        audioFileLink = `${data.secure_media?.reddit_video?.fallback_url?.split('DASH')[0]}audio`;
+    let audio = selected?.audio?.type === "audio",
+        audioFileLink = audio
+            ? selected.audio.source
+            : `${data.secure_media?.reddit_video?.fallback_url?.split('DASH')[0]}audio`;
 
-    if (video.match('.mp4')) {
+    if (!audio && video.match('.mp4')) {
         audioFileLink = `${video.split('_')[0]}_audio.mp4`
     }
 
-    // test the existence of audio
-    await fetch(audioFileLink, { method: "HEAD" }).then(r => {
+    // test the existence of audio, unless it was picked
+    if (!audio) await fetch(audioFileLink, { method: "HEAD" }).then(r => {
         if (Number(r.status) === 200) {
             audio = true
         }
@@ -142,6 +258,7 @@ export default async function(obj) {
         type: "merge",
         urls: [video, audioFileLink],
         audioFilename: `reddit_${sourceId}_audio`,
-        filename: `reddit_${sourceId}.mp4`
+        filename: `reddit_${sourceId}.mp4`,
+        isAudioOnly: selected?.audioOnly,
     }
 }
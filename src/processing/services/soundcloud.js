@@ -1,5 +1,9 @@
-import { env } from "../../config.js";
 import { resolveRedirectingURL } from "../url.js";
+import { createServiceFetch } from "../../util/outbound-limiter.js";
+import { parseMimeType, selectFormats } from "../media-info.js";
+import { checkDuration } from "../clip.js";
+
+const fetch = createServiceFetch("soundcloud");
 
 const cachedID = {
     version: '',
@@ -61,6 +65,91 @@ const findBestForPreset = (transcodings, preset) => {
     return inferior;
 }
 
+// bitrates of presets that don't have it in their name (e.g. aac_160k does)
+const presetBitrates = {
+    mp3: 128000,
+    opus: 64000,
+}
+
+// every usable transcoding of a track, as listed by POST /info and picked by formatId
+const getFormats = (transcodings) => transcodings
+    .filter(entry => !entry.snipped && !entry.format?.protocol?.includes('encrypted'))
+    .map(entry => {
+        const [ codec ] = entry.preset?.split('_') || [];
+        const kbps = entry.preset?.match(/_(\d+)k/)?.[1];
+        const { ext } = parseMimeType(entry.format?.mime_type);
+
+        return {
+            id: `${entry.preset}_${entry.format?.protocol}`,
+            type: "audio",
+            ext: codec === "opus" ? "opus" : ext === "mpeg" ? "mp3" : ext,
+            codec,
+            bitrate: kbps ? kbps * 1000 : presetBitrates[codec],
+            duration: entry.duration / 1000,
+            note: entry.format?.protocol,
+            source: entry,
+        }
+    });
+
+// every transcoding and artwork size of a track, for POST /info
+function getInfo(json) {
+    const artwork = json.artwork_url || json.user?.avatar_url;
+
+    return {
+        id: json.id,
+        title: json.title,
+        author: json.user?.username,
+        duration: json.duration / 1000,
+        description: json.description,
+        thumbnails: artwork && [
+            { url: artwork.replace(/-large/, "-t1080x1080"), width: 1080, height: 1080 },
+            { url: artwork.replace(/-large/, "-t500x500"), width: 500, height: 500 },
+            { url: artwork, width: 100, height: 100 },
+        ],
+        formats: getFormats(json.media.transcodings),
+        subtitles: [],
+    }
+}
+
+// ids and links of the newest tracks of a user.
+// used by subscriptions, which extract each new track on its own like a regular link
+export async function listTracks({ author, limit }) {
+    const clientId = await findClientID();
+    if (!clientId) return { error: "fetch.fail" };
+
+    const resolveURL = new URL("https://api-v2.soundcloud.com/resolve");
+    resolveURL.searchParams.set("url", `https://soundcloud.com/${author}`);
+    resolveURL.searchParams.set("client_id", clientId);
+
+    const user = await fetch(resolveURL).then(r => r.json()).catch(() => {});
+    if (user?.kind !== "user") return { error: "fetch.empty" };
+
+    const items = [];
+    let next = new URL(`https://api-v2.soundcloud.com/users/${user.id}/tracks`);
+    next.searchParams.set("limit", "50");
+
+    while (next && items.length < limit) {
+        next.searchParams.set("client_id", clientId);
+
+        const page = await fetch(next).then(r => r.json()).catch(() => {});
+        if (!Array.isArray(page?.collection)) {
+            // the pages listed so far are still good
+            if (items.length) break;
+            return { error: "fetch.fail" };
+        }
+
+        for (const track of page.collection) {
+            if (track?.id && track.permalink_url) {
+                items.push({ id: String(track.id), url: track.permalink_url });
+            }
+        }
+
+        next = page.next_href && new URL(page.next_href);
+    }
+
+    return { items: items.slice(0, limit) };
+}
+
 export default async function(obj) {
     const clientId = await findClientID();
     if (!clientId) return { error: "fetch.fail" };
@@ -93,8 +182,9 @@ export default async function(obj) {
     const json = await fetch(resolveURL).then(r => r.json()).catch(() => {});
     if (!json) return { error: "fetch.fail" };
 
-    if (json.duration > env.durationLimit * 1000) {
-        return { error: "content.too_long" };
+    const durationError = checkDuration(json.duration / 1000, obj.clip);
+    if (durationError) {
+        return { error: durationError };
     }
 
     if (json.policy === "BLOCK") {
@@ -109,6 +199,10 @@ export default async function(obj) {
         return { error: "fetch.empty" };
     }
 
+    if (obj.listFormats) {
+        return { info: getInfo(json) };
+    }
+
     let bestAudio = "opus",
         selectedStream = findBestForPreset(json.media.transcodings, "opus");
 
@@ -120,6 +214,15 @@ export default async function(obj) {
         bestAudio = "mp3"
     }
 
+    // every format is audio, so formatId and audioFormatId both pick the transcoding
+    const selected = selectFormats(getFormats(json.media.transcodings), { ...obj, isAudioOnly: true });
+    if (selected?.error) return selected;
+
+    if (selected) {
+        selectedStream = selected.audio.source;
+        bestAudio = selected.audio.ext;
+    }
+
     if (!selectedStream) {
         return { error: "fetch.empty" };
     }
@@ -6,6 +6,10 @@ import { updateCookie } from "../cookie/manager.js";
 import { createStream } from "../../stream/manage.js";
 import { convertLanguageCode } from "../../misc/language-codes.js";
 import { logger } from "../../util/logger.js";
+import { createServiceFetch } from "../../util/outbound-limiter.js";
+import { selectFormats } from "../media-info.js";
+
+const fetch = createServiceFetch("tiktok");
 
 const shortDomain = "https://vt.tiktok.com/";
 
@@ -878,6 +882,99 @@ async function handleUserProfile(user, cookie, obj) {
     };
 }
 
+/**
+ * List the formats of a post, as listed by POST /info and picked by formatId
+ * Videos are listed with every bitrate/codec TikTok has, slideshows with their images,
+ * both with the original sound as an audio format
+ * 
+ * @param {Object} detail - itemStruct of the post
+ * @returns {Array<Object>} Formats, with the URL of each in source
+ */
+function getFormats(detail) {
+    const video = detail.video;
+    const images = detail.imagePost?.images;
+    const formats = [];
+
+    if (images) {
+        images.forEach((image, i) => formats.push({
+            id: `photo_${i + 1}`,
+            type: "image",
+            ext: "jpg",
+            width: image.imageWidth,
+            height: image.imageHeight,
+            item: i + 1,
+            source: image.imageURL?.urlList?.find(p => p.includes(".jpeg?")),
+        }));
+    } else if (video?.bitrateInfo?.length) {
+        for (const entry of video.bitrateInfo) {
+            formats.push({
+                id: entry.GearName,
+                type: "video+audio",
+                ext: "mp4",
+                codec: entry.CodecType,
+                width: entry.PlayAddr?.Width,
+                height: entry.PlayAddr?.Height,
+                bitrate: entry.Bitrate,
+                size: entry.PlayAddr?.DataSize,
+                duration: video.duration,
+                source: entry.PlayAddr?.UrlList?.[0],
+            });
+        }
+    } else if (video?.playAddr) {
+        formats.push({
+            id: "default",
+            type: "video+audio",
+            ext: video.format || "mp4",
+            codec: video.codecType,
+            width: video.width,
+            height: video.height,
+            bitrate: video.bitrate,
+            duration: video.duration,
+            source: video.playAddr,
+        });
+    }
+
+    if (detail.music?.playUrl) {
+        formats.push({
+            id: "original_audio",
+            type: "audio",
+            ext: detail.music.playUrl.includes("mime_type=audio_mpeg") ? "mp3" : "m4a",
+            duration: detail.music.duration,
+            note: [detail.music.title, detail.music.authorName].filter(Boolean).join(" - "),
+            source: detail.music.playUrl,
+        });
+    }
+
+    return formats;
+}
+
+/**
+ * Get the metadata, formats and subtitles of a post, for POST /info
+ * 
+ * @param {Object} detail - itemStruct of the post
+ * @param {string} postId - Post ID
+ * @returns {Object} Media info
+ */
+function getInfo(detail, postId) {
+    const video = detail.video;
+    const cover = video?.originCover || video?.cover;
+
+    return {
+        id: postId,
+        title: detail.desc,
+        author: detail.author?.uniqueId,
+        duration: video?.duration || detail.music?.duration,
+        description: detail.desc,
+        thumbnails: cover && [{ url: cover, width: video.width, height: video.height }],
+        formats: getFormats(detail),
+        subtitles: (video?.subtitleInfos || []).map(subtitle => ({
+            language: subtitle.LanguageCodeName,
+            ext: subtitle.Format === "webvtt" ? "vtt" : subtitle.Format,
+            auto: ["ASR", "MT"].includes(subtitle.Source),
+        })),
+    };
+}
+
 /**
  * Main TikTok handler - processes single videos, playlists, and user profiles
  * Priority order: Playlist > User Profile > Single Video
@@ -892,10 +989,19 @@ async function handleUserProfile(user, cookie, obj) {
  * @param {boolean} obj.fullAudio - Use original audio instead of watermarked
  * @param {boolean} obj.h265 - Allow H.265/HEVC codec
  * @param {boolean} obj.isAudioOnly - Extract audio only
+ * @param {string} obj.formatId - Format to download, as listed by POST /info
+ * @param {string} obj.audioFormatId - Audio format to download, as listed by POST /info
  * @returns {Promise<Object>} Response object with video/audio URLs or picker
  */
 export default async function(obj) {
     const cookie = new Cookie({});
+
+    /**
+     * Playlists and profiles are lists of posts, there's no single media to describe
+     */
+    if (obj.listFormats && !obj.postId && !obj.shortLink) {
+        return { error: "info.unsupported" };
+    }
     
     /**
      * PRIORITY 1: Handle playlist/mix
@@ -1114,19 +1220,49 @@ export default async function(obj) {
         return { error: "fetch.empty" };
     }
 
+    if (obj.listFormats) {
+        return { info: getInfo(detail, postId) };
+    }
+
     let video, videoFilename, audioFilename, audio, images,
         filenameBase = `tiktok_${detail.author?.uniqueId}_${postId}`,
         bestAudio; // Will be defaulted to m4a later in match-action
 
     images = detail.imagePost?.images;
 
+    /**
+     * Formats picked by formatId/audioFormatId replace the heuristics below
+     */
+    const selected = selectFormats(getFormats(detail), obj);
+    if (selected?.error) return selected;
+
+    if (selected?.video?.type === "image") {
+        return {
+            type: "proxy",
+            isPhoto: true,
+            urls: selected.video.source,
+            filename: `${filenameBase}_${selected.video.id}.jpg`,
+            headers: { cookie }
+        }
+    }
+
+    if (selected?.audioOnly) {
+        return {
+            urls: selected.audio.source,
+            audioFilename: `${filenameBase}_audio${selected.audio.id === "original_audio" ? "_original" : ""}`,
+            isAudioOnly: true,
+            bestAudio: selected.audio.ext === "mp3" ? "mp3" : undefined,
+            headers: { cookie }
+        }
+    }
+
     /**
      * Get video play address
      * Support H.265/HEVC codec if requested
      */
-    let playAddr = detail.video?.playAddr;
+    let playAddr = selected?.video?.source ?? detail.video?.playAddr;
 
-    if (obj.h265) {
+    if (obj.h265 && !selected?.video) {
         // Find H.265 stream in bitrate info
         const h265PlayAddr = detail?.video?.bitrateInfo?.find(b => b.CodecType.includes("h265"))?.PlayAddr.UrlList[0]
         playAddr = h265PlayAddr || playAddr
@@ -2,6 +2,10 @@ import HLS from "hls-parser";
 import { genericUserAgent } from "../../config.js";
 import { createStream } from "../../stream/manage.js";
 import { getCookie, updateCookie } from "../cookie/manager.js";
+import { createServiceFetch } from "../../util/outbound-limiter.js";
+import { selectFormats } from "../media-info.js";
+
+const fetch = createServiceFetch("twitter");
 
 const graphqlURL = 'https://api.x.com/graphql/4Siu98E55GquhG52zHdY5w/TweetDetail';
 const tokenURL = 'https://api.x.com/1.1/guest/activate.json';
@@ -149,14 +153,40 @@ const parseCard = (cardOuter) => {
     return [card.media_entities[mediaId]];
 };
 
-const extractGraphqlMedia = async (thread, dispatcher, id, guestToken, cookie) => {
+const findTweetResult = (thread, id) => {
     const addInsn = thread?.data?.threaded_conversation_with_injections_v2?.instructions?.find(
         insn => insn.type === 'TimelineAddEntries'
     );
 
-    const tweetResult = addInsn?.entries?.find(
+    return addInsn?.entries?.find(
         entry => entry.entryId === `tweet-${id}`
     )?.content?.itemContent?.tweet_results?.result;
+}
+
+// author and text of a tweet from either the graphql or the syndication api
+const getTweetDetails = (tweet, id) => {
+    if (!tweet?.data) {
+        return {
+            author: tweet.user?.screen_name,
+            text: tweet.text,
+        }
+    }
+
+    let tweetResult = findTweetResult(tweet, id);
+    if (tweetResult?.__typename === "TweetWithVisibilityResults") {
+        tweetResult = tweetResult.tweet;
+    }
+
+    const user = tweetResult?.core?.user_results?.result;
+
+    return {
+        author: user?.core?.screen_name ?? user?.legacy?.screen_name,
+        text: tweetResult?.legacy?.full_text,
+    }
+}
+
+const extractGraphqlMedia = async (thread, dispatcher, id, guestToken, cookie) => {
+    const tweetResult = findTweetResult(thread, id);
 
     let tweetTypename = tweetResult?.__typename;
 
@@ -197,7 +227,7 @@ const extractGraphqlMedia = async (thread, dispatcher, id, guestToken, cookie) =
     return (repostedTweet?.media || baseTweet?.extended_entities?.media);
 }
 
-export default async function({ id, index, toGif, dispatcher, alwaysProxy, subtitleLang }) {
+export default async function({ id, index, toGif, dispatcher, alwaysProxy, subtitleLang, isAudioOnly, listFormats, formatId, audioFormatId }) {
     const cookie = await getCookie('twitter');
 
     let guestToken = await getGuestToken(dispatcher);
@@ -250,6 +280,85 @@ export default async function({ id, index, toGif, dispatcher, alwaysProxy, subti
         url, filename,
     });
 
+    // every photo and mp4 variant of the tweet's media, as listed by POST /info and picked by formatId
+    const getFormats = (media) => media.flatMap((item, i) => {
+        const itemNumber = media.length > 1 ? i + 1 : undefined;
+
+        if (item.type === "photo") {
+            return [{
+                id: itemNumber ? `${itemNumber}-photo` : "photo",
+                type: "image",
+                ext: getFileExt(item.media_url_https),
+                width: item.original_info?.width,
+                height: item.original_info?.height,
+                item: itemNumber,
+                source: { index: i },
+            }];
+        }
+
+        const duration = item.video_info?.duration_millis / 1000;
+
+        return (item.video_info?.variants || [])
+            .filter(v => v.content_type === "video/mp4")
+            .map(variant => {
+                const [ width, height ] = variant.url.match(/\/(\d+)x(\d+)\//)?.slice(1) || [];
+
+                return {
+                    id: itemNumber ? `${itemNumber}-${variant.bitrate}` : variant.bitrate,
+                    type: item.type === "animated_gif" ? "video" : "video+audio",
+                    ext: "mp4",
+                    codec: "avc1",
+                    width,
+                    height,
+                    bitrate: variant.bitrate,
+                    duration,
+                    item: itemNumber,
+                    source: { index: i, url: variant.url },
+                };
+            });
+    });
+
+    // every format and subtitle track of the tweet's media, for POST /info
+    const getInfo = async (media, { author, text }) => {
+        const subtitles = [];
+
+        for (const item of media) {
+            const variants = item.video_info?.variants || [];
+            const hlsVariant = variants.find(v => v.content_type === "application/x-mpegURL");
+            if (!hlsVariant || subtitles.length) continue;
+
+            const mainHls = await fetch(hlsVariant.url, { dispatcher }).then(r => r.text()).catch(() => {});
+            if (!mainHls) continue;
+
+            try {
+                for (const subtitle of HLS.parse(mainHls)?.variants[0]?.subtitles || []) {
+                    subtitles.push({
+                        language: subtitle.language,
+                        name: subtitle.name,
+                        ext: "vtt",
+                    });
+                }
+            } catch {}
+        }
+
+        const duration = media.find(item => item.video_info)?.video_info?.duration_millis / 1000;
+
+        return {
+            id,
+            title: text,
+            author,
+            duration,
+            description: text,
+            thumbnails: media.map(item => ({
+                url: item.media_url_https,
+                width: item.original_info?.width,
+                height: item.original_info?.height,
+            })),
+            formats: getFormats(media),
+            subtitles,
+        }
+    }
+
     const extractSubtitles = async (hlsUrl) => {
         const mainHls = await fetch(hlsUrl).then(r => r.text()).catch(() => {});
         if (!mainHls) return;
@@ -274,6 +383,19 @@ export default async function({ id, index, toGif, dispatcher, alwaysProxy, subti
         };
     }
 
+    if (listFormats && media?.length) {
+        return { info: await getInfo(media, getTweetDetails(tweet, id)) };
+    }
+
+    // a picked format narrows the tweet down to the media it belongs to
+    const selected = media?.length && selectFormats(getFormats(media), { formatId, audioFormatId, isAudioOnly });
+    if (selected?.error) return selected;
+
+    const picked = selected && (selected.video ?? selected.audio);
+    if (picked) {
+        media = [media[picked.source.index]];
+    }
+
     switch (media?.length) {
         case undefined:
         case 0:
@@ -306,7 +428,7 @@ export default async function({ id, index, toGif, dispatcher, alwaysProxy, subti
 
             return {
                 type: subtitles || needsFixing(mediaItem) ? "remux" : "proxy",
-                urls: bestQuality(mediaItem.video_info.variants),
+                urls: picked?.source.url ?? bestQuality(mediaItem.video_info.variants),
                 filename: `twitter_${id}.mp4`,
                 audioFilename: `twitter_${id}_audio`,
                 isGif: mediaItem.type === "animated_gif",
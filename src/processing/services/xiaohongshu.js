@@ -1,6 +1,9 @@
 import { resolveRedirectingURL } from "../url.js";
 import { genericUserAgent } from "../../config.js";
 import { createStream } from "../../stream/manage.js";
+import { createServiceFetch } from "../../util/outbound-limiter.js";
+
+const fetch = createServiceFetch("xiaohongshu");
 
 const https = (url) => {
     return url.replace(/^http:/i, 'https:');
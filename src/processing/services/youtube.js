@@ -1,12 +1,17 @@
 import HLS from "hls-parser";
 
-import { fetch } from "undici";
+import { fetch as undiciFetch } from "undici";
 import { Innertube, Session } from "youtubei.js";
 
 import { env } from "../../config.js";
 import { getCookie } from "../cookie/manager.js";
 import { getYouTubeSession } from "../helpers/youtube-session.js";
 import { YOUTUBE } from "../../util/constants.js";
+import { createServiceFetch } from "../../util/outbound-limiter.js";
+import { parseMimeType, selectFormats } from "../media-info.js";
+import { checkDuration } from "../clip.js";
+
+const fetch = createServiceFetch("youtube", undiciFetch);
 
 const PLAYER_REFRESH_PERIOD = YOUTUBE.PLAYER_REFRESH_PERIOD;
 
@@ -165,6 +170,151 @@ const getSubtitles = async (info, dispatcher, subtitleLang) => {
     }
 }
 
+// chapters are timestamps at the start of description lines, e.g. "1:02:03 - title".
+// like youtube itself, we only accept them if the first one is at 0:00,
+// there are at least 3 and they're in order
+const getChapters = (description, duration) => {
+    if (!description || !duration) return;
+
+    const chapters = [];
+
+    for (const line of description.split("\n")) {
+        const match = line.trim().match(/^(?:(\d{1,2}):)?(\d{1,2}):(\d{2})\s*[-–—:|]?\s*(.+)$/);
+        if (!match) continue;
+
+        const [ , hours = 0, minutes, seconds, title ] = match;
+        const start = Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds);
+
+        if (start >= duration || (chapters.length && start <= chapters.at(-1).start)) {
+            return;
+        }
+
+        chapters.push({ start, title: title.trim() });
+    }
+
+    if (chapters.length < 3 || chapters[0].start !== 0) return;
+
+    return chapters.map((chapter, i) => ({
+        ...chapter,
+        end: chapters[i + 1]?.start ?? duration,
+    }));
+}
+
+// every format of a video by itag, as listed by POST /info and picked by formatId
+const listFormats = (info) => [
+    ...(info.streaming_data?.formats || []),
+    ...(info.streaming_data?.adaptive_formats || []),
+].filter(format => !format.drm_families && format.content_length).map(format => {
+    const { ext, codec } = parseMimeType(format.mime_type);
+    const type = format.has_video
+        ? (format.has_audio ? "video+audio" : "video")
+        : "audio";
+
+    return {
+        id: format.itag,
+        type,
+        ext,
+        codec,
+        width: format.width,
+        height: format.height,
+        fps: format.fps,
+        bitrate: format.average_bitrate || format.bitrate,
+        size: format.content_length,
+        duration: format.approx_duration_ms / 1000,
+        language: format.has_audio ? format.language : undefined,
+        note: format.audio_track?.display_name,
+        source: format,
+    }
+});
+
+// the codec of codecList a format is encoded with
+const getFormatCodec = (format) => Object.keys(codecList).find(yCodec =>
+    format.mime_type.includes(codecList[yCodec].videoCodec)
+);
+
+// container of a format, e.g. "mp4" or "webm"
+const getContainer = (format) => format.mime_type.split(";")[0].split("/")[1];
+
+// every format and caption track of a video, for POST /info
+const getInfo = (info) => {
+    const basicInfo = info.basic_info;
+
+    const subtitles = (info.captions?.caption_tracks || []).map(caption => ({
+        language: caption.language_code,
+        name: caption.name?.text ?? caption.name?.toString(),
+        ext: "vtt",
+        auto: caption.kind === "asr",
+    }));
+
+    return {
+        id: basicInfo.id,
+        title: basicInfo.title,
+        author: basicInfo.author?.replace("- Topic", ""),
+        duration: basicInfo.duration,
+        description: basicInfo.short_description,
+        thumbnails: basicInfo.thumbnail,
+        formats: listFormats(info),
+        subtitles,
+    }
+}
+
+// ids of the newest videos of a channel (by handle or channel id), or of the videos of a playlist.
+// used by subscriptions, which extract each new video on its own like a regular link
+export const listVideos = async ({ handle, channelId, playlistId, url, limit }) => {
+    let yt;
+    try {
+        yt = await cloneInnertube(fetch, false);
+    } catch {
+        return { error: "fetch.fail" };
+    }
+
+    let feed;
+    try {
+        if (playlistId) {
+            feed = await yt.getPlaylist(playlistId);
+        } else {
+            if (!channelId) {
+                const endpoint = await yt.resolveURL(`https://www.youtube.com/@${handle}`);
+                channelId = endpoint?.payload?.browseId;
+            }
+
+            if (!channelId) return { error: "fetch.empty" };
+
+            const channel = await yt.getChannel(channelId);
+
+            // channels without uploads have no videos tab
+            if (!channel.has_videos) return { items: [] };
+
+            feed = await channel.getVideos();
+        }
+    } catch {
+        return { error: "fetch.fail" };
+    }
+
+    const ids = new Set();
+    try {
+        while (true) {
+            for (const video of feed.videos) {
+                const id = video.video_id ?? video.id;
+                if (id) ids.add(id);
+            }
+
+            if (ids.size >= limit || !feed.has_continuation) break;
+            feed = await feed.getContinuation();
+        }
+    } catch {
+        // the pages listed so far are still good
+    }
+
+    return {
+        items: [...ids].slice(0, limit).map(id => ({
+            id,
+            // music.youtube.com links stay there, so they're extracted as audio
+            url: new URL(`/watch?v=${id}`, url).href,
+        })),
+    };
+}
+
 export default async function (o) {
     const quality = o.quality === "max" ? 9000 : Number(o.quality);
 
@@ -176,6 +326,11 @@ export default async function (o) {
         useHLS = false;
     }
 
+    // formats are listed and picked from the adaptive formats, not HLS variants
+    if (o.listFormats || o.formatId || o.audioFormatId) {
+        useHLS = false;
+    }
+
     if (useHLS) {
         innertubeClient = "IOS";
     }
@@ -190,6 +345,9 @@ export default async function (o) {
                 && (
                     (quality > 1080 && o.codec !== "h264")
                     || (quality > 1080 && o.codec !== "vp9")
+                    // formats above 1080p are listed and can be picked too
+                    || o.listFormats
+                    || o.formatId
                 )
             )
         );
@@ -288,8 +446,10 @@ export default async function (o) {
         return { error: "content.video.live" };
     }
 
-    if (basicInfo.duration > env.durationLimit) {
-        return { error: "content.too_long" };
+    // the duration limit applies to the clip, if only a part is requested
+    const durationError = checkDuration(basicInfo.duration, o.clip);
+    if (durationError) {
+        return { error: durationError };
     }
 
     // return a critical error if returned video is "Video Not Available"
@@ -301,13 +461,18 @@ export default async function (o) {
         }
     }
 
+    if (o.listFormats) {
+        return { info: getInfo(info) };
+    }
+
     const normalizeQuality = res => {
         const shortestSide = Math.min(res.height, res.width);
         return videoQualities.find(qual => qual >= shortestSide);
     }
 
-    let video, audio, subtitles, dubbedLanguage,
-        codec = o.codec || "h264", itag = o.itag;
+    let video, audio, subtitles, dubbedLanguage, container,
+        codec = o.codec || "h264", itag = o.itag,
+        isAudioOnly = o.isAudioOnly;
 
     if (useHLS) {
         const variants = await getHlsVariants(
@@ -360,6 +525,53 @@ export default async function (o) {
         selected.audio = [];
         selected.subtitles = [];
         video = selected;
+    } else if (o.formatId || o.audioFormatId) {
+        const formats = listFormats(info);
+
+        const selected = selectFormats(formats, o);
+        if (selected.error) return selected;
+
+        video = selected.video?.source;
+        audio = selected.audio?.source;
+        isAudioOnly = selected.audioOnly;
+
+        // best format of a type in the same container as the one that was picked
+        const bestMatching = (type, format) => formats
+            .filter(f => f.type === type && getContainer(f.source) === getContainer(format))
+            .map(f => f.source)
+            .sort((a, b) => Number(b.bitrate) - Number(a.bitrate));
+
+        // what wasn't picked is chosen like usual: the original audio track
+        // (or the dubLang one) and the preferred quality
+        if (video && !video.has_audio && !audio) {
+            const audioFormats = bestMatching("audio", video);
+
+            audio = (o.dubLang && audioFormats.find(i => i.language?.startsWith(o.dubLang) && i.audio_track))
+                || audioFormats.find(i => !i.audio_track || i.is_original)
+                || audioFormats[0];
+        }
+
+        if (audio && !video && !isAudioOnly) {
+            const videoFormats = bestMatching("video", audio);
+
+            video = videoFormats.find(i => normalizeQuality(i) === quality)
+                || videoFormats[0];
+        }
+
+        if ((!video && !isAudioOnly) || (!audio && !video?.has_audio)) {
+            return { error: "youtube.no_matching_format" };
+        }
+
+        if (audio?.audio_track && !audio.is_original) {
+            dubbedLanguage = audio.language;
+        }
+
+        if (video) {
+            codec = getFormatCodec(video) || codec;
+            container = !audio || getContainer(video) === getContainer(audio)
+                ? getContainer(video)
+                : "mkv";
+        }
     } else {
         // i miss typescript so bad
         const sorted_formats = {
@@ -467,11 +679,12 @@ export default async function (o) {
             if (!video) video = sorted_formats[codec].bestVideo;
         }
 
-        if (o.subtitleLang && !o.isAudioOnly && info.captions?.caption_tracks?.length) {
-            const videoSubtitles = await getSubtitles(info, o.dispatcher, o.subtitleLang);
-            if (videoSubtitles) {
-                subtitles = videoSubtitles;
-            }
+    }
+
+    if (!useHLS && o.subtitleLang && !isAudioOnly && info.captions?.caption_tracks?.length) {
+        const videoSubtitles = await getSubtitles(info, o.dispatcher, o.subtitleLang);
+        if (videoSubtitles) {
+            subtitles = videoSubtitles;
         }
     }
 
@@ -500,6 +713,8 @@ export default async function (o) {
         fileMetadata.sublanguage = subtitles.language;
     }
 
+    const chapters = getChapters(basicInfo.short_description, basicInfo.duration);
+
     const filenameAttributes = {
         service: "youtube",
         id: o.id,
@@ -520,10 +735,16 @@ export default async function (o) {
         innertubeClient
     };
 
-    if (audio && o.isAudioOnly) {
+    if (audio && isAudioOnly) {
         let bestAudio = codec === "h264" ? "m4a" : "opus";
         let urls = audio.url;
 
+        // a picked audio format is kept as is, the audio of a muxed one has to be extracted
+        if (o.formatId || o.audioFormatId) {
+            bestAudio = audio.has_video ? undefined
+                : getContainer(audio) === "mp4" ? "m4a" : "opus";
+        }
+
         if (useHLS) {
             bestAudio = "mp3";
             urls = audio.uri;
@@ -551,6 +772,7 @@ export default async function (o) {
             bestAudio,
             isHLS: useHLS,
             originalRequest,
+            chapters,
 
             cover,
             cropCover: basicInfo.author.endsWith("- Topic"),
@@ -574,7 +796,9 @@ export default async function (o) {
             });
 
             filenameAttributes.resolution = `${video.width}x${video.height}`;
-            filenameAttributes.extension = o.container === "auto" ? codecList[codec].container : o.container;
+            filenameAttributes.extension = o.container === "auto"
+                ? container || codecList[codec].container
+                : o.container;
 
             if (!clientsWithNoCipher.includes(innertubeClient) && innertube) {
                 video = video.decipher(innertube.session.player);
@@ -598,7 +822,35 @@ export default async function (o) {
             filenameAttributes,
             fileMetadata,
             isHLS: useHLS,
-            originalRequest
+            originalRequest,
+            chapters,
+
+            // only used for tagging auto-downloaded files, older videos
+            // may not have it, in which case the file is left without a cover
+            cover: `https://i.ytimg.com/vi/${o.id}/maxresdefault.jpg`,
+        }
+    }
+
+    // muxed formats (only picked by formatId) already have their audio
+    if (video?.has_audio) {
+        const extension = o.container === "auto" ? container : o.container;
+
+        filenameAttributes.resolution = `${video.width}x${video.height}`;
+        filenameAttributes.extension = extension;
+        filenameAttributes.qualityLabel = `${normalizeQuality(video)}p`;
+        filenameAttributes.youtubeFormat = codec;
+
+        return {
+            type: subtitles || extension !== container ? "remux" : "proxy",
+            urls: !clientsWithNoCipher.includes(innertubeClient) && innertube
+                ? video.decipher(innertube.session.player)
+                : video.url,
+            subtitles: subtitles?.url,
+            filenameAttributes,
+            fileMetadata,
+            originalRequest,
+            chapters,
+            cover: `https://i.ytimg.com/vi/${o.id}/maxresdefault.jpg`,
         }
     }
 
@@ -0,0 +1,58 @@
+/**
+ * Thumbnails
+ *
+ * downloadMode: "thumbnail" returns an image of the media instead of the
+ * media itself. The image is the first one found of:
+ *
+ * 1. The cover the handler returns with the media (e.g., YouTube's
+ *    maxresdefault.jpg or the SoundCloud artwork)
+ * 2. The biggest thumbnail the handler lists for POST /info
+ * 3. The thumbnail of the first picker item, or the photo itself
+ * 4. A frame of the video, grabbed at thumbnailTime
+ *
+ * It's always converted by ffmpeg in a tunnel (see stream/ffmpeg.js), to
+ * thumbnailFormat and, with thumbnailSquare, cropped to a square like covers
+ * of auto-downloaded files.
+ */
+
+/**
+ * Find the thumbnail of a service handler result
+ *
+ * @param {Object} r - Service handler result
+ * @param {Array<Object>} thumbnails - Thumbnails listed by the handler, biggest first (see normalizeInfo)
+ * @param {number} time - Time of the frame to grab from a video without thumbnails, in seconds
+ * @returns {{url: string, frameTime?: number, isHLS?: boolean}|null}
+ *          Image URL, or video URL and the time of its frame; null if there's no image at all
+ */
+export function findThumbnail(r, thumbnails, time = 0) {
+    if (r.cover) {
+        return { url: r.cover };
+    }
+
+    if (thumbnails?.length) {
+        return { url: thumbnails[0].url };
+    }
+
+    if (r.picker) {
+        const [ item ] = r.picker;
+        const url = item?.thumb || (item?.type === "photo" && item.url);
+
+        return url ? { url } : null;
+    }
+
+    const url = Array.isArray(r.urls) ? r.urls[0] : r.urls;
+
+    if (!url || r.isAudioOnly) {
+        return null;
+    }
+
+    if (r.isPhoto) {
+        return { url };
+    }
+
+    return {
+        url,
+        frameTime: time,
+        isHLS: r.isHLS,
+    };
+}
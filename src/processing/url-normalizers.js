@@ -179,6 +179,23 @@ export const aliasMappers = {
 
         return url;
     },
+
+    /**
+     * SoundCloud URL aliasing
+     * 
+     * Handles:
+     * - User pages: soundcloud.com/<user> -> soundcloud.com/<user>/tracks
+     *   (on.soundcloud.com/<id> is a short link, not a user)
+     */
+    soundcloud: (url, host) => {
+        const parts = url.pathname.split('/').filter(Boolean);
+
+        if (host.subdomain !== 'on' && parts.length === 1) {
+            url.pathname = `/${parts[0]}/tracks`;
+        }
+
+        return url;
+    },
 };
 
 /**
@@ -193,13 +210,17 @@ export const cleanMappers = {
     /**
      * YouTube query parameter cleaning
      * 
-     * Keeps: ?v= (video ID)
+     * Keeps: ?v= (video ID), ?list= of playlist pages (playlist ID)
      */
     youtube: (url) => {
         if (url.searchParams.get('v')) {
             url.search = `?v=${encodeURIComponent(url.searchParams.get('v'))}`;
             return false; // Don't strip query
         }
+        if (url.pathname === '/playlist' && url.searchParams.get('list')) {
+            url.search = `?list=${encodeURIComponent(url.searchParams.get('list'))}`;
+            return false; // Don't strip query
+        }
         return true; // Strip all query params
     },
 
@@ -21,6 +21,7 @@ import { services } from "./service-config.js";
 import { getRedirectingURL } from "../misc/utils.js";
 import { friendlyServiceName } from "./service-alias.js";
 import { LRUCache } from "../util/lru-cache.js";
+import { limitedFetch } from "../util/outbound-limiter.js";
 import { applyAliasMapping, applyCleanMapping } from "./url-normalizers.js";
 import { logger } from "../util/logger.js";
 
@@ -94,7 +95,7 @@ function aliasURL(url) {
  * - Trailing slashes
  * 
  * Keeps essential query parameters for certain services:
- * - YouTube: ?v= (video ID)
+ * - YouTube: ?v= (video ID), ?list= (playlist ID of playlist pages)
  * - Bilibili: ?p= (part number)
  * - Twitter: ?post_id= (post ID)
  * - Xiaohongshu: ?xsec_token= (security token)
@@ -308,6 +309,9 @@ export function extract(url, enabledServices = env.enabledServices) {
  * - Service uses redirects before serving media
  * - Need to get canonical URL from a short link
  * 
+ * The requests go through the outbound limiter of the service of the URL,
+ * like any other request to it.
+ * 
  * @param {URL|string} url - Initial URL (may redirect)
  * @param {Object} dispatcher - Network dispatcher for making requests
  * @param {Object} headers - HTTP headers to use for request
@@ -322,7 +326,10 @@ export async function resolveRedirectingURL(url, dispatcher, headers) {
     if (!originalService) return;
 
     // Follow redirect chain to get canonical URL
-    const canonicalURL = await getRedirectingURL(url, dispatcher, headers);
+    const canonicalURL = await getRedirectingURL(
+        url, dispatcher, headers,
+        (send) => (url, init) => limitedFetch(originalService, url, init, { fetch: send })
+    );
     if (!canonicalURL) return;
 
     // Extract service and pattern from final URL
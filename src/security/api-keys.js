@@ -3,7 +3,7 @@ import ip from "ipaddr.js";
 import * as cluster from "../misc/cluster.js";
 import { FileWatcher } from "../misc/file-watcher.js";
 import { logger, logError } from "../util/logger.js";
-import { logger, logError } from "../util/logger.js";
+import { validateTemplate } from "../processing/output-template.js";
 
 // this function is a modified variation of code
 // from https://stackoverflow.com/a/32402438/14855621
@@ -16,7 +16,7 @@ const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12
 
 let keys = {}, reader = null;
 
-const ALLOWED_KEYS = new Set(['name', 'ips', 'userAgents', 'limit', 'allowedServices']);
+const ALLOWED_KEYS = new Set(['name', 'ips', 'userAgents', 'limit', 'allowedServices', 'outputTemplate', 'priority', 'weight', 'admin']);
 
 /* Expected format pseudotype:
 ** type KeyFileContents = Record<
@@ -27,6 +27,10 @@ const ALLOWED_KEYS = new Set(['name', 'ips', 'userAgents', 'limit', 'allowedServ
 **        ips?: CIDRString[],
 **        userAgents?: string[],
 **        allowedServices?: "all" | string[],
+**        outputTemplate?: string,
+**        priority?: number,
+**        weight?: number,
+**        admin?: boolean,
 **    }
 ** >;
 */
@@ -92,6 +96,25 @@ const validateKeys = (input) => {
                 throw "details object contains value for `allowedServices` which is not an array or `all`";
             }
         }
+
+        if (details.outputTemplate !== undefined) {
+            const templateError = validateTemplate(details.outputTemplate);
+            if (templateError) {
+                throw "details object contains invalid `outputTemplate`: " + templateError;
+            }
+        }
+
+        if (details.priority !== undefined && !Number.isInteger(details.priority)) {
+            throw "details object contains invalid `priority` (not an integer)";
+        }
+
+        if (details.weight !== undefined && (typeof details.weight !== 'number' || !(details.weight > 0))) {
+            throw "details object contains invalid `weight` (not a positive number)";
+        }
+
+        if (details.admin !== undefined && typeof details.admin !== 'boolean') {
+            throw "details object contains invalid `admin` (not a boolean)";
+        }
     });
 }
 
@@ -135,6 +158,22 @@ const formatKeys = (keyData) => {
                 formatted[key].allowedServices = data.allowedServices;
             }
         }
+
+        if (data.outputTemplate) {
+            formatted[key].outputTemplate = data.outputTemplate;
+        }
+
+        if (data.priority !== undefined) {
+            formatted[key].priority = data.priority;
+        }
+
+        if (data.weight !== undefined) {
+            formatted[key].weight = data.weight;
+        }
+
+        if (data.admin) {
+            formatted[key].admin = true;
+        }
     }
 
     return formatted;
@@ -264,3 +303,24 @@ export const getAllowedServices = (key) => {
     }
     return allowedServices;
 }
+
+export const getOutputTemplate = (key) => {
+    if (typeof key !== "string") return;
+
+    return keys[key.toLowerCase()]?.outputTemplate;
+}
+
+export const getSchedule = (key) => {
+    const details = typeof key === "string" ? keys[key.toLowerCase()] : undefined;
+
+    return {
+        priority: details?.priority ?? 0,
+        weight: details?.weight ?? 1,
+    };
+}
+
+export const isAdmin = (key) => {
+    if (typeof key !== "string") return false;
+
+    return keys[key.toLowerCase()]?.admin === true;
+}
@@ -1,5 +1,6 @@
 import cluster from "node:cluster";
 import { createHmac, randomBytes } from "node:crypto";
+import { env } from "../config.js";
 
 const generateSalt = () => {
     if (cluster.isPrimary)
@@ -55,6 +56,9 @@ export const hashHmac = (value, type) => {
         salt = rateSalt;
     else if (type === 'stream')
         salt = streamSalt;
+    // shared with webhook receivers, so it comes from the env instead of a random salt
+    else if (type === 'webhook' && env.webhookSecret)
+        salt = env.webhookSecret;
     else
         throw "unknown salt";
 
@@ -0,0 +1,133 @@
+/**
+ * Download Storage
+ *
+ * Where finished downloads are kept. Files are always downloaded, tagged and
+ * described (.info.json) in DOWNLOAD_DIR first, then handed to the storage
+ * with put(). Everything that reads downloads afterwards (listings, file
+ * streams, archives, quotas, cleanup) goes through the storage, so several
+ * instances can share the same files.
+ *
+ * Keys are paths relative to the download root, always using "/", e.g.
+ * "tiktok/username/video.mp4". Keys with dot-segments or hidden segments
+ * (internal files) are rejected.
+ */
+
+export class Storage {
+    id;
+
+    /**
+     * Whether files live in DOWNLOAD_DIR, so put() doesn't move them anywhere
+     */
+    isLocal = false;
+
+    constructor(id) {
+        this.id = id;
+    }
+
+    static normalizeKey(key) {
+        if (typeof key !== 'string' || key.includes('\0')) {
+            throw new Error('Invalid storage key');
+        }
+
+        const segments = key.split(/[\\/]+/).filter(Boolean);
+        if (segments.some(segment => segment.startsWith('.'))) {
+            throw new Error('Invalid storage key');
+        }
+
+        return segments.join('/');
+    }
+
+    async _put(_key, _filepath) { await Promise.reject("needs implementation"); }
+    /**
+     * Store a finished local file
+     * Files outside of local storage are removed from DOWNLOAD_DIR once stored
+     *
+     * @param {string} key - Storage key
+     * @param {string} filepath - Absolute path of the local file
+     * @returns {Promise<void>}
+     */
+    put(key, filepath) {
+        return this._put(Storage.normalizeKey(key), filepath);
+    }
+
+    async _list(_prefix) { await Promise.reject("needs implementation"); }
+    /**
+     * List every file below a folder, recursively
+     *
+     * @param {string} prefix - Folder key, "" for the root
+     * @returns {Promise<Array<{key: string, size: number, modified: number, accessed: number, created: number}>>}
+     *          Times are in ms, storages without access times report the modification time
+     */
+    list(prefix = '') {
+        return this._list(Storage.normalizeKey(prefix));
+    }
+
+    async _stat(_key) { await Promise.reject("needs implementation"); }
+    /**
+     * Get file details
+     *
+     * @param {string} key - Storage key
+     * @returns {Promise<{size: number, modified: number, accessed: number, created: number}|null>}
+     *          null if there's no such file
+     */
+    stat(key) {
+        return this._stat(Storage.normalizeKey(key));
+    }
+
+    async _hasFolder(_prefix) { await Promise.reject("needs implementation"); }
+    /**
+     * Check whether a folder exists
+     *
+     * @param {string} prefix - Folder key, "" for the root
+     * @returns {Promise<boolean>}
+     */
+    hasFolder(prefix = '') {
+        return this._hasFolder(Storage.normalizeKey(prefix));
+    }
+
+    async _read(_key, _range) { await Promise.reject("needs implementation"); }
+    /**
+     * Open a file for reading
+     *
+     * @param {string} key - Storage key
+     * @param {Object} range - Optional byte range
+     * @param {number} range.start - First byte
+     * @param {number} range.end - Last byte (inclusive)
+     * @returns {Promise<import('stream').Readable>}
+     */
+    read(key, range = {}) {
+        return this._read(Storage.normalizeKey(key), range);
+    }
+
+    async _delete(_key) { await Promise.reject("needs implementation"); }
+    /**
+     * Delete a file, files that don't exist are ignored
+     *
+     * @param {string} key - Storage key
+     * @returns {Promise<void>}
+     */
+    delete(key) {
+        return this._delete(Storage.normalizeKey(key));
+    }
+
+    /**
+     * Record an access to a file, used by quota eviction
+     *
+     * @param {string} _key - Storage key
+     * @returns {Promise<void>}
+     */
+    async touch(_key) {}
+
+    /**
+     * Get a URL that downloads the file without going through the API
+     *
+     * @param {string} _key - Storage key
+     * @param {Object} _options - URL options
+     * @param {number} _options.expiresIn - Lifetime in seconds
+     * @param {string} _options.filename - Filename for Content-Disposition
+     * @returns {{url: string, expiresAt: number}|null} null if the storage can't presign URLs
+     */
+    presign(_key, _options = {}) {
+        return null;
+    }
+}
@@ -0,0 +1,123 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { createReadStream } from 'fs';
+
+import { Storage } from './base-storage.js';
+
+/**
+ * Files stay where they were downloaded, in DOWNLOAD_DIR
+ */
+export default class LocalStorage extends Storage {
+    #root;
+
+    constructor(root) {
+        super('local');
+        this.isLocal = true;
+        this.#root = path.resolve(root);
+    }
+
+    #pathOf(key) {
+        return path.join(this.#root, ...key.split('/'));
+    }
+
+    #toEntry(key, stats) {
+        return {
+            key,
+            size: stats.size,
+            modified: stats.mtimeMs,
+            accessed: stats.atimeMs,
+            created: stats.birthtimeMs,
+        };
+    }
+
+    async _put(key, filepath) {
+        const target = this.#pathOf(key);
+        if (path.resolve(filepath) === target) {
+            return;
+        }
+
+        await fs.mkdir(path.dirname(target), { recursive: true });
+
+        try {
+            await fs.rename(filepath, target);
+        } catch (error) {
+            if (error.code !== 'EXDEV') {
+                throw error;
+            }
+
+            await fs.copyFile(filepath, target);
+            await fs.unlink(filepath);
+        }
+    }
+
+    async _list(prefix) {
+        const files = [];
+
+        const walk = async (dir, dirKey) => {
+            let entries;
+            try {
+                entries = await fs.readdir(dir, { withFileTypes: true });
+            } catch {
+                return; // Missing, or removed while walking
+            }
+
+            for (const entry of entries) {
+                // Internal files (e.g., download archive) are never part of the downloads
+                if (entry.name.startsWith('.')) {
+                    continue;
+                }
+
+                const filepath = path.join(dir, entry.name);
+                const key = dirKey ? `${dirKey}/${entry.name}` : entry.name;
+
+                if (entry.isDirectory()) {
+                    await walk(filepath, key);
+                } else if (entry.isFile()) {
+                    try {
+                        files.push(this.#toEntry(key, await fs.stat(filepath)));
+                    } catch {
+                        // Removed while walking
+                    }
+                }
+            }
+        };
+
+        await walk(this.#pathOf(prefix), prefix);
+        return files;
+    }
+
+    async _stat(key) {
+        try {
+            const stats = await fs.stat(this.#pathOf(key));
+            return stats.isFile() ? this.#toEntry(key, stats) : null;
+        } catch {
+            return null;
+        }
+    }
+
+    async _hasFolder(prefix) {
+        try {
+            return (await fs.stat(this.#pathOf(prefix))).isDirectory();
+        } catch {
+            return false;
+        }
+    }
+
+    async _read(key, { start, end } = {}) {
+        return createReadStream(this.#pathOf(key), { start, end });
+    }
+
+    async _delete(key) {
+        await fs.unlink(this.#pathOf(key)).catch(error => {
+            if (error.code !== 'ENOENT') {
+                throw error;
+            }
+        });
+    }
+
+    async touch(key) {
+        const filepath = this.#pathOf(Storage.normalizeKey(key));
+        const stats = await fs.stat(filepath);
+        await fs.utimes(filepath, new Date(), stats.mtime);
+    }
+}
@@ -0,0 +1,368 @@
+import fs from 'fs/promises';
+import mime from 'mime';
+import { createReadStream } from 'fs';
+import { createHash, createHmac } from 'crypto';
+import { Readable } from 'stream';
+import { fetch } from 'undici';
+
+import { env } from '../config.js';
+import { Storage } from './base-storage.js';
+import { STORAGE } from '../util/constants.js';
+
+const sha256 = (data) => createHash('sha256').update(data).digest('hex');
+const hmac = (key, data) => createHmac('sha256', key).update(data).digest();
+
+// RFC 3986 encoding, as required by Signature Version 4
+const encode = (string) => encodeURIComponent(string)
+    .replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+
+const encodeKey = (key) => key.split('/').map(encode).join('/');
+
+const decodeXML = (string) => string
+    .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(parseInt(dec, 10)))
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+
+const getTag = (xml, tag) => {
+    const match = xml.match(new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`));
+    return match ? decodeXML(match[1]) : null;
+};
+
+const EMPTY_HASH = sha256('');
+
+/**
+ * Sign a request with AWS Signature Version 4
+ *
+ * @param {Object} request - Request to sign
+ * @param {string} request.method - HTTP method
+ * @param {URL} request.url - Request URL, with the query already encoded
+ * @param {Object} request.headers - Headers to sign, lowercase names
+ * @param {string} request.payloadHash - SHA-256 of the body, or UNSIGNED-PAYLOAD
+ * @param {string} request.amzDate - Time of the request (YYYYMMDDTHHMMSSZ)
+ * @param {Object} credentials - Signing credentials
+ * @param {string} credentials.region - Bucket region
+ * @param {string} credentials.secretAccessKey - Secret access key
+ * @returns {{signature: string, scope: string, signedHeaders: string, canonicalRequest: string}}
+ */
+export function signRequest({ method, url, headers, payloadHash, amzDate }, { region, secretAccessKey }) {
+    const date = amzDate.slice(0, 8);
+    const scope = `${date}/${region}/s3/aws4_request`;
+
+    const query = url.search.slice(1).split('&')
+        .filter(Boolean)
+        .map(pair => pair.includes('=') ? pair : `${pair}=`)
+        .sort()
+        .join('&');
+
+    const names = Object.keys(headers).sort();
+    const signedHeaders = names.join(';');
+
+    const canonicalRequest = [
+        method,
+        url.pathname,
+        query,
+        names.map(name => `${name}:${String(headers[name]).trim()}\n`).join(''),
+        signedHeaders,
+        payloadHash,
+    ].join('\n');
+
+    const stringToSign = [
+        'AWS4-HMAC-SHA256',
+        amzDate,
+        scope,
+        sha256(canonicalRequest),
+    ].join('\n');
+
+    const signingKey = [ date, region, 's3', 'aws4_request' ]
+        .reduce((key, data) => hmac(key, data), `AWS4${secretAccessKey}`);
+
+    return {
+        signature: hmac(signingKey, stringToSign).toString('hex'),
+        scope,
+        signedHeaders,
+        canonicalRequest,
+    };
+}
+
+/**
+ * Files are kept in an S3-compatible bucket (AWS S3, MinIO, R2, ...)
+ *
+ * Requests are signed with AWS Signature Version 4. Files larger than
+ * STORAGE.S3_PART_SIZE are uploaded in parts, since a single PUT is limited to 5GB.
+ */
+export default class S3Storage extends Storage {
+    #endpoint;
+    #bucket;
+    #region;
+    #prefix;
+    #pathStyle;
+    #accessKeyId;
+    #secretAccessKey;
+
+    constructor() {
+        super('s3');
+
+        this.#endpoint = env.s3Endpoint;
+        this.#bucket = env.s3Bucket;
+        this.#region = env.s3Region;
+        this.#prefix = env.s3Prefix ? Storage.normalizeKey(env.s3Prefix) : '';
+        this.#pathStyle = env.s3PathStyle;
+        this.#accessKeyId = env.s3AccessKeyId;
+        this.#secretAccessKey = env.s3SecretAccessKey;
+    }
+
+    #credentials() {
+        return { region: this.#region, secretAccessKey: this.#secretAccessKey };
+    }
+
+    #fullKey(key) {
+        return [this.#prefix, key].filter(Boolean).join('/');
+    }
+
+    /**
+     * URL of the bucket, or of an object in it
+     */
+    #urlOf(key = null, query = {}) {
+        const url = new URL(this.#endpoint);
+
+        if (this.#pathStyle) {
+            url.pathname = `/${encode(this.#bucket)}/${key === null ? '' : encodeKey(key)}`;
+        } else {
+            url.hostname = `${this.#bucket}.${url.hostname}`;
+            url.pathname = `/${key === null ? '' : encodeKey(key)}`;
+        }
+
+        // URLSearchParams encodes differently from SigV4, so the query is built by hand
+        url.search = Object.entries(query)
+            .filter(([ , value ]) => value !== undefined && value !== null)
+            .map(([ name, value ]) => `${encode(name)}=${encode(String(value))}`)
+            .join('&');
+
+        return url;
+    }
+
+    /**
+     * Send a signed request
+     *
+     * @param {string} method - HTTP method
+     * @param {URL} url - Request URL
+     * @param {Object} options - Request options
+     * @param {Object} options.headers - Extra headers (signed too)
+     * @param {*} options.body - Request body
+     * @param {string} options.payloadHash - SHA-256 of the body (default: unsigned)
+     * @param {Array<number>} options.allow - Error statuses that are returned instead of thrown
+     * @returns {Promise<Response>}
+     */
+    async #request(method, url, { headers = {}, body, payloadHash = 'UNSIGNED-PAYLOAD', allow = [] } = {}) {
+        const amzDate = new Date().toISOString().replace(/[-:]|\.\d{3}/g, '');
+
+        const signed = {
+            ...Object.fromEntries(Object.entries(headers).map(([ name, value ]) => [ name.toLowerCase(), value ])),
+            host: url.host,
+            'x-amz-content-sha256': payloadHash,
+            'x-amz-date': amzDate,
+        };
+
+        const { signature, scope, signedHeaders } = signRequest(
+            { method, url, headers: signed, payloadHash, amzDate },
+            this.#credentials()
+        );
+        const { host, ...requestHeaders } = signed;
+
+        const response = await fetch(url, {
+            method,
+            headers: {
+                ...requestHeaders,
+                authorization: `AWS4-HMAC-SHA256 Credential=${this.#accessKeyId}/${scope}, `
+                    + `SignedHeaders=${signedHeaders}, Signature=${signature}`,
+            },
+            body,
+            duplex: body ? 'half' : undefined,
+            signal: AbortSignal.timeout(STORAGE.S3_TIMEOUT),
+        });
+
+        if (!response.ok && !allow.includes(response.status)) {
+            const text = await response.text().catch(() => '');
+            const code = getTag(text, 'Code');
+            throw new Error(`S3 ${method} failed: HTTP ${response.status}${code ? ` ${code}` : ''}`);
+        }
+
+        return response;
+    }
+
+    async _put(key, filepath) {
+        const { size } = await fs.stat(filepath);
+        const fullKey = this.#fullKey(key);
+        const contentType = mime.getType(filepath) || 'application/octet-stream';
+
+        if (size > STORAGE.S3_PART_SIZE) {
+            await this.#putMultipart(fullKey, filepath, size, contentType);
+        } else {
+            const response = await this.#request('PUT', this.#urlOf(fullKey), {
+                headers: { 'content-length': size, 'content-type': contentType },
+                body: createReadStream(filepath),
+            });
+            await response.body?.cancel();
+        }
+
+        await fs.unlink(filepath);
+    }
+
+    async #putMultipart(fullKey, filepath, size, contentType) {
+        const created = await this.#request('POST', this.#urlOf(fullKey, { uploads: '' }), {
+            headers: { 'content-type': contentType },
+        });
+        const uploadId = getTag(await created.text(), 'UploadId');
+
+        try {
+            const parts = [];
+
+            for (let start = 0, number = 1; start < size; start += STORAGE.S3_PART_SIZE, number++) {
+                const end = Math.min(start + STORAGE.S3_PART_SIZE, size) - 1;
+                const response = await this.#request('PUT', this.#urlOf(fullKey, { partNumber: number, uploadId }), {
+                    headers: { 'content-length': end - start + 1 },
+                    body: createReadStream(filepath, { start, end }),
+                });
+
+                await response.body?.cancel();
+                parts.push(`<Part><PartNumber>${number}</PartNumber><ETag>${response.headers.get('etag')}</ETag></Part>`);
+            }
+
+            const body = `<CompleteMultipartUpload>${parts.join('')}</CompleteMultipartUpload>`;
+            const completed = await this.#request('POST', this.#urlOf(fullKey, { uploadId }), {
+                headers: { 'content-type': 'application/xml' },
+                body,
+                payloadHash: sha256(body),
+            });
+
+            // Completing can fail after the 200 status was sent
+            const result = await completed.text();
+            if (result.includes('<Error>')) {
+                throw new Error(`S3 multipart upload failed: ${getTag(result, 'Code')}`);
+            }
+        } catch (error) {
+            await this.#request('DELETE', this.#urlOf(fullKey, { uploadId }), { allow: [404] })
+                .then(response => response.body?.cancel())
+                .catch(() => {});
+            throw error;
+        }
+    }
+
+    async _list(prefix) {
+        const fullPrefix = this.#fullKey(prefix);
+        const files = [];
+        let token;
+
+        do {
+            const response = await this.#request('GET', this.#urlOf(null, {
+                'list-type': 2,
+                prefix: fullPrefix ? `${fullPrefix}/` : undefined,
+                'continuation-token': token,
+            }));
+            const xml = await response.text();
+
+            for (const [ , contents ] of xml.matchAll(/<Contents>([\s\S]*?)<\/Contents>/g)) {
+                const key = getTag(contents, 'Key').slice(this.#prefix ? this.#prefix.length + 1 : 0);
+
+                // Folder markers and internal files aren't downloads
+                if (key.endsWith('/') || key.split('/').some(segment => segment.startsWith('.'))) {
+                    continue;
+                }
+
+                const modified = new Date(getTag(contents, 'LastModified')).getTime();
+                files.push({
+                    key,
+                    size: parseInt(getTag(contents, 'Size'), 10),
+                    modified,
+                    accessed: modified,
+                    created: modified,
+                });
+            }
+
+            token = getTag(xml, 'IsTruncated') === 'true' ? getTag(xml, 'NextContinuationToken') : null;
+        } while (token);
+
+        return files;
+    }
+
+    async _stat(key) {
+        const response = await this.#request('HEAD', this.#urlOf(this.#fullKey(key)), { allow: [404] });
+        if (response.status === 404) {
+            return null;
+        }
+
+        const modified = new Date(response.headers.get('last-modified')).getTime();
+        return {
+            key,
+            size: parseInt(response.headers.get('content-length'), 10),
+            modified,
+            accessed: modified,
+            created: modified,
+        };
+    }
+
+    async _hasFolder(prefix) {
+        if (!prefix) {
+            return true;
+        }
+
+        const response = await this.#request('GET', this.#urlOf(null, {
+            'list-type': 2,
+            prefix: `${this.#fullKey(prefix)}/`,
+            'max-keys': 1,
+        }));
+
+        return (await response.text()).includes('<Contents>');
+    }
+
+    async _read(key, { start, end } = {}) {
+        const headers = {};
+        if (start !== undefined || end !== undefined) {
+            headers.range = `bytes=${start ?? 0}-${end ?? ''}`;
+        }
+
+        const response = await this.#request('GET', this.#urlOf(this.#fullKey(key)), {
+            headers,
+            payloadHash: EMPTY_HASH,
+        });
+
+        return Readable.fromWeb(response.body);
+    }
+
+    async _delete(key) {
+        const response = await this.#request('DELETE', this.#urlOf(this.#fullKey(key)), { allow: [404] });
+        await response.body?.cancel();
+    }
+
+    presign(key, { expiresIn = env.s3PresignExpiry, filename } = {}) {
+        const now = new Date();
+        const amzDate = now.toISOString().replace(/[-:]|\.\d{3}/g, '');
+        const date = amzDate.slice(0, 8);
+
+        const url = this.#urlOf(this.#fullKey(Storage.normalizeKey(key)), {
+            'X-Amz-Algorithm': 'AWS4-HMAC-SHA256',
+            'X-Amz-Credential': `${this.#accessKeyId}/${date}/${this.#region}/s3/aws4_request`,
+            'X-Amz-Date': amzDate,
+            'X-Amz-Expires': expiresIn,
+            'X-Amz-SignedHeaders': 'host',
+            'response-content-disposition': filename
+                ? `attachment; filename*=UTF-8''${encode(filename)}`
+                : undefined,
+        });
+
+        const { signature } = signRequest(
+            { method: 'GET', url, headers: { host: url.host }, payloadHash: 'UNSIGNED-PAYLOAD', amzDate },
+            this.#credentials()
+        );
+        url.search += `&X-Amz-Signature=${signature}`;
+
+        return {
+            url: url.toString(),
+            expiresAt: now.getTime() + expiresIn * 1000,
+        };
+    }
+}
@@ -0,0 +1,18 @@
+import { env } from '../config.js';
+import LocalStorage from './local-storage.js';
+import S3Storage from './s3-storage.js';
+
+/**
+ * Create the storage selected by DOWNLOAD_STORAGE
+ *
+ * @param {string} root - Download directory, used by local storage
+ * @returns {import('./base-storage.js').Storage}
+ */
+export function createStorage(root) {
+    switch (env.downloadStorage) {
+        case 's3':
+            return new S3Storage();
+        default:
+            return new LocalStorage(root);
+    }
+}
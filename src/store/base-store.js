@@ -45,4 +45,13 @@ export class Store {
 
         return this._set(key, val, exp_sec);
     }
+
+    async _delete(_key) { await Promise.reject("needs implementation") }
+    delete(key) {
+        if (typeof key !== 'string') {
+            key = key.toString();
+        }
+
+        return this._delete(key);
+    }
 };
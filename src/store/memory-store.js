@@ -40,6 +40,14 @@ export default class MemoryStore extends Store {
         this.#reschedule();
     }
 
+    _delete(key) {
+        if (this.#store.has(key)) {
+            this.#timeouts.remove(o => o.k === key);
+        }
+
+        return this.#store.delete(key);
+    }
+
     #reschedule() {
         const current_time = new Date().getTime();
         const time = this.#timeouts.front()?.t;
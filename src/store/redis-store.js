@@ -55,10 +55,21 @@ export default class RedisStore extends Store {
             );
         }
 
+        // everything that isn't a buffer gets read back with JSON.parse,
+        // so it has to be written as JSON too
         await this.#client.set(
             this.#keyOf(key),
-            val,
+            val instanceof Buffer ? val : JSON.stringify(val),
             options
         );
     }
+
+    async _delete(key) {
+        await this.#connected;
+
+        return this.#client.del([
+            this.#keyOf(key),
+            this.#keyOf(key) + '_t'
+        ]);
+    }
 }
@@ -3,9 +3,11 @@ import { spawn } from "child_process";
 import { create as contentDisposition } from "content-disposition-header";
 
 import { env } from "../config.js";
-import { destroyInternalStream } from "./manage.js";
+import { cloneInternalStream, destroyInternalStream } from "./manage.js";
 import { hlsExceptions } from "../processing/service-config.js";
 import { closeResponse, pipe, estimateTunnelLength, estimateAudioMultiplier } from "./shared.js";
+import { trackProcess } from "../util/metrics.js";
+import { CLIP } from "../util/constants.js";
 
 const metadataTags = new Set([
     "album",
@@ -20,7 +22,7 @@ const metadataTags = new Set([
     "sublanguage"
 ]);
 
-const convertMetadataToFFmpeg = (metadata) => {
+export const convertMetadataToFFmpeg = (metadata) => {
     const args = [];
 
     for (const [ name, value ] of Object.entries(metadata)) {
@@ -38,7 +40,7 @@ const convertMetadataToFFmpeg = (metadata) => {
     return args;
 }
 
-const killProcess = (p) => {
+export const killProcess = (p) => {
     p?.kill('SIGTERM'); // ask the process to terminate itself gracefully
 
     setTimeout(() => {
@@ -47,13 +49,118 @@ const killProcess = (p) => {
     }, 5000);
 }
 
-const getCommand = (args) => {
+export const getCommand = (args) => {
     if (typeof env.processingPriority === 'number' && !isNaN(env.processingPriority)) {
         return ['nice', ['-n', env.processingPriority.toString(), ffmpeg, ...args]]
     }
     return [ffmpeg, args]
 }
 
+// crops images to the square in their middle (covers and thumbnails)
+export const cropSquareFilter = 'crop=min(iw\\,ih):min(iw\\,ih)';
+
+// encoders of thumbnails, by image format
+const imageEncoders = {
+    jpg: ['-c:v', 'mjpeg', '-q:v', '2'],
+    png: ['-c:v', 'png'],
+    webp: ['-c:v', 'libwebp', '-quality', '90'],
+}
+
+// encoders of clips that don't start on a keyframe, by output format
+const clipEncoders = {
+    mp4: {
+        video: ['-c:v', 'libx264', '-preset', 'veryfast', '-crf', '18'],
+        audio: ['-c:a', 'aac', '-b:a', '192k'],
+    },
+    webm: {
+        video: ['-c:v', 'libvpx-vp9', '-deadline', 'realtime', '-cpu-used', '8', '-crf', '30', '-b:v', '0'],
+        audio: ['-c:a', 'libopus', '-b:a', '160k'],
+    },
+}
+
+/**
+ * Check whether a video has a keyframe at a timestamp
+ *
+ * Only keyframes are decoded, and the input is seeked without accurate seeking,
+ * so the first frame is the keyframe at or right before the timestamp. Its time
+ * is relative to the seek point, 0 means the keyframe is exactly there.
+ *
+ * @param {string} url - Video URL (internal tunnels are read through a stream of their own)
+ * @param {number} time - Timestamp in seconds
+ * @returns {Promise<boolean>} false if there's no keyframe there or it couldn't be checked
+ */
+const hasKeyframeAt = (url, time) => new Promise((resolve) => {
+    const probeUrl = cloneInternalStream(url);
+    let output = '', process, timer;
+
+    const done = (result) => {
+        clearTimeout(timer);
+        destroyInternalStream(probeUrl);
+        resolve(result);
+    }
+
+    try {
+        process = spawn(...getCommand([
+            '-hide_banner', '-nostdin',
+            '-skip_frame', 'nokey',
+            '-noaccurate_seek',
+            '-ss', String(time),
+            '-i', probeUrl,
+            '-map', '0:v:0',
+            '-vf', 'showinfo',
+            '-frames:v', '1',
+            '-f', 'null', '-',
+        ]), {
+            windowsHide: true,
+            stdio: ['ignore', 'ignore', 'pipe'],
+        });
+        trackProcess(process, 'clip');
+    } catch {
+        return done(false);
+    }
+
+    timer = setTimeout(() => {
+        killProcess(process);
+        done(false);
+    }, CLIP.PROBE_TIMEOUT);
+
+    process.stderr.on('data', (chunk) => {
+        if (output.length < CLIP.PROBE_OUTPUT_MAX_LENGTH) {
+            output += chunk;
+        }
+    });
+
+    process.on('error', () => done(false));
+    process.on('close', () => {
+        const pts = output.match(/pts_time:\s*(-?[\d.]+)/)?.[1];
+        done(pts !== undefined && Math.abs(Number(pts)) <= CLIP.KEYFRAME_TOLERANCE);
+    });
+});
+
+/**
+ * Get the ffmpeg arguments that cut a clip out of the inputs
+ *
+ * Every input is seeked to the start of the clip and the output is cut after
+ * its length. Stream copy can only start on a keyframe, so the video (and the
+ * audio, to keep it in sync) is re-encoded when the clip starts anywhere else.
+ *
+ * @param {Object} clip - Time range, { start, end } in seconds
+ * @param {string} videoUrl - Video input to look for a keyframe in, if any
+ * @returns {Promise<{input: Array<string>, output: Array<string>, reencode: boolean}>}
+ *          input goes before every -i, output before the output
+ */
+const getClipArgs = async (clip, videoUrl) => {
+    if (!clip) {
+        return { input: [], output: [], reencode: false };
+    }
+
+    return {
+        input: clip.start > 0 ? ['-ss', String(clip.start)] : [],
+        output: clip.end !== undefined ? ['-t', String(clip.end - clip.start)] : [],
+        reencode: !!videoUrl && clip.start > 0 && !await hasKeyframeAt(videoUrl, clip.start),
+    };
+}
+
 const render = async (res, streamInfo, ffargs, estimateMultiplier) => {
     let process;
     const urls = Array.isArray(streamInfo.urls) ? streamInfo.urls : [streamInfo.urls];
@@ -76,15 +183,18 @@ const render = async (res, streamInfo, ffargs, estimateMultiplier) => {
                 'pipe'
             ],
         });
+        trackProcess(process, 'stream');
 
         const [,,, muxOutput] = process.stdio;
 
         res.setHeader('Connection', 'keep-alive');
         res.setHeader('Content-Disposition', contentDisposition(streamInfo.filename));
 
+        // the length of a clip or a grabbed frame isn't known, only the size of the whole media
+        const partial = streamInfo.clip || typeof streamInfo.frameTime === 'number';
         res.setHeader(
             'Estimated-Content-Length',
-            await estimateTunnelLength(streamInfo, estimateMultiplier)
+            partial ? -1 : await estimateTunnelLength(streamInfo, estimateMultiplier)
         );
 
         pipe(muxOutput, res, shutdown);
@@ -99,15 +209,18 @@ const render = async (res, streamInfo, ffargs, estimateMultiplier) => {
 const remux = async (streamInfo, res) => {
     const format = streamInfo.filename.split('.').pop();
     const urls = Array.isArray(streamInfo.urls) ? streamInfo.urls : [streamInfo.urls];
-    const args = urls.flatMap(url => ['-i', url]);
 
     // if the stream type is merge, we expect two URLs
     if (streamInfo.type === 'merge' && urls.length !== 2) {
         return closeResponse(res);
     }
 
+    const clip = await getClipArgs(streamInfo.clip, urls[0]);
+    const args = urls.flatMap(url => [...clip.input, '-i', url]);
+
     if (streamInfo.subtitles) {
         args.push(
+            ...clip.input,
             '-i', streamInfo.subtitles,
             '-map', `${urls.length}:s`,
             '-c:s', format === 'mp4' ? 'mov_text' : 'webvtt',
@@ -122,7 +235,8 @@ const remux = async (streamInfo, res) => {
     } else {
         args.push(
             '-map', '0:v:0',
-            '-map', '0:a:0'
+            // videos without audio (e.g. gifs) can be remuxed too
+            ...(streamInfo.type === 'mute' ? [] : ['-map', '0:a:0?'])
         );
     }
 
@@ -131,6 +245,14 @@ const remux = async (streamInfo, res) => {
         ...(streamInfo.type === 'mute' ? ['-an'] : ['-c:a', 'copy'])
     );
 
+    if (clip.reencode) {
+        const encoder = clipEncoders[format] || clipEncoders.mp4;
+        args.push(
+            ...encoder.video,
+            ...(streamInfo.type === 'mute' ? [] : encoder.audio)
+        );
+    }
+
     if (format === 'mp4') {
         args.push('-movflags', 'faststart+frag_keyframe+empty_moov');
     }
@@ -147,7 +269,10 @@ const remux = async (streamInfo, res) => {
         args.push(...convertMetadataToFFmpeg(streamInfo.metadata));
     }
 
-    args.push('-f', format === 'mkv' ? 'matroska' : format, 'pipe:3');
+    args.push(
+        ...clip.output,
+        '-f', format === 'mkv' ? 'matroska' : format, 'pipe:3'
+    );
 
     await render(res, streamInfo, args);
 }
@@ -155,8 +280,12 @@ const remux = async (streamInfo, res) => {
 const convertAudio = async (streamInfo, res) => {
     // Map "max" to "320" (highest bitrate) for FFmpeg
     const bitrate = streamInfo.audioBitrate === 'max' ? '320' : streamInfo.audioBitrate;
-    
+
+    // audio can be cut anywhere, there are no keyframes to look for
+    const clip = await getClipArgs(streamInfo.clip);
+
     const args = [
+        ...clip.input,
         '-i', streamInfo.urls,
         '-vn',
         ...(streamInfo.audioCopy ? ['-c:a', 'copy'] : ['-b:a', `${bitrate}k`]),
@@ -179,6 +308,7 @@ const convertAudio = async (streamInfo, res) => {
     }
 
     args.push(
+        ...clip.output,
         '-f',
         streamInfo.audioFormat === 'm4a' ? 'ipod' : streamInfo.audioFormat,
         'pipe:3',
@@ -193,13 +323,18 @@ const convertAudio = async (streamInfo, res) => {
 }
 
 const convertGif = async (streamInfo, res) => {
+    // gifs are always encoded, so the clip doesn't have to start on a keyframe
+    const clip = await getClipArgs(streamInfo.clip);
+
     const args = [
+        ...clip.input,
         '-i', streamInfo.urls,
 
         '-vf',
         'scale=-1:-1:flags=lanczos,split[s0][s1];[s0]palettegen[p];[s1][p]paletteuse',
         '-loop', '0',
 
+        ...clip.output,
         '-f', 'gif', 'pipe:3',
     ];
 
@@ -211,8 +346,34 @@ const convertGif = async (streamInfo, res) => {
     );
 }
 
+const convertImage = async (streamInfo, res) => {
+    const args = [
+        // videos without a thumbnail are seeked to the frame to grab
+        ...(typeof streamInfo.frameTime === 'number' ? ['-ss', String(streamInfo.frameTime)] : []),
+        '-i', streamInfo.urls,
+        '-map', '0:v:0',
+        '-frames:v', '1',
+    ];
+
+    if (streamInfo.cropSquare) {
+        args.push('-vf', cropSquareFilter);
+    }
+
+    args.push(
+        ...(imageEncoders[streamInfo.imageFormat] || imageEncoders.jpg),
+        '-f', 'image2pipe', 'pipe:3',
+    );
+
+    await render(
+        res,
+        streamInfo,
+        args,
+    );
+}
+
 export default {
     remux,
     convertAudio,
     convertGif,
+    convertImage,
 }
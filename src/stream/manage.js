@@ -86,6 +86,15 @@ export async function createStream(obj) {
 
             // url to a subtitle file
             subtitles: obj.subtitles,
+
+            // time range cut out by ffmpeg, { start, end } in seconds
+            clip: obj.clip,
+
+            // thumbnails: output format, square crop and, for videos
+            // without a thumbnail, the time of the frame to grab
+            imageFormat: obj.imageFormat,
+            cropSquare: !!obj.cropSquare,
+            frameTime: obj.frameTime,
         };
 
     // Await stream cache storage to prevent race conditions
@@ -242,6 +251,28 @@ export function createInternalStream(url, obj = {}, isSubtitles) {
     return streamLink.toString();
 }
 
+/**
+ * Open another internal stream of the media behind an internal tunnel URL
+ * It has its own controller, so closing it leaves the original stream open
+ *
+ * @param {string} url - Internal tunnel URL, other URLs are returned as is
+ * @returns {string} Internal tunnel URL of the new stream
+ */
+export function cloneInternalStream(url) {
+    const tunnel = getInternalTunnelFromURL(url);
+    if (!tunnel) {
+        return url;
+    }
+
+    return createInternalStream(tunnel.url, {
+        service: tunnel.service,
+        headers: tunnel.headers && Object.fromEntries(tunnel.headers),
+        dispatcher: tunnel.dispatcher,
+        isHLS: tunnel.isHLS,
+        transplant: tunnel.transplant,
+    });
+}
+
 function getInternalTunnelId(url) {
     url = new URL(url);
     if (url.hostname !== '127.0.0.1') {
@@ -23,6 +23,9 @@ export default async function(res, streamInfo) {
 
             case "gif":
                 return await ffmpeg.convertGif(streamInfo, res);
+
+            case "thumbnail":
+                return await ffmpeg.convertImage(streamInfo, res);
         }
 
         closeResponse(res);
@@ -0,0 +1,358 @@
+/**
+ * Archive Streaming
+ *
+ * Streams downloaded files as a ZIP or TAR archive without building it on disk.
+ * Media files are already compressed, so ZIP entries are stored as-is and their
+ * CRC32 is computed while streaming (sizes and checksums follow each file in a
+ * data descriptor). ZIP64 and PAX headers are used when files, names or the
+ * archive itself don't fit the classic formats.
+ *
+ * Every archive starts with a generated manifest.json listing its files.
+ */
+
+import { Readable } from 'stream';
+
+import { storage, walkDownloads, toStorageKey } from './download-manager.js';
+
+export const ARCHIVE_FORMATS = {
+    zip: { contentType: 'application/zip', extension: 'zip' },
+    tar: { contentType: 'application/x-tar', extension: 'tar' },
+};
+
+const MANIFEST_NAME = 'manifest.json';
+
+const UINT32_MAX = 0xFFFFFFFF;
+const UINT16_MAX = 0xFFFF;
+
+// ZIP general purpose flags: sizes/CRC in data descriptor (bit 3), UTF-8 names (bit 11)
+const ZIP_FLAGS = 0x0808;
+const ZIP_VERSION = 20;
+const ZIP64_VERSION = 45;
+
+// Largest size a 12 byte octal TAR field can hold
+const TAR_MAX_SIZE = 0o77777777777;
+const TAR_BLOCK = 512;
+
+const crcTable = new Uint32Array(256).map((_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+});
+
+function crc32(buffer, crc = 0) {
+    crc = ~crc >>> 0;
+    for (let i = 0; i < buffer.length; i++) {
+        crc = crcTable[(crc ^ buffer[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return ~crc >>> 0;
+}
+
+function dosDateTime(date) {
+    const year = Math.max(date.getFullYear(), 1980);
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+        date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+    };
+}
+
+/**
+ * Read the contents of an entry
+ * Files are touched after reading, quota eviction removes least recently accessed files first
+ *
+ * @param {Object} entry - Archive entry
+ * @returns {AsyncIterable<Buffer>}
+ */
+async function* readEntry(entry) {
+    if (entry.data) {
+        yield entry.data;
+        return;
+    }
+
+    let read = 0;
+    for await (const chunk of await storage.read(entry.key)) {
+        read += chunk.length;
+        yield chunk;
+    }
+
+    if (read !== entry.size) {
+        throw new Error(`${entry.name} changed while it was being archived`);
+    }
+
+    storage.touch(entry.key).catch(() => {});
+}
+
+async function* zipChunks(entries) {
+    const central = [];
+    let offset = 0;
+
+    for (const entry of entries) {
+        const name = Buffer.from(entry.name);
+        const { time, date } = dosDateTime(entry.modified);
+        const zip64 = entry.size >= UINT32_MAX;
+        const headerOffset = offset;
+
+        const localExtra = Buffer.alloc(zip64 ? 20 : 0);
+        if (zip64) {
+            localExtra.writeUInt16LE(0x0001, 0);
+            localExtra.writeUInt16LE(16, 2);
+            // Sizes are zero here, the real ones are in the data descriptor
+        }
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(zip64 ? ZIP64_VERSION : ZIP_VERSION, 4);
+        local.writeUInt16LE(ZIP_FLAGS, 6);
+        local.writeUInt16LE(0, 8); // stored
+        local.writeUInt16LE(time, 10);
+        local.writeUInt16LE(date, 12);
+        local.writeUInt32LE(0, 14);
+        local.writeUInt32LE(zip64 ? UINT32_MAX : 0, 18);
+        local.writeUInt32LE(zip64 ? UINT32_MAX : 0, 22);
+        local.writeUInt16LE(name.length, 26);
+        local.writeUInt16LE(localExtra.length, 28);
+
+        yield Buffer.concat([local, name, localExtra]);
+        offset += local.length + name.length + localExtra.length;
+
+        let crc = 0;
+        for await (const chunk of readEntry(entry)) {
+            crc = crc32(chunk, crc);
+            yield chunk;
+        }
+        offset += entry.size;
+
+        const descriptor = Buffer.alloc(zip64 ? 24 : 16);
+        descriptor.writeUInt32LE(0x08074b50, 0);
+        descriptor.writeUInt32LE(crc, 4);
+        if (zip64) {
+            descriptor.writeBigUInt64LE(BigInt(entry.size), 8);
+            descriptor.writeBigUInt64LE(BigInt(entry.size), 16);
+        } else {
+            descriptor.writeUInt32LE(entry.size, 8);
+            descriptor.writeUInt32LE(entry.size, 12);
+        }
+
+        yield descriptor;
+        offset += descriptor.length;
+
+        central.push({ name, time, date, crc, size: entry.size, headerOffset });
+    }
+
+    const centralOffset = offset;
+
+    for (const { name, time, date, crc, size, headerOffset } of central) {
+        // ZIP64 extra field only holds the values that don't fit their regular field
+        const extraValues = [];
+        if (size >= UINT32_MAX) {
+            extraValues.push(size, size);
+        }
+        if (headerOffset >= UINT32_MAX) {
+            extraValues.push(headerOffset);
+        }
+
+        const extra = Buffer.alloc(extraValues.length ? 4 + extraValues.length * 8 : 0);
+        if (extraValues.length) {
+            extra.writeUInt16LE(0x0001, 0);
+            extra.writeUInt16LE(extraValues.length * 8, 2);
+            extraValues.forEach((value, i) => extra.writeBigUInt64LE(BigInt(value), 4 + i * 8));
+        }
+
+        const header = Buffer.alloc(46);
+        header.writeUInt32LE(0x02014b50, 0);
+        header.writeUInt16LE(ZIP64_VERSION, 4);
+        header.writeUInt16LE(extraValues.length ? ZIP64_VERSION : ZIP_VERSION, 6);
+        header.writeUInt16LE(ZIP_FLAGS, 8);
+        header.writeUInt16LE(0, 10);
+        header.writeUInt16LE(time, 12);
+        header.writeUInt16LE(date, 14);
+        header.writeUInt32LE(crc, 16);
+        header.writeUInt32LE(Math.min(size, UINT32_MAX), 20);
+        header.writeUInt32LE(Math.min(size, UINT32_MAX), 24);
+        header.writeUInt16LE(name.length, 28);
+        header.writeUInt16LE(extra.length, 30);
+        header.writeUInt32LE(Math.min(headerOffset, UINT32_MAX), 42);
+
+        const record = Buffer.concat([header, name, extra]);
+        yield record;
+        offset += record.length;
+    }
+
+    const centralSize = offset - centralOffset;
+    const zip64 = central.length >= UINT16_MAX
+        || centralOffset >= UINT32_MAX
+        || centralSize >= UINT32_MAX;
+
+    if (zip64) {
+        const record = Buffer.alloc(56);
+        record.writeUInt32LE(0x06064b50, 0);
+        record.writeBigUInt64LE(44n, 4);
+        record.writeUInt16LE(ZIP64_VERSION, 12);
+        record.writeUInt16LE(ZIP64_VERSION, 14);
+        record.writeBigUInt64LE(BigInt(central.length), 24);
+        record.writeBigUInt64LE(BigInt(central.length), 32);
+        record.writeBigUInt64LE(BigInt(centralSize), 40);
+        record.writeBigUInt64LE(BigInt(centralOffset), 48);
+
+        const locator = Buffer.alloc(20);
+        locator.writeUInt32LE(0x07064b50, 0);
+        locator.writeBigUInt64LE(BigInt(offset), 8);
+        locator.writeUInt32LE(1, 16);
+
+        yield Buffer.concat([record, locator]);
+    }
+
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(Math.min(central.length, UINT16_MAX), 8);
+    end.writeUInt16LE(Math.min(central.length, UINT16_MAX), 10);
+    end.writeUInt32LE(Math.min(centralSize, UINT32_MAX), 12);
+    end.writeUInt32LE(Math.min(centralOffset, UINT32_MAX), 16);
+
+    yield end;
+}
+
+function tarHeader(name, size, modified, type = '0') {
+    const header = Buffer.alloc(TAR_BLOCK);
+    const octal = (value, length) => value.toString(8).padStart(length - 1, '0') + '\0';
+
+    header.write(name, 0, 100);
+    header.write(octal(0o644, 8), 100);
+    header.write(octal(0, 8), 108);
+    header.write(octal(0, 8), 116);
+    header.write(octal(Math.min(size, TAR_MAX_SIZE), 12), 124);
+    header.write(octal(Math.floor(modified.getTime() / 1000), 12), 136);
+    header.write(' '.repeat(8), 148);
+    header.write(type, 156);
+    header.write('ustar\0', 257);
+    header.write('00', 263);
+
+    let checksum = 0;
+    for (const byte of header) {
+        checksum += byte;
+    }
+    header.write(octal(checksum, 7) + ' ', 148);
+
+    return header;
+}
+
+function tarPadding(size) {
+    return Buffer.alloc((TAR_BLOCK - (size % TAR_BLOCK)) % TAR_BLOCK);
+}
+
+async function* tarChunks(entries) {
+    for (const entry of entries) {
+        const name = Buffer.from(entry.name);
+
+        // Long or non-ASCII names and files over 8 GB need a PAX extended header
+        if (name.length > 100 || name.length !== entry.name.length || entry.size > TAR_MAX_SIZE) {
+            const records = [`path=${entry.name}`, `size=${entry.size}`].map(field => {
+                const length = Buffer.byteLength(field) + 2;
+                // Record length includes its own digits
+                let total = length + String(length).length;
+                total = length + String(total).length;
+                return `${total} ${field}\n`;
+            });
+            const pax = Buffer.from(records.join(''));
+
+            yield tarHeader('PaxHeader', pax.length, entry.modified, 'x');
+            yield pax;
+            yield tarPadding(pax.length);
+        }
+
+        yield tarHeader(entry.name.slice(0, 100), entry.size, entry.modified);
+
+        for await (const chunk of readEntry(entry)) {
+            yield chunk;
+        }
+
+        yield tarPadding(entry.size);
+    }
+
+    yield Buffer.alloc(TAR_BLOCK * 2);
+}
+
+/**
+ * Collect files for an archive
+ * Either every file below a folder (paths relative to that folder), or a selection
+ * of files and folders (paths relative to the download directory)
+ *
+ * @param {Object} source - What to archive
+ * @param {string} source.path - Folder path relative to DOWNLOAD_DIR
+ * @param {Array<string>} source.files - Selected paths relative to DOWNLOAD_DIR
+ * @returns {Promise<Array<Object>|null>} Entries, or null if a path isn't allowed
+ */
+export async function collectArchiveFiles({ path: folder, files } = {}) {
+    const toEntry = (file, base) => ({
+        name: base ? file.key.slice(base.length + 1) : file.key,
+        key: file.key,
+        size: file.size,
+        modified: new Date(file.modified),
+    });
+
+    if (!files) {
+        const prefix = toStorageKey(folder || '');
+        if (prefix === null) {
+            return null;
+        }
+
+        return (await walkDownloads({ prefix })).map(file => toEntry(file, prefix));
+    }
+
+    const entries = new Map();
+
+    for (const selected of files) {
+        const key = toStorageKey(selected);
+        if (key === null) {
+            return null;
+        }
+
+        // A selected path is either a file or a folder
+        const stats = key && await storage.stat(key);
+        const found = stats
+            ? [stats]
+            : await walkDownloads({ prefix: key });
+
+        for (const file of found) {
+            entries.set(file.key, toEntry(file, ''));
+        }
+    }
+
+    return [...entries.values()];
+}
+
+/**
+ * Create an archive stream
+ *
+ * @param {Array<{name: string, key: string, size: number, modified: Date}>} files - Files to include
+ * @param {Object} options - Archive options
+ * @param {string} options.format - "zip" or "tar"
+ * @param {string} options.name - Archive name, files are placed in a folder with this name
+ * @param {Object} options.manifest - Extra fields for the manifest (e.g., source folder or job)
+ * @returns {Readable}
+ */
+export function createArchiveStream(files, { format = 'zip', name = 'downloads', manifest = {} } = {}) {
+    const createdAt = new Date();
+
+    const manifestData = Buffer.from(JSON.stringify({
+        name,
+        format,
+        createdAt: createdAt.toISOString(),
+        ...manifest,
+        count: files.length,
+        size: files.reduce((sum, file) => sum + file.size, 0),
+        files: files.map(file => ({
+            path: `${name}/${file.name}`,
+            size: file.size,
+            modified: file.modified.toISOString(),
+        })),
+    }, null, 2));
+
+    const entries = [
+        { name: MANIFEST_NAME, data: manifestData, size: manifestData.length, modified: createdAt },
+        ...files.map(file => ({ ...file, name: `${name}/${file.name}` })),
+    ];
+
+    return Readable.from(format === 'tar' ? tarChunks(entries) : zipChunks(entries), { objectMode: false });
+}
@@ -24,6 +24,8 @@ const STATES = {
  * @param {number} options.failureThreshold - Number of failures before opening
  * @param {number} options.resetTimeout - Time in ms before attempting to close
  * @param {number} options.monitoringWindow - Time window for failure counting
+ * @param {Function} options.isFailure - Called with the result of a call that didn't throw,
+ *                                       returns true if it counts as a failure anyway
  * @returns {Object} Circuit breaker instance
  */
 export function createCircuitBreaker(options = {}) {
@@ -32,6 +34,7 @@ export function createCircuitBreaker(options = {}) {
         failureThreshold = 5,
         resetTimeout = 60000, // 1 minute
         monitoringWindow = 60000, // 1 minute
+        isFailure = () => false,
     } = options;
 
     let state = STATES.CLOSED;
@@ -51,8 +54,9 @@ export function createCircuitBreaker(options = {}) {
         failures.push(now);
         
         // Check if we should open the circuit
-        if (failures.length >= failureThreshold) {
-            if (state === STATES.CLOSED) {
+        // A failed recovery attempt opens it again right away
+        if (failures.length >= failureThreshold || state === STATES.HALF_OPEN) {
+            if (state !== STATES.OPEN) {
                 state = STATES.OPEN;
                 nextAttempt = now + resetTimeout;
                 
@@ -116,7 +120,11 @@ export function createCircuitBreaker(options = {}) {
 
         try {
             const result = await fn();
-            recordSuccess();
+            if (isFailure(result)) {
+                recordFailure();
+            } else {
+                recordSuccess();
+            }
             return result;
         } catch (error) {
             recordFailure();
@@ -7,6 +7,7 @@
 
 import { logger } from './logger.js';
 import { isURL } from '../misc/utils.js';
+import { validateTemplate } from '../processing/output-template.js';
 
 /**
  * Validate configuration
@@ -61,6 +62,98 @@ export function validateConfig(config) {
         errors.push('TUNNEL_LIFESPAN must be at least 1 second');
     }
 
+    // Validate download job concurrency
+    if (config.downloadJobConcurrency && config.downloadJobConcurrency < 1) {
+        errors.push('DOWNLOAD_JOB_CONCURRENCY must be at least 1');
+    }
+
+    if (config.downloadConcurrency && config.downloadConcurrency < 1) {
+        errors.push('DOWNLOAD_CONCURRENCY must be at least 1');
+    }
+
+    for (const [service, limit] of Object.entries(config.downloadServiceConcurrency || {})) {
+        if (config.allServices && !config.allServices.has(service)) {
+            errors.push(`DOWNLOAD_SERVICE_CONCURRENCY contains an unknown service: ${service}`);
+        } else if (!Number.isInteger(limit) || limit < 1) {
+            errors.push(`DOWNLOAD_SERVICE_CONCURRENCY limit of ${service} must be a positive integer`);
+        }
+    }
+
+    if (!Number.isFinite(config.outboundRateLimit) || config.outboundRateLimit < 0) {
+        errors.push('OUTBOUND_RATELIMIT must be a number of requests per second (0 for no limit)');
+    }
+
+    for (const [service, rate] of Object.entries(config.outboundServiceRateLimits || {})) {
+        if (config.allServices && !config.allServices.has(service)) {
+            errors.push(`OUTBOUND_SERVICE_RATELIMIT contains an unknown service: ${service}`);
+        } else if (!Number.isFinite(rate) || rate < 0) {
+            errors.push(`OUTBOUND_SERVICE_RATELIMIT rate of ${service} must be a number of requests per second`);
+        }
+    }
+
+    if (config.outboundBurst && config.outboundBurst < 1) {
+        errors.push('OUTBOUND_BURST must be at least 1');
+    }
+
+    // Validate download cleanup and quotas
+    if (config.downloadMaxAge && config.downloadMaxAge < 1) {
+        errors.push('DOWNLOAD_MAX_AGE must be at least 1 hour');
+    }
+
+    if (config.downloadCleanupInterval && config.downloadCleanupInterval < 1) {
+        errors.push('DOWNLOAD_CLEANUP_INTERVAL must be at least 1 minute');
+    }
+
+    for (const [name, value] of [
+        ['DOWNLOAD_QUOTA_TOTAL_MB', config.downloadQuotaTotal],
+        ['DOWNLOAD_QUOTA_PER_SERVICE_MB', config.downloadQuotaPerService],
+        ['DOWNLOAD_QUOTA_PER_KEY_MB', config.downloadQuotaPerKey],
+    ]) {
+        if (value && value < 0) {
+            errors.push(`${name} must not be negative`);
+        }
+    }
+
+    if (config.downloadOutputTemplate) {
+        const templateError = validateTemplate(config.downloadOutputTemplate);
+        if (templateError) {
+            errors.push(`DOWNLOAD_OUTPUT_TEMPLATE is invalid: ${templateError}`);
+        }
+    }
+
+    // Validate download storage
+    if (!['local', 's3'].includes(config.downloadStorage)) {
+        errors.push('DOWNLOAD_STORAGE must be "local" or "s3"');
+    }
+
+    if (config.downloadStorage === 's3') {
+        for (const [name, value] of [
+            ['S3_ENDPOINT', config.s3Endpoint],
+            ['S3_BUCKET', config.s3Bucket],
+            ['S3_ACCESS_KEY_ID', config.s3AccessKeyId],
+            ['S3_SECRET_ACCESS_KEY', config.s3SecretAccessKey],
+        ]) {
+            if (!value) {
+                errors.push(`${name} is required when DOWNLOAD_STORAGE is "s3"`);
+            }
+        }
+
+        if (config.s3Endpoint) {
+            try {
+                const url = new URL(config.s3Endpoint);
+                if (!['http:', 'https:'].includes(url.protocol)) {
+                    errors.push('S3_ENDPOINT must be an http(s) URL');
+                }
+            } catch {
+                errors.push('S3_ENDPOINT must be a valid URL');
+            }
+        }
+
+        if (config.s3PresignExpiry < 1 || config.s3PresignExpiry > 604800) {
+            errors.push('S3_PRESIGN_EXPIRY must be between 1 and 604800 seconds');
+        }
+    }
+
     // Validate Redis URL if provided
     if (config.redisURL) {
         try {
@@ -86,6 +179,11 @@ export function validateConfig(config) {
         }
     }
 
+    // Validate webhook secret if provided
+    if (config.webhookSecret && config.webhookSecret.length < 16) {
+        errors.push('WEBHOOK_SECRET must be at least 16 characters');
+    }
+
     // Validate instance count
     if (config.instanceCount && config.instanceCount < 1) {
         errors.push('API_INSTANCE_COUNT must be at least 1');
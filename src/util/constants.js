@@ -76,6 +76,100 @@ export const DEFAULTS = {
     ENV_REMOTE_RELOAD_INTERVAL: 300,      // seconds
 };
 
+// Download job queue
+export const DOWNLOAD_JOBS = {
+    TTL: 7 * TIME.DAY,                   // How long finished jobs are kept
+    SAVE_INTERVAL: 1 * TIME.SECOND,      // Minimum delay between progress writes
+    RATE_LIMIT_RETRY_DELAY: 10 * TIME.SECOND,  // Base delay before retrying a 429'd file
+    RATE_LIMIT_RETRY_STAGGER: 200,       // Extra delay per file index (ms)
+    LIST_LIMIT: 50,                      // Default page size for GET /jobs
+    CONTROL_POLL_INTERVAL: 1 * TIME.SECOND,  // How often running jobs check for pause/cancel from other workers
+    SPEED_SAMPLE_INTERVAL: 1 * TIME.SECOND,  // Window used to measure per-file download speed
+    EVENTS_INTERVAL: 500,                // Minimum delay between progress events on GET /jobs/:id/events (ms)
+    EVENTS_HEARTBEAT: 15 * TIME.SECOND,  // Keep-alive comment interval, so proxies don't close idle streams
+};
+
+// Browsing the download tree (GET /downloads)
+export const DOWNLOAD_BROWSE = {
+    LIST_LIMIT: 100,                     // Default page size
+    MAX_LIST_LIMIT: 1000,                // Largest page size a request may ask for
+    ARCHIVE_MAX_SELECTION: 5000,         // Most paths POST /archive accepts
+    ARCHIVE_BODY_MAX_SIZE: 512 * 1024,   // Maximum POST /archive body size (512KB)
+};
+
+// Post-download tagging (cover art, metadata, chapters)
+export const DOWNLOAD_TAGGING = {
+    TIMEOUT: 10 * TIME.MINUTE,           // ffmpeg is killed after this long
+    COVER_TIMEOUT: 15 * TIME.SECOND,     // Timeout for fetching the cover image
+};
+
+// Post-download verification (DOWNLOAD_VERIFY)
+export const DOWNLOAD_VERIFY = {
+    SNIFF_BYTES: 64,                     // Bytes read to check the file signature
+    PROBE_TIMEOUT: 30 * TIME.SECOND,     // ffmpeg is killed after this long, the file is kept unprobed
+    PROBE_OUTPUT_MAX_LENGTH: 64 * 1024,  // Most ffmpeg output read (streams are listed first)
+};
+
+// Outbound requests to services (OUTBOUND_RATELIMIT)
+export const OUTBOUND = {
+    SERVICE_MAX_WAIT: 10 * TIME.SECOND,  // Longest wait of a service handler request, longer ones get a 429
+    DOWNLOAD_MAX_WAIT: 1 * TIME.MINUTE,  // Longest wait of a download attempt
+    RETRY_AFTER_MAX: 1 * TIME.HOUR,      // Upper bound for Retry-After pauses
+    STRIKE_INTERVAL: 1 * TIME.SECOND,    // 429s within this time of the last one count once
+    DECREASE_FACTOR: 0.5,                // Rate is multiplied by this on every 429
+    MIN_RATE_FACTOR: 0.05,               // Rate never drops below this share of the configured rate
+    BACKOFF_BASE: 5 * TIME.SECOND,       // Pause after the second 429 in a row, doubled for every further one
+    BACKOFF_MAX: 10 * TIME.MINUTE,       // Upper bound for backoff pauses
+    RAMP_INTERVAL: 10 * TIME.SECOND,     // Minimum time between rate increases
+    RAMP_STEP: 0.1,                      // Share of the configured rate given back per increase
+    MAX_BUCKETS: 1000,                   // Idle buckets are dropped above this many
+};
+
+// Prometheus metrics (GET /metrics)
+export const METRICS = {
+    PREFIX: 'media_api_',                // Prefix of every metric name
+    COLLECT_TIMEOUT: 1 * TIME.SECOND,    // Longest wait for cluster workers to send their metrics
+    DURATION_BUCKETS: [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60],  // Latency histogram buckets (seconds)
+};
+
+// Download job webhooks (callbackUrl)
+export const WEBHOOK = {
+    TIMEOUT: 10 * TIME.SECOND,           // Timeout of a single delivery attempt
+    MAX_ATTEMPTS: 6,                     // Deliveries are given up after this many attempts
+    RETRY_DELAY: 2 * TIME.SECOND,        // Delay before the first retry, doubled for every retry
+    MAX_RETRY_DELAY: 5 * TIME.MINUTE,    // Upper bound for retry delays (including Retry-After)
+};
+
+// Download storage quotas
+export const DOWNLOAD_QUOTA = {
+    USAGE_CACHE_TTL: 10 * TIME.SECOND,   // How long a scan of the download directory is reused
+    EVICT_MIN_AGE: 10 * TIME.MINUTE,     // Files newer than this are never evicted
+};
+
+// Subscriptions (intervals in minutes)
+export const SUBSCRIPTIONS = {
+    TICK_INTERVAL: 30 * TIME.SECOND,     // How often due subscriptions are looked for
+    DEFAULT_INTERVAL: 60,                // 1 hour
+    MIN_INTERVAL: 15,                    // Shorter intervals mostly hit origin rate limits
+    MAX_INTERVAL: 7 * 24 * 60,           // 1 week
+    RUN_TIMEOUT: 1 * TIME.HOUR,          // Runs still "running" after this long were interrupted
+    LIST_LIMIT: 100,                     // Items listed per run of YouTube and SoundCloud subscriptions
+    URL_MAX_LENGTH: LIMITS.URL_MAX_LENGTH,
+};
+
+// Download history (GET /history)
+export const DOWNLOAD_HISTORY = {
+    LIST_LIMIT: 50,                      // Default page size
+    MAX_LIST_LIMIT: 1000,                // Largest page size a request may ask for
+    ERROR_MAX_LENGTH: 500,               // Longer error messages are truncated
+};
+
+// Download storage (DOWNLOAD_STORAGE)
+export const STORAGE = {
+    S3_TIMEOUT: 10 * TIME.MINUTE,        // Timeout of a single S3 request, including uploads
+    S3_PART_SIZE: 64 * 1024 * 1024,      // Files larger than this are uploaded in parts (64MB)
+};
+
 // Circuit breaker defaults
 export const CIRCUIT_BREAKER = {
     FAILURE_THRESHOLD: 5,                // Number of failures before opening
@@ -83,3 +177,10 @@ export const CIRCUIT_BREAKER = {
     MONITORING_WINDOW: 60 * TIME.SECOND,  // Time window for failure counting
 };
 
+
+// Time-range clipping (clipStart/clipEnd)
+export const CLIP = {
+    KEYFRAME_TOLERANCE: 0.05,            // A keyframe this close to the start of a clip (seconds) counts as on it
+    PROBE_TIMEOUT: 30 * TIME.SECOND,     // ffmpeg is killed after this long, the clip is re-encoded
+    PROBE_OUTPUT_MAX_LENGTH: 64 * 1024,  // Most ffmpeg output read
+};
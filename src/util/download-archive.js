@@ -0,0 +1,115 @@
+/**
+ * Download Archive
+ *
+ * Remembers which media were already downloaded, keyed by service + media ID,
+ * so re-running a profile or playlist only downloads new items.
+ *
+ * The archive is a plain text file (one `service<TAB>mediaId<TAB>path` line per
+ * download, path relative to DOWNLOAD_DIR), similar to a yt-dlp download-archive.
+ * It survives restarts without Redis and is shared by cluster workers on the
+ * same host, since every process reloads it when the file changes.
+ *
+ * An entry only counts while its file still exists in the download storage,
+ * so media removed by cleanup or deleted through the API are downloaded again.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { logger } from './logger.js';
+import { DOWNLOAD_DIR, storage } from './download-manager.js';
+
+const ARCHIVE_PATH = process.env.DOWNLOAD_ARCHIVE || path.join(DOWNLOAD_DIR, '.download-archive');
+
+// key -> relative path of the downloaded file
+let entries = new Map();
+let loadedMtime = 0;
+
+const archiveKey = (service, mediaId) => `${service}:${mediaId}`;
+
+/**
+ * Reload archive from disk if it changed since the last read
+ */
+async function load() {
+    let stats;
+    try {
+        stats = await fs.stat(ARCHIVE_PATH);
+    } catch {
+        return; // No archive yet
+    }
+
+    if (stats.mtimeMs === loadedMtime) {
+        return;
+    }
+
+    const content = await fs.readFile(ARCHIVE_PATH, 'utf8');
+    const loaded = new Map();
+
+    for (const line of content.split('\n')) {
+        const [service, mediaId, relativePath] = line.split('\t');
+        if (service && mediaId && relativePath) {
+            // Later lines win, a media can be downloaded again after its file was removed
+            loaded.set(archiveKey(service, mediaId), relativePath);
+        }
+    }
+
+    entries = loaded;
+    loadedMtime = stats.mtimeMs;
+}
+
+/**
+ * Look up a media in the archive
+ *
+ * @param {string} service - Service name (e.g., "tiktok")
+ * @param {string} mediaId - Media ID within the service
+ * @returns {Promise<string|null>} Absolute path of the downloaded file, or null if it isn't archived
+ */
+export async function findDownloaded(service, mediaId) {
+    if (!service || !mediaId) {
+        return null;
+    }
+
+    try {
+        await load();
+    } catch (error) {
+        logger.warn({ err: error }, 'Failed to read download archive');
+        return null;
+    }
+
+    const relativePath = entries.get(archiveKey(service, mediaId));
+    if (!relativePath) {
+        return null;
+    }
+
+    try {
+        return await storage.stat(relativePath) ? path.join(DOWNLOAD_DIR, relativePath) : null;
+    } catch (error) {
+        logger.warn({ err: error, service, mediaId }, 'Failed to check archived download');
+        return null;
+    }
+}
+
+/**
+ * Record a finished download in the archive
+ *
+ * @param {string} service - Service name (e.g., "tiktok")
+ * @param {string} mediaId - Media ID within the service
+ * @param {string} filepath - Absolute path of the downloaded file
+ */
+export async function recordDownload(service, mediaId, filepath) {
+    if (!service || !mediaId || !filepath) {
+        return;
+    }
+
+    // IDs and paths are written as-is, so anything that would break the line format is skipped
+    const relativePath = path.relative(DOWNLOAD_DIR, filepath);
+    if (/[\t\n]/.test(`${service}${mediaId}${relativePath}`)) {
+        return;
+    }
+
+    try {
+        await fs.appendFile(ARCHIVE_PATH, `${service}\t${mediaId}\t${relativePath}\n`);
+        entries.set(archiveKey(service, mediaId), relativePath);
+    } catch (error) {
+        logger.warn({ err: error, service, mediaId }, 'Failed to write download archive');
+    }
+}
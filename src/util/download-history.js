@@ -0,0 +1,249 @@
+/**
+ * Download History
+ *
+ * Keeps a record of every extraction and download: when it happened, which
+ * API key asked for it, the service, media ID, title, source URL and options,
+ * and for downloads the output path, size and outcome. Used for auditing
+ * through GET /history and for rebuilding files that were lost.
+ *
+ * The history is an append-only JSON Lines file (one entry per line), so like
+ * the download archive it survives restarts without Redis and is shared by
+ * cluster workers on the same host. Every process only reads what was appended
+ * since its last read.
+ *
+ * Entry types and their statuses:
+ * - extract: success, error
+ * - download: done, failed, skipped (already in the download archive)
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { nanoid } from 'nanoid';
+
+import { logger } from './logger.js';
+import { DOWNLOAD_HISTORY, TIME } from './constants.js';
+import { DOWNLOAD_DIR } from './download-manager.js';
+
+const HISTORY_PATH = process.env.DOWNLOAD_HISTORY || path.join(DOWNLOAD_DIR, '.download-history.jsonl');
+
+export const HISTORY_TYPES = ['extract', 'download'];
+export const HISTORY_STATUSES = ['success', 'error', 'done', 'failed', 'skipped'];
+
+// Entries in the order they were recorded (oldest first)
+let entries = [];
+let loadedSize = 0;
+let loadedMtime = 0;
+let loading = null;
+
+/**
+ * Read entries appended since the last read
+ * The whole file is read again if it shrank (e.g., rotated by hand)
+ */
+async function readNew() {
+    let stats;
+    try {
+        stats = await fs.stat(HISTORY_PATH);
+    } catch {
+        return; // No history yet
+    }
+
+    if (stats.size === loadedSize && stats.mtimeMs === loadedMtime) {
+        return;
+    }
+
+    const start = stats.size >= loadedSize ? loadedSize : 0;
+    const handle = await fs.open(HISTORY_PATH, 'r');
+    let content;
+
+    try {
+        const buffer = Buffer.alloc(stats.size - start);
+        const { bytesRead } = await handle.read(buffer, 0, buffer.length, start);
+        content = buffer.subarray(0, bytesRead).toString('utf8');
+    } finally {
+        await handle.close();
+    }
+
+    // A line that is still being written is picked up on the next read
+    const end = content.lastIndexOf('\n') + 1;
+    const loaded = start === 0 ? [] : entries;
+
+    for (const line of content.slice(0, end).split('\n')) {
+        if (!line) {
+            continue;
+        }
+
+        try {
+            loaded.push(JSON.parse(line));
+        } catch {
+            // Skip corrupted lines
+        }
+    }
+
+    entries = loaded;
+    loadedSize = start + Buffer.byteLength(content.slice(0, end));
+    loadedMtime = stats.mtimeMs;
+}
+
+/**
+ * Reload history from disk if it changed
+ * Concurrent callers share the same read
+ */
+function load() {
+    loading ??= readNew().finally(() => {
+        loading = null;
+    });
+
+    return loading;
+}
+
+/**
+ * Path of a downloaded file relative to DOWNLOAD_DIR
+ *
+ * @param {string|null} filepath - Absolute path of the file
+ * @returns {string|null} Relative path with forward slashes
+ */
+function toRelativePath(filepath) {
+    if (!filepath) {
+        return null;
+    }
+
+    return path.relative(DOWNLOAD_DIR, filepath).split(path.sep).join('/');
+}
+
+/**
+ * Record an extraction or download
+ * Failing to write the history is logged and never breaks the request or job
+ *
+ * @param {Object} entry - History entry
+ * @param {string} entry.type - "extract" or "download"
+ * @param {string} entry.status - Outcome (see HISTORY_STATUSES)
+ * @param {string} entry.key - API key (rate limit identity) of the requester
+ * @param {string} entry.service - Service name (e.g., "tiktok")
+ * @param {string} entry.mediaId - Media ID within the service
+ * @param {string} entry.title - Media title
+ * @param {string} entry.author - Media author or username
+ * @param {string} entry.url - URL the media was extracted or downloaded from
+ * @param {Object} entry.options - Request options
+ * @param {string} entry.jobId - Download job id
+ * @param {string} entry.requestId - Request id (extractions)
+ * @param {string} entry.filepath - Absolute path of the downloaded file
+ * @param {number} entry.size - File size in bytes
+ * @param {string} entry.error - Error code or message
+ */
+export async function recordHistory(entry) {
+    const line = JSON.stringify({
+        id: nanoid(),
+        at: new Date().toISOString(),
+        type: entry.type,
+        status: entry.status,
+        key: entry.key || null,
+        service: entry.service || null,
+        mediaId: entry.mediaId ? String(entry.mediaId) : null,
+        title: entry.title || null,
+        author: entry.author || null,
+        url: entry.url || null,
+        options: entry.options || null,
+        jobId: entry.jobId || null,
+        requestId: entry.requestId || null,
+        path: toRelativePath(entry.filepath),
+        size: entry.size ?? null,
+        error: entry.error ? String(entry.error).slice(0, DOWNLOAD_HISTORY.ERROR_MAX_LENGTH) : null,
+    });
+
+    try {
+        await fs.appendFile(HISTORY_PATH, `${line}\n`);
+    } catch (error) {
+        logger.warn({ err: error, type: entry.type, service: entry.service }, 'Failed to write download history');
+    }
+}
+
+/**
+ * Parse a date filter
+ *
+ * @param {string} value - ISO date or Unix timestamp in milliseconds
+ * @param {boolean} endOfDay - A date without a time means the end of that day (for "to" filters)
+ * @returns {number|null} Timestamp, or null if the value isn't a date
+ */
+export function parseHistoryDate(value, endOfDay = false) {
+    if (/^\d+$/.test(value)) {
+        return Number(value);
+    }
+
+    const time = Date.parse(value);
+    if (!Number.isFinite(time)) {
+        return null;
+    }
+
+    return endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value) ? time + TIME.DAY - 1 : time;
+}
+
+/**
+ * Query the history, newest first
+ *
+ * @param {Object} filters - Query filters
+ * @param {string} filters.type - Only "extract" or "download" entries
+ * @param {string} filters.status - Only entries with this outcome
+ * @param {string} filters.service - Only entries of this service
+ * @param {string} filters.author - Only entries of this author (case insensitive)
+ * @param {string} filters.key - Only entries requested by this API key
+ * @param {string} filters.mediaId - Only entries of this media
+ * @param {number} filters.from - Only entries recorded at or after this timestamp
+ * @param {number} filters.to - Only entries recorded at or before this timestamp
+ * @param {string} filters.q - Free-text search in titles (case insensitive)
+ * @param {number} filters.limit - Maximum number of entries to return
+ * @param {number} filters.offset - Number of entries to skip, negative values count as 0
+ * @returns {Promise<{total: number, entries: Array<Object>}>}
+ */
+export async function queryHistory({
+    type,
+    status,
+    service,
+    author,
+    key,
+    mediaId,
+    from,
+    to,
+    q,
+    limit = DOWNLOAD_HISTORY.LIST_LIMIT,
+    offset = 0,
+} = {}) {
+    await load();
+
+    const lower = (value) => String(value ?? '').toLowerCase();
+    const authorFilter = author && lower(author);
+    const terms = lower(q).split(/\s+/).filter(Boolean);
+
+    const matches = [];
+
+    for (let i = entries.length - 1; i >= 0; i--) {
+        const entry = entries[i];
+        const at = Date.parse(entry.at);
+
+        if ((type && entry.type !== type)
+            || (status && entry.status !== status)
+            || (service && entry.service !== service)
+            || (key && entry.key !== key)
+            || (mediaId && entry.mediaId !== mediaId)
+            || (authorFilter && lower(entry.author) !== authorFilter)
+            || (from != null && at < from)
+            || (to != null && at > to)) {
+            continue;
+        }
+
+        if (terms.length > 0) {
+            const title = lower(entry.title);
+            if (!terms.every(term => title.includes(term))) {
+                continue;
+            }
+        }
+
+        matches.push(entry);
+    }
+
+    const start = Math.max(0, offset);
+
+    return {
+        total: matches.length,
+        entries: matches.slice(start, start + limit),
+    };
+}
@@ -0,0 +1,137 @@
+/**
+ * Download Info Sidecars
+ *
+ * Optional `.info.json` file written next to an auto-downloaded file, holding
+ * the metadata collected by the service handler (title, author, album, ...),
+ * where the file came from and how it was downloaded. Without it, this
+ * information is gone once the API response has been sent.
+ *
+ * `video.mp4` gets `video.info.json`, like yt-dlp's --write-info-json.
+ * Sidecars aren't downloads themselves: they're hidden from listings and
+ * quotas, and are removed together with their file.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+export const INFO_SUFFIX = '.info.json';
+
+/**
+ * Get the sidecar path of a downloaded file
+ *
+ * @param {string} filepath - Path of the downloaded file
+ * @returns {string} Path of its .info.json
+ */
+export function getInfoPath(filepath) {
+    const { dir, name } = path.parse(filepath);
+    return path.join(dir, `${name}${INFO_SUFFIX}`);
+}
+
+export const isInfoFile = (filename) => filename.endsWith(INFO_SUFFIX);
+
+/**
+ * Build the normalized metadata of a media
+ * The result is the same for every file of a request, per-file fields are added by writeInfoFile
+ *
+ * @param {Object} source - Request and service handler data
+ * @param {string} source.service - Service name
+ * @param {string} source.mediaId - Media ID from the request URL
+ * @param {string} source.url - Original request URL
+ * @param {Object} source.fileMetadata - Metadata from the service handler
+ * @param {Object} source.filenameAttributes - Filename attributes from the service handler
+ * @param {string} source.type - "video", "audio" or "mute"
+ * @param {string} source.audioFormat - Requested audio format
+ * @param {string} source.audioBitrate - Requested audio bitrate
+ * @param {string} source.formatId - Format picked by the request (as listed by POST /info)
+ * @param {string} source.audioFormatId - Audio format picked by the request
+ * @returns {Object} Sidecar info
+ */
+export function createInfo({
+    service,
+    mediaId,
+    url,
+    fileMetadata,
+    filenameAttributes,
+    type,
+    audioFormat,
+    audioBitrate,
+    formatId,
+    audioFormatId,
+}) {
+    const metadata = fileMetadata || {};
+    const attributes = filenameAttributes || {};
+
+    return {
+        service,
+        id: attributes.id ? String(attributes.id) : mediaId || null,
+        url,
+        metadata: {
+            title: metadata.title || attributes.title,
+            author: attributes.author || metadata.artist,
+            album: metadata.album,
+            albumArtist: metadata.album_artist,
+            composer: metadata.composer,
+            genre: metadata.genre,
+            date: metadata.date,
+            duration: metadata.duration || attributes.duration,
+            description: metadata.description || attributes.description,
+            copyright: metadata.copyright,
+            subtitleLanguage: metadata.sublanguage,
+        },
+        format: {
+            type,
+            quality: attributes.qualityLabel,
+            resolution: attributes.resolution,
+            codec: attributes.youtubeFormat,
+            container: attributes.extension,
+            audioFormat: type === 'audio' ? audioFormat : undefined,
+            audioBitrate: type === 'audio' ? audioBitrate : undefined,
+            formatId,
+            audioFormatId,
+        },
+    };
+}
+
+/**
+ * Write the sidecar of a downloaded file
+ *
+ * @param {string} filepath - Path of the downloaded file
+ * @param {Object} info - Info from createInfo
+ * @param {Object} file - Per-file details
+ * @param {string} file.mediaId - Media ID of the file (picker items have their own)
+ * @param {number} file.size - File size in bytes
+ */
+export async function writeInfoFile(filepath, info, { mediaId, size } = {}) {
+    const sidecar = {
+        ...info,
+        id: mediaId || info.id,
+        filename: path.basename(filepath),
+        size,
+        downloadedAt: new Date().toISOString(),
+    };
+
+    await fs.writeFile(getInfoPath(filepath), JSON.stringify(sidecar, null, 2));
+}
+
+/**
+ * Read the sidecar of a downloaded file
+ *
+ * @param {string} filepath - Path of the downloaded file
+ * @returns {Promise<Object|null>} Sidecar info, or null if there is none
+ */
+export async function readInfoFile(filepath) {
+    try {
+        return JSON.parse(await fs.readFile(getInfoPath(filepath), 'utf8'));
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Remove the sidecar of a downloaded file, if it has one
+ *
+ * @param {string} filepath - Path of the downloaded file
+ */
+export async function removeInfoFile(filepath) {
+    await fs.unlink(getInfoPath(filepath)).catch(() => {});
+}
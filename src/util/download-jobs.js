@@ -0,0 +1,982 @@
+/**
+ * Download Job Queue
+ *
+ * Runs auto-downloads and batch downloads as background jobs instead of
+ * inside the HTTP request. Every job, including the state of each of its files,
+ * is persisted through the Store abstraction, so jobs can be observed through
+ * GET /jobs and are picked up again after a restart when Redis is configured.
+ * Download URLs and request headers are only kept until their file is finished.
+ *
+ * Job states: queued, running, paused, done, failed, cancelled
+ * File states: queued, running, retrying, done, failed, cancelled, skipped
+ *
+ * Files whose media is already in the download archive are marked as skipped
+ * when the job is created, unless the job opts out of the archive.
+ *
+ * Up to DOWNLOAD_JOB_CONCURRENCY jobs run at once. Their files wait for slots
+ * of the download scheduler, which shares them fairly between API keys.
+ *
+ * Running files carry their live progress (bytes, totalBytes, speed in bytes/s
+ * and ETA in seconds), which can be followed through watchJob.
+ */
+
+import { nanoid } from 'nanoid';
+import { EventEmitter, setMaxListeners } from 'node:events';
+
+import Store from '../store/store.js';
+import { env, isCluster } from '../config.js';
+import { logger } from './logger.js';
+import { DOWNLOAD_JOBS } from './constants.js';
+import { downloadFile, downloadFiles, storeDownload } from './download-manager.js';
+import { findDownloaded, recordDownload } from './download-archive.js';
+import { trackDownload } from './download-quota.js';
+import { writeInfoFile } from './download-info.js';
+import { tagFile } from './download-tagging.js';
+import { sendJobWebhook } from './download-webhooks.js';
+import { recordHistory } from './download-history.js';
+import { addCollector, createCounter, createGauge } from './metrics.js';
+
+// Exported for tests, which stand in for other cluster workers and restarted processes
+export const jobStore = new Store('download_jobs');
+
+// Store key holding the ids of all known jobs (oldest first)
+const INDEX_KEY = 'index';
+
+const JOB_TTL = DOWNLOAD_JOBS.TTL / 1000;
+
+// File states after which the file is never downloaded again
+const FINISHED_FILE_STATES = new Set(['done', 'failed', 'cancelled', 'skipped']);
+
+// Jobs owned by this process that haven't finished yet
+const localJobs = new Map();
+const pendingJobs = [];
+const runningJobs = new Set();
+
+// Abort controller and completion promise of each job running in this process
+const activeRuns = new Map();
+
+const saveTimers = new Map();
+let indexLock = Promise.resolve();
+
+// Whether other workers share the job store, tests turn it on without a cluster
+let clusterMode = isCluster;
+export const setClusterMode = (enabled) => clusterMode = enabled;
+
+// Prometheus metrics (GET /metrics)
+const jobsActive = createGauge('download_jobs', 'Download jobs by state (queued or running)');
+const jobsFinished = createCounter('download_jobs_finished_total', 'Download jobs finished by status (done, failed or cancelled)');
+
+addCollector(() => {
+    jobsActive.set({ state: 'queued' }, pendingJobs.length);
+    jobsActive.set({ state: 'running' }, runningJobs.size);
+});
+
+// Emits the job record under the job id whenever a job of this process changes
+const jobEvents = new EventEmitter();
+jobEvents.setMaxListeners(0);
+
+// Last speed sample ({ time, bytes }) of each file being downloaded
+const speedSamples = new WeakMap();
+
+/**
+ * Store key for pause/cancel requests
+ * Used when the request reaches a cluster worker that doesn't run the job
+ */
+const controlKey = (id) => `control:${id}`;
+
+const sleep = (ms, signal) => new Promise(resolve => {
+    const onAbort = () => {
+        clearTimeout(timer);
+        resolve();
+    };
+    const timer = setTimeout(() => {
+        signal.removeEventListener('abort', onAbort);
+        resolve();
+    }, ms);
+
+    signal.addEventListener('abort', onAbort, { once: true });
+});
+
+const isRateLimited = (error) =>
+    !!error && (error.includes('429') || error.includes('Too Many Requests'));
+
+/**
+ * Update the job index
+ * Updates are chained so concurrent job creation can't drop ids
+ *
+ * @param {Function} update - Receives the current id list, returns the new one
+ * @returns {Promise<void>}
+ */
+function updateIndex(update) {
+    indexLock = indexLock.then(async () => {
+        const ids = await jobStore.get(INDEX_KEY) || [];
+        await jobStore.set(INDEX_KEY, update(ids));
+    }).catch(err => {
+        logger.error({ err }, 'Failed to update download job index');
+    });
+
+    return indexLock;
+}
+
+/**
+ * Persist job immediately
+ *
+ * @param {Object} job - Job record
+ */
+async function saveJob(job) {
+    clearTimeout(saveTimers.get(job.id));
+    saveTimers.delete(job.id);
+
+    forgetRequests(job);
+    job.updatedAt = Date.now();
+    await jobStore.set(job.id, job, JOB_TTL);
+    jobEvents.emit(job.id, job);
+}
+
+/**
+ * Drop the download URL and request headers of files that won't be downloaded
+ * again. They may carry cookies or tokens, which shouldn't sit in the store
+ * for the rest of the job TTL. Once a job is finished, none of its files have them.
+ *
+ * @param {Object} job - Job record
+ */
+function forgetRequests(job) {
+    for (const file of job.files) {
+        if (FINISHED_FILE_STATES.has(file.state)) {
+            delete file.url;
+            delete file.headers;
+        }
+    }
+}
+
+/**
+ * Persist job at most once per SAVE_INTERVAL
+ * Used for per-file progress, which can change many times per second
+ *
+ * @param {Object} job - Job record
+ */
+function scheduleSave(job) {
+    job.updatedAt = Date.now();
+    jobEvents.emit(job.id, job);
+
+    if (saveTimers.has(job.id)) {
+        return;
+    }
+
+    saveTimers.set(job.id, setTimeout(() => {
+        saveTimers.delete(job.id);
+        saveJob(job).catch(err => {
+            logger.error({ err, jobId: job.id }, 'Failed to save download job');
+        });
+    }, DOWNLOAD_JOBS.SAVE_INTERVAL));
+}
+
+/**
+ * Count files per state
+ *
+ * @param {Object} job - Job record
+ * @returns {Object} Counts per file state, plus total files and bytes
+ */
+function summarize(job) {
+    const summary = {
+        total: job.files.length,
+        queued: 0,
+        running: 0,
+        retrying: 0,
+        done: 0,
+        failed: 0,
+        cancelled: 0,
+        skipped: 0,
+        bytes: 0,
+    };
+
+    for (const file of job.files) {
+        summary[file.state]++;
+        summary.bytes += file.bytes || 0;
+    }
+
+    return summary;
+}
+
+/**
+ * Record the progress of a file being downloaded
+ * Speed is smoothed over SPEED_SAMPLE_INTERVAL windows so a single slow chunk doesn't make the ETA jump
+ *
+ * @param {Object} job - Job record
+ * @param {Object} file - Job file
+ * @param {number} bytes - Bytes written so far, including resumed data
+ * @param {number|null} totalBytes - Expected file size, if the origin sent one
+ */
+function updateProgress(job, file, bytes, totalBytes) {
+    const now = Date.now();
+    const sample = speedSamples.get(file);
+
+    file.bytes = bytes;
+    file.totalBytes = totalBytes ?? null;
+
+    // First chunk, or the download started over: resumed data doesn't count towards the speed
+    if (!sample || bytes < sample.bytes) {
+        speedSamples.set(file, { time: now, bytes });
+    } else if (now - sample.time >= DOWNLOAD_JOBS.SPEED_SAMPLE_INTERVAL) {
+        const current = (bytes - sample.bytes) * 1000 / (now - sample.time);
+        file.speed = Math.round(file.speed ? file.speed * 0.7 + current * 0.3 : current);
+        speedSamples.set(file, { time: now, bytes });
+    }
+
+    file.eta = file.speed && file.totalBytes
+        ? Math.ceil(Math.max(0, file.totalBytes - bytes) / file.speed)
+        : null;
+
+    scheduleSave(job);
+}
+
+/**
+ * Clear the live progress of a file that isn't being downloaded anymore
+ *
+ * @param {Object} file - Job file
+ */
+function resetProgress(file) {
+    speedSamples.delete(file);
+    file.speed = null;
+    file.eta = null;
+}
+
+/**
+ * Format job for API responses
+ * Download URLs and headers are left out since they may contain cookies or tokens,
+ * and so is the owner (API key)
+ *
+ * @param {Object} job - Job record
+ * @param {boolean} includeFiles - Include per-file state
+ * @returns {Object} Public job representation
+ */
+export function formatJob(job, includeFiles = true) {
+    const { files, owner, ...info } = job;
+
+    const formatted = {
+        ...info,
+        summary: summarize(job),
+    };
+
+    if (includeFiles) {
+        formatted.files = files.map(({ url, headers, videoId, ...file }) => file);
+    }
+
+    return formatted;
+}
+
+/**
+ * Format the live progress of a job
+ *
+ * Only files that are being downloaded are listed. The job ETA assumes files
+ * that haven't started yet are as large as the ones downloaded so far.
+ *
+ * @param {Object} job - Job record
+ * @returns {Object} Job status, summary, total speed (bytes/s), ETA (s) and active files
+ */
+export function formatProgress(job) {
+    const summary = summarize(job);
+    const active = job.files.filter(file => file.state === 'running' || file.state === 'retrying');
+    const speed = active.reduce((total, file) => total + (file.speed || 0), 0);
+
+    const sized = job.files.filter(file => file.state === 'done' || file.totalBytes);
+    const averageSize = sized.length
+        ? sized.reduce((total, file) => total + (file.totalBytes || file.bytes || 0), 0) / sized.length
+        : 0;
+
+    const remaining = active.reduce(
+        (total, file) => total + Math.max(0, (file.totalBytes || averageSize) - file.bytes), 0
+    ) + summary.queued * averageSize;
+
+    return {
+        id: job.id,
+        status: job.status,
+        summary,
+        speed,
+        eta: speed && averageSize ? Math.ceil(remaining / speed) : null,
+        files: active.map(file => ({
+            index: file.index,
+            filename: file.filename,
+            state: file.state,
+            bytes: file.bytes,
+            totalBytes: file.totalBytes ?? null,
+            speed: file.speed ?? null,
+            eta: file.eta ?? null,
+            retries: Math.max(0, file.attempts - 1),
+            error: file.error,
+        })),
+    };
+}
+
+/**
+ * Record the final outcome of a job file in the download history
+ *
+ * @param {Object} job - Job record
+ * @param {Object} file - Job file
+ * @param {string} status - "done", "failed" or "skipped"
+ */
+function recordFile(job, file, status) {
+    recordHistory({
+        type: 'download',
+        status,
+        key: job.owner,
+        service: job.service,
+        mediaId: file.mediaId,
+        title: job.title,
+        author: job.username,
+        // Batch downloads have no source page, only the file URL
+        url: job.sourceURL || file.url,
+        jobId: job.id,
+        filepath: file.filepath,
+        size: status === 'done' ? file.bytes : null,
+        error: file.error,
+    });
+}
+
+/**
+ * Record the outcome of a download attempt on a job file
+ *
+ * @param {Object} job - Job record
+ * @param {Object} file - Job file
+ * @param {Object} result - Result from downloadFile
+ * @param {boolean} canRetry - Whether rate-limited files may be retried later
+ */
+async function applyResult(job, file, result, canRetry) {
+    // Interrupted by pause/cancel, stopJob decides what happens to the file
+    resetProgress(file);
+
+    if (result.aborted) {
+        file.state = 'queued';
+        file.error = null;
+        file.bytes = 0;
+        file.totalBytes = null;
+        scheduleSave(job);
+        return;
+    }
+
+    // Tagging rewrites the file, so it happens before anything records it
+    if (result.success && job.tags) {
+        result.size = await tagFile(result.filepath, job.tags) ?? result.size;
+    }
+
+    if (result.success && job.info) {
+        await writeInfoFile(result.filepath, job.info, { mediaId: file.mediaId, size: result.size }).catch(err => {
+            logger.warn({ err, jobId: job.id, filename: file.filename }, 'Failed to write info sidecar');
+        });
+    }
+
+    // Moves the file (and its sidecar) to DOWNLOAD_STORAGE, a file that can't be stored is a failed download
+    if (result.success) {
+        try {
+            await storeDownload(result.filepath);
+        } catch (error) {
+            logger.warn({ err: error, jobId: job.id, filename: file.filename }, 'Failed to store download');
+            result = { success: false, error: `Failed to store download: ${error.message}` };
+        }
+    }
+
+    file.bytes = result.size || 0;
+    file.filepath = result.success ? result.filepath : null;
+    file.error = result.error || null;
+    file.retryAt = null;
+
+    if (result.success) {
+        file.state = 'done';
+        recordFile(job, file, 'done');
+
+        if (job.archive && file.mediaId) {
+            recordDownload(job.service, file.mediaId, result.filepath);
+        }
+
+        trackDownload(result.filepath, { service: job.service, owner: job.owner }).catch(err => {
+            logger.warn({ err, jobId: job.id }, 'Failed to track download quota');
+        });
+    } else if (canRetry && isRateLimited(result.error)) {
+        /**
+         * Rate limits are usually time based, so these files are likely to
+         * succeed later. Each file waits a little longer than the previous one,
+         * so the retries don't all hit the origin at the same moment.
+         */
+        file.state = 'retrying';
+        file.retryAt = Date.now()
+            + DOWNLOAD_JOBS.RATE_LIMIT_RETRY_DELAY
+            + file.index * DOWNLOAD_JOBS.RATE_LIMIT_RETRY_STAGGER;
+    } else {
+        file.state = 'failed';
+        recordFile(job, file, 'failed');
+        logger.warn({
+            jobId: job.id,
+            service: job.service,
+            username: job.username,
+            filename: file.filename,
+            index: file.index,
+            error: result.error,
+        }, 'Download job file failed');
+    }
+
+    scheduleSave(job);
+}
+
+/**
+ * Retry files that were rate-limited during the main pass
+ * retryAt is persisted, so restored jobs keep their original schedule
+ *
+ * @param {Object} job - Job record
+ * @param {AbortSignal} signal - Job abort signal
+ */
+async function retryRateLimited(job, signal) {
+    const files = job.files.filter(file => file.state === 'retrying');
+    if (files.length === 0) {
+        return;
+    }
+
+    logger.warn(`\n[WARNING] ${files.length} files rate-limited, retrying with longer delays...\n`);
+
+    await Promise.all(files.map(async (file) => {
+        await sleep(Math.max(0, (file.retryAt || 0) - Date.now()), signal);
+        if (signal.aborted) {
+            return;
+        }
+
+        file.attempts++;
+        const result = await downloadFile(file.url, file.filename, {
+            service: job.service,
+            username: job.username,
+            playlistName: job.playlistName,
+            outputPath: file.outputPath,
+            headers: file.headers,
+            videoId: file.videoId,
+            timeout: job.timeout,
+            maxRetries: 3,
+            retryDelay: 5000,
+            schedule: getSchedule(job),
+            signal,
+            onRetry: (_, error) => {
+                file.attempts++;
+                file.error = error;
+                resetProgress(file);
+                scheduleSave(job);
+            },
+            onProgress: (bytes, totalBytes) => updateProgress(job, file, bytes, totalBytes),
+        });
+
+        await applyResult(job, file, result, false);
+    }));
+}
+
+/**
+ * Download scheduler details of a job
+ * Jobs with a single file are interactive requests and go ahead of bulk jobs.
+ * Fair share is per owner: the API key of the request, or its client IP without one
+ *
+ * @param {Object} job - Job record
+ * @returns {Object} Schedule for downloadFile/downloadFiles
+ */
+const getSchedule = (job) => ({
+    key: job.owner,
+    priority: job.priority || 0,
+    weight: job.weight || 1,
+    interactive: job.files.length === 1,
+});
+
+/**
+ * Count a finished job and send its completion webhook, if it has a callbackUrl
+ * Delivery and its retries run in the background, the queue doesn't wait for the receiver
+ *
+ * @param {Object} job - Job record
+ */
+function notifyFinished(job) {
+    jobsFinished.inc({ status: job.status });
+
+    if (job.callbackUrl) {
+        sendJobWebhook(job, summarize(job));
+    }
+}
+
+/**
+ * Stop a job after a pause or cancel request
+ *
+ * Paused jobs keep their progress and can be resumed, cancelled jobs are final.
+ * Partially downloaded files were already removed by the download manager.
+ *
+ * @param {Object} job - Job record
+ * @param {string} action - "pause" or "cancel"
+ */
+async function stopJob(job, action) {
+    for (const file of job.files) {
+        if (!['queued', 'running', 'retrying'].includes(file.state)) {
+            continue;
+        }
+
+        resetProgress(file);
+
+        if (action === 'cancel') {
+            file.state = 'cancelled';
+            file.retryAt = null;
+        } else if (file.state === 'running' || (file.state === 'retrying' && !file.retryAt)) {
+            file.state = 'queued';
+        }
+    }
+
+    if (action === 'cancel') {
+        job.status = 'cancelled';
+        job.finishedAt = Date.now();
+    } else {
+        job.status = 'paused';
+    }
+
+    await saveJob(job);
+
+    if (action === 'cancel') {
+        notifyFinished(job);
+    }
+
+    if (clusterMode) {
+        await jobStore.delete(controlKey(job.id));
+    }
+
+    logger.info({ jobId: job.id, status: job.status }, 'Download job stopped');
+}
+
+/**
+ * Check whether another worker asked to pause or cancel the job
+ *
+ * @param {Object} job - Job record
+ * @param {AbortController} controller - Job abort controller
+ */
+async function checkControl(job, controller) {
+    try {
+        const action = await jobStore.get(controlKey(job.id));
+        if (action && !controller.signal.aborted) {
+            controller.abort(action);
+        }
+    } catch (err) {
+        logger.warn({ err, jobId: job.id }, 'Failed to check download job control');
+    }
+}
+
+/**
+ * Run a job until all of its files are done or failed, or it is paused/cancelled
+ *
+ * @param {Object} job - Job record
+ * @param {AbortController} controller - Aborted with "pause" or "cancel"
+ */
+async function runJob(job, controller) {
+    const { signal } = controller;
+
+    job.status = 'running';
+    job.startedAt ??= Date.now();
+    await saveJob(job);
+
+    const queued = job.files.filter(file => file.state === 'queued');
+
+    if (queued.length > 0) {
+        await downloadFiles(queued, {
+            concurrency: job.concurrency,
+            timeout: job.timeout,
+            service: job.service,
+            username: job.username,
+            playlistName: job.playlistName,
+            schedule: getSchedule(job),
+            signal,
+            onFileStart: (file) => {
+                file.state = 'running';
+                file.attempts++;
+                scheduleSave(job);
+            },
+            onFileRetry: (file, _, __, error) => {
+                file.state = 'retrying';
+                file.attempts++;
+                file.error = error;
+                resetProgress(file);
+                scheduleSave(job);
+            },
+            onFileProgress: (file, _, bytes, totalBytes) => updateProgress(job, file, bytes, totalBytes),
+            onFileDone: (file, _, result) => applyResult(job, file, result, true),
+        });
+    }
+
+    if (!signal.aborted) {
+        await retryRateLimited(job, signal);
+    }
+
+    if (signal.aborted) {
+        return stopJob(job, signal.reason);
+    }
+
+    const summary = summarize(job);
+
+    // Skipped files are already on disk, so they count as a success
+    job.status = summary.done + summary.skipped > 0 || summary.total === 0 ? 'done' : 'failed';
+    job.finishedAt = Date.now();
+    await saveJob(job);
+
+    logger.info({
+        jobId: job.id,
+        status: job.status,
+        total: summary.total,
+        done: summary.done,
+        failed: summary.failed,
+        skipped: summary.skipped,
+    }, 'Download job finished');
+
+    notifyFinished(job);
+}
+
+/**
+ * Start queued jobs while there are free slots
+ * Interactive and higher priority jobs are started first, their files are
+ * then scheduled against all other running jobs by the download scheduler
+ */
+function pump() {
+    while (runningJobs.size < env.downloadJobConcurrency && pendingJobs.length > 0) {
+        const next = pendingJobs.reduce((best, job, index) => {
+            const a = getSchedule(job), b = getSchedule(pendingJobs[best]);
+            return (a.interactive - b.interactive || a.priority - b.priority) > 0 ? index : best;
+        }, 0);
+        const [job] = pendingJobs.splice(next, 1);
+        const controller = new AbortController();
+        runningJobs.add(job.id);
+
+        // every rate-limited file waits on the job signal at the same time
+        setMaxListeners(0, controller.signal);
+
+        // Pause/cancel requests for this job may arrive at any cluster worker
+        const controlTimer = clusterMode
+            ? setInterval(() => checkControl(job, controller), DOWNLOAD_JOBS.CONTROL_POLL_INTERVAL)
+            : null;
+
+        const done = runJob(job, controller).catch(err => {
+            logger.error({ err, jobId: job.id }, 'Download job crashed');
+        }).finally(() => {
+            clearInterval(controlTimer);
+            activeRuns.delete(job.id);
+            runningJobs.delete(job.id);
+            localJobs.delete(job.id);
+            pump();
+        });
+
+        activeRuns.set(job.id, { controller, done });
+    }
+}
+
+function enqueue(job) {
+    localJobs.set(job.id, job);
+    pendingJobs.push(job);
+    pump();
+}
+
+/**
+ * Create a download job and queue it
+ *
+ * @param {Array<{url: string, filename: string, headers?: Object, videoId?: string, mediaId?: string, index?: number, outputPath?: string}>} files - Files to download
+ * @param {Object} options - Job options
+ * @param {string} options.source - What created the job (e.g., "extract", "batch")
+ * @param {string} options.service - Service name for folder structure
+ * @param {string} options.username - Username for folder structure
+ * @param {string} options.playlistName - Playlist name for folder structure
+ * @param {number} options.concurrency - Concurrent downloads within the job
+ * @param {number} options.timeout - Request timeout per file in ms
+ * @param {boolean} options.archive - Skip media already in the download archive (default: true)
+ * @param {string} options.owner - API key the job is accounted to for storage quotas
+ * @param {Object} options.info - Metadata for .info.json sidecars, none are written without it
+ * @param {Object} options.tags - Metadata, cover and chapters written into downloaded files
+ * @param {string} options.callbackUrl - URL that receives a signed webhook when the job finishes
+ * @param {string} options.title - Media title, for the download history
+ * @param {string} options.sourceURL - URL the files were extracted from, for the download history
+ * @param {number} options.priority - Priority of the API key in the download scheduler (default: 0)
+ * @param {number} options.weight - Fair-share weight of the API key in the download scheduler (default: 1)
+ * @returns {Promise<Object>} Job record
+ */
+export async function createJob(files, options = {}) {
+    const now = Date.now();
+
+    const job = {
+        id: nanoid(),
+        status: 'queued',
+        source: options.source || 'api',
+        service: options.service,
+        username: options.username,
+        playlistName: options.playlistName,
+        concurrency: options.concurrency || 3,
+        timeout: options.timeout || 120000,
+        archive: options.archive !== false,
+        owner: options.owner,
+        info: options.info || null,
+        tags: options.tags || null,
+        callbackUrl: options.callbackUrl || null,
+        title: options.title || null,
+        sourceURL: options.sourceURL || null,
+        priority: options.priority || 0,
+        weight: options.weight || 1,
+        createdAt: now,
+        updatedAt: now,
+        startedAt: null,
+        finishedAt: null,
+        files: files.map((file, i) => ({
+            index: file.index || i + 1,
+            url: file.url,
+            filename: file.filename,
+            outputPath: file.outputPath || null,
+            headers: file.headers,
+            videoId: file.videoId,
+            mediaId: file.mediaId,
+            state: 'queued',
+            attempts: 0,
+            bytes: 0,
+            totalBytes: null,
+            speed: null,
+            eta: null,
+            filepath: null,
+            error: null,
+            retryAt: null,
+        })),
+    };
+
+    if (job.archive && job.service) {
+        for (const file of job.files) {
+            const existing = await findDownloaded(job.service, file.mediaId);
+            if (existing) {
+                file.state = 'skipped';
+                file.filepath = existing;
+                recordFile(job, file, 'skipped');
+            }
+        }
+    }
+
+    await saveJob(job);
+    await updateIndex(ids => [...ids, job.id]);
+
+    logger.debug({ jobId: job.id, files: job.files.length, source: job.source }, 'Download job created');
+
+    enqueue(job);
+    return job;
+}
+
+/**
+ * Get job by id
+ *
+ * @param {string} id - Job id
+ * @returns {Promise<Object|null>} Job record or null if unknown/expired
+ */
+export async function getJob(id) {
+    return localJobs.get(id) ?? await jobStore.get(id);
+}
+
+/**
+ * Watch a job for changes
+ *
+ * The listener is called with the job record every time it changes, which can
+ * be many times per second while files are downloading. In cluster mode the job
+ * may run in another worker, so the store is polled as well.
+ *
+ * @param {string} id - Job id
+ * @param {Function} listener - Called as (job)
+ * @returns {Function} Stops watching
+ */
+export function watchJob(id, listener) {
+    jobEvents.on(id, listener);
+
+    let lastUpdate = null;
+    const pollTimer = clusterMode
+        ? setInterval(async () => {
+            // Jobs running in this process emit their changes directly
+            if (localJobs.has(id)) {
+                return;
+            }
+
+            try {
+                const job = await jobStore.get(id);
+                if (job && job.updatedAt !== lastUpdate) {
+                    lastUpdate = job.updatedAt;
+                    listener(job);
+                }
+            } catch (err) {
+                logger.warn({ err, jobId: id }, 'Failed to poll download job');
+            }
+        }, DOWNLOAD_JOBS.SAVE_INTERVAL)
+        : null;
+
+    return () => {
+        jobEvents.off(id, listener);
+        clearInterval(pollTimer);
+    };
+}
+
+/**
+ * List jobs, newest first
+ *
+ * @param {Object} options - List options
+ * @param {string} options.status - Only return jobs in this state
+ * @param {number} options.limit - Maximum number of jobs to return
+ * @param {number} options.offset - Number of jobs to skip
+ * @returns {Promise<{total: number, jobs: Array<Object>}>}
+ */
+export async function listJobs({ status, limit = DOWNLOAD_JOBS.LIST_LIMIT, offset = 0 } = {}) {
+    const ids = await jobStore.get(INDEX_KEY) || [];
+    const jobs = [];
+    const expired = new Set();
+
+    for (const id of [...ids].reverse()) {
+        const job = await getJob(id);
+
+        if (!job) {
+            expired.add(id);
+            continue;
+        }
+
+        if (status && job.status !== status) {
+            continue;
+        }
+
+        jobs.push(job);
+    }
+
+    // Drop ids of jobs that expired from the store
+    if (expired.size > 0) {
+        updateIndex(current => current.filter(id => !expired.has(id)));
+    }
+
+    return {
+        total: jobs.length,
+        jobs: jobs.slice(offset, offset + limit),
+    };
+}
+
+/**
+ * Pause or cancel a job
+ *
+ * @param {string} id - Job id
+ * @param {string} action - "pause" or "cancel"
+ * @returns {Promise<{job?: Object, error?: string}>}
+ */
+async function controlJob(id, action) {
+    const job = await getJob(id);
+    if (!job) {
+        return { error: 'fetch.empty' };
+    }
+
+    const allowed = action === 'cancel'
+        ? ['queued', 'running', 'paused']
+        : ['queued', 'running'];
+
+    if (!allowed.includes(job.status)) {
+        return { error: 'job.invalid_state' };
+    }
+
+    // Running in this process: abort in-flight downloads and wait for the job to stop
+    const run = activeRuns.get(id);
+    if (run) {
+        run.controller.abort(action);
+        await run.done;
+        return { job };
+    }
+
+    // Waiting in this process's queue: nothing to abort
+    const pendingIndex = pendingJobs.findIndex(pending => pending.id === id);
+    if (pendingIndex !== -1) {
+        pendingJobs.splice(pendingIndex, 1);
+        localJobs.delete(id);
+        await stopJob(job, action);
+        return { job };
+    }
+
+    // Active in another cluster worker: ask it to stop, it checks periodically
+    if (clusterMode && job.status !== 'paused') {
+        await jobStore.set(controlKey(id), action, JOB_TTL);
+        return { job };
+    }
+
+    await stopJob(job, action);
+    return { job };
+}
+
+/**
+ * Pause a queued or running job
+ * In-flight downloads are aborted, their .part files are kept and continued
+ * from where they stopped when the job is resumed
+ *
+ * @param {string} id - Job id
+ * @returns {Promise<{job?: Object, error?: string}>}
+ */
+export function pauseJob(id) {
+    return controlJob(id, 'pause');
+}
+
+/**
+ * Cancel a queued, running or paused job
+ * Files that were already downloaded are kept
+ *
+ * @param {string} id - Job id
+ * @returns {Promise<{job?: Object, error?: string}>}
+ */
+export function cancelJob(id) {
+    return controlJob(id, 'cancel');
+}
+
+/**
+ * Resume a paused job
+ *
+ * @param {string} id - Job id
+ * @returns {Promise<{job?: Object, error?: string}>}
+ */
+export async function resumeJob(id) {
+    const job = await getJob(id);
+    if (!job) {
+        return { error: 'fetch.empty' };
+    }
+
+    if (job.status !== 'paused') {
+        return { error: 'job.invalid_state' };
+    }
+
+    job.status = 'queued';
+    await saveJob(job);
+
+    enqueue(job);
+    return { job };
+}
+
+/**
+ * Restore unfinished jobs after a restart
+ *
+ * Files that were mid-download continue from their .part files, rate-limited
+ * files keep their scheduled retry time.
+ *
+ * @returns {Promise<number>} Number of restored jobs
+ */
+export async function restoreJobs() {
+    const ids = await jobStore.get(INDEX_KEY) || [];
+    let restored = 0;
+
+    for (const id of ids) {
+        if (localJobs.has(id)) {
+            continue;
+        }
+
+        const job = await jobStore.get(id);
+        if (!job || !['queued', 'running'].includes(job.status)) {
+            continue;
+        }
+
+        for (const file of job.files) {
+            if (file.state === 'running' || (file.state === 'retrying' && !file.retryAt)) {
+                file.state = 'queued';
+            }
+
+            resetProgress(file);
+        }
+
+        job.status = 'queued';
+        await saveJob(job);
+
+        enqueue(job);
+        restored++;
+    }
+
+    if (restored > 0) {
+        logger.info({ restored }, 'Restored unfinished download jobs');
+    }
+
+    return restored;
+}
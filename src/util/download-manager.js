@@ -1,11 +1,19 @@
 import fs from 'fs/promises';
-import { createReadStream } from 'fs';
+import { createWriteStream } from 'fs';
+import { Readable } from 'stream';
+import { pipeline, finished } from 'stream/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { logger } from './logger.js';
 import { env } from '../config.js';
-import { USER_AGENT } from './constants.js';
+import { USER_AGENT, TIME, DOWNLOAD_BROWSE, OUTBOUND } from './constants.js';
 import { getHeaders } from '../stream/shared.js';
+import { isInfoFile, getInfoPath } from './download-info.js';
+import { verifyDownload } from './download-verify.js';
+import { acquireSlot } from './download-scheduler.js';
+import { limitedFetch } from './outbound-limiter.js';
+import { createStorage } from '../storage/storage.js';
+import LocalStorage from '../storage/local-storage.js';
 
 const genericUserAgent = USER_AGENT;
 
@@ -14,11 +22,42 @@ const __dirname = path.dirname(__filename);
 
 // Default download directory
 const DEFAULT_DOWNLOAD_DIR = path.join(__dirname, '../../downloads');
-const DOWNLOAD_DIR = process.env.DOWNLOAD_DIR || DEFAULT_DOWNLOAD_DIR;
+export const DOWNLOAD_DIR = process.env.DOWNLOAD_DIR || DEFAULT_DOWNLOAD_DIR;
 
-// Cleanup configuration
-const CLEANUP_INTERVAL = 60 * 60 * 1000; // 1 hour
-const FILE_MAX_AGE = 24 * 60 * 60 * 1000; // 24 hours
+// Suffix for downloads in progress, renamed to the final name once complete
+const PART_SUFFIX = '.part';
+
+// Where finished downloads are kept (DOWNLOAD_STORAGE)
+export const storage = createStorage(DOWNLOAD_DIR);
+
+// Downloads in progress are always written to DOWNLOAD_DIR
+const staging = storage.isLocal ? storage : new LocalStorage(DOWNLOAD_DIR);
+
+/**
+ * Wait for the given time, returning early if the signal is aborted
+ * 
+ * @param {number} ms - Delay in ms
+ * @param {AbortSignal} signal - Optional abort signal
+ * @returns {Promise<void>}
+ */
+function sleep(ms, signal) {
+    return new Promise(resolve => {
+        if (signal?.aborted) {
+            return resolve();
+        }
+
+        const onAbort = () => {
+            clearTimeout(timer);
+            resolve();
+        };
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
 
 /**
  * Ensure download directory exists
@@ -34,6 +73,7 @@ async function ensureDownloadDir() {
 
 /**
  * Download file from URL and save to disk with retry logic
+ * Failed attempts keep their partial data, so retries resume instead of restarting
  * 
  * @param {string} url - URL to download from
  * @param {string} filename - Filename to save as
@@ -43,24 +83,59 @@ async function ensureDownloadDir() {
  * @param {string} options.service - Service name (e.g., "tiktok", "youtube")
  * @param {string} options.username - Username or ID for subfolder (e.g., "st.1834")
  * @param {string} options.playlistName - Playlist name for subfolder (e.g., "My Playlist")
+ * @param {string} options.outputPath - Path relative to DOWNLOAD_DIR, replaces the folder structure and filename
  * @param {number} options.maxRetries - Maximum number of retries (default: 2)
  * @param {number} options.retryDelay - Delay between retries in ms (default: 2000)
- * @returns {Promise<{success: boolean, filepath: string, size: number, error?: string}>}
+ * @param {Function} options.onRetry - Called as (attempt, error) before each retry
+ * @param {Function} options.onStart - Called once the first attempt got a download slot
+ * @param {Function} options.onProgress - Called as (bytes, totalBytes) while data is written
+ * @param {Object} options.schedule - API key, priority, weight and interactive flag for the download scheduler
+ * @param {AbortSignal} options.signal - Aborts the download, no further retries are made
+ * @returns {Promise<{success: boolean, filepath: string, size: number, error?: string, aborted?: boolean}>}
  */
 export async function downloadFile(url, filename, options = {}) {
-    const { maxRetries = 2, retryDelay = 2000, ...downloadOptions } = options;
+    const { maxRetries = 2, retryDelay = 2000, onRetry, onStart, schedule = {}, ...downloadOptions } = options;
+    const { signal } = downloadOptions;
     
     let lastError = null;
     let currentUrl = url;
+    let started = false;
+
+    /**
+     * Every attempt waits for its own download slot,
+     * so retries don't hold one while backing off
+     */
+    const runAttempt = async (attemptUrl) => {
+        const release = await acquireSlot({ ...schedule, service: downloadOptions.service, signal });
+        if (!release) {
+            return { success: false, filepath: '', size: 0, error: 'Download aborted', aborted: true };
+        }
+
+        try {
+            if (!started) {
+                started = true;
+                onStart?.();
+            }
+
+            return await downloadFileAttempt(attemptUrl, filename, downloadOptions);
+        } finally {
+            release();
+        }
+    };
     
     for (let attempt = 0; attempt <= maxRetries; attempt++) {
-        const result = await downloadFileAttempt(currentUrl, filename, downloadOptions);
+        const result = await runAttempt(currentUrl);
         
         if (result.success) {
             return result;
         }
         
         lastError = result;
+
+        // Download was cancelled or paused, retrying would defeat the purpose
+        if (result.aborted || signal?.aborted) {
+            return result;
+        }
         
         /**
          * Special handling for TikTok 404/403 errors: Fetch fresh URL from videoId
@@ -71,8 +146,11 @@ export async function downloadFile(url, filename, options = {}) {
                 const freshUrl = await fetchTikTokVideoUrl(downloadOptions.videoId, downloadOptions.headers);
                 if (freshUrl && freshUrl !== currentUrl) {
                     currentUrl = freshUrl;
+                    // The partial data came from another URL, don't mix it with the new one
+                    await removeFile(result.filepath + PART_SUFFIX);
+                    onRetry?.(attempt + 1, result.error);
                     // Retry immediately with fresh URL (no delay needed since we have fresh URL)
-                    const retryResult = await downloadFileAttempt(freshUrl, filename, downloadOptions);
+                    const retryResult = await runAttempt(freshUrl);
                     if (retryResult.success) {
                         return retryResult;
                     }
@@ -90,41 +168,59 @@ export async function downloadFile(url, filename, options = {}) {
          * 403 Forbidden usually means permanent access denial
          */
         if (result.error && result.error.includes('403') && (downloadOptions.service !== 'tiktok' || !downloadOptions.videoId)) {
+            await removeFile(result.filepath + PART_SUFFIX);
             return result;
         }
         
         /**
          * Retry with exponential backoff
-         * Skip logging for rate limit errors (429) - they're handled separately
+         * Rate limit errors (429) aren't delayed here, the outbound limiter
+         * holds the next attempt until the service backs off
          */
         if (attempt < maxRetries) {
-            const delay = retryDelay * (attempt + 1); // Exponential backoff
+            onRetry?.(attempt + 1, result.error);
+
             if (!result.error?.includes('429') && !result.error?.includes('Too Many Requests')) {
                 logger.debug(`Retrying download (${attempt + 1}/${maxRetries}): ${filename.substring(0, 50)}...`);
+                await sleep(retryDelay * (attempt + 1), signal); // Exponential backoff
             }
-            await new Promise(resolve => setTimeout(resolve, delay));
         }
     }
     
+    // Out of retries, nothing is going to resume the partial download
+    if (lastError?.filepath) {
+        await removeFile(lastError.filepath + PART_SUFFIX);
+    }
+    
     return {
         success: false,
         filepath: lastError?.filepath || '',
         size: 0,
         error: lastError?.error || 'Download failed after retries',
+        aborted: lastError?.aborted || signal?.aborted || undefined,
     };
 }
 
 /**
  * Get download path for a file
  * Creates nested directory structure: downloads/{service}/{username}/{playlistName}/
+ * or the folders of outputPath, when the file has one
  * 
  * @param {string} filename - Filename to save
  * @param {string} service - Service name (e.g., "tiktok", "youtube")
  * @param {string} username - Username for subfolder
  * @param {string} playlistName - Playlist name for subfolder (optional)
+ * @param {string} outputPath - Rendered output template, relative to DOWNLOAD_DIR (optional)
  * @returns {Promise<string>} Full file path
  */
-async function getDownloadPath(filename, service, username, playlistName) {
+async function getDownloadPath(filename, service, username, playlistName, outputPath) {
+    // Rendered templates are already sanitized, this only guards against escaping DOWNLOAD_DIR
+    const templatePath = outputPath && resolveDownloadPath(outputPath);
+    if (templatePath) {
+        await fs.mkdir(path.dirname(templatePath), { recursive: true });
+        return templatePath;
+    }
+    
     let downloadPath = DOWNLOAD_DIR;
     if (service) {
         downloadPath = path.join(downloadPath, service);
@@ -173,7 +269,7 @@ async function fetchTikTokVideoUrl(videoId, headers = {}) {
          * TikTok requires user-agent and referer headers
          */
         const serviceHeaders = getHeaders('tiktok') || {};
-        const res = await fetch(`https://www.tiktok.com/@i/video/${videoId}`, {
+        const res = await limitedFetch('tiktok', `https://www.tiktok.com/@i/video/${videoId}`, {
             headers: {
                 "user-agent": serviceHeaders['user-agent'] || genericUserAgent,
                 "referer": serviceHeaders.referer || "https://www.tiktok.com/",
@@ -235,60 +331,220 @@ async function fetchTikTokVideoUrl(videoId, headers = {}) {
     return null;
 }
 
+/**
+ * Remove a file, ignoring files that don't exist
+ * 
+ * @param {string} filepath - File to remove
+ */
+async function removeFile(filepath) {
+    try {
+        await fs.unlink(filepath);
+    } catch {
+        // File doesn't exist or already deleted - ignore
+    }
+}
+
+/**
+ * Get size of an existing partial download
+ * 
+ * @param {string} partPath - Path of the .part file
+ * @returns {Promise<number>} Size in bytes, 0 if there is no partial download
+ */
+async function getPartSize(partPath) {
+    try {
+        const stats = await fs.stat(partPath);
+        return stats.size;
+    } catch {
+        return 0;
+    }
+}
+
+/**
+ * Parse Content-Range header
+ * 
+ * @param {string} header - Header value (e.g., "bytes 100-199/1000" or "bytes *\/1000")
+ * @returns {{start: number|null, total: number|null}|null} Parsed range, null if invalid
+ */
+export function parseContentRange(header) {
+    const match = header?.match(/^bytes (?:(\d+)-\d+|\*)\/(\d+|\*)$/);
+    if (!match) {
+        return null;
+    }
+    
+    return {
+        start: match[1] !== undefined ? parseInt(match[1], 10) : null,
+        total: match[2] !== '*' ? parseInt(match[2], 10) : null,
+    };
+}
+
+/**
+ * Verify a complete .part file before it becomes the download
+ * Corrupt files can't be resumed, so they're removed and downloaded again on retry
+ * 
+ * @param {string} partPath - Path of the .part file
+ * @param {string} filepath - Final path of the file
+ * @throws {Error} If the file is corrupt
+ */
+async function checkPartFile(partPath, filepath) {
+    const corrupt = await verifyDownload(partPath, filepath);
+    if (corrupt) {
+        await removeFile(partPath);
+        throw new Error(`Corrupt download: ${corrupt}`);
+    }
+}
+
 /**
  * Single download attempt (internal function)
  * Performs the actual HTTP request and file write
  * 
+ * Data is streamed to `{filepath}.part` and only renamed to the final path once
+ * the download is complete, so a half-written file never looks finished.
+ * If a .part file from a previous attempt exists, the download continues from
+ * its end using a Range request. Origins that ignore Range (200 instead of 206)
+ * are downloaded from the start again.
+ * 
+ * Complete files are verified (see download-verify.js) before the rename,
+ * corrupt ones fail the attempt like any other error.
+ * 
  * @param {string} url - URL to download from
  * @param {string} filename - Filename to save as
  * @param {Object} options - Download options
- * @returns {Promise<{success: boolean, filepath: string, size: number, error?: string}>}
+ * @param {AbortSignal} options.signal - Aborts the in-flight request, the .part file is kept when the reason is "pause"
+ * @param {Function} options.onProgress - Called as (bytes, totalBytes) for every chunk written,
+ *                                        bytes include data resumed from the .part file
+ * @returns {Promise<{success: boolean, filepath: string, size: number, error?: string, aborted?: boolean}>}
  */
 async function downloadFileAttempt(url, filename, options = {}) {
     await ensureDownloadDir();
     
-    const { headers = {}, timeout = 30000, service, username, playlistName } = options;
-    const filepath = await getDownloadPath(filename, service, username, playlistName);
+    const { headers = {}, timeout = 30000, service, username, playlistName, outputPath, signal, onProgress } = options;
+    const filepath = await getDownloadPath(filename, service, username, playlistName, outputPath);
+    const partPath = filepath + PART_SUFFIX;
+
+    if (signal?.aborted) {
+        return { success: false, filepath, size: 0, error: 'Download aborted', aborted: true };
+    }
+
+    /**
+     * Fetch file with timeout support
+     * The external signal (job cancel/pause) aborts the same controller,
+     * which stops both the request and reading of the body.
+     */
+    const controller = new AbortController();
+    let timeoutId;
+    const onAbort = () => controller.abort();
+    signal?.addEventListener('abort', onAbort, { once: true });
     
     try {
+        let offset = await getPartSize(partPath);
+        
         /**
-         * Fetch file with timeout support
+         * Downloads share the outbound limiter of their service,
+         * batch downloads without one are limited per host.
+         * The timeout starts once the limiter lets the request through.
          */
-        const controller = new AbortController();
-        const timeoutId = setTimeout(() => controller.abort(), timeout);
-        
-        const response = await fetch(url, {
-            headers,
+        const response = await limitedFetch(service || new URL(url).hostname, url, {
+            headers: offset > 0
+                ? { ...headers, Range: `bytes=${offset}-` }
+                : headers,
             signal: controller.signal,
+        }, {
+            maxWait: OUTBOUND.DOWNLOAD_MAX_WAIT,
+            fetch: (input, init) => {
+                timeoutId = setTimeout(() => controller.abort(), timeout);
+                return fetch(input, init);
+            },
         });
         
         clearTimeout(timeoutId);
         
+        /**
+         * 416 Range Not Satisfiable: the .part file is either already complete
+         * or doesn't belong to this file anymore
+         */
+        if (response.status === 416 && offset > 0) {
+            const range = parseContentRange(response.headers.get('content-range'));
+            if (range?.total !== offset) {
+                await removeFile(partPath);
+                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            }
+            
+            await response.body?.cancel();
+            await checkPartFile(partPath, filepath);
+            await fs.rename(partPath, filepath);
+            
+            return {
+                success: true,
+                filepath,
+                size: offset,
+                expectedSize: offset,
+            };
+        }
+        
         if (!response.ok) {
             throw new Error(`HTTP ${response.status}: ${response.statusText}`);
         }
         
         /**
-         * Get expected file size from Content-Length header
-         * Used for validation and progress tracking
+         * Get expected file size
+         * Full responses use Content-Length, partial ones the total from Content-Range
          */
         const contentLength = response.headers.get('content-length');
-        const expectedSize = contentLength ? parseInt(contentLength, 10) : null;
+        let expectedSize = contentLength ? parseInt(contentLength, 10) : null;
+        
+        if (response.status === 206) {
+            const range = parseContentRange(response.headers.get('content-range'));
+            
+            // Origin sent a different range than requested, start over next attempt
+            if (range?.start !== offset) {
+                await removeFile(partPath);
+                throw new Error('Unexpected Content-Range in partial response');
+            }
+            
+            expectedSize = range.total;
+            logger.debug({ filename, offset, expectedSize }, 'Resuming partial download');
+        } else {
+            // Full response: Range unsupported or no partial download
+            offset = 0;
+        }
         
         /**
-         * Download file into memory buffer
-         * For large files, consider streaming to disk instead
+         * Stream response body to the .part file
+         * Appends when resuming, truncates otherwise
          */
-        const arrayBuffer = await response.arrayBuffer();
-        const buffer = Buffer.from(arrayBuffer);
-        
-        // Write buffer to file
-        await fs.writeFile(filepath, buffer);
+        const output = createWriteStream(partPath, { flags: offset > 0 ? 'a' : 'w' });
+        if (response.body) {
+            let written = offset;
+            onProgress?.(written, expectedSize);
+
+            await pipeline(
+                Readable.fromWeb(response.body),
+                async function* (source) {
+                    for await (const chunk of source) {
+                        written += chunk.length;
+                        onProgress?.(written, expectedSize);
+                        yield chunk;
+                    }
+                },
+                output
+            );
+        } else {
+            output.end();
+            await finished(output);
+        }
         
         // Get actual file size for verification
-        const stats = await fs.stat(filepath);
+        const stats = await fs.stat(partPath);
         const actualSize = stats.size;
         
+        // Keep the .part file, the next attempt continues where this one stopped
+        if (expectedSize !== null && actualSize !== expectedSize) {
+            throw new Error(`Incomplete download: ${actualSize} of ${expectedSize} bytes`);
+        }
+        
+        await checkPartFile(partPath, filepath);
+        await fs.rename(partPath, filepath);
+        
         return {
             success: true,
             filepath,
@@ -298,13 +554,22 @@ async function downloadFileAttempt(url, filename, options = {}) {
         
     } catch (error) {
         /**
-         * Clean up partial file if download failed
-         * Prevents corrupted files from remaining on disk
+         * Clean up partial file if the download was cancelled
+         * Paused jobs and other failures keep the .part file, so the resumed job
+         * or the next retry continues it with a Range request
          */
-        try {
-            await fs.unlink(filepath);
-        } catch {
-            // File doesn't exist or already deleted - ignore
+        if (signal?.aborted) {
+            if (signal.reason !== 'pause') {
+                await removeFile(partPath);
+            }
+            
+            return {
+                success: false,
+                filepath,
+                size: 0,
+                error: 'Download aborted',
+                aborted: true,
+            };
         }
         
         return {
@@ -313,21 +578,12 @@ async function downloadFileAttempt(url, filename, options = {}) {
             size: 0,
             error: error.message,
         };
+    } finally {
+        clearTimeout(timeoutId);
+        signal?.removeEventListener('abort', onAbort);
     }
 }
 
-/**
- * Download multiple files
- * 
- * @param {Array<{url: string, filename: string, headers?: Object}>} files - Array of files to download
- * @param {Object} options - Download options
- * @param {number} options.concurrency - Number of concurrent downloads
- * @param {number} options.timeout - Request timeout in ms
- * @param {string} options.service - Service name (e.g., "tiktok", "youtube")
- * @param {string} options.username - Username or ID for subfolder
- * @param {string} options.playlistName - Playlist name for subfolder
- * @returns {Promise<Array>} Array of download results
- */
 /**
  * Format download progress as a table-like string
  * Used for console output (currently unused, kept for future use)
@@ -357,41 +613,78 @@ function formatProgressTable(completed, total, success, failed, currentBatch = n
     return table;
 }
 
+/**
+ * Download multiple files
+ * 
+ * @param {Array<{url: string, filename: string, headers?: Object, outputPath?: string}>} files - Array of files to download
+ * @param {Object} options - Download options
+ * @param {number} options.concurrency - Files of this call downloaded at the same time,
+ *                                        each of them also waits for a slot of the download scheduler
+ * @param {number} options.timeout - Request timeout in ms
+ * @param {string} options.service - Service name (e.g., "tiktok", "youtube")
+ * @param {string} options.username - Username or ID for subfolder
+ * @param {string} options.playlistName - Playlist name for subfolder
+ * @param {Object} options.schedule - API key, priority, weight and interactive flag for the download scheduler
+ * @param {Function} options.onFileStart - Called as (file, index) when a file starts downloading
+ * @param {Function} options.onFileRetry - Called as (file, index, attempt, error) before a file is retried
+ * @param {Function} options.onFileProgress - Called as (file, index, bytes, totalBytes) while a file is written
+ * @param {Function} options.onFileDone - Called as (file, index, result) when a file finishes, may return a promise
+ * @param {AbortSignal} options.signal - Aborts in-flight downloads and stops starting new files
+ * @returns {Promise<Array>} Download results of the files that were started
+ */
 export async function downloadFiles(files, options = {}) {
-    const { concurrency = 3, timeout = 30000, service, username, playlistName } = options;
+    const {
+        concurrency = 3,
+        timeout = 30000,
+        service,
+        username,
+        playlistName,
+        schedule,
+        onFileStart,
+        onFileRetry,
+        onFileProgress,
+        onFileDone,
+        signal,
+    } = options;
     
-    const results = [];
+    const settled = new Array(files.length);
     const startTime = Date.now();
+    let next = 0;
     
     /**
-     * Download files in batches to avoid overwhelming the system
-     * Concurrent downloads are limited to prevent rate limiting
+     * Each worker downloads one file at a time until none are left,
+     * so a slow file doesn't hold back the rest of its batch
      */
-    for (let i = 0; i < files.length; i += concurrency) {
-        const batch = files.slice(i, i + concurrency);
-        const batchPromises = batch.map((file, batchIndex) => 
-            downloadFile(file.url, file.filename, {
+    const worker = async () => {
+        while (next < files.length && !signal?.aborted) {
+            const index = next++;
+            const file = files[index];
+
+            const result = await downloadFile(file.url, file.filename, {
                 headers: file.headers,
                 timeout,
                 service,
                 username,
                 playlistName,
+                outputPath: file.outputPath,
                 videoId: file.videoId, // Pass videoId for TikTok 404/403 retry logic
-            })
-        );
-        
-        const batchResults = await Promise.all(batchPromises);
-        results.push(...batchResults);
-        
-        /**
-         * Add delay between batches to avoid rate limiting
-         * TikTok is more strict, so we use longer delays (1s vs 500ms)
-         */
-        if (i + concurrency < files.length) {
-            const delay = service === 'tiktok' ? 1000 : 500; // 1s for TikTok, 500ms for others
-            await new Promise(resolve => setTimeout(resolve, delay));
+                schedule,
+                signal,
+                onStart: () => onFileStart?.(file, index),
+                onRetry: (attempt, error) => onFileRetry?.(file, index, attempt, error),
+                onProgress: onFileProgress && ((bytes, total) => onFileProgress(file, index, bytes, total)),
+            });
+
+            await onFileDone?.(file, index, result);
+            settled[index] = result;
         }
-    }
+    };
+    
+    await Promise.all(
+        Array.from({ length: Math.min(concurrency, files.length) }, worker)
+    );
+    
+    const results = settled.filter(Boolean);
     
     const successCount = results.filter(r => r.success).length;
     const failedCount = results.length - successCount;
@@ -402,9 +695,9 @@ export async function downloadFiles(files, options = {}) {
      * Collect failed download indices for summary
      * Helps identify which files failed in large batches
      */
-    const failedIndices = results
-        .map((r, idx) => ({ success: r.success, index: idx + 1 }))
-        .filter(r => !r.success)
+    const failedIndices = settled
+        .map((r, idx) => ({ result: r, index: idx + 1 }))
+        .filter(({ result }) => result && !result.success)
         .map(r => r.index);
     
     /**
@@ -434,9 +727,9 @@ export async function downloadFiles(files, options = {}) {
      * Only show details if there are 10 or fewer failures (to avoid log spam)
      */
     if (failedCount > 0) {
-        const failedFiles = results
+        const failedFiles = settled
             .map((r, idx) => ({ result: r, file: files[idx], index: idx + 1 }))
-            .filter(({ result }) => !result.success);
+            .filter(({ result }) => result && !result.success);
         
         if (failedFiles.length <= 10) {
             // Log detailed error for each failed file
@@ -454,99 +747,163 @@ export async function downloadFiles(files, options = {}) {
 }
 
 /**
- * Get file info
+ * Resolve a path relative to the download directory
+ * Paths escaping DOWNLOAD_DIR (e.g., "../", absolute paths), internal files
+ * and downloads in progress are rejected
  * 
- * @param {string} filename - Filename
- * @returns {Promise<{exists: boolean, size?: number, created?: Date, modified?: Date}>}
+ * @param {string} relativePath - Path relative to DOWNLOAD_DIR, "" for the root
+ * @returns {string|null} Absolute path, or null if the path isn't allowed
  */
-export async function getFileInfo(filename) {
-    const filepath = path.join(DOWNLOAD_DIR, filename);
+export function resolveDownloadPath(relativePath = '') {
+    if (typeof relativePath !== 'string' || relativePath.includes('\0')) {
+        return null;
+    }
     
-    try {
-        const stats = await fs.stat(filepath);
-        return {
-            exists: true,
-            size: stats.size,
-            created: stats.birthtime,
-            modified: stats.mtime,
-        };
-    } catch {
-        return {
-            exists: false,
-        };
+    const root = path.resolve(DOWNLOAD_DIR);
+    const filepath = path.resolve(root, relativePath);
+    
+    if (filepath !== root && !filepath.startsWith(root + path.sep)) {
+        return null;
+    }
+    
+    const segments = path.relative(root, filepath).split(path.sep);
+    if (segments.some(segment => segment.startsWith('.')) || filepath.endsWith(PART_SUFFIX)) {
+        return null;
     }
+    
+    return filepath;
 }
 
 /**
- * List all files in download directory
+ * Convert an absolute path to a path relative to the download directory,
+ * always using "/" so it can be used in URLs and as a storage key
  * 
- * @param {Object} options - List options
- * @param {number} options.maxAge - Maximum file age in ms (for filtering)
- * @returns {Promise<Array<{filename: string, size: number, created: Date, modified: Date}>>}
+ * @param {string} filepath - Absolute path
+ * @returns {string} Relative path
  */
-export async function listFiles(options = {}) {
-    await ensureDownloadDir();
+function toDownloadPath(filepath) {
+    return path.relative(path.resolve(DOWNLOAD_DIR), filepath).split(path.sep).join('/');
+}
+
+/**
+ * Get the storage key of a path relative to the download directory
+ * 
+ * @param {string} relativePath - Path relative to DOWNLOAD_DIR
+ * @returns {string|null} Storage key ("" for the root), or null if the path isn't allowed
+ */
+export function toStorageKey(relativePath) {
+    const filepath = resolveDownloadPath(relativePath);
+    return filepath ? toDownloadPath(filepath) : null;
+}
+
+/**
+ * Hand a finished download (and its .info.json sidecar) to the storage
+ * Files stay in DOWNLOAD_DIR with local storage, other storages move them out
+ * 
+ * @param {string} filepath - Absolute path of the downloaded file
+ * @returns {Promise<string>} Storage key
+ */
+export async function storeDownload(filepath) {
+    const key = toDownloadPath(filepath);
     
-    const { maxAge } = options;
-    const now = Date.now();
+    if (!storage.isLocal) {
+        const infoPath = getInfoPath(filepath);
+        if (await fs.access(infoPath).then(() => true, () => false)) {
+            await storage.put(toDownloadPath(infoPath), infoPath);
+        }
+    }
     
+    await storage.put(key, filepath);
+    return key;
+}
+
+/**
+ * Remove a download and its .info.json sidecar from the storage
+ * 
+ * @param {string} key - Storage key
+ * @returns {Promise<void>}
+ */
+export async function removeDownload(key) {
+    await storage.delete(key);
+    await storage.delete(getInfoPath(key));
+}
+
+/**
+ * Read the .info.json sidecar of a stored download
+ * 
+ * @param {string} key - Storage key of the downloaded file
+ * @returns {Promise<Object|null>} Sidecar info, or null if there is none
+ */
+async function readStoredInfo(key) {
     try {
-        const files = await fs.readdir(DOWNLOAD_DIR);
-        const fileInfos = [];
-        
-        for (const filename of files) {
-            const filepath = path.join(DOWNLOAD_DIR, filename);
-            
-            try {
-                const stats = await fs.stat(filepath);
-                
-                // Skip if file is too old
-                if (maxAge && (now - stats.mtime.getTime()) > maxAge) {
-                    continue;
-                }
-                
-                // Skip directories
-                if (stats.isDirectory()) {
-                    continue;
-                }
-                
-                fileInfos.push({
-                    filename,
-                    size: stats.size,
-                    created: stats.birthtime,
-                    modified: stats.mtime,
-                });
-            } catch {
-                // Skip files we can't stat
-                continue;
-            }
+        const chunks = [];
+        for await (const chunk of await storage.read(getInfoPath(key))) {
+            chunks.push(chunk);
         }
-        
-        // Sort by modified date (newest first)
-        fileInfos.sort((a, b) => b.modified - a.modified);
-        
-        return fileInfos;
-    } catch (error) {
-        logger.error({ err: error }, 'Failed to list download files');
-        return [];
+        return JSON.parse(Buffer.concat(chunks).toString('utf8'));
+    } catch {
+        return null;
     }
 }
 
+/**
+ * Get a URL that downloads a file straight from the storage
+ * 
+ * @param {string} relativePath - Path relative to DOWNLOAD_DIR
+ * @returns {{url: string, expiresAt: number}|null} null if the storage can't presign URLs
+ */
+export function presignDownload(relativePath) {
+    const key = toStorageKey(relativePath);
+    if (!key) {
+        return null;
+    }
+    
+    return storage.presign(key, { filename: path.posix.basename(key) });
+}
+
+/**
+ * Get file info
+ * 
+ * @param {string} relativePath - Path relative to DOWNLOAD_DIR
+ * @returns {Promise<{exists: boolean, size?: number, created?: Date, modified?: Date}>}
+ */
+export async function getFileInfo(relativePath) {
+    const key = toStorageKey(relativePath);
+    if (!key) {
+        return { exists: false };
+    }
+    
+    const stats = await storage.stat(key);
+    if (!stats) {
+        return { exists: false };
+    }
+    
+    return {
+        exists: true,
+        size: stats.size,
+        created: new Date(stats.created),
+        modified: new Date(stats.modified),
+    };
+}
+
 /**
  * Delete file from download directory
  * 
- * @param {string} filename - Filename to delete
+ * @param {string} relativePath - Path relative to DOWNLOAD_DIR
  * @returns {Promise<{success: boolean, error?: string}>}
  */
-export async function deleteFile(filename) {
-    const filepath = path.join(DOWNLOAD_DIR, filename);
+export async function deleteFile(relativePath) {
+    const key = toStorageKey(relativePath);
+    if (!key) {
+        return { success: false, error: 'Invalid path' };
+    }
     
     try {
-        await fs.unlink(filepath);
-        logger.debug({ filename }, 'File deleted');
+        await removeDownload(key);
+        logger.debug({ filename: relativePath }, 'File deleted');
         return { success: true };
     } catch (error) {
-        logger.error({ err: error, filename }, 'Failed to delete file');
+        logger.error({ err: error, filename: relativePath }, 'Failed to delete file');
         return {
             success: false,
             error: error.message,
@@ -554,13 +911,147 @@ export async function deleteFile(filename) {
     }
 }
 
+/**
+ * Recursively collect stored downloads
+ * 
+ * @param {Object} options - Walk options
+ * @param {boolean} options.includePartial - Include .part files of downloads in progress
+ * @param {boolean} options.includeSidecars - Include .info.json sidecars
+ * @param {string} options.prefix - Folder to walk, relative to DOWNLOAD_DIR (default: everything)
+ * @param {import('../storage/base-storage.js').Storage} options.from - Storage to walk (default: download storage)
+ * @returns {Promise<Array<{key: string, size: number, modified: number, accessed: number, created: number}>>}
+ */
+export async function walkDownloads(options = {}) {
+    const { includePartial = false, includeSidecars = false, prefix = '', from = storage } = options;
+    
+    return (await from.list(prefix)).filter(({ key }) =>
+        (includePartial || !key.endsWith(PART_SUFFIX))
+        && (includeSidecars || !isInfoFile(key))
+    );
+}
+
+const directoryComparators = {
+    name: (a, b) => a.name.localeCompare(b.name),
+    size: (a, b) => a.size - b.size,
+    date: (a, b) => a.modified - b.modified,
+};
+
+export const DIRECTORY_SORTS = Object.keys(directoryComparators);
+
+/**
+ * List a folder of the download tree
+ * Folders come first with the total size, file count and latest modification
+ * of everything below them, then files. Both are sorted the same way and
+ * paginated together.
+ * 
+ * @param {string} relativePath - Folder path relative to DOWNLOAD_DIR, "" for the root
+ * @param {Object} options - List options
+ * @param {string} options.sort - "date", "size" or "name"
+ * @param {string} options.order - "asc" or "desc" (default: "asc" for name, "desc" otherwise)
+ * @param {number} options.limit - Page size
+ * @param {number} options.offset - Number of entries to skip
+ * @param {number} options.maxAge - Maximum file age in ms (for filtering)
+ * @param {boolean} options.info - Include the .info.json sidecar of each file
+ * @param {boolean} options.presign - Include a presigned URL of each file, if the storage supports them
+ * @returns {Promise<Object|null>} Listing, or null if the folder doesn't exist or isn't allowed
+ */
+export async function listDirectory(relativePath = '', options = {}) {
+    const {
+        sort = 'date',
+        order = sort === 'name' ? 'asc' : 'desc',
+        limit = DOWNLOAD_BROWSE.LIST_LIMIT,
+        offset = 0,
+        maxAge,
+        info = false,
+        presign = false,
+    } = options;
+    
+    await ensureDownloadDir();
+    
+    const prefix = toStorageKey(relativePath);
+    if (prefix === null || !await storage.hasFolder(prefix)) {
+        return null; // Missing or not a folder
+    }
+    
+    const now = Date.now();
+    const folders = new Map();
+    const files = [];
+    
+    // A single listing of everything below the folder, grouped by the next path segment
+    for (const file of await walkDownloads({ prefix })) {
+        if (maxAge && now - file.modified > maxAge) {
+            continue;
+        }
+        
+        const rest = prefix ? file.key.slice(prefix.length + 1) : file.key;
+        const slash = rest.indexOf('/');
+        
+        if (slash === -1) {
+            files.push({
+                name: rest,
+                path: file.key,
+                size: file.size,
+                created: new Date(file.created),
+                modified: new Date(file.modified),
+            });
+            continue;
+        }
+        
+        const name = rest.slice(0, slash);
+        const folder = folders.get(name) || {
+            name,
+            path: prefix ? `${prefix}/${name}` : name,
+            size: 0,
+            files: 0,
+            modified: new Date(0),
+        };
+        
+        folder.size += file.size;
+        folder.files++;
+        if (file.modified > folder.modified.getTime()) {
+            folder.modified = new Date(file.modified);
+        }
+        folders.set(name, folder);
+    }
+    
+    const compare = directoryComparators[sort] || directoryComparators.date;
+    const direction = order === 'asc' ? 1 : -1;
+    const sortedFolders = [...folders.values()].sort((a, b) => compare(a, b) * direction);
+    files.sort((a, b) => compare(a, b) * direction);
+    
+    const page = [...sortedFolders, ...files].slice(offset, offset + limit);
+    const pageFiles = page.filter(entry => files.includes(entry));
+    
+    // Sidecars and URLs are only fetched for the files on this page
+    for (const entry of pageFiles) {
+        if (info) {
+            entry.info = await readStoredInfo(entry.path);
+        }
+        if (presign) {
+            entry.url = storage.presign(entry.path, { filename: entry.name })?.url ?? null;
+        }
+    }
+    
+    return {
+        path: prefix,
+        folders: page.filter(entry => sortedFolders.includes(entry)),
+        files: pageFiles,
+        total: folders.size + files.length,
+        limit,
+        offset,
+    };
+}
+
 /**
  * Cleanup old files
+ * Walks the whole download tree, including service/username/playlist folders,
+ * abandoned .part files and .info.json sidecars. With remote storage, leftovers
+ * in DOWNLOAD_DIR (e.g., abandoned .part files) are cleaned up too.
  * 
- * @param {number} maxAge - Maximum file age in ms
+ * @param {number} maxAge - Maximum file age in ms (default: DOWNLOAD_MAX_AGE)
  * @returns {Promise<{deleted: number, errors: number}>}
  */
-export async function cleanupOldFiles(maxAge = FILE_MAX_AGE) {
+export async function cleanupOldFiles(maxAge = env.downloadMaxAge * TIME.HOUR) {
     await ensureDownloadDir();
     
     const now = Date.now();
@@ -568,29 +1059,24 @@ export async function cleanupOldFiles(maxAge = FILE_MAX_AGE) {
     let errors = 0;
     
     try {
-        const files = await fs.readdir(DOWNLOAD_DIR);
-        
-        for (const filename of files) {
-            const filepath = path.join(DOWNLOAD_DIR, filename);
+        for (const from of storage.isLocal ? [storage] : [storage, staging]) {
+            const files = await walkDownloads({ includePartial: true, includeSidecars: true, from });
             
-            try {
-                const stats = await fs.stat(filepath);
+            for (const { key, modified } of files) {
+                const fileAge = now - modified;
                 
-                // Skip directories
-                if (stats.isDirectory()) {
+                if (fileAge <= maxAge) {
                     continue;
                 }
                 
-                const fileAge = now - stats.mtime.getTime();
-                
-                if (fileAge > maxAge) {
-                    await fs.unlink(filepath);
+                try {
+                    await from.delete(key);
                     deleted++;
-                    logger.debug({ filename, age: Math.round(fileAge / 1000 / 60) }, 'Deleted old file');
+                    logger.debug({ filename: key, storage: from.id, age: Math.round(fileAge / 1000 / 60) }, 'Deleted old file');
+                } catch (error) {
+                    errors++;
+                    logger.debug({ err: error, filename: key }, 'Failed to process file during cleanup');
                 }
-            } catch (error) {
-                errors++;
-                logger.debug({ err: error, filename }, 'Failed to process file during cleanup');
             }
         }
         
@@ -608,18 +1094,31 @@ export async function cleanupOldFiles(maxAge = FILE_MAX_AGE) {
 /**
  * Get file stream for serving
  * 
- * @param {string} filename - Filename
- * @returns {Promise<{stream: ReadableStream, size: number, contentType: string}>}
+ * @param {string} relativePath - Path relative to DOWNLOAD_DIR
+ * @param {Object} range - Optional byte range
+ * @param {number} range.start - First byte
+ * @param {number} range.end - Last byte (inclusive)
+ * @returns {Promise<{stream: ReadableStream, size: number, contentType: string}>} size is the full file size
  */
-export async function getFileStream(filename) {
-    const filepath = path.join(DOWNLOAD_DIR, filename);
+export async function getFileStream(relativePath, range = {}) {
+    const key = toStorageKey(relativePath);
+    if (!key) {
+        throw new Error('Invalid path');
+    }
     
     try {
-        const stats = await fs.stat(filepath);
-        const stream = createReadStream(filepath);
+        const stats = await storage.stat(key);
+        if (!stats) {
+            throw new Error('File not found');
+        }
+        
+        const stream = await storage.read(key, range);
+        
+        // Record the access, quota eviction removes least recently accessed files first
+        storage.touch(key).catch(() => {});
         
         // Determine content type from extension
-        const ext = path.extname(filename).toLowerCase();
+        const ext = path.extname(key).toLowerCase();
         const contentTypeMap = {
             '.mp4': 'video/mp4',
             '.mp3': 'audio/mpeg',
@@ -639,7 +1138,7 @@ export async function getFileStream(filename) {
             contentType,
         };
     } catch (error) {
-        logger.error({ err: error, filename }, 'Failed to get file stream');
+        logger.error({ err: error, filename: relativePath }, 'Failed to get file stream');
         throw error;
     }
 }
@@ -656,7 +1155,7 @@ export function startCleanupInterval() {
         cleanupOldFiles().catch(err => {
             logger.error({ err }, 'Cleanup interval error');
         });
-    }, CLEANUP_INTERVAL);
+    }, env.downloadCleanupInterval * TIME.MINUTE);
     
     // Log is minimal - detailed startup info is shown in api.js
     // This prevents duplicate/cluttered startup logs
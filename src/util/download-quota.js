@@ -0,0 +1,270 @@
+/**
+ * Download Storage Quotas
+ *
+ * Caps how much space downloads may use: in total, per service and per API key.
+ * Requests with a valid API key are accounted to (a hash of) the key, from
+ * whatever IP they come. Requests without one are accounted to the hashed
+ * client IP the rate limiter uses, so clients behind one NAT share its quota.
+ *
+ * When a cap is reached, the least recently accessed files in that scope are
+ * evicted first. If that doesn't free enough space (only recently downloaded
+ * files are left), new download jobs are refused with error.api.download.quota.
+ */
+
+import path from 'path';
+
+import Store from '../store/store.js';
+import { env } from '../config.js';
+import { logger } from './logger.js';
+import { DOWNLOAD_QUOTA, TIME } from './constants.js';
+import { DOWNLOAD_DIR, storage, walkDownloads, removeDownload } from './download-manager.js';
+
+const MB = 1024 * 1024;
+
+// Relative file path -> API key that downloaded the file
+const ownerStore = new Store('download_owners');
+
+let usageCache = null;
+let enforcing = Promise.resolve();
+
+const sumSize = (files) => files.reduce((sum, file) => sum + file.size, 0);
+
+const isEnabled = () =>
+    !!(env.downloadQuotaTotal || env.downloadQuotaPerService || env.downloadQuotaPerKey);
+
+/**
+ * Build a usage entry for a downloaded file
+ *
+ * @param {Object} file - Stored file from walkDownloads or storage.stat
+ * @param {string|null} owner - API key that downloaded the file
+ * @returns {Object} Usage entry
+ */
+function toEntry(file, owner) {
+    const segments = file.key.split('/');
+
+    return {
+        relativePath: file.key,
+        // Files are stored as {service}/..., files in the root (e.g., batch downloads) have no service
+        service: segments.length > 1 ? segments[0] : null,
+        owner,
+        size: file.size,
+        modified: file.modified,
+        lastAccess: Math.max(file.accessed, file.modified),
+    };
+}
+
+/**
+ * Scan the download storage
+ * Results are reused for USAGE_CACHE_TTL and kept up to date by trackDownload
+ *
+ * @returns {Promise<Array<Object>>} Usage entries
+ */
+async function scanFiles() {
+    if (usageCache && Date.now() - usageCache.at < DOWNLOAD_QUOTA.USAGE_CACHE_TTL) {
+        return usageCache.files;
+    }
+
+    const files = [];
+    for (const file of await walkDownloads()) {
+        // Owners are only needed for per-key quotas, skip the store lookups otherwise
+        const owner = env.downloadQuotaPerKey ? await ownerStore.get(file.key) : null;
+        files.push(toEntry(file, owner));
+    }
+
+    usageCache = { at: Date.now(), files };
+    return files;
+}
+
+/**
+ * Get the quota scopes that apply to a download
+ *
+ * @param {Array<Object>} files - Usage entries
+ * @param {Object} target - Download the scopes are checked for
+ * @returns {Array<{scope: string, limit: number, files: Array<Object>}>}
+ */
+function getScopes(files, { service, owner }) {
+    const scopes = [];
+
+    if (env.downloadQuotaTotal) {
+        scopes.push({ scope: 'total', limit: env.downloadQuotaTotal * MB, files });
+    }
+
+    if (env.downloadQuotaPerService && service) {
+        scopes.push({
+            scope: 'service',
+            limit: env.downloadQuotaPerService * MB,
+            files: files.filter(file => file.service === service),
+        });
+    }
+
+    if (env.downloadQuotaPerKey && owner) {
+        scopes.push({
+            scope: 'key',
+            limit: env.downloadQuotaPerKey * MB,
+            files: files.filter(file => file.owner === owner),
+        });
+    }
+
+    return scopes;
+}
+
+/**
+ * Evict files until every scope of the target is below its cap
+ *
+ * @param {Object} target - Download the quotas are enforced for
+ * @returns {Promise<{scope: string, limit: number}|null>} First scope still at its cap, or null
+ */
+async function runEnforce(target) {
+    const files = await scanFiles();
+    const evicted = new Set();
+    const now = Date.now();
+    let exceeded = null;
+
+    for (const { scope, limit, files: scoped } of getScopes(files, target)) {
+        const remaining = scoped.filter(file => !evicted.has(file));
+        let used = sumSize(remaining);
+
+        if (used < limit) {
+            continue;
+        }
+
+        const candidates = remaining
+            .filter(file => now - file.modified >= DOWNLOAD_QUOTA.EVICT_MIN_AGE)
+            .sort((a, b) => a.lastAccess - b.lastAccess);
+
+        for (const file of candidates) {
+            if (used < limit) {
+                break;
+            }
+
+            try {
+                await removeDownload(file.relativePath);
+                await ownerStore.delete(file.relativePath);
+                evicted.add(file);
+                used -= file.size;
+            } catch (error) {
+                logger.warn({ err: error, filename: file.relativePath }, 'Failed to evict download');
+            }
+        }
+
+        if (used >= limit && !exceeded) {
+            exceeded = { scope, limit };
+        }
+    }
+
+    if (evicted.size > 0) {
+        usageCache.files = files.filter(file => !evicted.has(file));
+        logger.info({
+            evicted: evicted.size,
+            bytes: sumSize([...evicted]),
+        }, 'Evicted least recently accessed downloads to stay within quota');
+    }
+
+    return exceeded;
+}
+
+/**
+ * Enforce quotas for a download
+ * Runs are serialized so concurrent jobs don't evict the same files
+ *
+ * @param {Object} target - Download the quotas are enforced for
+ * @param {string} target.service - Service name
+ * @param {string} target.owner - API key
+ * @returns {Promise<{scope: string, limit: number}|null>} First scope still at its cap, or null
+ */
+function enforceQuota(target = {}) {
+    if (!isEnabled()) {
+        return Promise.resolve(null);
+    }
+
+    const run = enforcing.then(() => runEnforce(target));
+    enforcing = run.catch(() => {});
+
+    return run;
+}
+
+/**
+ * Check whether a new download job may start
+ * Evicts least recently accessed files first if a cap is reached
+ *
+ * @param {Object} target - Download the quotas are checked for
+ * @param {string} target.service - Service name
+ * @param {string} target.owner - API key
+ * @returns {Promise<{error: string, context: Object}|null>} Error if the job must be refused
+ */
+export async function checkQuota(target = {}) {
+    const exceeded = await enforceQuota(target);
+    if (!exceeded) {
+        return null;
+    }
+
+    return {
+        error: 'download.quota',
+        context: {
+            scope: exceeded.scope,
+            limit: Math.round(exceeded.limit / MB), // MB
+        },
+    };
+}
+
+/**
+ * Account for a finished download
+ * Records the owner for per-key quotas and evicts old files if a cap was passed
+ *
+ * @param {string} filepath - Absolute path of the downloaded file
+ * @param {Object} target - Download details
+ * @param {string} target.service - Service name
+ * @param {string} target.owner - API key
+ */
+export async function trackDownload(filepath, { service, owner } = {}) {
+    const relativePath = path.relative(DOWNLOAD_DIR, filepath).split(path.sep).join('/');
+
+    if (owner) {
+        // Files older than DOWNLOAD_MAX_AGE are removed by cleanup, so the owner can go with them
+        await ownerStore.set(relativePath, owner, env.downloadMaxAge * TIME.HOUR / 1000);
+    }
+
+    if (usageCache) {
+        const stats = await storage.stat(relativePath);
+        usageCache.files = usageCache.files.filter(file => file.relativePath !== relativePath);
+        if (stats) {
+            usageCache.files.push(toEntry(stats, owner || null));
+        }
+    }
+
+    await enforceQuota({ service, owner });
+}
+
+/**
+ * Get current storage usage
+ *
+ * @returns {Promise<Object>} Usage in bytes, with limits (null when unlimited)
+ */
+export async function getUsage() {
+    const files = await scanFiles();
+
+    const groupBy = (key, limit) => {
+        const groups = {};
+        for (const file of files) {
+            if (file[key]) {
+                groups[file[key]] ??= { used: 0, files: 0, limit: limit ? limit * MB : null };
+                groups[file[key]].used += file.size;
+                groups[file[key]].files++;
+            }
+        }
+        return groups;
+    };
+
+    const usage = {
+        used: sumSize(files),
+        files: files.length,
+        limit: env.downloadQuotaTotal ? env.downloadQuotaTotal * MB : null,
+        services: groupBy('service', env.downloadQuotaPerService),
+    };
+
+    if (env.downloadQuotaPerKey) {
+        usage.keys = groupBy('owner', env.downloadQuotaPerKey);
+    }
+
+    return usage;
+}
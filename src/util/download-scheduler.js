@@ -0,0 +1,168 @@
+/**
+ * Download Scheduler
+ *
+ * Every file download (each attempt, including retries) waits for a slot here,
+ * so a single huge job can't starve everyone else. Slots are limited globally
+ * (DOWNLOAD_CONCURRENCY) and per service (DOWNLOAD_SERVICE_CONCURRENCY).
+ *
+ * Waiting downloads are ordered by:
+ * 1. Interactive before bulk: single-file requests jump ahead of playlist jobs
+ * 2. Priority of the API key (higher first)
+ * 3. Fair share between API keys, weighted by the key's weight
+ * 4. Arrival order
+ *
+ * Fair share uses start-time fair queuing: every download gets a virtual
+ * finish tag of max(virtual time, previous tag of the same key) + 1 / weight,
+ * so a key with 3,000 files waiting only gets its share of the slots while
+ * other keys have downloads waiting. A key with weight 2 gets twice the slots
+ * of a key with weight 1.
+ *
+ * The scheduler is per process: with API_INSTANCE_COUNT workers, every worker
+ * has its own queue, its own DOWNLOAD_CONCURRENCY slots and its own
+ * DOWNLOAD_SERVICE_CONCURRENCY caps, so the cluster as a whole downloads up to
+ * API_INSTANCE_COUNT times as many files. Fair share only applies between the
+ * downloads of one worker. The default DOWNLOAD_CONCURRENCY is split between
+ * workers, configured limits should be divided by the worker count.
+ */
+
+import { PriorityQueue } from '@datastructures-js/priority-queue';
+
+import { env } from '../config.js';
+
+const compare = (a, b) =>
+    (b.interactive - a.interactive)
+    || (b.priority - a.priority)
+    || (a.tag - b.tag)
+    || (a.seq - b.seq);
+
+const waiting = new PriorityQueue(compare);
+
+// Slots in use, in total and per service
+let running = 0;
+const runningServices = new Map();
+
+// Key -> virtual finish tag of its last download
+const finishTags = new Map();
+let virtualTime = 0;
+let sequence = 0;
+
+const serviceLimit = (service) => env.downloadServiceConcurrency[service] || Infinity;
+
+/**
+ * Give a slot to a waiting download
+ *
+ * @param {Object} entry - Waiting download
+ */
+function start(entry) {
+    running++;
+    runningServices.set(entry.service, (runningServices.get(entry.service) || 0) + 1);
+    virtualTime = Math.max(virtualTime, entry.startTag);
+
+    let released = false;
+
+    entry.resolve(() => {
+        if (released) {
+            return;
+        }
+        released = true;
+
+        running--;
+        const count = runningServices.get(entry.service) - 1;
+        count > 0 ? runningServices.set(entry.service, count) : runningServices.delete(entry.service);
+
+        dispatch();
+    });
+}
+
+/**
+ * Start waiting downloads while there are free slots
+ * Downloads of services at their cap are skipped, not blocking other services
+ */
+function dispatch() {
+    const blocked = [];
+
+    while (running < env.downloadConcurrency && !waiting.isEmpty()) {
+        const entry = waiting.dequeue();
+
+        if ((runningServices.get(entry.service) || 0) >= serviceLimit(entry.service)) {
+            blocked.push(entry);
+            continue;
+        }
+
+        entry.signal?.removeEventListener('abort', entry.onAbort);
+        start(entry);
+    }
+
+    for (const entry of blocked) {
+        waiting.enqueue(entry);
+    }
+
+    // Nothing is waiting, so no key is behind anymore
+    if (waiting.isEmpty()) {
+        finishTags.clear();
+    }
+}
+
+/**
+ * Wait for a download slot
+ *
+ * @param {Object} options - Download details
+ * @param {string} options.key - API key (rate limit identity) the download is shared fairly by
+ * @param {string} options.service - Service name, for per-service caps
+ * @param {number} options.priority - Priority of the API key, higher goes first (default: 0)
+ * @param {number} options.weight - Fair-share weight of the API key (default: 1)
+ * @param {boolean} options.interactive - Single-file request, goes ahead of bulk jobs
+ * @param {AbortSignal} options.signal - Stops waiting
+ * @returns {Promise<Function|null>} Releases the slot, or null if the signal aborted first
+ */
+export function acquireSlot({
+    key = null,
+    service = null,
+    priority = 0,
+    weight = 1,
+    interactive = false,
+    signal,
+} = {}) {
+    if (signal?.aborted) {
+        return Promise.resolve(null);
+    }
+
+    return new Promise((resolve) => {
+        const startTag = Math.max(virtualTime, finishTags.get(key) ?? 0);
+        const tag = startTag + 1 / weight;
+        finishTags.set(key, tag);
+
+        const entry = {
+            service,
+            priority,
+            interactive: interactive ? 1 : 0,
+            startTag,
+            tag,
+            seq: sequence++,
+            signal,
+            resolve,
+            onAbort: () => {
+                waiting.remove(waitingEntry => waitingEntry === entry);
+                resolve(null);
+            },
+        };
+
+        signal?.addEventListener('abort', entry.onAbort, { once: true });
+        waiting.enqueue(entry);
+        dispatch();
+    });
+}
+
+/**
+ * Get current scheduler usage
+ *
+ * @returns {{running: number, waiting: number, limit: number, services: Object}}
+ */
+export function getSchedulerStatus() {
+    return {
+        running,
+        waiting: waiting.size(),
+        limit: env.downloadConcurrency,
+        services: Object.fromEntries(runningServices),
+    };
+}
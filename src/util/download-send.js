@@ -0,0 +1,83 @@
+/**
+ * Download Responses
+ *
+ * Sends a downloaded file (GET /downloads/:path) like a static file server:
+ * single byte ranges (206), If-Range, and conditional requests with
+ * ETag/Last-Modified (304), so players can seek and clients can resume.
+ */
+
+import path from 'path';
+import { pipeline } from 'stream/promises';
+
+import { getFileStream } from './download-manager.js';
+
+/**
+ * Send a downloaded file
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {string} relativePath - Path relative to DOWNLOAD_DIR, already checked with resolveDownloadPath
+ * @param {{size: number, modified: Date}} fileInfo - File info from getFileInfo
+ * @param {Object} options - Response options
+ * @param {boolean} options.inline - Inline Content-Disposition, for playback in the browser
+ * @returns {Promise<void>}
+ */
+export async function sendDownloadFile(req, res, relativePath, fileInfo, { inline = false } = {}) {
+    const { size, modified } = fileInfo;
+
+    // Size and modification time identify a version, like most static file servers
+    res.setHeader('ETag', `"${Math.floor(modified.getTime()).toString(16)}-${size.toString(16)}"`);
+    res.setHeader('Last-Modified', modified.toUTCString());
+    res.setHeader('Accept-Ranges', 'bytes');
+
+    if (req.fresh) {
+        return res.status(304).end();
+    }
+
+    let range = size > 0 && req.headers.range ? req.range(size, { combine: true }) : undefined;
+
+    // A range of an older version of the file would corrupt the client's copy, send all of it.
+    // Dates must match Last-Modified exactly (RFC 9110 13.1.5), which only has second precision
+    const ifRange = req.headers['if-range'];
+    if (range && ifRange) {
+        const matches = ifRange.startsWith('"')
+            ? ifRange === res.get('ETag')
+            : Math.floor(modified.getTime() / 1000) === Math.floor(Date.parse(ifRange) / 1000);
+
+        if (!matches) {
+            range = undefined;
+        }
+    }
+
+    if (range === -1) {
+        res.setHeader('Content-Range', `bytes */${size}`);
+        return res.status(416).end();
+    }
+
+    // Malformed and multipart ranges are answered with the whole file
+    const partial = Array.isArray(range) && range.length === 1 && range.type === 'bytes' ? range[0] : null;
+
+    const { stream: fileStream, contentType } = await getFileStream(relativePath, partial || {});
+
+    res.setHeader('Content-Type', contentType);
+    res.attachment(path.posix.basename(relativePath));
+    if (inline) {
+        res.setHeader('Content-Disposition', res.get('Content-Disposition').replace(/^attachment/, 'inline'));
+    }
+
+    if (partial) {
+        res.status(206);
+        res.setHeader('Content-Range', `bytes ${partial.start}-${partial.end}/${size}`);
+        res.setHeader('Content-Length', partial.end - partial.start + 1);
+    } else {
+        res.setHeader('Content-Length', size);
+    }
+
+    if (req.method === 'HEAD') {
+        fileStream.destroy();
+        return res.end();
+    }
+
+    // The client may go away mid-file (seeking, cancelled downloads)
+    await pipeline(fileStream, res).catch(() => {});
+}
@@ -0,0 +1,244 @@
+/**
+ * Post-download Tagging
+ *
+ * Auto-downloaded files are saved as the origin serves them. Once a file is on
+ * disk, it's remuxed (streams are copied, not re-encoded) to add the same
+ * metadata tunnels get through convertMetadataToFFmpeg, cover art and chapter
+ * markers, so saved libraries look right in media players.
+ *
+ * Tagging is best-effort: if anything goes wrong, the untagged file is kept.
+ */
+
+import ffmpeg from 'ffmpeg-static';
+import fs from 'fs/promises';
+import path from 'path';
+import { spawn } from 'child_process';
+import { fetch } from 'undici';
+
+import { env } from '../config.js';
+import { logger } from './logger.js';
+import { USER_AGENT, DOWNLOAD_TAGGING } from './constants.js';
+import { verifyDownload } from './download-verify.js';
+import { convertMetadataToFFmpeg, cropSquareFilter, getCommand, killProcess } from '../stream/ffmpeg.js';
+import { trackProcess } from './metrics.js';
+
+// extension -> ffmpeg muxer, files in other formats (images, gifs, ...) aren't tagged
+const muxers = {
+    mp4: 'mp4',
+    m4a: 'ipod',
+    mov: 'mov',
+    mkv: 'matroska',
+    webm: 'webm',
+    mp3: 'mp3',
+    opus: 'opus',
+    ogg: 'ogg',
+};
+
+// containers that can hold a cover picture as an attached video stream
+const coverFormats = new Set(['mp4', 'm4a', 'mov', 'mp3']);
+
+const audioFormats = new Set(['m4a', 'mp3', 'opus', 'ogg']);
+
+/**
+ * Build the tags of a media from the service handler result
+ *
+ * @param {Object} source - Service handler data
+ * @param {Object} source.metadata - File metadata (title, artist, album, ...)
+ * @param {string} source.cover - Cover image URL
+ * @param {boolean} source.cropCover - Crop the cover to a square
+ * @param {Array<{start: number, end: number, title: string}>} source.chapters - Chapters in seconds
+ * @returns {Object|null} Tags, or null if there's nothing to write
+ */
+export function createTags({ metadata, cover, cropCover, chapters }) {
+    // subtitle language only applies to the tunnel's own subtitle stream,
+    // services leave out missing values as undefined
+    const tags = Object.fromEntries(
+        Object.entries(metadata || {}).filter(([ name, value ]) =>
+            name !== 'sublanguage' && typeof value === 'string' && value
+        )
+    );
+
+    if (!Object.keys(tags).length && !cover && !chapters?.length) {
+        return null;
+    }
+
+    return {
+        metadata: tags,
+        cover: cover || null,
+        cropCover: !!cropCover,
+        chapters: chapters?.length ? chapters : null,
+    };
+}
+
+const escapeFFMetadata = (value) => String(value).replace(/[=;#\\\n]/g, char => `\\${char}`);
+
+/**
+ * Convert chapters to an ffmetadata file
+ *
+ * @param {Array<{start: number, end: number, title: string}>} chapters - Chapters in seconds
+ * @returns {string} ffmetadata contents
+ */
+function chaptersToFFMetadata(chapters) {
+    const lines = [';FFMETADATA1'];
+
+    for (const { start, end, title } of chapters) {
+        lines.push(
+            '[CHAPTER]',
+            'TIMEBASE=1/1000',
+            `START=${Math.round(start * 1000)}`,
+            `END=${Math.round(end * 1000)}`,
+            `title=${escapeFFMetadata(title)}`,
+        );
+    }
+
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Download the cover image next to the file
+ *
+ * @param {string} url - Cover URL
+ * @param {string} target - Where to save it
+ * @returns {Promise<boolean>} Whether the cover was saved
+ */
+async function fetchCover(url, target) {
+    try {
+        const response = await fetch(url, {
+            headers: { 'User-Agent': USER_AGENT },
+            signal: AbortSignal.timeout(DOWNLOAD_TAGGING.COVER_TIMEOUT),
+        });
+
+        if (!response.ok || !response.headers.get('content-type')?.startsWith('image/')) {
+            return false;
+        }
+
+        await fs.writeFile(target, Buffer.from(await response.arrayBuffer()));
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Run ffmpeg until it exits
+ *
+ * @param {Array<string>} args - ffmpeg arguments
+ * @returns {Promise<void>} Rejects if ffmpeg failed or took longer than DOWNLOAD_TAGGING.TIMEOUT
+ */
+function runFFmpeg(args) {
+    return new Promise((resolve, reject) => {
+        const process = spawn(...getCommand(['-loglevel', '-8', ...args]), {
+            windowsHide: true,
+            stdio: 'ignore',
+        });
+        trackProcess(process, 'tag');
+
+        const timer = setTimeout(() => {
+            killProcess(process);
+            reject(new Error('ffmpeg timed out'));
+        }, DOWNLOAD_TAGGING.TIMEOUT);
+
+        process.on('error', (error) => {
+            clearTimeout(timer);
+            reject(error);
+        });
+
+        process.on('close', (code) => {
+            clearTimeout(timer);
+            code === 0 ? resolve() : reject(new Error(`ffmpeg exited with code ${code}`));
+        });
+    });
+}
+
+/**
+ * Write tags into a downloaded file
+ * The file is remuxed next to itself and swapped in once ffmpeg succeeds
+ *
+ * @param {string} filepath - Path of the downloaded file
+ * @param {Object} tags - Tags from createTags
+ * @returns {Promise<number|null>} New file size, or null if the file wasn't tagged
+ */
+export async function tagFile(filepath, tags) {
+    const format = path.extname(filepath).slice(1).toLowerCase();
+
+    if (!env.downloadTagging || !ffmpeg || !tags || !muxers[format]) {
+        return null;
+    }
+
+    // .part files are left alone by listings and removed by cleanup if we crash
+    const output = `${filepath}.tagging.part`;
+    const coverPath = `${filepath}.cover.part`;
+    const chaptersPath = `${filepath}.chapters.part`;
+
+    const args = ['-y', '-i', filepath];
+    const maps = ['-map', '0'];
+    const streamArgs = [];
+    let nextInput = 1;
+
+    try {
+        if (tags.cover && coverFormats.has(format) && await fetchCover(tags.cover, coverPath)) {
+            // the cover is added after the file's own video stream (if any)
+            const coverStream = audioFormats.has(format) ? 0 : 1;
+
+            args.push('-i', coverPath);
+            maps.push('-map', `${nextInput}:v:0`);
+            streamArgs.push(`-disposition:v:${coverStream}`, 'attached_pic');
+
+            if (tags.cropCover) {
+                streamArgs.push(
+                    `-filter:v:${coverStream}`, cropSquareFilter,
+                    `-c:v:${coverStream}`, 'mjpeg',
+                );
+            }
+
+            if (format === 'mp3') {
+                streamArgs.push(
+                    '-id3v2_version', '3',
+                    '-metadata:s:v', 'title=Album cover',
+                    '-metadata:s:v', 'comment=Cover (front)',
+                );
+            }
+
+            nextInput++;
+        }
+
+        if (tags.chapters) {
+            await fs.writeFile(chaptersPath, chaptersToFFMetadata(tags.chapters));
+            args.push('-f', 'ffmetadata', '-i', chaptersPath);
+            maps.push('-map_chapters', `${nextInput}`);
+            nextInput++;
+        }
+
+        if (['mp4', 'm4a', 'mov'].includes(format)) {
+            streamArgs.push('-movflags', '+faststart');
+        }
+
+        await runFFmpeg([
+            ...args,
+            ...maps,
+            '-c', 'copy',
+            ...streamArgs,
+            ...convertMetadataToFFmpeg(tags.metadata),
+            '-f', muxers[format],
+            output,
+        ]);
+
+        // the remuxed file replaces a good one, so it has to be at least as good
+        const corrupt = await verifyDownload(output, filepath);
+        if (corrupt) {
+            throw new Error(`Tagged file is corrupt: ${corrupt}`);
+        }
+
+        const { size } = await fs.stat(output);
+        await fs.rename(output, filepath);
+
+        return size;
+    } catch (error) {
+        logger.warn({ err: error, filename: path.basename(filepath) }, 'Failed to tag downloaded file');
+        await fs.unlink(output).catch(() => {});
+        return null;
+    } finally {
+        await fs.unlink(coverPath).catch(() => {});
+        await fs.unlink(chaptersPath).catch(() => {});
+    }
+}
@@ -0,0 +1,210 @@
+/**
+ * Download Verification
+ *
+ * Origins sometimes answer 200 with something that isn't the media: an HTML
+ * error page, a truncated MP4, or an empty file with the right extension.
+ * Every download (and every file ffmpeg rewrites locally) is checked before
+ * it's kept:
+ *
+ * 1. The file must not be empty
+ * 2. Its first bytes must match the MIME type of its extension (mp4 files start
+ *    with an ISO-BMFF box, webm with an EBML header, ...)
+ * 3. Audio and video files are probed with ffmpeg, which must find the
+ *    expected streams and a duration
+ *
+ * Content-Length is checked against the bytes written by the download itself.
+ * ffmpeg-static doesn't ship ffprobe, so the bundled ffmpeg is used to probe:
+ * `ffmpeg -i file` reads the container and prints its streams without
+ * decoding anything. If ffmpeg isn't available, files are only sniffed.
+ */
+
+import ffmpeg from 'ffmpeg-static';
+import fs from 'fs/promises';
+import mime from 'mime';
+import { spawn } from 'child_process';
+
+import { env } from '../config.js';
+import { logger } from './logger.js';
+import { DOWNLOAD_VERIFY } from './constants.js';
+import { getCommand, killProcess } from '../stream/ffmpeg.js';
+import { trackProcess } from './metrics.js';
+
+const ascii = (header, start, end) => header.toString('latin1', start, end);
+const startsWith = (header, bytes) => header.subarray(0, bytes.length).equals(Buffer.from(bytes));
+
+// format -> test for its first bytes
+export const signatures = {
+    mp4: header => ['ftyp', 'moov', 'mdat', 'wide', 'free', 'skip'].includes(ascii(header, 4, 8)),
+    matroska: header => startsWith(header, [0x1a, 0x45, 0xdf, 0xa3]),
+    mp3: header => ascii(header, 0, 3) === 'ID3' || (header[0] === 0xff && (header[1] & 0xe0) === 0xe0),
+    aac: header => ascii(header, 0, 3) === 'ID3' || (header[0] === 0xff && (header[1] & 0xf6) === 0xf0),
+    ogg: header => ascii(header, 0, 4) === 'OggS',
+    wav: header => ascii(header, 0, 4) === 'RIFF' && ascii(header, 8, 12) === 'WAVE',
+    flac: header => ascii(header, 0, 4) === 'fLaC',
+    jpeg: header => startsWith(header, [0xff, 0xd8, 0xff]),
+    png: header => startsWith(header, [0x89, 0x50, 0x4e, 0x47]),
+    gif: header => ascii(header, 0, 4) === 'GIF8',
+    webp: header => ascii(header, 0, 4) === 'RIFF' && ascii(header, 8, 12) === 'WEBP',
+    html: header => /^\s*<(!doctype html|html|head|body)/i.test(ascii(header)),
+    json: header => /^\s*[{[]/.test(ascii(header)),
+};
+
+// MIME type -> formats its files may start with, files of other types aren't sniffed
+const expectedFormats = {
+    'video/mp4': ['mp4'],
+    'video/quicktime': ['mp4'],
+    'video/3gpp': ['mp4'],
+    'audio/mp4': ['mp4'],
+    'video/webm': ['matroska'],
+    'video/x-matroska': ['matroska'],
+    'audio/webm': ['matroska'],
+    'audio/mpeg': ['mp3'],
+    'audio/aac': ['aac'],
+    'audio/ogg': ['ogg'],
+    'audio/wav': ['wav'],
+    'audio/x-flac': ['flac'],
+    'image/jpeg': ['jpeg'],
+    'image/png': ['png'],
+    'image/gif': ['gif'],
+    'image/webp': ['webp'],
+};
+
+/**
+ * Read the first bytes of a file
+ *
+ * @param {string} filepath - File to read
+ * @returns {Promise<Buffer>} Up to DOWNLOAD_VERIFY.SNIFF_BYTES bytes
+ */
+async function readHeader(filepath) {
+    const handle = await fs.open(filepath, 'r');
+
+    try {
+        const buffer = Buffer.alloc(DOWNLOAD_VERIFY.SNIFF_BYTES);
+        const { bytesRead } = await handle.read(buffer, 0, buffer.length, 0);
+        return buffer.subarray(0, bytesRead);
+    } finally {
+        await handle.close();
+    }
+}
+
+/**
+ * Probe the streams and duration of a media file
+ *
+ * @param {string} filepath - File to probe
+ * @returns {Promise<{error?: string, duration?: number|null, video?: number, audio?: number}|null>}
+ *          Probe result, or null if ffmpeg couldn't be run
+ */
+function probeFile(filepath) {
+    return new Promise((resolve) => {
+        let output = '';
+        let process;
+
+        try {
+            process = spawn(...getCommand(['-hide_banner', '-nostdin', '-i', filepath]), {
+                windowsHide: true,
+                stdio: ['ignore', 'ignore', 'pipe'],
+            });
+            trackProcess(process, 'verify');
+        } catch (error) {
+            logger.debug({ err: error }, 'Failed to start ffmpeg for download verification');
+            return resolve(null);
+        }
+
+        const timer = setTimeout(() => {
+            killProcess(process);
+            resolve(null);
+        }, DOWNLOAD_VERIFY.PROBE_TIMEOUT);
+
+        process.stderr.on('data', (chunk) => {
+            if (output.length < DOWNLOAD_VERIFY.PROBE_OUTPUT_MAX_LENGTH) {
+                output += chunk;
+            }
+        });
+
+        process.on('error', (error) => {
+            clearTimeout(timer);
+            logger.debug({ err: error }, 'Failed to start ffmpeg for download verification');
+            resolve(null);
+        });
+
+        // ffmpeg always exits with an error here since there's no output file
+        process.on('close', () => {
+            clearTimeout(timer);
+
+            if (!output.includes('Input #0')) {
+                const lines = output.trim().split('\n');
+                return resolve({ error: lines[lines.length - 1]?.trim() || 'unreadable media file' });
+            }
+
+            const duration = output.match(/Duration: (\d+):(\d{2}):(\d{2}(?:\.\d+)?)/);
+
+            resolve({
+                duration: duration
+                    ? Number(duration[1]) * 3600 + Number(duration[2]) * 60 + Number(duration[3])
+                    : null,
+                video: (output.match(/Stream #\d+:\d+.*?: Video: /g) || [])
+                    // cover art isn't a video stream
+                    .length - (output.match(/Stream #\d+:\d+.*?: Video: .*\(attached pic\)/g) || []).length,
+                audio: (output.match(/Stream #\d+:\d+.*?: Audio: /g) || []).length,
+            });
+        });
+    });
+}
+
+/**
+ * Check that a downloaded file is the media it claims to be
+ *
+ * @param {string} filepath - File to check
+ * @param {string} filename - Name the file is saved as, its extension gives the expected MIME type
+ *                            (defaults to filepath, differs while the file is still a .part file)
+ * @returns {Promise<string|null>} Why the file is corrupt, or null if it looks fine
+ */
+export async function verifyDownload(filepath, filename = filepath) {
+    if (!env.downloadVerify) {
+        return null;
+    }
+
+    const mimeType = mime.getType(filename);
+    const formats = expectedFormats[mimeType];
+    const header = await readHeader(filepath);
+
+    if (header.length === 0) {
+        return 'file is empty';
+    }
+
+    if (formats && !formats.some(format => signatures[format](header))) {
+        const detected = Object.keys(signatures).find(format => signatures[format](header));
+        return `content doesn't match ${mimeType}${detected ? ` (looks like ${detected})` : ''}`;
+    }
+
+    const isVideo = mimeType?.startsWith('video/');
+    const isAudio = mimeType?.startsWith('audio/');
+
+    if (!ffmpeg || (!isVideo && !isAudio)) {
+        return null;
+    }
+
+    const probe = await probeFile(filepath);
+    if (!probe) {
+        return null;
+    }
+
+    if (probe.error) {
+        return `unreadable media file: ${probe.error}`;
+    }
+
+    if (isAudio && probe.audio === 0) {
+        return 'no audio stream';
+    }
+
+    if (isVideo && probe.video === 0 && probe.audio === 0) {
+        return 'no video or audio stream';
+    }
+
+    // Some containers (e.g., webm written on the fly) don't store a duration
+    if (probe.duration !== null && probe.duration <= 0) {
+        return 'media has no duration';
+    }
+
+    return null;
+}
@@ -0,0 +1,212 @@
+/**
+ * Download Job Webhooks
+ *
+ * Jobs created with a callbackUrl POST their results there once they're done,
+ * failed or cancelled, so clients don't have to poll GET /jobs/:id.
+ *
+ * Every delivery is signed with an HMAC-SHA256 of `${timestamp}.${body}`, keyed
+ * with WEBHOOK_SECRET (through hashHmac), and sent in the X-Webhook-Signature
+ * header as `sha256=<hex>`. Failed deliveries are retried with exponential
+ * backoff. Deliveries are best-effort: pending retries don't survive a restart.
+ */
+
+import path from 'path';
+import { nanoid } from 'nanoid';
+import { fetch } from 'undici';
+
+import { env } from '../config.js';
+import { logger } from './logger.js';
+import { USER_AGENT, WEBHOOK } from './constants.js';
+import { hashHmac } from '../security/secrets.js';
+import { DOWNLOAD_DIR } from './download-manager.js';
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Check a callback URL before a job is created
+ *
+ * @param {string} url - Callback URL
+ * @returns {{error: string, context?: Object}|null} Error if the URL can't be used
+ */
+export function checkCallbackUrl(url) {
+    if (!env.webhookSecret) {
+        return { error: 'webhook.disabled' };
+    }
+
+    try {
+        const { protocol } = new URL(url);
+        if (protocol === 'http:' || protocol === 'https:') {
+            return null;
+        }
+    } catch {}
+
+    return {
+        error: 'invalid_body',
+        context: { message: 'callbackUrl must be an http(s) URL' },
+    };
+}
+
+/**
+ * Map a download error message to an API error code
+ *
+ * @param {string} error - Error from the download manager
+ * @returns {string|null} Error code
+ */
+function getErrorCode(error) {
+    if (!error) {
+        return null;
+    }
+
+    if (error.includes('429') || error.includes('Too Many Requests')) {
+        return 'error.api.fetch.rate';
+    }
+
+    if (/HTTP (404|410)\b/.test(error)) {
+        return 'error.api.fetch.empty';
+    }
+
+    if (/timeout|timed out/i.test(error)) {
+        return 'error.api.timeout';
+    }
+
+    if (error.startsWith('Corrupt download')) {
+        return 'error.api.fetch.corrupt';
+    }
+
+    return 'error.api.fetch.fail';
+}
+
+const apiURL = (pathname) => new URL(pathname, env.apiURL).toString();
+
+const downloadURL = (filepath) => apiURL(
+    'downloads/' + path.relative(DOWNLOAD_DIR, filepath)
+        .split(path.sep)
+        .map(encodeURIComponent)
+        .join('/')
+);
+
+/**
+ * Build the webhook payload of a finished job
+ *
+ * @param {Object} job - Job record
+ * @param {Object} summary - Job summary
+ * @returns {Object} Payload
+ */
+function createPayload(job, summary) {
+    return {
+        event: `job.${job.status}`,
+        job: {
+            id: job.id,
+            status: job.status,
+            source: job.source,
+            service: job.service,
+            username: job.username,
+            playlistName: job.playlistName,
+            createdAt: job.createdAt,
+            startedAt: job.startedAt,
+            finishedAt: job.finishedAt,
+            url: apiURL(`jobs/${job.id}`),
+            archiveUrl: summary.done + summary.skipped > 0 ? apiURL(`jobs/${job.id}/archive`) : null,
+            summary,
+            files: job.files.map(file => ({
+                index: file.index,
+                filename: file.filename,
+                mediaId: file.mediaId,
+                state: file.state,
+                bytes: file.bytes,
+                url: file.filepath ? downloadURL(file.filepath) : null,
+                error: file.error,
+                errorCode: file.state === 'failed' ? getErrorCode(file.error) : null,
+            })),
+        },
+    };
+}
+
+/**
+ * Deliver a webhook once
+ *
+ * @returns {Promise<{ok: boolean, retry: boolean, retryAfter?: number, error?: string}>}
+ */
+async function deliver(url, body, deliveryId, event) {
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    const signature = hashHmac(`${timestamp}.${body}`, 'webhook').toString('hex');
+
+    try {
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': USER_AGENT,
+                'X-Webhook-Id': deliveryId,
+                'X-Webhook-Event': event,
+                'X-Webhook-Timestamp': timestamp,
+                'X-Webhook-Signature': `sha256=${signature}`,
+            },
+            body,
+            redirect: 'manual',
+            signal: AbortSignal.timeout(WEBHOOK.TIMEOUT),
+        });
+
+        // The body isn't used, but has to be consumed to free the connection
+        await response.body?.cancel().catch(() => {});
+
+        if (response.ok) {
+            return { ok: true };
+        }
+
+        // Server errors, timeouts and rate limits are temporary, other client errors aren't
+        const retry = response.status >= 500 || [408, 425, 429].includes(response.status);
+        const retryAfter = parseInt(response.headers.get('retry-after'), 10);
+
+        return {
+            ok: false,
+            retry,
+            retryAfter: retryAfter > 0 ? retryAfter * 1000 : undefined,
+            error: `HTTP ${response.status}`,
+        };
+    } catch (error) {
+        return { ok: false, retry: true, error: error.message };
+    }
+}
+
+/**
+ * Send the completion webhook of a job, retrying with backoff
+ * Never throws, failures are logged
+ *
+ * @param {Object} job - Finished job record (done, failed or cancelled)
+ * @param {Object} summary - Job summary
+ * @returns {Promise<boolean>} Whether the webhook was delivered
+ */
+export async function sendJobWebhook(job, summary) {
+    if (!job.callbackUrl || !env.webhookSecret) {
+        return false;
+    }
+
+    const payload = createPayload(job, summary);
+    const body = JSON.stringify(payload);
+    const deliveryId = nanoid();
+
+    for (let attempt = 1; attempt <= WEBHOOK.MAX_ATTEMPTS; attempt++) {
+        const result = await deliver(job.callbackUrl, body, deliveryId, payload.event);
+
+        if (result.ok) {
+            logger.debug({ jobId: job.id, deliveryId, attempt }, 'Job webhook delivered');
+            return true;
+        }
+
+        if (!result.retry || attempt === WEBHOOK.MAX_ATTEMPTS) {
+            logger.warn({ jobId: job.id, deliveryId, attempt, error: result.error }, 'Job webhook failed');
+            return false;
+        }
+
+        const delay = Math.min(
+            result.retryAfter ?? WEBHOOK.RETRY_DELAY * 2 ** (attempt - 1),
+            WEBHOOK.MAX_RETRY_DELAY
+        );
+
+        logger.debug({ jobId: job.id, deliveryId, attempt, delay, error: result.error }, 'Retrying job webhook');
+        await sleep(delay);
+    }
+
+    return false;
+}
@@ -7,6 +7,10 @@
 
 import { env } from '../config.js';
 import Store from '../store/store.js';
+import { getUsage } from './download-quota.js';
+import { getSchedulerStatus } from './download-scheduler.js';
+import { getLimiterStatus } from './outbound-limiter.js';
+import { getServiceBreakerStates } from '../processing/service-breaker.js';
 
 /**
  * Check Redis connectivity (if configured)
@@ -127,6 +131,22 @@ export async function getHealthStatus(startTime, detailed = false) {
         health.arch = process.arch;
         health.pid = process.pid;
         health.enabledServices = [...env.enabledServices];
+
+        // Download storage usage and quotas (bytes)
+        try {
+            health.downloads = await getUsage();
+        } catch (error) {
+            health.downloads = { status: 'error', error: error.message };
+        }
+
+        // Download slots of this process
+        health.scheduler = getSchedulerStatus();
+
+        // Outbound rate limits that are backing off after 429s
+        health.outbound = getLimiterStatus();
+
+        // Circuit breakers of services used by this process
+        health.circuitBreakers = getServiceBreakerStates();
     }
 
     return health;
@@ -0,0 +1,412 @@
+/**
+ * Prometheus Metrics
+ *
+ * Counters, gauges and histograms served by GET /metrics in the Prometheus
+ * text format. Every process keeps its own values; a scrape collects the
+ * values of all cluster workers through the primary and adds them up, so it
+ * doesn't matter which worker answers it.
+ *
+ * Gauges that are cheaper to read than to keep up to date (e.g., download
+ * job states) are filled in by collectors right before a snapshot is taken.
+ */
+
+import { nanoid } from 'nanoid';
+
+import * as cluster from '../misc/cluster.js';
+import { isCluster } from '../config.js';
+import { METRICS } from './constants.js';
+
+// Metric name -> { type, help, buckets, values: Map(label key -> value) }
+const registry = new Map();
+const collectors = [];
+
+// Scrape id -> pending cluster collection
+const pending = new Map();
+
+const labelKey = (labels) => JSON.stringify(
+    Object.entries(labels).sort(([a], [b]) => a.localeCompare(b))
+);
+
+const escapeLabel = (value) => String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/\n/g, '\\n')
+    .replace(/"/g, '\\"');
+
+const formatLabels = (entries) => entries.length > 0
+    ? `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`
+    : '';
+
+/**
+ * Register a metric
+ *
+ * @param {string} type - "counter", "gauge" or "histogram"
+ * @param {string} name - Metric name without the prefix
+ * @param {string} help - Description
+ * @param {Array<number>} buckets - Histogram bucket upper bounds
+ * @returns {Object} Metric
+ */
+function register(type, name, help, buckets = null) {
+    const metric = { type, help, buckets, values: new Map() };
+    registry.set(`${METRICS.PREFIX}${name}`, metric);
+    return metric;
+}
+
+/**
+ * Create a counter
+ *
+ * @param {string} name - Metric name without the prefix, should end with _total
+ * @param {string} help - Description
+ * @returns {{inc: Function}} inc(labels, value = 1)
+ */
+export function createCounter(name, help) {
+    const metric = register('counter', name, help);
+
+    return {
+        inc(labels = {}, value = 1) {
+            const key = labelKey(labels);
+            metric.values.set(key, (metric.values.get(key) || 0) + value);
+        },
+    };
+}
+
+/**
+ * Create a gauge
+ *
+ * @param {string} name - Metric name without the prefix
+ * @param {string} help - Description
+ * @returns {{set: Function, inc: Function, dec: Function}} set(labels, value), inc/dec(labels, value = 1)
+ */
+export function createGauge(name, help) {
+    const metric = register('gauge', name, help);
+
+    const gauge = {
+        set(labels = {}, value) {
+            metric.values.set(labelKey(labels), value);
+        },
+        inc(labels = {}, value = 1) {
+            const key = labelKey(labels);
+            metric.values.set(key, (metric.values.get(key) || 0) + value);
+        },
+        dec(labels = {}, value = 1) {
+            gauge.inc(labels, -value);
+        },
+    };
+
+    return gauge;
+}
+
+/**
+ * Create a histogram
+ *
+ * @param {string} name - Metric name without the prefix
+ * @param {string} help - Description
+ * @param {Array<number>} buckets - Bucket upper bounds, ascending
+ * @returns {{observe: Function, startTimer: Function}} observe(labels, value),
+ *          startTimer(labels) returns a function that observes the seconds since it was called
+ */
+export function createHistogram(name, help, buckets = METRICS.DURATION_BUCKETS) {
+    const metric = register('histogram', name, help, buckets);
+
+    const histogram = {
+        observe(labels = {}, value) {
+            const key = labelKey(labels);
+            let entry = metric.values.get(key);
+
+            if (!entry) {
+                entry = { counts: buckets.map(() => 0), sum: 0, count: 0 };
+                metric.values.set(key, entry);
+            }
+
+            buckets.forEach((bound, index) => {
+                if (value <= bound) {
+                    entry.counts[index]++;
+                }
+            });
+            entry.sum += value;
+            entry.count++;
+        },
+        startTimer(labels = {}) {
+            const start = process.hrtime.bigint();
+            return (extraLabels = {}) => histogram.observe(
+                { ...labels, ...extraLabels },
+                Number(process.hrtime.bigint() - start) / 1e9
+            );
+        },
+    };
+
+    return histogram;
+}
+
+/**
+ * Run a function before every snapshot, to fill in gauges
+ *
+ * @param {Function} collector - Collector
+ */
+export function addCollector(collector) {
+    collectors.push(collector);
+}
+
+// Metrics shared by several modules
+const rateLimitRejections = createCounter(
+    'rate_limit_rejections_total',
+    'Requests rejected by a rate limiter'
+);
+const activeTunnels = createGauge('tunnels_active', 'Tunnel streams currently open');
+const tunnelBytes = createCounter('tunnel_bytes_total', 'Bytes streamed through tunnels');
+const ffmpegProcesses = createGauge('ffmpeg_processes', 'ffmpeg processes currently running');
+
+/**
+ * Count a request rejected by a rate limiter
+ *
+ * @param {string} limiter - Limiter name (e.g., "api", "tunnel", "outbound")
+ * @param {Object} labels - Extra labels (e.g., service)
+ */
+export function countRateLimited(limiter, labels = {}) {
+    rateLimitRejections.inc({ limiter, ...labels });
+}
+
+/**
+ * Count a tunnel as active until its response closes, and the bytes sent on it
+ *
+ * @param {Object} res - Express response of the tunnel
+ */
+export function trackTunnel(res) {
+    const socket = res.socket;
+    const startBytes = socket?.bytesWritten ?? 0;
+
+    activeTunnels.inc();
+
+    res.once('close', () => {
+        activeTunnels.dec();
+        tunnelBytes.inc({}, Math.max(0, (socket?.bytesWritten ?? startBytes) - startBytes));
+    });
+}
+
+/**
+ * Count an ffmpeg process as running until it exits
+ *
+ * @param {ChildProcess} child - Spawned ffmpeg process
+ * @param {string} purpose - What ffmpeg is used for (e.g., "stream", "verify", "tag")
+ */
+export function trackProcess(child, purpose) {
+    let running = true;
+    const done = () => {
+        if (running) {
+            running = false;
+            ffmpegProcesses.dec({ purpose });
+        }
+    };
+
+    ffmpegProcesses.inc({ purpose });
+    child.once('close', done);
+    child.once('error', done);
+}
+
+/**
+ * Take a snapshot of this process's metrics
+ *
+ * @returns {Object} Metric name -> { type, help, buckets, values: Array<[label key, value]> }
+ */
+function snapshot() {
+    for (const collector of collectors) {
+        try {
+            collector();
+        } catch {
+            // A broken collector shouldn't break the scrape
+        }
+    }
+
+    return Object.fromEntries(
+        [...registry].map(([name, metric]) => [name, {
+            type: metric.type,
+            help: metric.help,
+            buckets: metric.buckets,
+            values: [...metric.values],
+        }])
+    );
+}
+
+/**
+ * Add up the snapshots of several processes
+ *
+ * @param {Array<Object>} snapshots - Process snapshots
+ * @returns {Object} Merged snapshot, values as Map
+ */
+function merge(snapshots) {
+    const merged = {};
+
+    for (const snap of snapshots) {
+        for (const [name, metric] of Object.entries(snap)) {
+            merged[name] ??= { ...metric, values: new Map() };
+            const values = merged[name].values;
+
+            for (const [key, value] of metric.values) {
+                const current = values.get(key);
+
+                if (metric.type !== 'histogram') {
+                    values.set(key, (current || 0) + value);
+                } else if (!current) {
+                    values.set(key, { counts: [...value.counts], sum: value.sum, count: value.count });
+                } else {
+                    value.counts.forEach((count, index) => current.counts[index] += count);
+                    current.sum += value.sum;
+                    current.count += value.count;
+                }
+            }
+        }
+    }
+
+    return merged;
+}
+
+/**
+ * Render a merged snapshot in the Prometheus text format
+ *
+ * @param {Object} merged - Merged snapshot
+ * @returns {string}
+ */
+function render(merged) {
+    const lines = [];
+
+    for (const [name, metric] of Object.entries(merged)) {
+        lines.push(`# HELP ${name} ${metric.help}`, `# TYPE ${name} ${metric.type}`);
+
+        for (const [key, value] of metric.values) {
+            const labels = JSON.parse(key);
+
+            if (metric.type !== 'histogram') {
+                lines.push(`${name}${formatLabels(labels)} ${value}`);
+                continue;
+            }
+
+            metric.buckets.forEach((bound, index) => {
+                lines.push(`${name}_bucket${formatLabels([...labels, ['le', bound]])} ${value.counts[index]}`);
+            });
+            lines.push(
+                `${name}_bucket${formatLabels([...labels, ['le', '+Inf']])} ${value.count}`,
+                `${name}_sum${formatLabels(labels)} ${value.sum}`,
+                `${name}_count${formatLabels(labels)} ${value.count}`,
+            );
+        }
+    }
+
+    return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Wait for the snapshots of a cluster collection
+ *
+ * @param {string} id - Scrape id
+ * @param {number} expected - Number of snapshots to wait for
+ * @param {number} timeout - Longest wait in ms
+ * @returns {Promise<Array<Object>>} Snapshots that arrived before the timeout
+ */
+function waitForSnapshots(id, expected, timeout = METRICS.COLLECT_TIMEOUT) {
+    return new Promise((resolve) => {
+        const entry = { snapshots: [], expected, resolve };
+        entry.timer = setTimeout(() => finish(id), timeout);
+        pending.set(id, entry);
+
+        if (expected === 0) {
+            finish(id);
+        }
+    });
+}
+
+/**
+ * Resolve a pending cluster collection
+ *
+ * @param {string} id - Scrape id
+ */
+function finish(id) {
+    const entry = pending.get(id);
+    if (!entry) {
+        return;
+    }
+
+    clearTimeout(entry.timer);
+    pending.delete(id);
+    entry.resolve(entry.snapshots);
+}
+
+/**
+ * Collect the snapshots of the primary and all workers (primary only)
+ *
+ * @returns {Promise<Array<Object>>}
+ */
+async function gatherFromWorkers() {
+    const id = nanoid();
+    const workers = waitForSnapshots(id, cluster.workerCount());
+
+    cluster.broadcast({ metricsRequest: id });
+
+    return [snapshot(), ...await workers];
+}
+
+/**
+ * Collect metrics of every process and render them
+ * A worker that can't reach the primary in time only renders its own metrics
+ *
+ * @returns {Promise<string>} Prometheus text format
+ */
+export async function renderMetrics() {
+    let snapshots;
+
+    if (!isCluster) {
+        snapshots = [snapshot()];
+    } else if (cluster.isPrimary) {
+        snapshots = await gatherFromWorkers();
+    } else {
+        const id = nanoid();
+        // The primary waits up to COLLECT_TIMEOUT for the workers itself
+        const result = waitForSnapshots(id, 1, METRICS.COLLECT_TIMEOUT * 2);
+        process.send({ metricsRequest: id, fromWorker: true });
+
+        snapshots = (await result)[0] ?? [snapshot()];
+    }
+
+    return render(merge(snapshots));
+}
+
+/**
+ * Answer metrics requests of other cluster processes
+ */
+export function setupMetrics() {
+    if (!isCluster) {
+        return;
+    }
+
+    if (cluster.isPrimary) {
+        cluster.mainOnMessage((message) => {
+            if (message?.metricsSnapshot) {
+                const { id, snapshot: snap } = message.metricsSnapshot;
+                const entry = pending.get(id);
+
+                if (entry) {
+                    entry.snapshots.push(snap);
+                    if (entry.snapshots.length >= entry.expected) {
+                        finish(id);
+                    }
+                }
+            } else if (message?.metricsRequest && message.fromWorker) {
+                // A worker was scraped, collect everything and send it back
+                gatherFromWorkers().then(snapshots => {
+                    cluster.broadcast({ metricsResult: { id: message.metricsRequest, snapshots } });
+                });
+            }
+        });
+    } else {
+        process.on('message', (message) => {
+            if (message?.metricsRequest) {
+                process.send({ metricsSnapshot: { id: message.metricsRequest, snapshot: snapshot() } });
+            } else if (message?.metricsResult) {
+                const entry = pending.get(message.metricsResult.id);
+
+                if (entry) {
+                    entry.snapshots.push(message.metricsResult.snapshots);
+                    finish(message.metricsResult.id);
+                }
+            }
+        });
+    }
+}
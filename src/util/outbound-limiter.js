@@ -0,0 +1,345 @@
+/**
+ * Outbound Rate Limiter
+ *
+ * Every request to a service (extraction in the service handlers and file
+ * downloads) goes through a token bucket of that service, and of the egress IP
+ * too when OUTBOUND_LIMIT_PER_IP is set (FREEBIND_CIDR gives every request its
+ * own IP). Buckets hold OUTBOUND_BURST tokens and refill at OUTBOUND_RATELIMIT
+ * requests per second, or the rate of the service in OUTBOUND_SERVICE_RATELIMIT.
+ *
+ * Buckets adapt to the service:
+ * - Retry-After of a 429 pauses the whole bucket until then
+ * - Every 429 halves the rate of the bucket, repeated 429s also pause it
+ *   for an exponentially growing time
+ * - Every OUTBOUND.RAMP_INTERVAL with successful responses gives back
+ *   a tenth of the configured rate, until it's reached again
+ *
+ * Requests that would wait longer than their maximum wait get a 429 response
+ * without being sent, so callers handle them like any other rate limit.
+ *
+ * The buckets are per process, cluster workers each have their own.
+ */
+
+import { env } from '../config.js';
+import { logger } from './logger.js';
+import { OUTBOUND } from './constants.js';
+import { countRateLimited } from './metrics.js';
+
+// Bucket key -> bucket state
+const buckets = new Map();
+
+// Dispatcher -> egress IP it binds requests to
+const egressIPs = new WeakMap();
+
+const configuredRate = (service) => env.outboundServiceRateLimits[service] ?? env.outboundRateLimit;
+
+/**
+ * Check whether a bucket is back to its configured state
+ *
+ * @param {Object} bucket - Bucket state
+ * @param {number} now - Current time
+ * @returns {boolean}
+ */
+const isIdle = (bucket, now) =>
+    bucket.rate === bucket.limit
+    && bucket.pausedUntil <= now
+    && bucket.strikes === 0
+    && (!bucket.limit || bucket.tokens + (now - bucket.updatedAt) / 1000 * bucket.rate >= env.outboundBurst);
+
+/**
+ * Get the bucket of a key, creating it if needed
+ * Idle buckets are dropped once there are too many (e.g., one per egress IP)
+ *
+ * @param {string} key - Bucket key
+ * @param {string} service - Service the bucket limits
+ * @returns {Object} Bucket state
+ */
+function getBucket(key, service) {
+    let bucket = buckets.get(key);
+    const limit = configuredRate(service);
+
+    if (bucket) {
+        // The env was reloaded with another rate
+        if (bucket.limit !== limit) {
+            bucket.limit = bucket.rate = limit;
+        }
+        return bucket;
+    }
+
+    const now = Date.now();
+
+    if (buckets.size >= OUTBOUND.MAX_BUCKETS) {
+        for (const [bucketKey, state] of buckets) {
+            if (isIdle(state, now)) {
+                buckets.delete(bucketKey);
+            }
+        }
+    }
+
+    bucket = {
+        limit,
+        rate: limit,
+        tokens: env.outboundBurst,
+        updatedAt: now,
+        pausedUntil: 0,
+        strikes: 0,
+        lastStrike: 0,
+        lastChange: now,
+    };
+
+    buckets.set(key, bucket);
+    return bucket;
+}
+
+/**
+ * Add the tokens refilled since the last update
+ *
+ * @param {Object} bucket - Bucket state
+ * @param {number} now - Current time
+ */
+function refill(bucket, now) {
+    if (bucket.rate) {
+        bucket.tokens = Math.min(
+            env.outboundBurst,
+            bucket.tokens + (now - bucket.updatedAt) / 1000 * bucket.rate
+        );
+    }
+    bucket.updatedAt = now;
+}
+
+/**
+ * Parse a Retry-After header
+ *
+ * @param {string|null} value - Seconds or an HTTP date
+ * @returns {number} Delay in ms, 0 if missing or invalid
+ */
+function parseRetryAfter(value) {
+    if (!value) {
+        return 0;
+    }
+
+    const delay = /^\d+$/.test(value.trim())
+        ? Number(value) * 1000
+        : Date.parse(value) - Date.now();
+
+    return Number.isFinite(delay) && delay > 0 ? Math.min(delay, OUTBOUND.RETRY_AFTER_MAX) : 0;
+}
+
+/**
+ * Wait for the given time, rejecting if the signal is aborted
+ *
+ * @param {number} ms - Delay in ms
+ * @param {AbortSignal} signal - Optional abort signal
+ * @returns {Promise<void>}
+ */
+function wait(ms, signal) {
+    return new Promise((resolve, reject) => {
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(signal.reason);
+        };
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+/**
+ * Get the bucket key of a request
+ *
+ * @param {string} service - Service name (or hostname for downloads without one)
+ * @param {Object} dispatcher - Dispatcher of the request, if any
+ * @returns {string} Bucket key
+ */
+function getKey(service, dispatcher) {
+    const ip = env.outboundLimitPerIP && dispatcher && egressIPs.get(dispatcher);
+    return ip ? `${service}@${ip}` : service;
+}
+
+/**
+ * Wait for a token of a bucket
+ *
+ * @param {Object} bucket - Bucket state
+ * @param {number} maxWait - Longest time to wait in ms
+ * @param {AbortSignal} signal - Stops waiting
+ * @returns {Promise<number>} 0 once a token was taken, or how long the caller would have to wait
+ */
+async function take(bucket, maxWait, signal) {
+    const deadline = Date.now() + maxWait;
+
+    while (true) {
+        signal?.throwIfAborted();
+
+        const now = Date.now();
+        refill(bucket, now);
+
+        const needed = bucket.rate && bucket.tokens < 1
+            ? (1 - bucket.tokens) / bucket.rate * 1000
+            : 0;
+        const delay = Math.ceil(Math.max(bucket.pausedUntil - now, needed));
+
+        if (delay <= 0) {
+            if (bucket.rate) {
+                bucket.tokens -= 1;
+            }
+            return 0;
+        }
+
+        if (now + delay > deadline) {
+            return delay;
+        }
+
+        // Other requests may take the token first, so check again after waiting
+        await wait(delay, signal);
+    }
+}
+
+/**
+ * Adapt a bucket to the response of a request
+ *
+ * @param {Object} bucket - Bucket state
+ * @param {string} key - Bucket key, for logging
+ * @param {Response} response - Response of the request
+ */
+function report(bucket, key, response) {
+    const now = Date.now();
+
+    if (response.status !== 429) {
+        bucket.strikes = 0;
+
+        // Ramp back up slowly, the service may still be close to its limit
+        if (bucket.limit && bucket.rate < bucket.limit && now - bucket.lastChange >= OUTBOUND.RAMP_INTERVAL) {
+            refill(bucket, now);
+
+            const step = bucket.limit * OUTBOUND.RAMP_STEP;
+            bucket.rate = Math.min(bucket.limit, bucket.rate + step);
+
+            // Steps add up with rounding errors (1 + 5 × 0.2 < 2), which would leave the bucket backing off
+            if (bucket.limit - bucket.rate < step / 2) {
+                bucket.rate = bucket.limit;
+            }
+            bucket.lastChange = now;
+        }
+        return;
+    }
+
+    const retryAfter = parseRetryAfter(response.headers.get('retry-after'));
+    let pause = retryAfter;
+
+    // Requests in flight at the same time all get a 429, they count as one
+    if (now - bucket.lastStrike >= OUTBOUND.STRIKE_INTERVAL) {
+        bucket.strikes++;
+        bucket.lastStrike = now;
+
+        if (bucket.limit) {
+            refill(bucket, now);
+            bucket.rate = Math.max(bucket.limit * OUTBOUND.MIN_RATE_FACTOR, bucket.rate * OUTBOUND.DECREASE_FACTOR);
+            bucket.tokens = Math.min(bucket.tokens, 0);
+            bucket.lastChange = now;
+        }
+    }
+
+    if (bucket.strikes > 1) {
+        pause = Math.max(pause, Math.min(
+            OUTBOUND.BACKOFF_MAX,
+            OUTBOUND.BACKOFF_BASE * 2 ** (bucket.strikes - 2)
+        ));
+    }
+
+    if (now + pause > bucket.pausedUntil) {
+        bucket.pausedUntil = now + pause;
+    }
+
+    logger.warn({
+        bucket: key,
+        strikes: bucket.strikes,
+        rate: bucket.limit ? Number(bucket.rate.toFixed(2)) : null,
+        pause: Math.round(pause / 1000),
+    }, 'Outbound requests rate limited by service, backing off');
+}
+
+/**
+ * Remember the egress IP of a dispatcher (FREEBIND_CIDR)
+ * Requests sent through it are limited per IP when OUTBOUND_LIMIT_PER_IP is set
+ *
+ * @param {Object} dispatcher - undici dispatcher
+ * @param {string} ip - IP the dispatcher binds requests to
+ */
+export function registerEgressIP(dispatcher, ip) {
+    if (dispatcher && ip) {
+        egressIPs.set(dispatcher, ip);
+    }
+}
+
+/**
+ * Send a request through the limiter of a service
+ *
+ * @param {string} service - Service name (or hostname for downloads without one)
+ * @param {string|URL|Request} url - Request URL
+ * @param {Object} init - fetch options, its dispatcher picks the egress IP bucket
+ * @param {Object} options - Limiter options
+ * @param {Function} options.fetch - fetch implementation (default: global fetch)
+ * @param {number} options.maxWait - Longest time to wait for the limiter in ms,
+ *                                   longer waits get a 429 response without sending the request
+ * @returns {Promise<Response>}
+ */
+export async function limitedFetch(service, url, init = {}, {
+    fetch: fetchImpl = fetch,
+    maxWait = OUTBOUND.SERVICE_MAX_WAIT,
+} = {}) {
+    const key = getKey(service, init?.dispatcher);
+    const bucket = getBucket(key, service);
+
+    const delay = await take(bucket, maxWait, init?.signal);
+    if (delay) {
+        countRateLimited('outbound', { service });
+        return new Response(null, {
+            status: 429,
+            statusText: 'Too Many Requests',
+            headers: { 'retry-after': String(Math.ceil(delay / 1000)) },
+        });
+    }
+
+    const response = await fetchImpl(url, init);
+    report(bucket, key, response);
+
+    return response;
+}
+
+/**
+ * Create a fetch function that goes through the limiter of a service
+ * Used by service handlers in place of fetch
+ *
+ * @param {string} service - Service name
+ * @param {Function} fetchImpl - fetch implementation (default: global fetch)
+ * @returns {Function} fetch(url, init)
+ */
+export function createServiceFetch(service, fetchImpl = fetch) {
+    return (url, init) => limitedFetch(service, url, init, { fetch: fetchImpl });
+}
+
+/**
+ * Get the buckets that are currently backing off
+ *
+ * @returns {Object} Bucket key -> { rate, limit, pausedFor, strikes }, rates in requests per second
+ */
+export function getLimiterStatus() {
+    const now = Date.now();
+    const status = {};
+
+    for (const [key, bucket] of buckets) {
+        if (bucket.rate < bucket.limit || bucket.pausedUntil > now) {
+            status[key] = {
+                rate: Number(bucket.rate.toFixed(2)),
+                limit: bucket.limit || null,
+                pausedFor: Math.max(0, bucket.pausedUntil - now),
+                strikes: bucket.strikes,
+            };
+        }
+    }
+
+    return status;
+}
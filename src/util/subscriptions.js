@@ -0,0 +1,539 @@
+/**
+ * Subscriptions
+ *
+ * A subscription is a creator or playlist URL (TikTok profiles and playlists,
+ * YouTube channels and playlists, SoundCloud users) that is checked for new
+ * media every `interval` minutes. Each run extracts the item list through the
+ * regular service handlers and queues auto-download jobs; items that are
+ * already in the download archive are skipped, so only new media is downloaded.
+ *
+ * Subscriptions are persisted through the Store abstraction and scheduled by
+ * the primary process only, so cluster workers don't run them twice. Every
+ * subscription keeps the result of its last run (status, job, item counts).
+ *
+ * Run states: running, ok, error
+ */
+
+import { nanoid } from 'nanoid';
+
+import Store from '../store/store.js';
+import match from '../processing/match.js';
+import { env } from '../config.js';
+import { logger } from './logger.js';
+import { SUBSCRIPTIONS, TIME } from './constants.js';
+import { extract, normalizeURL } from '../processing/url.js';
+import { normalizeRequest } from '../processing/request.js';
+import { checkCallbackUrl } from './download-webhooks.js';
+import { findDownloaded } from './download-archive.js';
+
+const subscriptionStore = new Store('subscriptions');
+
+// Store key holding the ids of all subscriptions (oldest first)
+const INDEX_KEY = 'index';
+
+/**
+ * URLs that list several media, per service
+ * Single posts could be subscribed to, but would never have anything new
+ *
+ * TikTok profiles and playlists are extracted as a picker of every post, in one job.
+ * The others have a `list` of the item IDs and links: only the items that aren't
+ * in the download archive are extracted, each one on its own like a regular link.
+ */
+const collections = {
+    tiktok: {
+        matches: (patternMatch) => !!patternMatch.user && !patternMatch.postId && !patternMatch.shortLink,
+    },
+    youtube: {
+        matches: ({ handle, channelId, playlistId }) =>
+            handle?.length <= 100 || channelId?.length === 24 || playlistId?.length <= 64,
+        list: async (patternMatch, url) => {
+            const { listVideos } = await import('../processing/services/youtube.js');
+            return listVideos({ ...patternMatch, url, limit: SUBSCRIPTIONS.LIST_LIMIT });
+        },
+    },
+    soundcloud: {
+        matches: (patternMatch) => patternMatch.author?.length <= 255 && !patternMatch.song,
+        list: async (patternMatch) => {
+            const { listTracks } = await import('../processing/services/soundcloud.js');
+            return listTracks({ ...patternMatch, limit: SUBSCRIPTIONS.LIST_LIMIT });
+        },
+    },
+};
+
+let indexLock = Promise.resolve();
+let schedulerTimer = null;
+let ticking = false;
+
+/**
+ * Update the subscription index
+ * Updates are chained so concurrent changes can't drop ids
+ *
+ * @param {Function} update - Receives the current id list, returns the new one
+ * @returns {Promise<void>}
+ */
+function updateIndex(update) {
+    indexLock = indexLock.then(async () => {
+        const ids = await subscriptionStore.get(INDEX_KEY) || [];
+        await subscriptionStore.set(INDEX_KEY, update(ids));
+    }).catch(err => {
+        logger.error({ err }, 'Failed to update subscription index');
+    });
+
+    return indexLock;
+}
+
+async function saveSubscription(subscription) {
+    subscription.updatedAt = Date.now();
+    await subscriptionStore.set(subscription.id, subscription);
+}
+
+/**
+ * Format subscription for API responses
+ * The owner (API key) is left out
+ *
+ * @param {Object} subscription - Subscription record
+ * @returns {Object} Public subscription representation
+ */
+export function formatSubscription(subscription) {
+    const { owner, ...info } = subscription;
+    return info;
+}
+
+/**
+ * Validate the URL, interval and download options of a subscription
+ *
+ * @param {Object} input - Subscription fields
+ * @param {string} input.url - Profile or playlist URL
+ * @param {number} input.interval - Minutes between runs
+ * @param {Object} input.options - Download options, same as POST / (without url)
+ * @returns {Promise<{error?: string, context?: Object}>} Error, or an empty object if valid
+ */
+async function validateInput({ url, interval, options }) {
+    if (typeof url !== 'string' || !url || url.length > SUBSCRIPTIONS.URL_MAX_LENGTH) {
+        return { error: 'invalid_body', context: { message: 'url is required' } };
+    }
+
+    if (!Number.isInteger(interval)
+        || interval < SUBSCRIPTIONS.MIN_INTERVAL
+        || interval > SUBSCRIPTIONS.MAX_INTERVAL) {
+        return {
+            error: 'invalid_body',
+            context: {
+                message: `interval must be ${SUBSCRIPTIONS.MIN_INTERVAL}-${SUBSCRIPTIONS.MAX_INTERVAL} minutes`,
+            },
+        };
+    }
+
+    if (typeof options !== 'object' || options === null || Array.isArray(options) || 'url' in options) {
+        return { error: 'invalid_body', context: { message: 'options must be an object without url' } };
+    }
+
+    const { success, data } = await normalizeRequest({ ...options, url });
+    if (!success) {
+        return { error: 'invalid_body', context: { message: 'invalid url or options' } };
+    }
+
+    if (data.callbackUrl) {
+        const callbackError = checkCallbackUrl(data.callbackUrl);
+        if (callbackError) {
+            return callbackError;
+        }
+    }
+
+    const parsed = extract(data.url, env.enabledServices);
+    if (!parsed) {
+        return { error: 'link.invalid' };
+    }
+
+    if ('error' in parsed) {
+        return { error: parsed.error, context: parsed.context };
+    }
+
+    if (!collections[parsed.host]?.matches(parsed.patternMatch)) {
+        return {
+            error: 'subscription.unsupported',
+            context: {
+                service: parsed.host,
+                message: 'only TikTok profiles and playlists, YouTube channels and playlists and SoundCloud users can be subscribed to',
+            },
+        };
+    }
+
+    return {};
+}
+
+/**
+ * Create a subscription
+ * The first run happens on the next scheduler tick
+ *
+ * @param {Object} input - Subscription fields
+ * @param {string} input.url - Profile or playlist URL
+ * @param {number} input.interval - Minutes between runs (default: SUBSCRIPTIONS.DEFAULT_INTERVAL)
+ * @param {Object} input.options - Download options, same as POST / (without url)
+ * @param {boolean} input.enabled - Whether the subscription is scheduled (default: true)
+ * @param {string} owner - API key, used for download quotas
+ * @returns {Promise<{subscription?: Object, error?: string, context?: Object}>}
+ */
+export async function createSubscription(input = {}, owner = null) {
+    const {
+        url,
+        interval = SUBSCRIPTIONS.DEFAULT_INTERVAL,
+        options = {},
+        enabled = true,
+    } = input;
+
+    const invalid = await validateInput({ url, interval, options });
+    if (invalid.error) {
+        return invalid;
+    }
+
+    if (typeof enabled !== 'boolean') {
+        return { error: 'invalid_body', context: { message: 'enabled must be a boolean' } };
+    }
+
+    const now = Date.now();
+    const subscription = {
+        id: nanoid(),
+        url,
+        interval,
+        options,
+        enabled,
+        owner,
+        createdAt: now,
+        updatedAt: now,
+        nextRunAt: now,
+        runs: 0,
+        lastRun: null,
+    };
+
+    await saveSubscription(subscription);
+    await updateIndex(ids => [...ids, subscription.id]);
+
+    logger.info({ subscriptionId: subscription.id, url, interval }, 'Subscription created');
+    return { subscription };
+}
+
+/**
+ * Get subscription by id
+ *
+ * @param {string} id - Subscription id
+ * @returns {Promise<Object|null>} Subscription record or null if unknown
+ */
+export async function getSubscription(id) {
+    if (id === INDEX_KEY) {
+        return null;
+    }
+
+    return await subscriptionStore.get(id);
+}
+
+/**
+ * List subscriptions, oldest first
+ *
+ * @returns {Promise<Array<Object>>}
+ */
+export async function listSubscriptions() {
+    const ids = await subscriptionStore.get(INDEX_KEY) || [];
+    const subscriptions = [];
+
+    for (const id of ids) {
+        const subscription = await subscriptionStore.get(id);
+        if (subscription) {
+            subscriptions.push(subscription);
+        }
+    }
+
+    return subscriptions;
+}
+
+/**
+ * Update the URL, interval, options or enabled state of a subscription
+ * Changing the interval reschedules the next run from the last one
+ *
+ * @param {string} id - Subscription id
+ * @param {Object} changes - Fields to change
+ * @returns {Promise<{subscription?: Object, error?: string, context?: Object}>}
+ */
+export async function updateSubscription(id, changes = {}) {
+    const subscription = await getSubscription(id);
+    if (!subscription) {
+        return { error: 'fetch.empty' };
+    }
+
+    const unknown = Object.keys(changes).filter(key => !['url', 'interval', 'options', 'enabled'].includes(key));
+    if (unknown.length > 0) {
+        return { error: 'invalid_body', context: { message: `unknown fields: ${unknown.join(', ')}` } };
+    }
+
+    const updated = { ...subscription, ...changes };
+
+    const invalid = await validateInput(updated);
+    if (invalid.error) {
+        return invalid;
+    }
+
+    if (typeof updated.enabled !== 'boolean') {
+        return { error: 'invalid_body', context: { message: 'enabled must be a boolean' } };
+    }
+
+    if (updated.interval !== subscription.interval) {
+        updated.nextRunAt = (subscription.lastRun?.startedAt ?? Date.now()) + updated.interval * TIME.MINUTE;
+    }
+
+    await saveSubscription(updated);
+    return { subscription: updated };
+}
+
+/**
+ * Delete a subscription
+ * Jobs queued by earlier runs keep running
+ *
+ * @param {string} id - Subscription id
+ * @returns {Promise<{error?: string}>}
+ */
+export async function deleteSubscription(id) {
+    if (!await getSubscription(id)) {
+        return { error: 'fetch.empty' };
+    }
+
+    await subscriptionStore.delete(id);
+    await updateIndex(ids => ids.filter(current => current !== id));
+
+    logger.info({ subscriptionId: id }, 'Subscription deleted');
+    return {};
+}
+
+/**
+ * Extract a link of a subscription like POST / with autoDownload
+ *
+ * @param {Object} subscription - Subscription record
+ * @param {Object} parsed - Service and pattern match of the link
+ * @param {Object} params - Normalized request parameters
+ * @returns {Promise<Object>} Response body
+ */
+async function extractLink(subscription, parsed, params) {
+    const { body } = await match({
+        host: parsed.host,
+        patternMatch: parsed.patternMatch,
+        params,
+        authType: 'none',
+        requestId: nanoid(),
+        owner: subscription.owner,
+    });
+
+    return body;
+}
+
+/**
+ * Extract the items of a subscription and queue the new ones
+ *
+ * @param {Object} subscription - Subscription record
+ * @returns {Promise<Object>} Run result
+ */
+async function extractNewItems(subscription) {
+    // Subscriptions only exist to download new items, so these can't be turned off
+    const { success, data } = await normalizeRequest({
+        ...subscription.options,
+        url: subscription.url,
+        autoDownload: true,
+        downloadArchive: true,
+    });
+
+    if (!success) {
+        return { status: 'error', error: 'error.api.invalid_body' };
+    }
+
+    const parsed = extract(data.url, env.enabledServices);
+    if (!parsed || 'error' in parsed) {
+        return { status: 'error', error: `error.api.${parsed?.error || 'link.invalid'}` };
+    }
+
+    const params = {
+        ...data,
+        originalRequest: subscription.url,
+        outputTemplate: data.outputTemplate || env.downloadOutputTemplate,
+    };
+
+    const { list } = collections[parsed.host] || {};
+
+    if (!list) {
+        const body = await extractLink(subscription, parsed, params);
+        if (body.status === 'error') {
+            return { status: 'error', error: body.error?.code, context: body.error?.context };
+        }
+
+        // No job means nothing could be downloaded (e.g., an empty profile)
+        const summary = body.job?.summary;
+        return {
+            status: 'ok',
+            jobIds: body.job ? [body.job.id] : [],
+            found: summary?.total ?? 0,
+            new: summary ? summary.total - summary.skipped : 0,
+        };
+    }
+
+    const listed = await list(parsed.patternMatch, data.url);
+    if (listed.error) {
+        return { status: 'error', error: `error.api.${listed.error}` };
+    }
+
+    const result = { status: 'ok', jobIds: [], found: listed.items.length, new: 0, failed: 0 };
+    let lastError;
+
+    for (const item of listed.items) {
+        // Already downloaded items aren't extracted again
+        if (await findDownloaded(parsed.host, item.id)) {
+            continue;
+        }
+
+        const url = normalizeURL(item.url);
+        const itemParsed = extract(url, env.enabledServices);
+
+        const body = itemParsed && !('error' in itemParsed)
+            ? await extractLink(subscription, itemParsed, { ...params, url, originalRequest: item.url })
+            : { status: 'error', error: { code: `error.api.${itemParsed?.error || 'link.invalid'}` } };
+
+        if (body.status === 'error') {
+            result.failed++;
+            lastError = body.error;
+            logger.warn({ subscriptionId: subscription.id, url: item.url, error: body.error?.code }, 'Subscription item failed');
+            continue;
+        }
+
+        if (body.job) {
+            result.jobIds.push(body.job.id);
+            result.new += body.job.summary.total - body.job.summary.skipped;
+        }
+    }
+
+    // Every new item failed, e.g., the service is blocking requests
+    if (result.failed && !result.jobIds.length) {
+        return { ...result, status: 'error', error: lastError?.code, context: lastError?.context };
+    }
+
+    return result;
+}
+
+/**
+ * Run a subscription now
+ *
+ * @param {Object} subscription - Subscription record
+ * @returns {Promise<Object>} Updated subscription record
+ */
+async function runSubscription(subscription) {
+    const startedAt = Date.now();
+
+    subscription.lastRun = { status: 'running', startedAt, finishedAt: null };
+    await saveSubscription(subscription);
+
+    let result;
+    try {
+        result = await extractNewItems(subscription);
+    } catch (error) {
+        logger.error({ err: error, subscriptionId: subscription.id }, 'Subscription run failed');
+        result = { status: 'error', error: 'error.api.generic' };
+    }
+
+    // Changed or deleted while running
+    const current = await getSubscription(subscription.id);
+    if (!current) {
+        return subscription;
+    }
+
+    current.lastRun = { ...result, startedAt, finishedAt: Date.now() };
+    current.runs++;
+    current.nextRunAt = startedAt + current.interval * TIME.MINUTE;
+    await saveSubscription(current);
+
+    logger.info({
+        subscriptionId: current.id,
+        status: result.status,
+        jobIds: result.jobIds,
+        failed: result.failed,
+        found: result.found,
+        new: result.new,
+        error: result.error,
+    }, 'Subscription run finished');
+
+    return current;
+}
+
+/**
+ * Start a run of a subscription outside of its schedule
+ * The run continues in the background
+ *
+ * @param {string} id - Subscription id
+ * @returns {Promise<{subscription?: Object, error?: string}>}
+ */
+export async function triggerSubscription(id) {
+    const subscription = await getSubscription(id);
+    if (!subscription) {
+        return { error: 'fetch.empty' };
+    }
+
+    if (subscription.lastRun?.status === 'running') {
+        return { error: 'subscription.running' };
+    }
+
+    const run = runSubscription(subscription);
+    run.catch(err => {
+        logger.error({ err, subscriptionId: id }, 'Subscription run failed');
+    });
+
+    // runSubscription marks the subscription as running before its first await
+    return { subscription };
+}
+
+/**
+ * Run every enabled subscription that is due, one at a time
+ */
+async function tick() {
+    if (ticking) {
+        return;
+    }
+
+    ticking = true;
+
+    try {
+        const now = Date.now();
+
+        for (const subscription of await listSubscriptions()) {
+            const running = subscription.lastRun?.status === 'running';
+
+            // A run that never finished (e.g., the process was restarted)
+            if (running && now - subscription.lastRun.startedAt > SUBSCRIPTIONS.RUN_TIMEOUT) {
+                subscription.lastRun = {
+                    ...subscription.lastRun,
+                    status: 'error',
+                    error: 'error.api.subscription.interrupted',
+                    finishedAt: now,
+                };
+                await saveSubscription(subscription);
+            } else if (running) {
+                continue;
+            }
+
+            if (subscription.enabled && subscription.nextRunAt <= now) {
+                await runSubscription(subscription);
+            }
+        }
+    } catch (err) {
+        logger.error({ err }, 'Subscription scheduler error');
+    } finally {
+        ticking = false;
+    }
+}
+
+export function startSubscriptionScheduler() {
+    if (schedulerTimer) {
+        return; // Already started
+    }
+
+    schedulerTimer = setInterval(tick, SUBSCRIPTIONS.TICK_INTERVAL);
+    tick();
+}
+
+export function stopSubscriptionScheduler() {
+    clearInterval(schedulerTimer);
+    schedulerTimer = null;
+}
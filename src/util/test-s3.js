@@ -0,0 +1,133 @@
+/**
+ * S3 storage check
+ *
+ * Runs put/list/stat/read/presign/delete against a real bucket (e.g., MinIO)
+ * with the S3_* env of the server. Skipped when the S3 env isn't set.
+ *
+ *   S3_ENDPOINT=http://localhost:9000 S3_BUCKET=downloads \
+ *   S3_ACCESS_KEY_ID=minio S3_SECRET_ACCESS_KEY=minio123 npm run test:s3
+ *
+ * `npm run test:s3 -- multipart` also uploads a file larger than
+ * STORAGE.S3_PART_SIZE, in parts.
+ */
+
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { text } from "node:stream/consumers";
+import { nanoid } from "nanoid";
+
+import { env } from "../config.js";
+import { STORAGE } from "./constants.js";
+import { Green, Red } from "../misc/console-text.js";
+import S3Storage from "../storage/s3-storage.js";
+
+const required = ["s3Endpoint", "s3Bucket", "s3AccessKeyId", "s3SecretAccessKey"];
+
+if (required.some(name => !env[name])) {
+    console.log("S3_ENDPOINT, S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY are not set, skipping");
+    process.exit(0);
+}
+
+const storage = new S3Storage();
+const folder = `s3-test-${nanoid(8)}`;
+const tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), "s3-test-"));
+
+const content = "s3 storage check: äöü ✓\n";
+const key = `${folder}/sub folder/file (1) +ü.txt`;
+
+let fails = 0;
+
+const check = async (name, fn) => {
+    try {
+        await fn();
+        console.log(`${name}: ${Green("ok")}`);
+    } catch (e) {
+        fails++;
+        console.error(`${name}: ${Red("FAIL")}`);
+        console.error("   ┗", e?.message ?? e);
+    }
+}
+
+const expect = (actual, expected, what) => {
+    if (actual !== expected) {
+        throw new Error(`${what}: ${JSON.stringify(actual)} != ${JSON.stringify(expected)}`);
+    }
+}
+
+const writeTemp = async (name, data) => {
+    const filepath = path.join(tmpDir, name);
+    await fs.writeFile(filepath, data);
+    return filepath;
+}
+
+await check("put", async () => {
+    const filepath = await writeTemp("file.txt", content);
+    await storage.put(key, filepath);
+
+    const local = await fs.stat(filepath).catch(() => null);
+    expect(local, null, "local file after put");
+});
+
+await check("list", async () => {
+    const files = await storage.list(folder);
+    expect(files.length, 1, "files");
+    expect(files[0].key, key, "key");
+    expect(files[0].size, Buffer.byteLength(content), "size");
+
+    expect(await storage.hasFolder(`${folder}/sub folder`), true, "hasFolder");
+    expect(await storage.hasFolder(`${folder}/missing`), false, "hasFolder of a missing folder");
+});
+
+await check("stat", async () => {
+    const stat = await storage.stat(key);
+    expect(stat?.size, Buffer.byteLength(content), "size");
+    expect(await storage.stat(`${folder}/missing.txt`), null, "stat of a missing file");
+});
+
+await check("read", async () => {
+    expect(await text(await storage.read(key)), content, "content");
+    expect(await text(await storage.read(key, { start: 4, end: 10 })), content.slice(4, 11), "range");
+});
+
+await check("presign", async () => {
+    const { url, expiresAt } = storage.presign(key, { expiresIn: 60, filename: "file ü.txt" });
+    if (expiresAt <= Date.now()) {
+        throw new Error("presigned URL is already expired");
+    }
+
+    const response = await fetch(url);
+    expect(response.status, 200, "status");
+    expect(await response.text(), content, "content");
+});
+
+if (process.argv[2] === "multipart") {
+    await check("multipart put", async () => {
+        const multipartKey = `${folder}/multipart.bin`;
+        const size = STORAGE.S3_PART_SIZE + 1024;
+
+        const filepath = path.join(tmpDir, "multipart.bin");
+        await fs.writeFile(filepath, "");
+        await fs.truncate(filepath, size);
+
+        await storage.put(multipartKey, filepath);
+        expect((await storage.stat(multipartKey))?.size, size, "size");
+
+        const tail = await text(await storage.read(multipartKey, { start: size - 4 }));
+        expect(tail, "\0\0\0\0", "last bytes");
+    });
+}
+
+await check("delete", async () => {
+    for (const file of await storage.list(folder)) {
+        await storage.delete(file.key);
+    }
+    await storage.delete(`${folder}/missing.txt`);
+
+    expect(await storage.stat(key), null, "stat after delete");
+    expect((await storage.list(folder)).length, 0, "files after delete");
+});
+
+await fs.rm(tmpDir, { recursive: true, force: true });
+
+process.exit(Number(!!fails));
@@ -0,0 +1,250 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import http from "node:http";
+import os from "node:os";
+import path from "node:path";
+
+// The env is read once, when the modules are loaded
+const dir = await fs.mkdtemp(path.join(os.tmpdir(), "jobs-test-"));
+process.env.DOWNLOAD_DIR = dir;
+process.env.DOWNLOAD_JOB_CONCURRENCY = "1";
+
+const {
+    createJob,
+    getJob,
+    pauseJob,
+    resumeJob,
+    cancelJob,
+    restoreJobs,
+    jobStore,
+    setClusterMode,
+} = await import("../download-jobs.js");
+
+const SIZE = 200 * 1024;
+const content = Buffer.alloc(SIZE, "x");
+
+const requests = [];
+
+/**
+ * Serves `content` with Range support
+ * Full responses stop after half of the file, so jobs can be paused midway
+ */
+const server = http.createServer((req, res) => {
+    requests.push({ url: req.url, range: req.headers.range });
+
+    const range = req.headers.range?.match(/^bytes=(\d+)-$/);
+    if (range) {
+        const start = Number(range[1]);
+        res.writeHead(206, {
+            "content-length": SIZE - start,
+            "content-range": `bytes ${start}-${SIZE - 1}/${SIZE}`,
+        });
+        return res.end(content.subarray(start));
+    }
+
+    res.writeHead(200, { "content-length": SIZE });
+    res.write(content.subarray(0, SIZE / 2));
+});
+
+await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+const baseURL = `http://127.0.0.1:${server.address().port}`;
+
+const waitFor = async (check, what, timeout = 10000) => {
+    const deadline = Date.now() + timeout;
+    while (Date.now() < deadline) {
+        const value = await check();
+        if (value) {
+            return value;
+        }
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    throw new Error(`timed out waiting for ${what}`);
+}
+
+const waitForStatus = (id, statuses) => waitFor(async () => {
+    const job = await getJob(id);
+    return statuses.includes(job.status) && job;
+}, `job ${id} to be ${statuses.join(" or ")}`);
+
+const requestsFor = (filename) => requests.filter(r => r.url === `/${filename}`).map(r => r.range);
+
+let storedJobs = 0;
+
+/**
+ * Write a job record straight to the store, like one saved by another
+ * worker or by this process before a restart
+ */
+const storeJob = async (status, files) => {
+    const now = Date.now();
+    const job = {
+        id: `stored-${++storedJobs}`,
+        status,
+        source: "test",
+        concurrency: 3,
+        timeout: 120000,
+        archive: false,
+        priority: 0,
+        weight: 1,
+        createdAt: now,
+        updatedAt: now,
+        startedAt: status === "queued" ? null : now,
+        finishedAt: null,
+        files: files.map((file, i) => ({
+            index: i + 1,
+            state: "queued",
+            attempts: 0,
+            bytes: 0,
+            totalBytes: null,
+            speed: null,
+            eta: null,
+            filepath: null,
+            error: null,
+            retryAt: null,
+            ...file,
+        })),
+    };
+
+    await jobStore.set(job.id, job);
+    await jobStore.set("index", [...await jobStore.get("index") || [], job.id]);
+    return job;
+}
+
+const partSize = (filename) => fs.stat(path.join(dir, `${filename}.part`)).then(stats => stats.size, () => null);
+
+test.after(async () => {
+    server.closeAllConnections();
+    server.close();
+    await fs.rm(dir, { recursive: true, force: true });
+});
+
+test("pausing keeps the .part file and resuming continues it with a Range request", async () => {
+    const job = await createJob([{ url: `${baseURL}/resume.bin`, filename: "resume.bin" }], { source: "test" });
+
+    await waitFor(async () => await partSize("resume.bin") === SIZE / 2, "the first half");
+
+    const paused = await pauseJob(job.id);
+    assert.equal(paused.error, undefined);
+    assert.equal((await getJob(job.id)).status, "paused");
+    assert.equal(await partSize("resume.bin"), SIZE / 2, "the .part file is kept");
+
+    await resumeJob(job.id);
+    const done = await waitFor(async () => {
+        const current = await getJob(job.id);
+        return ["done", "failed"].includes(current.status) && current;
+    }, "the job to finish");
+
+    assert.equal(done.status, "done");
+    assert.deepEqual(requests.filter(r => r.url === "/resume.bin").map(r => r.range), [ undefined, `bytes=${SIZE / 2}-` ]);
+    assert.deepEqual(await fs.readFile(path.join(dir, "resume.bin")), content);
+    assert.equal(await partSize("resume.bin"), null);
+});
+
+test("cancelling removes the .part file", async () => {
+    const job = await createJob([{ url: `${baseURL}/cancel.bin`, filename: "cancel.bin" }], { source: "test" });
+
+    await waitFor(async () => await partSize("cancel.bin") === SIZE / 2, "the first half");
+    await cancelJob(job.id);
+
+    assert.equal((await getJob(job.id)).status, "cancelled");
+    assert.equal(await partSize("cancel.bin"), null);
+});
+
+test("a queued job cancelled before it starts is never downloaded", async () => {
+    // DOWNLOAD_JOB_CONCURRENCY is 1, so the second job waits for the first
+    const running = await createJob([{ url: `${baseURL}/blocking.bin`, filename: "blocking.bin" }], { source: "test" });
+    await waitFor(async () => await partSize("blocking.bin") === SIZE / 2, "the first half");
+
+    const queued = await createJob([{ url: `${baseURL}/queued.bin`, filename: "queued.bin" }], { source: "test" });
+    assert.equal((await getJob(queued.id)).status, "queued");
+
+    const { job, error } = await cancelJob(queued.id);
+    assert.equal(error, undefined);
+    assert.equal(job.status, "cancelled");
+    assert.equal(job.files[0].state, "cancelled");
+
+    // Its slot opens up once the running job stops
+    await cancelJob(running.id);
+    await new Promise(resolve => setTimeout(resolve, 100));
+
+    assert.equal((await getJob(queued.id)).status, "cancelled");
+    assert.deepEqual(requestsFor("queued.bin"), []);
+    assert.equal(await partSize("queued.bin"), null);
+});
+
+test("restoreJobs: unfinished jobs continue after a restart", async () => {
+    await fs.writeFile(path.join(dir, "restored.bin.part"), content.subarray(0, SIZE / 2));
+
+    const unfinished = await storeJob("running", [
+        { filename: "finished.bin", state: "done", attempts: 1, bytes: SIZE, filepath: path.join(dir, "finished.bin") },
+        { url: `${baseURL}/restored.bin`, filename: "restored.bin", state: "running", attempts: 1, bytes: SIZE / 2, speed: 1024, eta: 100 },
+    ]);
+    const paused = await storeJob("paused", [{ url: `${baseURL}/paused.bin`, filename: "paused.bin" }]);
+
+    // Jobs that expired from the store are still in the index
+    await jobStore.set("index", [...await jobStore.get("index"), "expired"]);
+
+    assert.equal(await restoreJobs(), 1);
+
+    const done = await waitForStatus(unfinished.id, ["done", "failed"]);
+    assert.equal(done.status, "done");
+    assert.deepEqual(done.files.map(file => file.state), ["done", "done"]);
+    assert.equal(done.files[1].attempts, 2);
+
+    // The file that was mid-download continues from its .part file
+    assert.deepEqual(requestsFor("restored.bin"), [`bytes=${SIZE / 2}-`]);
+    assert.deepEqual(await fs.readFile(path.join(dir, "restored.bin")), content);
+
+    // Paused jobs wait for a resume request, restoring again picks up nothing
+    assert.equal((await getJob(paused.id)).status, "paused");
+    assert.deepEqual(requestsFor("paused.bin"), []);
+    assert.equal(await restoreJobs(), 0);
+});
+
+test("cluster mode: pause/cancel requests for another worker's job go through its control key", async (t) => {
+    setClusterMode(true);
+    t.after(() => setClusterMode(false));
+
+    const running = await storeJob("running", [{ url: `${baseURL}/elsewhere.bin`, filename: "elsewhere.bin", state: "running" }]);
+
+    const { job, error } = await pauseJob(running.id);
+    assert.equal(error, undefined);
+    assert.equal(await jobStore.get(`control:${running.id}`), "pause");
+
+    // The worker running the job stops it
+    assert.equal(job.status, "running");
+    assert.equal((await getJob(running.id)).status, "running");
+
+    // Paused jobs don't run anywhere, so they're cancelled right away
+    const paused = await storeJob("paused", [{ url: `${baseURL}/elsewhere-paused.bin`, filename: "elsewhere-paused.bin" }]);
+    const cancelled = await cancelJob(paused.id);
+
+    assert.equal(cancelled.job.status, "cancelled");
+    assert.equal(cancelled.job.files[0].state, "cancelled");
+    assert.equal(await jobStore.get(`control:${paused.id}`), null);
+});
+
+test("cluster mode: running jobs stop when another worker sets their control key", async (t) => {
+    setClusterMode(true);
+    t.after(() => setClusterMode(false));
+
+    const paused = await createJob([{ url: `${baseURL}/controlled.bin`, filename: "controlled.bin" }], { source: "test" });
+    await waitFor(async () => await partSize("controlled.bin") === SIZE / 2, "the first half");
+
+    await jobStore.set(`control:${paused.id}`, "pause");
+    await waitForStatus(paused.id, ["paused"]);
+
+    assert.equal(await jobStore.get(`control:${paused.id}`), null);
+    assert.equal(await partSize("controlled.bin"), SIZE / 2, "the .part file is kept");
+
+    const cancelled = await createJob([{ url: `${baseURL}/controlled-cancel.bin`, filename: "controlled-cancel.bin" }], { source: "test" });
+    await waitFor(async () => await partSize("controlled-cancel.bin") === SIZE / 2, "the first half");
+
+    await jobStore.set(`control:${cancelled.id}`, "cancel");
+    await waitForStatus(cancelled.id, ["cancelled"]);
+
+    assert.equal(await jobStore.get(`control:${cancelled.id}`), null);
+    assert.equal(await partSize("controlled-cancel.bin"), null);
+
+    await cancelJob(paused.id);
+});
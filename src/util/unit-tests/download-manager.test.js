@@ -0,0 +1,171 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import http from "node:http";
+import os from "node:os";
+import path from "node:path";
+
+// The env is read once, when the modules are loaded
+const dir = await fs.mkdtemp(path.join(os.tmpdir(), "download-test-"));
+process.env.DOWNLOAD_DIR = dir;
+
+const { downloadFile, parseContentRange } = await import("../download-manager.js");
+
+const SIZE = 64 * 1024;
+const HALF = SIZE / 2;
+const content = Buffer.alloc(SIZE);
+for (let i = 0; i < SIZE; i++) {
+    content[i] = i % 251;
+}
+
+// Path -> (req, res, range start or null), the Range header of every request
+const routes = new Map();
+const ranges = [];
+
+const server = http.createServer((req, res) => {
+    const range = req.headers.range?.match(/^bytes=(\d+)-$/);
+    ranges.push(req.headers.range);
+    routes.get(req.url)(req, res, range ? Number(range[1]) : null);
+});
+
+await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+const baseURL = `http://127.0.0.1:${server.address().port}`;
+
+const sendPartial = (res, start, reportedStart = start) => {
+    res.writeHead(206, {
+        "content-length": SIZE - start,
+        "content-range": `bytes ${reportedStart}-${SIZE - 1}/${SIZE}`,
+    });
+    res.end(content.subarray(start));
+}
+
+const sendFull = (res) => {
+    res.writeHead(200, { "content-length": SIZE });
+    res.end(content);
+}
+
+/**
+ * Download a file from a route, after writing the given .part file
+ * Downloads aren't retried, so each one is a single request
+ */
+const download = async (name, route, part) => {
+    routes.set(`/${name}`, route);
+    ranges.length = 0;
+
+    if (part) {
+        await fs.writeFile(path.join(dir, `${name}.part`), part);
+    }
+
+    return downloadFile(`${baseURL}/${name}`, name, { maxRetries: 0 });
+}
+
+const read = (name) => fs.readFile(path.join(dir, name)).catch(() => null);
+
+test.after(async () => {
+    server.closeAllConnections();
+    server.close();
+    await fs.rm(dir, { recursive: true, force: true });
+});
+
+test("parseContentRange: ranges, unknown totals and invalid headers", () => {
+    assert.deepEqual(parseContentRange("bytes 100-199/1000"), { start: 100, total: 1000 });
+    assert.deepEqual(parseContentRange("bytes */1000"), { start: null, total: 1000 });
+    assert.deepEqual(parseContentRange("bytes 0-99/*"), { start: 0, total: null });
+
+    assert.equal(parseContentRange(null), null);
+    assert.equal(parseContentRange("bytes 100-199"), null);
+    assert.equal(parseContentRange("items 0-1/2"), null);
+    assert.equal(parseContentRange("bytes=0-99/1000"), null);
+});
+
+test("206: the rest is appended to the existing .part file", async () => {
+    const result = await download("resume.bin", (req, res, start) => sendPartial(res, start), content.subarray(0, HALF));
+
+    assert.equal(result.success, true, result.error);
+    assert.equal(result.size, SIZE);
+    assert.deepEqual(ranges, [`bytes=${HALF}-`]);
+    assert.deepEqual(await read("resume.bin"), content);
+    assert.equal(await read("resume.bin.part"), null);
+});
+
+test("without a .part file, no Range is sent", async () => {
+    const result = await download("fresh.bin", (req, res) => sendFull(res));
+
+    assert.equal(result.success, true, result.error);
+    assert.deepEqual(ranges, [undefined]);
+    assert.deepEqual(await read("fresh.bin"), content);
+});
+
+test("200 after a Range request: the download starts over instead of appending", async () => {
+    const stale = Buffer.alloc(HALF, "x");
+    const result = await download("ignored.bin", (req, res) => sendFull(res), stale);
+
+    assert.equal(result.success, true, result.error);
+    assert.deepEqual(ranges, [`bytes=${HALF}-`]);
+    assert.deepEqual(await read("ignored.bin"), content);
+});
+
+test("206 with another start than requested: the .part file is removed", async () => {
+    const result = await download("mismatch.bin", (req, res) => sendPartial(res, 0, 0), content.subarray(0, HALF));
+
+    assert.equal(result.success, false);
+    assert.equal(result.error, "Unexpected Content-Range in partial response");
+    assert.equal(await read("mismatch.bin.part"), null);
+    assert.equal(await read("mismatch.bin"), null);
+});
+
+test("416 with the size of the .part file: it's already complete", async () => {
+    const result = await download("complete.bin", (req, res) => {
+        res.writeHead(416, { "content-range": `bytes */${SIZE}` });
+        res.end();
+    }, content);
+
+    assert.equal(result.success, true, result.error);
+    assert.equal(result.size, SIZE);
+    assert.deepEqual(ranges, [`bytes=${SIZE}-`]);
+    assert.deepEqual(await read("complete.bin"), content);
+    assert.equal(await read("complete.bin.part"), null);
+});
+
+test("416 with another size: the .part file belongs to another file and is removed", async () => {
+    const result = await download("changed.bin", (req, res) => {
+        res.writeHead(416, { "content-range": `bytes */${SIZE * 2}` });
+        res.end();
+    }, content);
+
+    assert.equal(result.success, false);
+    assert.match(result.error, /^HTTP 416/);
+    assert.equal(await read("changed.bin.part"), null);
+    assert.equal(await read("changed.bin"), null);
+});
+
+test("a retry continues where the failed attempt stopped", async () => {
+    routes.set("/retry.bin", (req, res, start) => {
+        if (start !== null) {
+            return sendPartial(res, start);
+        }
+
+        res.writeHead(200, { "content-length": SIZE });
+        res.write(content.subarray(0, HALF));
+        setTimeout(() => res.destroy(), 50);
+    });
+    ranges.length = 0;
+
+    const result = await downloadFile(`${baseURL}/retry.bin`, "retry.bin", { maxRetries: 1, retryDelay: 10 });
+
+    assert.equal(result.success, true, result.error);
+    assert.deepEqual(ranges, [undefined, `bytes=${HALF}-`]);
+    assert.deepEqual(await read("retry.bin"), content);
+});
+
+test("out of retries, the .part file is removed", async () => {
+    const result = await download("failed.bin", (req, res) => {
+        res.writeHead(200, { "content-length": SIZE });
+        res.write(content.subarray(0, HALF));
+        setTimeout(() => res.destroy(), 50);
+    });
+
+    assert.equal(result.success, false);
+    assert.equal(await read("failed.bin.part"), null);
+    assert.equal(await read("failed.bin"), null);
+});
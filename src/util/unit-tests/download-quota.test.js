@@ -0,0 +1,70 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+
+// The env is read once, when the modules are loaded
+const dir = await fs.mkdtemp(path.join(os.tmpdir(), "quota-test-"));
+process.env.DOWNLOAD_DIR = dir;
+process.env.DOWNLOAD_QUOTA_TOTAL_MB = "1";
+
+const { checkQuota, getUsage } = await import("../download-quota.js");
+const { DOWNLOAD_QUOTA } = await import("../constants.js");
+
+const KB = 1024;
+const MINUTE = 60 * 1000;
+
+/**
+ * Write a download with the given modification and access times (minutes ago)
+ */
+const writeFile = async (key, size, { modified, accessed = modified }) => {
+    const filepath = path.join(dir, key);
+    const now = Date.now();
+
+    await fs.mkdir(path.dirname(filepath), { recursive: true });
+    await fs.writeFile(filepath, Buffer.alloc(size));
+    await fs.utimes(filepath, new Date(now - accessed * MINUTE), new Date(now - modified * MINUTE));
+}
+
+const exists = (key) => fs.access(path.join(dir, key)).then(() => true, () => false);
+
+test.after(() => fs.rm(dir, { recursive: true, force: true }));
+
+test("least recently accessed files are evicted first, only until below the cap", async () => {
+    await writeFile("tiktok/old-but-used.mp4", 300 * KB, { modified: 120, accessed: 1 });
+    await writeFile("tiktok/least-used.mp4", 300 * KB, { modified: 60, accessed: 50 });
+    await writeFile("youtube/less-used.mp4", 300 * KB, { modified: 90, accessed: 30 });
+    await writeFile("youtube/recent.mp4", 300 * KB, { modified: 20, accessed: 20 });
+
+    assert.equal(await checkQuota({ service: "tiktok" }), null);
+
+    assert.equal(await exists("tiktok/least-used.mp4"), false);
+    assert.equal(await exists("youtube/less-used.mp4"), true);
+    assert.equal(await exists("youtube/recent.mp4"), true);
+    assert.equal(await exists("tiktok/old-but-used.mp4"), true);
+
+    const usage = await getUsage();
+    assert.equal(usage.files, 3);
+    assert.equal(usage.used, 900 * KB);
+});
+
+test("recently downloaded files are never evicted, the job is refused instead", async (t) => {
+    // The scan of the first test is still cached
+    t.mock.timers.enable({ apis: ["Date"], now: Date.now() + DOWNLOAD_QUOTA.USAGE_CACHE_TTL });
+
+    // Past the cap again, with only files newer than EVICT_MIN_AGE left to evict
+    await writeFile("tiktok/new.mp4", 300 * KB, { modified: 1 });
+    await fs.utimes(path.join(dir, "youtube/less-used.mp4"), new Date(), new Date());
+    await fs.utimes(path.join(dir, "youtube/recent.mp4"), new Date(), new Date());
+    await fs.utimes(path.join(dir, "tiktok/old-but-used.mp4"), new Date(), new Date());
+
+    assert.deepEqual(await checkQuota({ service: "tiktok" }), {
+        error: "download.quota",
+        context: { scope: "total", limit: 1 },
+    });
+
+    for (const key of ["tiktok/new.mp4", "youtube/less-used.mp4", "youtube/recent.mp4", "tiktok/old-but-used.mp4"]) {
+        assert.equal(await exists(key), true, key);
+    }
+});
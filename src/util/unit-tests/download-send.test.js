@@ -0,0 +1,174 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import http from "node:http";
+import os from "node:os";
+import path from "node:path";
+import express from "express";
+
+// The env is read once, when the modules are loaded
+const dir = await fs.mkdtemp(path.join(os.tmpdir(), "send-test-"));
+process.env.DOWNLOAD_DIR = dir;
+
+const { sendDownloadFile } = await import("../download-send.js");
+const { resolveDownloadPath, getFileInfo } = await import("../download-manager.js");
+
+const content = Buffer.from("0123456789abcdefghij");
+await fs.mkdir(path.join(dir, "tiktok"));
+await fs.writeFile(path.join(dir, "tiktok/video.mp4"), content);
+await fs.writeFile(path.join(dir, "tiktok/video.mp4.part"), content);
+await fs.writeFile(path.join(dir, "tiktok/empty.mp4"), "");
+
+// Like GET /downloads/:path for files
+const app = express();
+app.get("/downloads/*", async (req, res) => {
+    const relativePath = req.params[0];
+    const fileInfo = resolveDownloadPath(relativePath) && await getFileInfo(relativePath);
+
+    if (!fileInfo?.exists) {
+        return res.status(404).end();
+    }
+
+    await sendDownloadFile(req, res, relativePath, fileInfo, { inline: req.query.inline === "true" });
+});
+
+const server = app.listen(0, "127.0.0.1");
+await new Promise(resolve => server.once("listening", resolve));
+const baseURL = `http://127.0.0.1:${server.address().port}/downloads`;
+
+/**
+ * Request a file
+ * node:http instead of fetch, which adds Cache-Control: no-cache to conditional requests
+ */
+const get = (file, headers = {}) => new Promise((resolve, reject) => {
+    http.get(`${baseURL}/${file}`, { headers }, (res) => {
+        const chunks = [];
+        res.on("data", chunk => chunks.push(chunk));
+        res.on("end", () => resolve({
+            res: { status: res.statusCode, headers: { get: name => res.headers[name] ?? null } },
+            body: Buffer.concat(chunks),
+        }));
+    }).on("error", reject);
+});
+
+test.after(async () => {
+    server.closeAllConnections();
+    server.close();
+    await fs.rm(dir, { recursive: true, force: true });
+});
+
+test("the whole file, with validators and a download name", async () => {
+    const { res, body } = await get("tiktok/video.mp4");
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(body, content);
+    assert.equal(res.headers.get("content-length"), String(content.length));
+    assert.equal(res.headers.get("content-type"), "video/mp4");
+    assert.equal(res.headers.get("accept-ranges"), "bytes");
+    assert.equal(res.headers.get("content-disposition"), 'attachment; filename="video.mp4"');
+    assert.match(res.headers.get("etag"), /^"[0-9a-f]+-14"$/);
+
+    const inline = await get("tiktok/video.mp4?inline=true");
+    assert.equal(inline.res.headers.get("content-disposition"), 'inline; filename="video.mp4"');
+});
+
+test("single ranges get a 206", async () => {
+    const { res, body } = await get("tiktok/video.mp4", { range: "bytes=5-9" });
+    assert.equal(res.status, 206);
+    assert.equal(res.headers.get("content-range"), "bytes 5-9/20");
+    assert.equal(res.headers.get("content-length"), "5");
+    assert.deepEqual(body, content.subarray(5, 10));
+
+    const suffix = await get("tiktok/video.mp4", { range: "bytes=-3" });
+    assert.equal(suffix.res.headers.get("content-range"), "bytes 17-19/20");
+    assert.deepEqual(suffix.body, content.subarray(17));
+
+    // Ranges past the end are cut to the file
+    const open = await get("tiktok/video.mp4", { range: "bytes=15-100" });
+    assert.equal(open.res.headers.get("content-range"), "bytes 15-19/20");
+});
+
+test("overlapping ranges are combined, multiple ranges get the whole file", async () => {
+    const combined = await get("tiktok/video.mp4", { range: "bytes=0-4,3-7" });
+    assert.equal(combined.res.status, 206);
+    assert.equal(combined.res.headers.get("content-range"), "bytes 0-7/20");
+    assert.deepEqual(combined.body, content.subarray(0, 8));
+
+    const multiple = await get("tiktok/video.mp4", { range: "bytes=0-1,10-11" });
+    assert.equal(multiple.res.status, 200);
+    assert.equal(multiple.res.headers.get("content-range"), null);
+    assert.deepEqual(multiple.body, content);
+});
+
+test("unsatisfiable ranges get a 416, malformed ones the whole file", async () => {
+    const unsatisfiable = await get("tiktok/video.mp4", { range: "bytes=20-30" });
+    assert.equal(unsatisfiable.res.status, 416);
+    assert.equal(unsatisfiable.res.headers.get("content-range"), "bytes */20");
+    assert.equal(unsatisfiable.body.length, 0);
+
+    // Reversed ranges can't be satisfied either
+    const reversed = await get("tiktok/video.mp4", { range: "bytes=9-5" });
+    assert.equal(reversed.res.status, 416);
+
+    for (const range of ["bytes", "0-5", "items=0-5"]) {
+        const { res, body } = await get("tiktok/video.mp4", { range });
+        assert.equal(res.status, 200, range);
+        assert.deepEqual(body, content);
+    }
+
+    // Empty files have no range to satisfy
+    const empty = await get("tiktok/empty.mp4", { range: "bytes=0-10" });
+    assert.equal(empty.res.status, 200);
+    assert.equal(empty.body.length, 0);
+});
+
+test("If-Range: a stale validator gets the whole file", async () => {
+    const { res } = await get("tiktok/video.mp4");
+    const etag = res.headers.get("etag");
+    const lastModified = res.headers.get("last-modified");
+
+    const current = await get("tiktok/video.mp4", { range: "bytes=0-1", "if-range": etag });
+    assert.equal(current.res.status, 206);
+
+    const currentDate = await get("tiktok/video.mp4", { range: "bytes=0-1", "if-range": lastModified });
+    assert.equal(currentDate.res.status, 206);
+
+    const staleETag = await get("tiktok/video.mp4", { range: "bytes=0-1", "if-range": '"0-14"' });
+    assert.equal(staleETag.res.status, 200);
+    assert.deepEqual(staleETag.body, content);
+
+    const staleDate = new Date(Date.parse(lastModified) - 60 * 1000).toUTCString();
+    const stale = await get("tiktok/video.mp4", { range: "bytes=0-1", "if-range": staleDate });
+    assert.equal(stale.res.status, 200);
+    assert.deepEqual(stale.body, content);
+});
+
+test("conditional requests with the current validators get a 304", async () => {
+    const { res } = await get("tiktok/video.mp4");
+
+    const byETag = await get("tiktok/video.mp4", { "if-none-match": res.headers.get("etag") });
+    assert.equal(byETag.res.status, 304);
+
+    const byDate = await get("tiktok/video.mp4", { "if-modified-since": res.headers.get("last-modified") });
+    assert.equal(byDate.res.status, 304);
+
+    const changed = await get("tiktok/video.mp4", { "if-none-match": '"0-14"' });
+    assert.equal(changed.res.status, 200);
+});
+
+test("resolveDownloadPath: paths can't leave the download directory", async () => {
+    assert.equal(resolveDownloadPath(""), path.resolve(dir));
+    assert.equal(resolveDownloadPath("tiktok/video.mp4"), path.join(path.resolve(dir), "tiktok/video.mp4"));
+    assert.equal(resolveDownloadPath("tiktok/../tiktok/video.mp4"), path.join(path.resolve(dir), "tiktok/video.mp4"));
+
+    for (const relativePath of ["../secret", "tiktok/../../secret", "/etc/passwd", "a\0b", ".archive", "tiktok/.hidden", "tiktok/video.mp4.part", 42]) {
+        assert.equal(resolveDownloadPath(relativePath), null, String(relativePath));
+    }
+
+    // Encoded traversal reaches the route decoded
+    const { res } = await get("..%2F..%2Fetc%2Fpasswd");
+    assert.equal(res.status, 404);
+
+    const part = await get("tiktok/video.mp4.part");
+    assert.equal(part.res.status, 404);
+});
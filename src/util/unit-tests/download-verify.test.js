@@ -0,0 +1,93 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+
+import { signatures, verifyDownload } from "../download-verify.js";
+
+const dir = await fs.mkdtemp(path.join(os.tmpdir(), "verify-test-"));
+
+// An ftyp box, the start of every MP4
+const mp4Header = Buffer.concat([
+    Buffer.from([0x00, 0x00, 0x00, 0x18]),
+    Buffer.from("ftypisom\0\0\x02\0isomiso2", "latin1"),
+]);
+const html = Buffer.from("<!DOCTYPE html><html><body>Access denied</body></html>");
+
+/**
+ * Write a file and verify it
+ * The content is saved as a .part file, like downloads in progress
+ */
+const verify = async (filename, content) => {
+    const filepath = path.join(dir, filename);
+    await fs.writeFile(`${filepath}.part`, content);
+
+    return verifyDownload(`${filepath}.part`, filepath);
+}
+
+test.after(() => fs.rm(dir, { recursive: true, force: true }));
+
+test("signatures: containers and images", () => {
+    assert.equal(signatures.mp4(mp4Header), true);
+    assert.equal(signatures.mp4(Buffer.from("\0\0\0\x08mdat", "latin1")), true);
+    assert.equal(signatures.mp4(html), false);
+
+    assert.equal(signatures.matroska(Buffer.from([0x1a, 0x45, 0xdf, 0xa3, 0x01])), true);
+    assert.equal(signatures.ogg(Buffer.from("OggS\0")), true);
+    assert.equal(signatures.wav(Buffer.from("RIFF\0\0\0\0WAVEfmt ")), true);
+    assert.equal(signatures.webp(Buffer.from("RIFF\0\0\0\0WAVEfmt ")), false);
+    assert.equal(signatures.jpeg(Buffer.from([0xff, 0xd8, 0xff, 0xe0])), true);
+    assert.equal(signatures.png(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a])), true);
+});
+
+test("signatures: mp3 and aac frame sync", () => {
+    const mp3Frame = Buffer.from([0xff, 0xfb, 0x90, 0x64]);
+    const adtsFrame = Buffer.from([0xff, 0xf1, 0x50, 0x80]);
+
+    assert.equal(signatures.mp3(mp3Frame), true);
+    assert.equal(signatures.aac(mp3Frame), false, "mp3 frames have a layer, ADTS frames don't");
+    assert.equal(signatures.aac(adtsFrame), true);
+
+    // Both can start with an ID3 tag
+    assert.equal(signatures.mp3(Buffer.from("ID3\x04\0")), true);
+    assert.equal(signatures.aac(Buffer.from("ID3\x04\0")), true);
+
+    assert.equal(signatures.mp3(Buffer.from([0xff, 0x00])), false);
+    assert.equal(signatures.mp3(Buffer.from("{}")), false);
+});
+
+test("signatures: json and html error pages", () => {
+    assert.equal(signatures.html(html), true);
+    assert.equal(signatures.html(Buffer.from("\n  <html lang=\"en\">")), true);
+    assert.equal(signatures.html(Buffer.from("<div>")), false);
+
+    assert.equal(signatures.json(Buffer.from(" {\"error\":\"not found\"}")), true);
+    assert.equal(signatures.json(Buffer.from("[1, 2]")), true);
+    assert.equal(signatures.json(mp4Header), false);
+});
+
+test("verifyDownload: error pages saved as media are corrupt", async () => {
+    assert.equal(await verify("page.mp4", html), "content doesn't match video/mp4 (looks like html)");
+    assert.equal(await verify("error.mp3", Buffer.from("{\"error\":403}")), "content doesn't match audio/mpeg (looks like json)");
+    assert.equal(await verify("garbage.webm", Buffer.from("garbage")), "content doesn't match video/webm");
+});
+
+test("verifyDownload: empty files are corrupt, whatever their type", async () => {
+    assert.equal(await verify("empty.mp4", Buffer.alloc(0)), "file is empty");
+    assert.equal(await verify("empty.bin", Buffer.alloc(0)), "file is empty");
+});
+
+test("verifyDownload: files matching their type are kept", async () => {
+    assert.equal(await verify("photo.jpg", Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0x00, 0x10])), null);
+
+    // Media files are also probed when ffmpeg is available, which these fake boxes wouldn't pass
+    const corrupt = await verify("video.mp4", mp4Header);
+    assert.ok(corrupt === null || corrupt.startsWith("unreadable media file"), corrupt);
+});
+
+test("verifyDownload: files of types without a signature aren't sniffed", async () => {
+    assert.equal(await verify("data.bin", html), null);
+    assert.equal(await verify("notes.txt", html), null);
+    assert.equal(await verify("subtitles.vtt", Buffer.from("WEBVTT")), null);
+});
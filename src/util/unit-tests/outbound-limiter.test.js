@@ -0,0 +1,115 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+// The env is read once, when the modules are loaded
+process.env.OUTBOUND_RATELIMIT = "2";
+process.env.OUTBOUND_BURST = "3";
+
+const { limitedFetch, getLimiterStatus } = await import("../outbound-limiter.js");
+const { OUTBOUND } = await import("../constants.js");
+
+/**
+ * fetch that answers every request with the given status and headers, and counts them
+ */
+const fakeFetch = (status = 200, headers = {}) => {
+    const fetch = async () => {
+        fetch.calls++;
+        return new Response(null, { status, headers });
+    };
+    fetch.calls = 0;
+    return fetch;
+}
+
+// Requests that would have to wait are answered right away with a 429
+const send = (service, fetch) => limitedFetch(service, "http://example.com/", {}, { fetch, maxWait: 0 });
+
+test.beforeEach((t) => {
+    t.mock.timers.enable({ apis: ["Date"], now: 1_000_000 });
+});
+
+test("take: the burst is sent right away, then requests wait for the rate", async (t) => {
+    const ok = fakeFetch();
+
+    for (let i = 0; i < 3; i++) {
+        assert.equal((await send("take", ok)).status, 200);
+    }
+
+    const limited = await send("take", ok);
+    assert.equal(limited.status, 429);
+    assert.equal(limited.headers.get("retry-after"), "1");
+    assert.equal(ok.calls, 3, "limited requests aren't sent");
+
+    // 2 requests per second
+    t.mock.timers.tick(500);
+    assert.equal((await send("take", ok)).status, 200);
+    assert.equal((await send("take", ok)).status, 429);
+    assert.equal(ok.calls, 4);
+});
+
+test("report: every 429 halves the rate, repeated ones also pause the bucket", async (t) => {
+    const rateLimited = fakeFetch(429);
+
+    // 429s of requests that were in flight at the same time count once
+    await Promise.all([ send("halve", rateLimited), send("halve", rateLimited) ]);
+    assert.equal(rateLimited.calls, 2);
+    assert.deepEqual(getLimiterStatus().halve, { rate: 1, limit: 2, pausedFor: 0, strikes: 1 });
+
+    t.mock.timers.tick(OUTBOUND.STRIKE_INTERVAL);
+    await send("halve", rateLimited);
+    assert.deepEqual(getLimiterStatus().halve, {
+        rate: 0.5,
+        limit: 2,
+        pausedFor: OUTBOUND.BACKOFF_BASE,
+        strikes: 2,
+    });
+
+    assert.equal((await send("halve", rateLimited)).headers.get("retry-after"), String(OUTBOUND.BACKOFF_BASE / 1000));
+    assert.equal(rateLimited.calls, 3, "paused buckets don't send requests");
+});
+
+test("report: Retry-After pauses the bucket until then", async (t) => {
+    const rateLimited = fakeFetch(429, { "retry-after": "30" });
+    const ok = fakeFetch();
+
+    await send("retry-after", rateLimited);
+    assert.equal(getLimiterStatus()["retry-after"].pausedFor, 30 * 1000);
+
+    const limited = await send("retry-after", ok);
+    assert.equal(limited.status, 429);
+    assert.equal(limited.headers.get("retry-after"), "30");
+    assert.equal(ok.calls, 0);
+
+    t.mock.timers.tick(30 * 1000);
+    assert.equal((await send("retry-after", ok)).status, 200);
+    assert.equal(ok.calls, 1);
+});
+
+test("report: Retry-After as an HTTP date", async () => {
+    const until = new Date(Date.now() + 120 * 1000).toUTCString();
+    await send("retry-date", fakeFetch(429, { "retry-after": until }));
+
+    assert.equal(getLimiterStatus()["retry-date"].pausedFor, 120 * 1000);
+});
+
+test("report: the rate ramps back up by a tenth every interval with successful responses", async (t) => {
+    const ok = fakeFetch();
+
+    await send("ramp", fakeFetch(429));
+    assert.equal(getLimiterStatus().ramp.rate, 1);
+
+    // Too soon after the decrease
+    t.mock.timers.tick(OUTBOUND.RAMP_INTERVAL / 2);
+    await send("ramp", ok);
+    assert.equal(getLimiterStatus().ramp.rate, 1);
+    assert.equal(getLimiterStatus().ramp.strikes, 0);
+
+    const rates = [];
+    for (let i = 0; i < 6; i++) {
+        t.mock.timers.tick(OUTBOUND.RAMP_INTERVAL);
+        await send("ramp", ok);
+        rates.push(getLimiterStatus().ramp?.rate ?? null);
+    }
+
+    // Back to the configured rate, so not backing off anymore
+    assert.deepEqual(rates, [1.2, 1.4, 1.6, 1.8, null, null]);
+});
@@ -0,0 +1,143 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import {
+    parseTemplate,
+    validateTemplate,
+    renderTemplate,
+    dedupePaths,
+    TEMPLATE_MAX_LENGTH,
+} from "../../processing/output-template.js";
+
+const render = (template, fields = {}) => renderTemplate(template, {
+    service: "tiktok",
+    filename: "tiktok_123.mp4",
+    ...fields,
+});
+
+test("parseTemplate: text, fields and folder separators", () => {
+    assert.deepEqual(parseTemplate("{service}/{title:.80|untitled} [{{id}}].mp4"), [
+        { type: "field", name: "service", spec: "", fallback: "" },
+        { type: "separator" },
+        { type: "field", name: "title", spec: ".80", fallback: "untitled" },
+        { type: "text", value: " [{id}].mp4" },
+    ]);
+});
+
+test("validateTemplate: rejects malformed templates", () => {
+    assert.equal(validateTemplate("{service}/{id}.{ext}"), null);
+    assert.equal(validateTemplate("{upload_date:%Y-%m-%d %%}"), null);
+
+    assert.equal(validateTemplate(""), "template is empty");
+    assert.equal(validateTemplate("   "), "template is empty");
+    assert.equal(validateTemplate(42), "template is empty");
+    assert.equal(validateTemplate("x".repeat(TEMPLATE_MAX_LENGTH + 1)), `template is longer than ${TEMPLATE_MAX_LENGTH} characters`);
+    assert.equal(validateTemplate("{service}/"), "template must end with a filename");
+    assert.equal(validateTemplate("{title"), "unmatched {");
+    assert.equal(validateTemplate("title}"), "unmatched }");
+    assert.equal(validateTemplate("{Title}"), "invalid field: {Title}");
+    assert.equal(validateTemplate("{views}"), "unknown field: views");
+    assert.equal(validateTemplate("{title:x}"), "invalid format for title: x");
+    assert.equal(validateTemplate("{title:%Y}"), "title is not a date");
+    assert.equal(validateTemplate("{date:%Q}"), "invalid date format: %Q");
+    assert.equal(validateTemplate("{author|a/b}"), "fallback of author can't contain /");
+});
+
+test("renderTemplate: fields, fallbacks, padding and the extension", () => {
+    assert.equal(render("{service}/{author|unknown}/{index:03} {title}", { title: "Video", index: 7 }), "tiktok/unknown/007 Video.mp4");
+    assert.equal(render("{filename}.{ext}"), "tiktok_123.mp4");
+    assert.equal(render("{id}.mkv", { id: "1" }), "1.mkv.mp4");
+    assert.equal(render("{title}", {}), null, "nothing left but the extension");
+});
+
+test("renderTemplate: truncation keeps whole characters and the extension", () => {
+    assert.equal(render("{title:.3}", { title: "Tiếng Việt" }), "Tiế.mp4");
+    assert.equal(render("{title:.2}", { title: "👍🏽👍🏽👍🏽" }), "👍🏽👍🏽.mp4");
+
+    // Segments are cut to 255 bytes
+    const path = render("{author}/{title}", { author: "é".repeat(200), title: "あ".repeat(200) });
+    const [ folder, name ] = path.split("/");
+
+    assert.ok(Buffer.byteLength(folder) <= 255 && folder === "é".repeat(127));
+    assert.ok(Buffer.byteLength(name) <= 255 && name.endsWith("あ.mp4"));
+});
+
+test("renderTemplate: values are sanitized and can't escape the download directory", () => {
+    assert.equal(render("{author}/{title}", { author: "../..", title: "a/b\\c:d*?" }), "／../a／b＼c：d＊？.mp4");
+
+    const traversal = render("{author}/{title}", { author: "../..", title: "../../etc/passwd" });
+    assert.ok(!traversal.split("/").some(segment => segment === ".." || segment === "."), traversal);
+    assert.equal(traversal.split("/").length, 2, "values don't create folders");
+
+    assert.equal(render("../{title}", { title: "x" }), "x.mp4", "leading dots and empty folders are dropped");
+    assert.equal(render("{author}//{title}", { title: "x" }), "x.mp4");
+    assert.equal(render(".{title}", { title: "hidden" }), "hidden.mp4");
+    assert.equal(render("{title}", { title: "a\u0000b\u001fc" }), "abc.mp4");
+});
+
+test("renderTemplate: date fields", () => {
+    const fields = { upload_date: "20240305" };
+
+    assert.equal(render("{upload_date}", fields), "2024-03-05.mp4");
+    assert.equal(render("{upload_date:%Y/%y%m%d %j %%}", { upload_date: "2024-03-05T06:07:08Z" }), "2024/240305 065 %.mp4");
+    assert.equal(render("{upload_date:%H-%M-%S}", { upload_date: 1709618828 }), "06-07-08.mp4");
+    assert.equal(render("{upload_date|nodate}", { upload_date: "garbage" }), "nodate.mp4");
+
+    // TikTok ids start with the creation time
+    const id = String((BigInt(1709618828) << 32n) + 12345n);
+    assert.equal(render("{upload_date:%Y-%m-%d %H}", { id }), "2024-03-05 06.mp4");
+
+    assert.equal(render("{date:%Y}", { date: "2001-01-01" }), "2001.mp4");
+    assert.equal(render("{date:%Y}"), `${new Date().getUTCFullYear()}.mp4`);
+});
+
+test("dedupePaths: picker items rendering to the same path get their index", () => {
+    const fields = { service: "instagram", author: "a", title: "Carousel", id: "C1" };
+    const files = [1, 2, 3].map(index => ({
+        index,
+        filename: `instagram_C1_${index}.jpg`,
+    }));
+
+    for (const file of files) {
+        file.outputPath = renderTemplate("{service}/{author}/{title} [{id}].{ext}", { ...fields, ...file });
+    }
+    assert.equal(new Set(files.map(file => file.outputPath)).size, 1);
+
+    dedupePaths(files);
+    assert.deepEqual(files.map(file => file.outputPath), [
+        "instagram/a/Carousel [C1] (1).jpg",
+        "instagram/a/Carousel [C1] (2).jpg",
+        "instagram/a/Carousel [C1] (3).jpg",
+    ]);
+});
+
+test("dedupePaths: unique paths are kept, collisions are case-insensitive and avoid rendered paths", () => {
+    const files = [
+        { index: 1, outputPath: "x/Video.mp4" },
+        { index: 2, outputPath: "x/video.mp4" },
+        { index: 3, outputPath: "x/Video (1).mp4" },
+        { index: 4, outputPath: "x/other.mp4" },
+        { index: 5, outputPath: null },
+    ];
+
+    dedupePaths(files);
+    assert.deepEqual(files.map(file => file.outputPath), [
+        "x/Video (1-2).mp4",
+        "x/video (2).mp4",
+        "x/Video (1).mp4",
+        "x/other.mp4",
+        null,
+    ]);
+});
+
+test("dedupePaths: the index fits in filenames at the length limit", () => {
+    const name = `${"あ".repeat(83)}.mp4`; // 253 bytes
+    const files = [{ index: 1, outputPath: `x/${name}` }, { index: 2, outputPath: `x/${name}` }];
+
+    dedupePaths(files);
+    for (const [ i, file ] of files.entries()) {
+        const filename = file.outputPath.split("/")[1];
+        assert.ok(Buffer.byteLength(filename) <= 255);
+        assert.ok(filename.endsWith(` (${i + 1}).mp4`), filename);
+    }
+});